@@ -0,0 +1,268 @@
+/**
+ * Album manifests, grouping the flat photo folders of a processed bucket. A photo belongs to:
+ * - every album rule it matches. Rules are configured globally with the ALBUMS env var or per
+ *   ingress bucket with an `albums` entry in BUCKET_MAPPINGS:
+ *     [{ "slug": "summer-2025", "title": "Summer 2025", "from": "2025-06-01", "to": "2025-08-31" },
+ *      { "slug": "cowes", "near": { "latitude": 50.76, "longitude": -1.30, "radiusKm": 5 } },
+ *      { "slug": "fuji", "camera": "FUJIFILM" },
+ *      { "slug": "wedding", "prefix": "events/wedding/" }]
+ *   - from/to: local shot date range (inclusive, YYYY-MM-DD; either end may be left open)
+ *   - near: within radiusKm of a point (photos with GPS only)
+ *   - camera: part of the camera make and model, ignoring case
+ *   - prefix: start of the ingress key the photo was uploaded as
+ *   A rule with several conditions needs all of them to hold.
+ * - every album listed in its user.json `albums` (see user-edits.js)
+ * Hidden photos are in no album. Memberships are recorded as `albums` in metadata.json.
+ *
+ * Layout (relative to the albums prefix, public like the catalog):
+ *   index.json     every album with photos: slug, title, count, cover and date range
+ *   <slug>.json    the album's photos, oldest first
+ */
+
+const { haversineKm } = require('./reverse-geocoder');
+const { catalogEntryFromMetadata, updateConditionally } = require('./photo-catalog');
+const { isAlbumSlug } = require('./user-edits');
+
+const RULE_FIELDS = ['slug', 'title', 'from', 'to', 'near', 'camera', 'prefix'];
+const CONDITIONS = ['from', 'to', 'near', 'camera', 'prefix'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+
+// Validate one rule; `source` names it in error messages
+function normalizeRule(rule, source) {
+	if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+		throw new Error(`Invalid ${source}: expected an object`);
+	}
+	const unknown = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+	if (unknown.length) {
+		throw new Error(`Invalid ${source}: unknown field(s) ${unknown.join(', ')}`);
+	}
+	if (!isAlbumSlug(rule.slug)) {
+		throw new Error(`Invalid ${source}: slug must be lowercase letters, digits and dashes, and not "index"`);
+	}
+	if (rule.title !== undefined && (typeof rule.title !== 'string' || rule.title.trim() === '')) {
+		throw new Error(`Invalid ${source}: title must be a non-empty string`);
+	}
+	if (!CONDITIONS.some(field => rule[field] !== undefined)) {
+		throw new Error(`Invalid ${source}: needs at least one of ${CONDITIONS.join(', ')}`);
+	}
+	for (const field of ['from', 'to']) {
+		if (rule[field] !== undefined && (typeof rule[field] !== 'string' || !DATE_PATTERN.test(rule[field]))) {
+			throw new Error(`Invalid ${source}: ${field} must be a YYYY-MM-DD date`);
+		}
+	}
+	if (rule.from && rule.to && rule.from > rule.to) {
+		throw new Error(`Invalid ${source}: from is after to`);
+	}
+	const { near } = rule;
+	if (near !== undefined && !(typeof near === 'object' && near !== null &&
+		isCoordinate(near.latitude, 90) && isCoordinate(near.longitude, 180) && typeof near.radiusKm === 'number' && near.radiusKm > 0)) {
+		throw new Error(`Invalid ${source}: near must be { "latitude": ..., "longitude": ..., "radiusKm": ... } with a radius above 0`);
+	}
+	for (const field of ['camera', 'prefix']) {
+		if (rule[field] !== undefined && (typeof rule[field] !== 'string' || rule[field] === '')) {
+			throw new Error(`Invalid ${source}: ${field} must be a non-empty string`);
+		}
+	}
+
+	return {
+		slug: rule.slug,
+		title: rule.title?.trim() || rule.slug,
+		from: rule.from || null,
+		to: rule.to || null,
+		near: near ? { latitude: near.latitude, longitude: near.longitude, radiusKm: near.radiusKm } : null,
+		camera: rule.camera || null,
+		prefix: rule.prefix || null
+	};
+}
+
+/**
+ * Validate album rules
+ * @param {Array<object>|null|undefined} config - raw rules (e.g. parsed from JSON)
+ * @param {string} source - where the rules came from, used in error messages
+ * @returns {Array<object>} normalized rules (none for null)
+ */
+function normalizeAlbumRules(config, source = 'albums') {
+	if (config === undefined || config === null) {
+		return [];
+	}
+	if (!Array.isArray(config)) {
+		throw new Error(`Invalid ${source}: expected an array of album rules`);
+	}
+	const rules = config.map((rule, i) => normalizeRule(rule, `${source} rule ${i + 1}`));
+	const repeated = rules.find((rule, i) => rules.findIndex(other => other.slug === rule.slug) !== i);
+	if (repeated) {
+		throw new Error(`Invalid ${source}: slug ${repeated.slug} is used by more than one rule`);
+	}
+	return rules;
+}
+
+/**
+ * Parse the ALBUMS env var
+ * @param {string|undefined} value - JSON array
+ */
+function parseAlbumRules(value) {
+	return value ? normalizeAlbumRules(JSON.parse(value), 'ALBUMS') : [];
+}
+
+// Whether a photo matches every condition of a rule
+function matchesRule(rule, metadata) {
+	const date = (metadata.shotTime?.local || metadata.shotDate).slice(0, 10);
+	if ((rule.from && date < rule.from) || (rule.to && date > rule.to)) {
+		return false;
+	}
+	if (rule.near) {
+		const gps = metadata.exifData?.gps;
+		if (typeof gps?.latitude !== 'number' || typeof gps?.longitude !== 'number' ||
+			haversineKm(gps.latitude, gps.longitude, rule.near.latitude, rule.near.longitude) > rule.near.radiusKm) {
+			return false;
+		}
+	}
+	if (rule.camera) {
+		const camera = [metadata.exifData?.make, metadata.exifData?.model].filter(Boolean).join(' ').toLowerCase();
+		if (!camera.includes(rule.camera.toLowerCase())) {
+			return false;
+		}
+	}
+	return !rule.prefix || (metadata.originalKey || '').startsWith(rule.prefix);
+}
+
+/**
+ * Albums a photo belongs to: the rules it matches, then those listed in its user.json.
+ * `near` rules are skipped when the photo's privacy policy coarsens or strips its GPS,
+ * as membership of a place's album would tell where it was taken.
+ * @param {object} metadata - unredacted metadata as produced by buildMetadata (GPS and camera intact)
+ * @param {Array<object>} rules - from normalizeAlbumRules
+ * @returns {Array<string>} slugs, none for hidden photos
+ */
+function albumsOf(metadata, rules) {
+	if (metadata.userEdits?.hidden === true) {
+		return [];
+	}
+	const hidesPlace = Boolean(metadata.privacy) && metadata.privacy.gps !== 'exact';
+	const slugs = rules.filter(rule => !(rule.near && hidesPlace) && matchesRule(rule, metadata)).map(rule => rule.slug);
+	return [...new Set([...slugs, ...(metadata.userEdits?.albums || [])])];
+}
+
+/**
+ * Album entry for a photo, built from the metadata.json document
+ * @param {object} metadata - metadata.json document
+ */
+function albumEntryFromMetadata(metadata) {
+	const { photoFolder, baseName, shotDate, title, rating, thumb, dimensions } = catalogEntryFromMetadata(metadata);
+	return { photoFolder, baseName, shotDate, title, rating, thumb, dimensions };
+}
+
+// The best rated photo (the oldest of those) is an album's cover
+function coverOf(photos) {
+	const [cover] = [...photos].sort((a, b) => (b.rating ?? -1) - (a.rating ?? -1));
+	return cover?.thumb ? { photoFolder: cover.photoFolder, ...cover.thumb } : null;
+}
+
+/**
+ * Album manifests stored in a processed bucket
+ * @param {object} storage - from storage.js
+ * @param {string} bucket - processed bucket
+ * @param {string} prefix - albums prefix, e.g. 'albums/'
+ * @param {Array<object>} rules - normalized rules, for album titles
+ */
+function createAlbums(storage, bucket, prefix, rules) {
+	const albumKey = (slug) => `${prefix}${slug}.json`;
+	const indexKey = `${prefix}index.json`;
+	// Albums only listed in user.json are titled by their slug
+	const titleOf = (slug) => rules.find(rule => rule.slug === slug)?.title || slug;
+
+	// Record an album's current summary in the index
+	const refreshIndex = (album) => updateConditionally(storage, bucket, indexKey, async (index) => {
+		const albums = (index?.albums || []).filter(a => a.slug !== album.slug);
+		if (album.count > 0) {
+			const { slug, title, count, dateRange, cover } = album;
+			albums.push({ slug, title, key: albumKey(slug), count, dateRange, cover });
+		}
+		albums.sort((a, b) => a.slug.localeCompare(b.slug));
+		return { updatedAt: new Date().toISOString(), albums };
+	});
+
+	// Replace the album's photos with `change(photos)`
+	const updateAlbum = async (slug, change) => {
+		const album = await updateConditionally(storage, bucket, albumKey(slug), async (current) => {
+			const photos = change(current?.photos || []).sort((a, b) => a.shotDate.localeCompare(b.shotDate));
+			return {
+				slug,
+				title: titleOf(slug),
+				updatedAt: new Date().toISOString(),
+				count: photos.length,
+				dateRange: photos.length ? { from: photos[0].shotDate, to: photos[photos.length - 1].shotDate } : null,
+				cover: coverOf(photos),
+				photos
+			};
+		});
+		await refreshIndex(album);
+	};
+
+	const without = (photoFolder) => (photos) => photos.filter(p => p.photoFolder !== photoFolder);
+
+	return {
+		/**
+		 * Add (or refresh) a photo in the albums it belongs to, and take it out of those it left
+		 * @param {object} metadata - metadata.json document with its `albums`
+		 * @param {Array<string>} [previousAlbums] - albums it belonged to before
+		 */
+		async addPhoto(metadata, previousAlbums = []) {
+			const entry = albumEntryFromMetadata(metadata);
+			const albums = metadata.albums || [];
+			for (const slug of albums) {
+				await updateAlbum(slug, photos => [...without(entry.photoFolder)(photos), entry]);
+			}
+			for (const slug of previousAlbums.filter(slug => !albums.includes(slug))) {
+				await updateAlbum(slug, without(entry.photoFolder));
+			}
+		},
+
+		/**
+		 * Take a removed photo out of its albums
+		 * @param {object} metadata - metadata.json document of the removed photo
+		 */
+		async removePhoto(metadata) {
+			for (const slug of metadata.albums || []) {
+				await updateAlbum(slug, without(metadata.photoFolder));
+			}
+		},
+
+		/**
+		 * Replace every album with the photos recording it in `albums` (rebuilds)
+		 * @param {Array<object>} metadataList - metadata.json documents
+		 * @returns {Promise<number>} number of albums written
+		 */
+		async rebuild(metadataList) {
+			const albums = new Map();
+			for (const metadata of metadataList) {
+				for (const slug of metadata.albums || []) {
+					albums.set(slug, [...(albums.get(slug) || []), albumEntryFromMetadata(metadata)]);
+				}
+			}
+
+			// Albums that no longer have photos are emptied rather than left stale
+			const existing = (await storage.readJson(bucket, indexKey))?.value.albums || [];
+			for (const { slug } of existing) {
+				if (!albums.has(slug)) {
+					albums.set(slug, []);
+				}
+			}
+
+			for (const [slug, photos] of albums) {
+				await updateAlbum(slug, () => photos);
+			}
+			return albums.size;
+		}
+	};
+}
+
+module.exports = {
+	normalizeAlbumRules,
+	parseAlbumRules,
+	albumsOf,
+	albumEntryFromMetadata,
+	createAlbums
+};
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * photo3s command line: runs the processing pipeline over local folders, with
+ * the file storage backend standing in for the ingress and processed buckets.
+ *
+ *   photo3s process <dir> --out <dir> [--concurrency 1] [--naming <template>]
+ *                   [--timezone <zone>] [--formats webp,avif] [--report <file>] [--verbose]
+ *   photo3s reprocess <processed dir> [--prefix <folder prefix>] [--dry-run] [--checkpoint <file>]
+ *                   [--timezone <zone>] [--formats webp,avif] [--report <file>] [--verbose]
+ *   photo3s gallery <processed dir> [--full] [--verbose]
+ *   photo3s replay <ingress bucket|dir> [--prefix <key prefix>] [--dry-run] [--verbose]
+ *
+ * Every photo under <dir> goes through the same validate → EXIF → dedupe →
+ * variants → metadata flow as an S3 upload, and the output folder ends up laid
+ * out like a processed bucket. Source files are never modified or deleted:
+ * duplicates are reported and left in place.
+ *
+ * `reprocess` regenerates the variants and metadata.json of an already processed
+ * folder from the originals stored in it (see reprocessBucket in upload-lambda.js).
+ *
+ * `gallery` renders the static HTML gallery of a processed folder from its catalog
+ * (see gallery.js), only the pages that changed unless --full is given.
+ *
+ * `replay` puts the uploads quarantined under failed/ back into an ingress bucket
+ * (see replayFailed in upload-lambda.js), so S3 notifies the Lambda again. It works
+ * on S3, configured from the environment like the Lambda, or on a local folder.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { SUPPORTED_FORMATS } = require("./input-formats");
+
+const USAGE = `Usage: photo3s process <dir> --out <dir> [options]
+       photo3s reprocess <processed dir> [options]
+       photo3s gallery <processed dir> [options]
+       photo3s replay <ingress bucket|dir> [options]
+
+Options:
+  --out <dir>          where processed photo folders are written (process, required)
+  --concurrency <n>    photos processed at the same time (process, default: 1; identical photos
+                       processed at the same time may not be recognised as duplicates)
+  --naming <template>  photo folder naming template (process, default: NAMING_TEMPLATE or photo-{date}_{time}{zone}-{make})
+  --prefix <prefix>    only reprocess photo folders under this prefix (reprocess), or only
+                       replay uploads whose key starts with it (replay)
+  --dry-run            report what reprocessing would change without writing anything (reprocess),
+                       or list what would be replayed (replay)
+  --checkpoint <file>  record progress in this file and resume from it when run again (reprocess)
+  --full               render every gallery page, not only the ones that changed (gallery)
+  --timezone <zone>    IANA timezone assumed for photos without one (default: DEFAULT_TIMEZONE)
+  --formats <list>     comma-separated variant formats (default: VARIANT_FORMATS or webp)
+  --report <file>      write every result and the summary as JSON
+  --verbose            show the pipeline's own logging
+`;
+
+const OPTIONS = {
+	out: { type: 'string' },
+	concurrency: { type: 'string', default: '1' },
+	naming: { type: 'string' },
+	prefix: { type: 'string', default: '' },
+	'dry-run': { type: 'boolean', default: false },
+	checkpoint: { type: 'string' },
+	full: { type: 'boolean', default: false },
+	timezone: { type: 'string' },
+	formats: { type: 'string' },
+	report: { type: 'string' },
+	verbose: { type: 'boolean', default: false },
+	help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Statuses returned by processRecord and reprocessBucket, as shown in the summaries
+const STATUS_LABELS = {
+	process: {
+		success: '✅ processed',
+		duplicate: '🔁 duplicates',
+		skipped: '⏭️  skipped',
+		error: '❌ failed'
+	},
+	reprocess: {
+		changed: '✏️  changed',
+		unchanged: '✅ unchanged',
+		skipped: '⏭️  skipped',
+		error: '❌ failed'
+	}
+};
+
+/**
+ * Supported photos under a directory, as keys relative to it (hidden files and `exclude` skipped)
+ * @returns {Promise<Array<{key: string, size: number}>>}
+ */
+async function findPhotos(dir, exclude) {
+	const photos = [];
+	const walk = async (current, keyPrefix) => {
+		const entries = await fs.promises.readdir(current, { withFileTypes: true });
+		for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+			const fullPath = path.join(current, entry.name);
+			if (entry.name.startsWith('.') || fullPath === exclude) {
+				continue;
+			}
+			if (entry.isDirectory()) {
+				await walk(fullPath, `${keyPrefix}${entry.name}/`);
+			} else if (entry.isFile() && SUPPORTED_FORMATS.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+				photos.push({ key: `${keyPrefix}${entry.name}`, size: (await fs.promises.stat(fullPath)).size });
+			}
+		}
+	};
+	await walk(dir, '');
+	return photos;
+}
+
+// S3 event keys are URL-encoded (with '+' for spaces), so local keys are encoded the same way
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const formatDuration = (ms) => ms < 60000
+	? `${(ms / 1000).toFixed(1)}s`
+	: `${Math.floor(ms / 60000)}m${String(Math.round(ms % 60000 / 1000)).padStart(2, '0')}s`;
+
+function describeResult(result) {
+	switch (result.status) {
+		case 'success':
+			return `→ ${result.photoFolder}`;
+		case 'duplicate':
+			return `duplicate of ${result.existingFile || 'an existing photo'}`;
+		case 'changed':
+			return `${result.written ? 'updated' : 'would change'}: ${result.summary}`;
+		case 'unchanged':
+			return 'unchanged';
+		case 'skipped':
+			return `skipped (${result.reason})`;
+		default:
+			return `failed: ${result.error}`;
+	}
+}
+
+const progressLine = (done, total, label, result, ms) =>
+	`[${String(done).padStart(String(total).length)}/${total}] ${label} ${describeResult(result)} (${formatDuration(ms)})`;
+
+/**
+ * Print the summary (and write the report) shared by both commands
+ * @returns {number} exit code
+ */
+async function summarise({ command, results, summary, values }) {
+	const labels = STATUS_LABELS[command];
+	const counts = Object.fromEntries(Object.keys(labels).map(status => [status, 0]));
+	for (const result of results) {
+		counts[result.status in counts ? result.status : 'error']++;
+	}
+	Object.assign(summary, counts);
+
+	console.log(`\n${command === 'process' ? 'Processed' : 'Reprocessed'} ${results.length} photo(s) in ${formatDuration(summary.totalTimeMs)}`);
+	for (const [status, label] of Object.entries(labels)) {
+		console.log(`  ${label}: ${counts[status]}`);
+	}
+	for (const failed of results.filter(result => result.status === 'error')) {
+		console.log(`     ${failed.key || failed.photoFolder}: ${failed.error}`);
+	}
+
+	if (values.report) {
+		await fs.promises.writeFile(values.report, JSON.stringify({ summary, results }, null, 2));
+		console.log(`Report written to ${path.resolve(values.report)}`);
+	}
+	return counts.error > 0 ? 1 : 0;
+}
+
+/**
+ * Point the pipeline's configuration at local folders. It is read from the
+ * environment when upload-lambda.js is loaded, so this runs first.
+ * @param {{inputDir: string, outputDir: string, values: object}} options - `inputDir` is the
+ *   ingress folder, or the processed folder itself when reprocessing
+ */
+function configureEnvironment({ inputDir, outputDir, values }) {
+	const mapping = { processed: outputDir };
+	if (values.naming) {
+		mapping.naming = values.naming;
+	}
+	if (values.timezone) {
+		mapping.timezone = values.timezone;
+	}
+
+	Object.assign(process.env, {
+		STORAGE_BACKEND: 'file',
+		STORAGE_DIR: path.parse(outputDir).root,
+		BUCKET_MAPPINGS: JSON.stringify({ [inputDir]: mapping }),
+		// Never delete or move source photos
+		DUPLICATE_ACTION: 'keep',
+		// --verbose shows plain messages rather than JSON lines
+		LOG_FORMAT: 'text'
+	});
+	delete process.env.ALLOWED_SOURCE_BUCKETS;
+	if (values.formats) {
+		process.env.VARIANT_FORMATS = values.formats;
+	}
+}
+
+/**
+ * process: run every photo under the input folder through the pipeline
+ */
+async function processCommand({ inputDir, outputDir, concurrency, values }) {
+	const { processRecord } = require("./upload-lambda");
+
+	const photos = await findPhotos(inputDir, outputDir);
+	console.log(`Processing ${photos.length} photo(s) from ${inputDir} into ${outputDir}`);
+
+	const startTime = Date.now();
+	const results = new Array(photos.length);
+	let next = 0;
+	let done = 0;
+	const worker = async () => {
+		while (next < photos.length) {
+			const index = next++;
+			const { key, size } = photos[index];
+			const photoStart = Date.now();
+			const result = await processRecord({
+				eventName: 'ObjectCreated:Put',
+				s3: { bucket: { name: inputDir }, object: { key: encodeKey(key), size } }
+			});
+			results[index] = { key, ...result };
+			console.log(progressLine(++done, photos.length, key, result, Date.now() - photoStart));
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, photos.length) }, worker));
+
+	const summary = { inputDir, outputDir, photos: photos.length, totalTimeMs: Date.now() - startTime };
+	return summarise({ command: 'process', results, summary, values });
+}
+
+/**
+ * reprocess: regenerate a processed folder's photos, resuming from --checkpoint when it exists
+ */
+async function reprocessCommand({ outputDir, values }) {
+	const { reprocessBucket } = require("./upload-lambda");
+	const run = { bucket: outputDir, prefix: values.prefix, dryRun: values['dry-run'] };
+
+	let startAfter = null;
+	if (values.checkpoint && fs.existsSync(values.checkpoint)) {
+		const saved = JSON.parse(fs.readFileSync(values.checkpoint, 'utf8'));
+		if (saved.bucket !== run.bucket || saved.prefix !== run.prefix || saved.dryRun !== run.dryRun) {
+			// console.error is silenced along with the pipeline's logging
+			process.stderr.write(`Checkpoint ${values.checkpoint} belongs to another run (${saved.bucket}/${saved.prefix}${saved.dryRun ? ', dry run' : ''}); remove it to start over\n`);
+			return 2;
+		}
+		startAfter = saved.startAfter;
+		console.log(`Resuming after ${startAfter}`);
+	}
+
+	console.log(`Reprocessing ${outputDir}/${values.prefix}${run.dryRun ? ' (dry run, nothing is written)' : ''}`);
+	const startTime = Date.now();
+	let photoStart = Date.now();
+	const outcome = await reprocessBucket(outputDir, {
+		prefix: values.prefix,
+		dryRun: run.dryRun,
+		startAfter,
+		onResult: (result, { done, total }) => {
+			console.log(progressLine(done, total, result.photoFolder, result, Date.now() - photoStart));
+			if (values.checkpoint) {
+				fs.writeFileSync(values.checkpoint, JSON.stringify({ ...run, startAfter: result.photoFolder, updatedAt: new Date().toISOString() }, null, 2));
+			}
+			photoStart = Date.now();
+		}
+	});
+	if (values.checkpoint && outcome.complete) {
+		fs.rmSync(values.checkpoint, { force: true });
+	}
+
+	const summary = { outputDir, prefix: values.prefix, dryRun: run.dryRun, startAfter, photos: outcome.results.length, totalTimeMs: Date.now() - startTime };
+	return summarise({ command: 'reprocess', results: outcome.results, summary, values });
+}
+
+/**
+ * gallery: render the gallery pages of a processed folder
+ */
+async function galleryCommand({ outputDir, values }) {
+	const { generateGallery } = require("./upload-lambda");
+
+	const result = await generateGallery(outputDir, { full: values.full });
+	console.log(`Gallery of ${result.photos} photo(s): ${result.pagesWritten} page(s) written, ${result.pagesRemoved} removed in ${formatDuration(result.processingTimeMs)}`);
+	console.log(`Open ${path.join(outputDir, process.env.GALLERY_PREFIX || 'gallery/', 'index.html')}`);
+	return 0;
+}
+
+/**
+ * replay: put quarantined uploads back into their ingress bucket, or a local ingress folder
+ */
+async function replayCommand({ input, values }) {
+	const inputDir = path.resolve(input);
+	const isLocal = fs.statSync(inputDir, { throwIfNoEntry: false })?.isDirectory();
+	if (isLocal) {
+		Object.assign(process.env, { STORAGE_BACKEND: 'file', STORAGE_DIR: path.parse(inputDir).root });
+		delete process.env.ALLOWED_SOURCE_BUCKETS;
+	}
+	process.env.LOG_FORMAT = 'text';
+	const { replayFailed } = require("./upload-lambda");
+	const bucket = isLocal ? inputDir : input;
+
+	const outcome = await replayFailed(bucket, { prefix: values.prefix, dryRun: values['dry-run'] });
+	for (const result of outcome.results) {
+		console.log(result.status === 'error'
+			? `❌ ${result.sidecar}: ${result.error}`
+			: `${result.status === 'replayed' ? '🔁 replayed' : 'would replay'} ${result.key} (${result.errorCategory}, ${result.attempts} attempt(s))`);
+	}
+	console.log(`\n${outcome.dryRun ? 'Would replay' : 'Replayed'} ${outcome.replayed} upload(s) of ${bucket}${outcome.failed ? `, ${outcome.failed} failed` : ''}`);
+	return outcome.failed > 0 ? 1 : 0;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - arguments after the script name
+ * @returns {Promise<number>} exit code
+ */
+async function main(argv) {
+	let parsed;
+	try {
+		parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+	} catch (error) {
+		console.error(`${error.message}\n\n${USAGE}`);
+		return 2;
+	}
+	const { values, positionals: [command, input] } = parsed;
+
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (!['process', 'reprocess', 'gallery', 'replay'].includes(command) || !input || (command === 'process' && !values.out)) {
+		console.error(USAGE);
+		return 2;
+	}
+
+	const inputDir = path.resolve(input);
+	// Reprocessing and the gallery work on the processed folder in place
+	const outputDir = command === 'process' ? path.resolve(values.out) : inputDir;
+	const concurrency = parseInt(values.concurrency);
+	// Replaying works on an ingress bucket, which may not be local; bucket names have no slashes
+	const isLocal = command !== 'replay' || input.includes(path.sep) || input.startsWith('.');
+	if (isLocal && !fs.statSync(inputDir, { throwIfNoEntry: false })?.isDirectory()) {
+		console.error(`Not a directory: ${inputDir}`);
+		return 2;
+	}
+	if (!(concurrency >= 1)) {
+		console.error(`Invalid --concurrency: ${values.concurrency}`);
+		return 2;
+	}
+
+	// The pipeline logs for CloudWatch; locally only the progress lines are shown
+	const consoleMethods = { info: console.info, warn: console.warn, error: console.error };
+	if (!values.verbose) {
+		console.info = console.warn = console.error = () => {};
+	}
+
+	try {
+		if (command === 'replay') {
+			return await replayCommand({ input, values });
+		}
+		configureEnvironment({ inputDir, outputDir, values });
+		if (command === 'gallery') {
+			return await galleryCommand({ outputDir, values });
+		}
+		return command === 'process'
+			? await processCommand({ inputDir, outputDir, concurrency, values })
+			: await reprocessCommand({ outputDir, values });
+	} catch (error) {
+		// console.error is silenced along with the pipeline's logging
+		process.stderr.write(`${error.message}\n`);
+		return 1;
+	} finally {
+		Object.assign(console, consoleMethods);
+	}
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then(code => {
+		process.exitCode = code;
+	});
+}
+
+module.exports = { main, findPhotos };
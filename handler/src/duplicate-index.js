@@ -0,0 +1,201 @@
+/**
+ * Persistent duplicate index: maps content and perceptual hashes to the photo
+ * folders that hold them, so duplicate checks are a handful of key lookups
+ * instead of a scan of the processed bucket.
+ *
+ * Layout (relative to the store root):
+ *   sha256/<sha256>.json                        exact-content entry
+ *   dhash/<band>/<bandHex>/<dhash>_<folderId>.json  one per band, for near matches
+ *
+ * The 64-bit dHash is split into 8 bands of 8 bits. Two hashes within a
+ * Hamming distance of 7 or less must agree exactly on at least one band, so
+ * listing the 8 band prefixes of a new hash finds every near match.
+ * Each photo writes its own objects, so concurrent updates never conflict.
+ *
+ * Cost: an exact lookup is one read. A near-match lookup lists the 8 band
+ * prefixes, each holding about 1/256 of the photos, and reads only the keys
+ * whose dHash (in the name) is close enough. Both are capped, at one listing
+ * page per band and the nearest few candidates, so a lookup stays at most
+ * 8 listings and a bounded number of reads however large the index grows;
+ * past ~256,000 photos a band can hold more keys than are listed, and near
+ * matches beyond the cap are missed (with a warning).
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { hammingDistance } = require("./image-hashes");
+const { log } = require("./logger");
+
+const DHASH_BANDS = 8;
+const BAND_HEX_CHARS = 16 / DHASH_BANDS;
+
+// Largest threshold the band layout can answer completely
+const MAX_COMPLETE_THRESHOLD = DHASH_BANDS - 1;
+
+// Keys listed per band (one S3 listing page) and entries read per near-match lookup
+const MAX_BAND_KEYS = 1000;
+const MAX_CANDIDATES = 10;
+
+/**
+ * Key-value store of JSON documents in a bucket (see storage.js) under a prefix.
+ * Objects are tagged private so the public bucket policy doesn't expose them.
+ */
+function createBucketIndexStore(storage, bucket, prefix) {
+	return {
+		async get(key) {
+			return (await storage.readJson(bucket, `${prefix}${key}`))?.value ?? null;
+		},
+		async put(key, value) {
+			await storage.putObject(bucket, `${prefix}${key}`, JSON.stringify(value), {
+				ContentType: 'application/json',
+				Tagging: 'private=true'
+			});
+		},
+		async delete(key) {
+			await storage.deleteObject(bucket, `${prefix}${key}`);
+		},
+		async list(keyPrefix, { limit } = {}) {
+			return (await storage.listKeys(bucket, `${prefix}${keyPrefix}`, { limit })).map(key => key.slice(prefix.length));
+		}
+	};
+}
+
+/**
+ * Key-value store of JSON files under a local directory (tests, offline runs)
+ */
+function createFileIndexStore(rootDir) {
+	const filePath = (key) => path.join(rootDir, ...key.split('/'));
+
+	return {
+		async get(key) {
+			try {
+				return JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return null;
+				}
+				throw error;
+			}
+		},
+		async put(key, value) {
+			await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+			await fs.writeFile(filePath(key), JSON.stringify(value));
+		},
+		async delete(key) {
+			await fs.rm(filePath(key), { force: true });
+		},
+		async list(keyPrefix, { limit } = {}) {
+			// Prefixes used by the index always end at a directory boundary
+			const dir = filePath(keyPrefix);
+			try {
+				const names = (await fs.readdir(dir)).sort().slice(0, limit);
+				return names.map(name => `${keyPrefix}${name}`);
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return [];
+				}
+				throw error;
+			}
+		}
+	};
+}
+
+const bandsOf = (dhash) => Array.from({ length: DHASH_BANDS },
+	(_, band) => [band, dhash.slice(band * BAND_HEX_CHARS, (band + 1) * BAND_HEX_CHARS)]);
+
+const folderId = (photoFolder) => crypto.createHash('sha256').update(photoFolder).digest('hex').slice(0, 16);
+
+const bandKeys = (dhash, photoFolder) =>
+	bandsOf(dhash).map(([band, value]) => `dhash/${band}/${value}/${dhash}_${folderId(photoFolder)}.json`);
+
+/**
+ * Duplicate index over a key-value store
+ * @param {{get: Function, put: Function, delete: Function, list: Function}} store
+ * @param {{maxBandKeys?: number, maxCandidates?: number}} [limits] - caps on a near-match lookup
+ */
+function createDuplicateIndex(store, { maxBandKeys = MAX_BAND_KEYS, maxCandidates = MAX_CANDIDATES } = {}) {
+	return {
+		/**
+		 * Exact-content lookup
+		 * @returns {Promise<{photoFolder: string, sha256: string, dhash: string, sourceBucket?: string|null, originalKey?: string|null, dateTimeOriginal: string|null}|null>}
+		 */
+		async findByContentHash(sha256) {
+			return store.get(`sha256/${sha256}.json`);
+		},
+
+		/**
+		 * Entries whose dHash is within `threshold` bits, nearest first (at most `maxCandidates`)
+		 * @returns {Promise<Array<{entry: object, distance: number}>>}
+		 */
+		async findSimilar(dhash, threshold) {
+			if (threshold > MAX_COMPLETE_THRESHOLD) {
+				log.warn(`Duplicate threshold ${threshold} exceeds ${MAX_COMPLETE_THRESHOLD}; some near matches may be missed`);
+			}
+
+			const candidates = new Map();
+			for (const [band, value] of bandsOf(dhash)) {
+				const keys = await store.list(`dhash/${band}/${value}/`, { limit: maxBandKeys });
+				if (keys.length >= maxBandKeys) {
+					log.warn(`Duplicate index band ${band}/${value} holds ${maxBandKeys} or more photos; some near matches may be missed`);
+				}
+				for (const key of keys) {
+					// The same photo shows up in every band it shares with the new hash
+					const name = key.split('/').pop();
+					if (candidates.has(name)) {
+						continue;
+					}
+					const distance = hammingDistance(dhash, name.split('_')[0]);
+					if (distance <= threshold) {
+						candidates.set(name, { key, distance });
+					}
+				}
+			}
+
+			const nearest = [...candidates.values()].sort((a, b) => a.distance - b.distance);
+			if (nearest.length > maxCandidates) {
+				log.warn(`${nearest.length} near matches in the duplicate index; reading the nearest ${maxCandidates}`);
+			}
+			const matches = [];
+			for (const { key, distance } of nearest.slice(0, maxCandidates)) {
+				const entry = await store.get(key);
+				if (entry) {
+					matches.push({ entry, distance });
+				}
+			}
+			return matches;
+		},
+
+		/**
+		 * Record a processed photo
+		 * @param {{sha256: string, dhash: string, photoFolder: string, sourceBucket?: string|null, originalKey?: string|null, dateTimeOriginal?: string|null}} entry
+		 */
+		async add(entry) {
+			const value = { ...entry, indexedAt: new Date().toISOString() };
+			await Promise.all([
+				store.put(`sha256/${entry.sha256}.json`, value),
+				...bandKeys(entry.dhash, entry.photoFolder).map(key => store.put(key, value))
+			]);
+		},
+
+		/**
+		 * Forget a photo folder (e.g. after its ingress upload was deleted)
+		 */
+		async remove({ sha256, dhash, photoFolder }) {
+			const existing = await store.get(`sha256/${sha256}.json`);
+			const deletes = bandKeys(dhash, photoFolder).map(key => store.delete(key));
+			// Only drop the content entry if it still points at this folder
+			if (existing?.photoFolder === photoFolder) {
+				deletes.push(store.delete(`sha256/${sha256}.json`));
+			}
+			await Promise.all(deletes);
+		}
+	};
+}
+
+module.exports = {
+	MAX_COMPLETE_THRESHOLD,
+	createBucketIndexStore,
+	createFileIndexStore,
+	createDuplicateIndex
+};
@@ -0,0 +1,300 @@
+/**
+ * Static HTML gallery of a processed bucket, rendered from the catalog (see photo-catalog.js).
+ *
+ * Layout (relative to the gallery prefix, public like the photos themselves):
+ *   index.html               the newest photos
+ *   page-<n>.html            older photos, page-1.html holding the oldest
+ *   photos/<baseName>.html   one page per photo: its variants as a responsive <picture>, the
+ *                            user edits, EXIF and GPS details, and links to its neighbours
+ *
+ * Pages are filled from the oldest photo on, so a new photo only changes the newest page (and
+ * the pages after it when it was shot earlier). A private state document records a hash of what
+ * each page was rendered from; updates render only pages whose hash changed, plus the pages of
+ * photos passed or marked as changed, and delete pages that are gone. Links are relative, so the
+ * gallery works wherever the bucket is served from.
+ *
+ * Working out the pages takes the whole catalog, so an update reads every shard: too much to do
+ * for each upload of a large bucket. Uploads and edits only mark their photo as changed (one
+ * small write); a scheduled update renders what the marks and the catalog changed in one go.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { SOURCE_PREFERENCE, FALLBACK_PREFERENCE, OUTPUT_FORMATS } = require("./variant-profiles");
+const { log } = require("./logger");
+
+// Bump when the templates change, so every page is rendered again
+const TEMPLATE_VERSION = 1;
+
+// Like the catalog, pages change as photos come in
+const PAGE_CACHE_CONTROL = 'public, max-age=60';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// URL of a bucket key as linked from a page
+const linkTo = (fromKey, toKey) =>
+	path.posix.relative(path.posix.dirname(fromKey), toKey).split('/').map(encodeURIComponent).join('/');
+
+const hashOf = (value) => crypto.createHash('sha256').update(JSON.stringify([TEMPLATE_VERSION, value])).digest('hex').slice(0, 16);
+
+// "11 Sep 2025" (and ", 10:14") from an ISO timestamp, as written
+function formatDate(timestamp, withTime = false) {
+	const [, year, month, day, hours, minutes] = timestamp.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+	return `${Number(day)} ${MONTHS[Number(month) - 1]} ${year}${withTime ? `, ${hours}:${minutes}` : ''}`;
+}
+
+/**
+ * Work out every page of the gallery
+ * @param {Array<object>} entries - catalog entries, oldest first
+ * @param {{prefix: string, pageSize: number, title: string}} options
+ * @returns {{pages: Array<object>, photos: Array<object>}} each with its `key` and the `hash` of what it shows
+ */
+function planGallery(entries, { prefix, pageSize, title }) {
+	const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+	const pageKey = (number) => number === pageCount ? `${prefix}index.html` : `${prefix}page-${number}.html`;
+	const photoKey = (entry) => `${prefix}photos/${entry.baseName}.html`;
+
+	const pages = Array.from({ length: pageCount }, (_, i) => {
+		const page = {
+			key: pageKey(i + 1),
+			title,
+			// Newest first on every page
+			photos: entries.slice(i * pageSize, (i + 1) * pageSize).reverse().map(entry => ({ ...entry, link: photoKey(entry) })),
+			newer: i + 1 < pageCount ? pageKey(i + 2) : null,
+			older: i > 0 ? pageKey(i) : null
+		};
+		return { ...page, hash: hashOf(page) };
+	});
+
+	const photos = entries.map((entry, i) => {
+		const photo = {
+			key: photoKey(entry),
+			title,
+			entry,
+			index: `${prefix}index.html`,
+			newer: entries[i + 1] ? photoKey(entries[i + 1]) : null,
+			older: i > 0 ? photoKey(entries[i - 1]) : null
+		};
+		return { ...photo, hash: hashOf(photo) };
+	});
+
+	return { pages, photos };
+}
+
+const STYLE = `body{margin:0;font-family:system-ui,sans-serif;background:#111;color:#eee}
+a{color:inherit}header,nav,main,dl{max-width:1200px;margin:0 auto;padding:1rem}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(200px,1fr));gap:.5rem}
+.grid a{text-decoration:none}.grid img{width:100%;height:auto;display:block}.grid span{font-size:.85rem;opacity:.8}
+figure{margin:0 auto;max-width:1920px}figure img{width:100%;height:auto;display:block}figcaption{padding:1rem}
+dl{display:grid;grid-template-columns:max-content 1fr;gap:.25rem 1rem}dt{opacity:.6}dd{margin:0}
+nav{display:flex;gap:1rem;justify-content:space-between}`;
+
+function layout(title, body) {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function navigation(fromKey, { newer, older, index }) {
+	const link = (key, rel, label) => key ? `<a rel="${rel}" href="${linkTo(fromKey, key)}">${label}</a>` : '<span></span>';
+	return `<nav>${link(newer, 'prev', '← Newer')}${index ? `<a href="${linkTo(fromKey, index)}">All photos</a>` : ''}${link(older, 'next', 'Older →')}</nav>`;
+}
+
+/**
+ * HTML of a page of photos
+ * @param {object} page - from planGallery
+ */
+function renderListPage(page) {
+	const items = page.photos.map(photo => {
+		const label = photo.title || formatDate(photo.shotDate);
+		const image = photo.thumb
+			? `<img src="${linkTo(page.key, photo.thumb.path)}" width="${photo.thumb.width}" height="${photo.thumb.height}" alt="${escapeHtml(label)}" loading="lazy">`
+			: '';
+		return `<a href="${linkTo(page.key, photo.link)}">${image}<span>${escapeHtml(label)}</span></a>`;
+	});
+	return layout(page.title, `<header><h1>${escapeHtml(page.title)}</h1></header>
+<main class="grid">
+${items.join('\n')}
+</main>
+${page.newer || page.older ? navigation(page.key, page) : ''}`);
+}
+
+// <picture> of a photo's variants that keep its aspect ratio (cropped ones are thumbnails)
+function renderPicture(fromKey, versions, alt) {
+	const variants = Object.entries(versions)
+		.filter(([name, version]) => name !== 'original' && !version.crop)
+		.map(([, version]) => version.formats || { [version.format]: version });
+	const srcset = (format) => variants.map(formats => formats[format]).filter(Boolean)
+		.sort((a, b) => b.width - a.width)
+		.map(entry => `${linkTo(fromKey, entry.path)} ${entry.width}w`)
+		.join(', ');
+	const largest = [...variants].sort((a, b) => Object.values(b)[0].width - Object.values(a)[0].width)[0];
+	if (!largest) {
+		return '';
+	}
+	const fallbackFormat = FALLBACK_PREFERENCE.find(format => largest[format]);
+	const fallback = largest[fallbackFormat];
+	const sizes = `(max-width: ${fallback.width}px) 100vw, ${fallback.width}px`;
+
+	const sources = SOURCE_PREFERENCE
+		.filter(format => format !== fallbackFormat && variants.some(formats => formats[format]))
+		.map(format => `<source type="${OUTPUT_FORMATS[format].contentType}" srcset="${srcset(format)}" sizes="${sizes}">`);
+	return `<picture>${sources.join('')}<img src="${linkTo(fromKey, fallback.path)}" srcset="${srcset(fallbackFormat)}" sizes="${sizes}" width="${fallback.width}" height="${fallback.height}" alt="${escapeHtml(alt)}"></picture>`;
+}
+
+// Label and value of each detail a photo has
+function detailsOf(metadata) {
+	const exif = metadata.exifData || {};
+	const edits = metadata.userEdits || {};
+	const exposure = [
+		exif.exposureTime && (exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)} s` : `${exif.exposureTime} s`),
+		exif.fNumber && `f/${exif.fNumber}`,
+		exif.iso && `ISO ${exif.iso}`,
+		exif.focalLength && `${exif.focalLength} mm`
+	].filter(Boolean).join(' · ');
+	const gps = exif.gps && typeof exif.gps.latitude === 'number'
+		? { text: `${exif.gps.latitude.toFixed(5)}, ${exif.gps.longitude.toFixed(5)}`, href: `https://www.openstreetmap.org/?mlat=${exif.gps.latitude}&mlon=${exif.gps.longitude}#map=15/${exif.gps.latitude}/${exif.gps.longitude}` }
+		: null;
+	const taken = metadata.shotTime?.local
+		? `${formatDate(metadata.shotTime.local, true)}${metadata.shotTime.offset ? ` (UTC${metadata.shotTime.offset})` : ''}`
+		: formatDate(metadata.shotDate, true);
+
+	return [
+		['Taken', taken],
+		['Camera', [exif.make, exif.model].filter(Boolean).join(' ')],
+		['Exposure', exposure],
+		['Location', metadata.location?.label],
+		['GPS', gps],
+		['Size', metadata.originalDimensions && `${metadata.originalDimensions.width} × ${metadata.originalDimensions.height}`],
+		['Tags', edits.tags?.join(', ')],
+		['Rating', typeof edits.rating === 'number' ? `${'★'.repeat(edits.rating)}${'☆'.repeat(5 - edits.rating)}` : null]
+	].filter(([, value]) => value);
+}
+
+/**
+ * HTML of a photo's own page
+ * @param {object} photo - from planGallery
+ * @param {object} metadata - public metadata.json of the photo
+ */
+function renderPhotoPage(photo, metadata) {
+	const edits = metadata.userEdits || {};
+	const heading = edits.title || photo.entry.baseName;
+	const details = detailsOf(metadata).map(([label, value]) => `<dt>${label}</dt><dd>${value.href
+		? `<a href="${escapeHtml(value.href)}">${escapeHtml(value.text)}</a>`
+		: escapeHtml(value)}</dd>`);
+
+	return layout(`${heading} · ${photo.title}`, `<header><h1>${escapeHtml(heading)}</h1></header>
+<figure>${renderPicture(photo.key, metadata.versions, heading)}${edits.caption ? `<figcaption>${escapeHtml(edits.caption)}</figcaption>` : ''}</figure>
+<dl>${details.join('')}</dl>
+${navigation(photo.key, photo)}`);
+}
+
+/**
+ * Gallery of a processed bucket
+ * @param {object} storage - from storage.js
+ * @param {string} bucket - processed bucket
+ * @param {object} options
+ * @param {object} options.catalog - from createCatalog, the photos to show
+ * @param {string} options.prefix - gallery prefix, e.g. 'gallery/'
+ * @param {number} options.pageSize - photos per page
+ * @param {string} options.title - gallery title
+ * @param {string} options.stateKey - where the private state document is kept
+ * @param {string} options.stateTagging - tagging that keeps it private
+ * @param {string} options.pendingPrefix - where photos marked as changed wait for the next update
+ */
+function createGallery(storage, bucket, { catalog, prefix, pageSize, title, stateKey, stateTagging, pendingPrefix }) {
+	const putPage = (key, html) => storage.putObject(bucket, key, html, {
+		ContentType: 'text/html; charset=utf-8',
+		CacheControl: PAGE_CACHE_CONTROL
+	});
+
+	return {
+		/**
+		 * Have the next update render a photo's page again (and whatever its catalog entry changed)
+		 * @param {string} photoFolder - photo whose metadata.json changed
+		 */
+		async markChanged(photoFolder) {
+			// Named by time, so a mark made while an update runs outlives it
+			await storage.putObject(bucket, `${pendingPrefix}${Date.now()}-${encodeURIComponent(photoFolder)}`, '', {
+				Tagging: stateTagging
+			});
+		},
+
+		/**
+		 * Render the pages that changed since the last update. Reads every catalog shard.
+		 * @param {object} [options]
+		 * @param {Array<string>} [options.changed] - photo folders whose metadata.json changed (their pages are rendered again)
+		 * @param {boolean} [options.full] - render every page, ignoring the state
+		 * @returns {Promise<{photos: number, written: Array<string>, removed: Array<string>}>} keys written and removed
+		 */
+		async update({ changed = [], full = false } = {}) {
+			const marks = await storage.listKeys(bucket, pendingPrefix);
+			const marked = marks.map(key => decodeURIComponent(key.slice(key.indexOf('-', pendingPrefix.length) + 1)));
+			const rerender = new Set([...changed, ...marked]);
+
+			const { pages, photos } = planGallery(await catalog.listPhotos(), { prefix, pageSize, title });
+			const state = full ? null : (await storage.readJson(bucket, stateKey))?.value;
+			const rendered = { ...state?.pages, ...state?.photos };
+			const next = { pages: {}, photos: {} };
+			const written = [];
+
+			for (const page of pages) {
+				if (rendered[page.key] !== page.hash) {
+					await putPage(page.key, renderListPage(page));
+					written.push(page.key);
+				}
+				next.pages[page.key] = page.hash;
+			}
+
+			for (const photo of photos) {
+				if (rendered[photo.key] === photo.hash && !rerender.has(photo.entry.photoFolder)) {
+					next.photos[photo.key] = photo.hash;
+					continue;
+				}
+				const metadata = (await storage.readJson(bucket, `${photo.entry.photoFolder}metadata.json`))?.value;
+				if (!metadata) {
+					// Listed but gone (e.g. removed meanwhile); left for the next update
+					log.warn(`No metadata.json for ${photo.entry.photoFolder}, skipping its gallery page`);
+					continue;
+				}
+				await putPage(photo.key, renderPhotoPage(photo, metadata));
+				written.push(photo.key);
+				next.photos[photo.key] = photo.hash;
+			}
+
+			const current = new Set([...pages, ...photos].map(({ key }) => key));
+			const removed = Object.keys(rendered).filter(key => !current.has(key));
+			if (removed.length) {
+				await storage.deleteObjects(bucket, removed);
+			}
+
+			await storage.putObject(bucket, stateKey, JSON.stringify({ updatedAt: new Date().toISOString(), ...next }, null, 2), {
+				ContentType: 'application/json', Tagging: stateTagging
+			});
+			if (marks.length) {
+				await storage.deleteObjects(bucket, marks);
+			}
+			return { photos: photos.length, written, removed };
+		}
+	};
+}
+
+module.exports = {
+	planGallery,
+	renderListPage,
+	renderPhotoPage,
+	createGallery
+};
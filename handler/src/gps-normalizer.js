@@ -0,0 +1,157 @@
+/**
+ * GPS normalisation: turn the raw EXIF GPS IFD into signed decimal degrees,
+ * a full UTC fix time, bearing, speed, altitude reference and precision.
+ *
+ * Tags are read with exif-parser's value simplification switched off, because
+ * simplification treats a missing hemisphere ref as south/west and produces
+ * NaN for coordinates stored as decimal degrees or degrees + decimal minutes.
+ */
+
+const ExifParser = require("exif-parser");
+
+const SPEED_UNITS = {
+	K: { unit: 'km/h', kmh: 1 },
+	M: { unit: 'mph', kmh: 1.609344 },
+	N: { unit: 'knots', kmh: 1.852 }
+};
+
+const KNOT_KMH = 1.852;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Tag values as plain numbers. Raw rationals are [numerator, denominator] pairs
+ * inside a list (e.g. DMS is [[50, 1], [45, 1], [4608, 100]]); BYTE/SHORT lists
+ * and already simplified values are plain numbers.
+ */
+function toNumbers(value) {
+	const values = Array.isArray(value) ? value : [value];
+	return values.map(v => {
+		if (Array.isArray(v)) {
+			return v.length === 2 && v[1] !== 0 ? v[0] / v[1] : NaN;
+		}
+		return typeof v === 'number' ? v : NaN;
+	});
+}
+
+// First value of a tag that may be a one-element list
+const single = (value) => toNumbers(value)[0];
+
+// ASCII refs can carry trailing NULs or spaces and vary in case
+const ref = (value) => (typeof value === 'string' ? value.replace(/\0/g, '').trim().toUpperCase() : '') || null;
+
+/**
+ * Degrees, degrees + decimal minutes, or degrees/minutes/seconds as signed decimal degrees
+ * @param {*} value - raw GPSLatitude/GPSLongitude
+ * @param {string|null} hemisphere - 'N', 'S', 'E', 'W' or null
+ * @param {string} negative - hemisphere ref that makes the value negative ('S' or 'W')
+ */
+function toDecimalDegrees(value, hemisphere, negative) {
+	const [degrees, minutes = 0, seconds = 0] = toNumbers(value);
+	const decimal = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+	if (!Number.isFinite(decimal)) {
+		return NaN;
+	}
+	if (hemisphere) {
+		return hemisphere === negative ? -decimal : decimal;
+	}
+	// No ref: trust a sign written by the camera, otherwise north/east
+	return degrees < 0 ? -decimal : decimal;
+}
+
+/**
+ * UTC fix time from GPSDateStamp ('YYYY:MM:DD') and GPSTimeStamp (h, m, s)
+ * @returns {string|null} ISO timestamp
+ */
+function toFixTime(dateStamp, timeStamp) {
+	const dateMatch = typeof dateStamp === 'string' && dateStamp.match(/^(\d{4})[:-](\d{2})[:-](\d{2})/);
+	if (!dateMatch) {
+		return null;
+	}
+	const [hours = 0, minutes = 0, seconds = 0] = timeStamp !== undefined ? toNumbers(timeStamp) : [];
+	if (![hours, minutes, seconds].every(Number.isFinite)) {
+		return null;
+	}
+	const time = Date.UTC(+dateMatch[1], +dateMatch[2] - 1, +dateMatch[3], 0, 0, 0, 0) +
+		Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+	return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// Direction in degrees with its reference (true or magnetic north)
+function toDirection(value, reference) {
+	const degrees = single(value);
+	if (!Number.isFinite(degrees) || degrees < 0 || degrees > 360) {
+		return null;
+	}
+	return { degrees: round(degrees % 360, 2), reference: ref(reference) === 'M' ? 'magnetic' : 'true' };
+}
+
+/**
+ * Normalise raw GPS tags from one photo
+ * @param {object} tags - GPS* tags as read by readGpsTags
+ * @returns {object|null} null when the photo has no usable position
+ */
+function normalizeGps(tags) {
+	if (!tags || tags.GPSLatitude === undefined || tags.GPSLongitude === undefined) {
+		return null;
+	}
+
+	const latitude = toDecimalDegrees(tags.GPSLatitude, ref(tags.GPSLatitudeRef), 'S');
+	const longitude = toDecimalDegrees(tags.GPSLongitude, ref(tags.GPSLongitudeRef), 'W');
+	if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+		Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+		return null;
+	}
+
+	// GPSAltitudeRef 1 means below sea level
+	const altitudeValue = single(tags.GPSAltitude);
+	const belowSeaLevel = single(tags.GPSAltitudeRef) === 1;
+	const altitude = Number.isFinite(altitudeValue) ? round(belowSeaLevel ? -Math.abs(altitudeValue) : altitudeValue, 2) : null;
+
+	const speedValue = single(tags.GPSSpeed);
+	const speedUnit = SPEED_UNITS[ref(tags.GPSSpeedRef) || 'K'];
+	const speed = Number.isFinite(speedValue) && speedUnit ? {
+		value: round(speedValue, 2),
+		unit: speedUnit.unit,
+		kmh: round(speedValue * speedUnit.kmh, 2),
+		knots: round(speedValue * speedUnit.kmh / KNOT_KMH, 2)
+	} : null;
+
+	const dop = single(tags.GPSDOP);
+	const measureMode = ref(tags.GPSMeasureMode);
+
+	return {
+		latitude: round(latitude, 7),
+		longitude: round(longitude, 7),
+		altitude,
+		altitudeReference: altitude === null ? null : (belowSeaLevel ? 'below_sea_level' : 'above_sea_level'),
+		timestamp: toFixTime(tags.GPSDateStamp, tags.GPSTimeStamp),
+		bearing: tags.GPSImgDirection !== undefined ? toDirection(tags.GPSImgDirection, tags.GPSImgDirectionRef) : null,
+		track: tags.GPSTrack !== undefined ? toDirection(tags.GPSTrack, tags.GPSTrackRef) : null,
+		speed,
+		dop: Number.isFinite(dop) ? round(dop, 2) : null,
+		measureMode: measureMode === '2' || measureMode === '3' ? `${measureMode}d` : null,
+		mapDatum: typeof tags.GPSMapDatum === 'string' ? tags.GPSMapDatum.replace(/\0/g, '').trim() || null : null,
+		// 'V' marks a fix the receiver itself considered void
+		status: ref(tags.GPSStatus) === 'V' ? 'void' : (ref(tags.GPSStatus) === 'A' ? 'active' : null)
+	};
+}
+
+/**
+ * Read the GPS IFD of a JPEG (or JPEG-wrapped EXIF block) without value simplification
+ * @param {Buffer} buffer
+ * @returns {object} GPS* tags, empty when there are none
+ */
+function readGpsTags(buffer) {
+	const parser = ExifParser.create(buffer);
+	parser.enableSimpleValues(false);
+	const { tags } = parser.parse();
+	return Object.fromEntries(Object.entries(tags).filter(([name]) => name.startsWith('GPS')));
+}
+
+module.exports = {
+	normalizeGps,
+	readGpsTags,
+	toDecimalDegrees,
+	toFixTime
+};
@@ -0,0 +1,91 @@
+/**
+ * Content and perceptual hashes used for duplicate detection.
+ * - sha256 of the original bytes finds byte-identical re-uploads
+ * - a 64-bit difference hash (dHash) of the rendered image finds re-encoded,
+ *   resized or metadata-stripped copies; similarity is the Hamming distance
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const DHASH_BITS = 64;
+
+/**
+ * SHA-256 of the original file bytes
+ * @param {Buffer} buffer
+ * @returns {string} hex digest
+ */
+function computeContentHash(buffer) {
+	return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Difference hash: shrink to 9x8 greyscale and record whether each pixel is
+ * brighter than its right-hand neighbour.
+ * @param {Buffer|string} imageBuffer - anything sharp can decode, or a path to it
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function computeDHash(imageBuffer) {
+	const pixels = await sharp(imageBuffer)
+		.rotate()
+		.greyscale()
+		.resize(9, 8, { fit: 'fill' })
+		.raw()
+		.toBuffer();
+
+	let hash = 0n;
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			const left = pixels[row * 9 + col];
+			const right = pixels[row * 9 + col + 1];
+			hash = (hash << 1n) | (left > right ? 1n : 0n);
+		}
+	}
+	return hash.toString(16).padStart(DHASH_BITS / 4, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ */
+function hammingDistance(hexA, hexB) {
+	let diff = BigInt(`0x${hexA}`) ^ BigInt(`0x${hexB}`);
+	let distance = 0;
+	while (diff > 0n) {
+		distance += Number(diff & 1n);
+		diff >>= 1n;
+	}
+	return distance;
+}
+
+/**
+ * Compare the hashes of a new upload with those stored for an existing photo.
+ * @param {{sha256: string, dhash: string}} candidate
+ * @param {{sha256?: string, dhash?: string}|undefined} existing - metadata.hashes of the existing photo
+ * @param {number} threshold - maximum dHash Hamming distance still counted as a duplicate
+ * @returns {{isDuplicate: boolean, reason?: string, confidence?: number, hashDistance?: number}}
+ */
+function compareHashes(candidate, existing, threshold) {
+	if (!existing) {
+		return { isDuplicate: false };
+	}
+	if (existing.sha256 && existing.sha256 === candidate.sha256) {
+		return { isDuplicate: true, reason: 'identical_content_sha256', confidence: 1, hashDistance: 0 };
+	}
+	if (existing.dhash && candidate.dhash) {
+		const hashDistance = hammingDistance(candidate.dhash, existing.dhash);
+		if (hashDistance <= threshold) {
+			// Confidence falls linearly with the share of differing bits
+			const confidence = Math.round((1 - hashDistance / DHASH_BITS) * 100) / 100;
+			return { isDuplicate: true, reason: 'perceptual_match_dhash', confidence, hashDistance };
+		}
+		return { isDuplicate: false, hashDistance };
+	}
+	return { isDuplicate: false };
+}
+
+module.exports = {
+	computeContentHash,
+	computeDHash,
+	hammingDistance,
+	compareHashes
+};
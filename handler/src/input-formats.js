@@ -0,0 +1,295 @@
+/**
+ * Input format support: which uploads we accept, what they really are, and how
+ * to turn them into something sharp and exif-parser can read.
+ * - Raster formats (JPEG, PNG, TIFF, WebP) are used as-is
+ * - HEIC/HEIF is decoded natively when libvips can, otherwise with heic-decode
+ * - Camera RAW files are rendered from their largest embedded JPEG preview
+ * The original bytes are never modified; only the render source changes.
+ * Every render source comes with the EXIF orientation its pixels need to be turned upright.
+ */
+
+const sharp = require("sharp");
+const ExifParser = require("exif-parser");
+const { normalizeOrientation } = require("./orientation");
+const { log } = require("./logger");
+
+// Accepted upload extensions with their MIME type and how they are decoded
+const INPUT_FORMATS = {
+	jpg: { mimeType: 'image/jpeg', kind: 'raster' },
+	jpeg: { mimeType: 'image/jpeg', kind: 'raster' },
+	png: { mimeType: 'image/png', kind: 'raster' },
+	tiff: { mimeType: 'image/tiff', kind: 'raster' },
+	tif: { mimeType: 'image/tiff', kind: 'raster' },
+	webp: { mimeType: 'image/webp', kind: 'raster' },
+	heic: { mimeType: 'image/heic', kind: 'heif' },
+	heif: { mimeType: 'image/heif', kind: 'heif' },
+	dng: { mimeType: 'image/x-adobe-dng', kind: 'raw' },
+	cr2: { mimeType: 'image/x-canon-cr2', kind: 'raw' },
+	cr3: { mimeType: 'image/x-canon-cr3', kind: 'raw' },
+	arw: { mimeType: 'image/x-sony-arw', kind: 'raw' },
+	nef: { mimeType: 'image/x-nikon-nef', kind: 'raw' },
+	raf: { mimeType: 'image/x-fuji-raf', kind: 'raw' }
+};
+
+const SUPPORTED_FORMATS = Object.keys(INPUT_FORMATS);
+
+// Smallest embedded preview we are willing to build variants from
+const MIN_PREVIEW_WIDTH = 640;
+
+// APP1 segments are limited to 64KB including the marker length and "Exif\0\0" header
+const MAX_APP1_TIFF_BYTES = 65535 - 2 - 6;
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+
+const isTiffHeader = (buffer, offset) =>
+	offset + 4 <= buffer.length && (
+		(buffer[offset] === 0x49 && buffer[offset + 1] === 0x49 && buffer[offset + 2] === 0x2A && buffer[offset + 3] === 0x00) ||
+		(buffer[offset] === 0x4D && buffer[offset + 1] === 0x4D && buffer[offset + 2] === 0x00 && buffer[offset + 3] === 0x2A));
+
+/**
+ * Work out the real MIME type from the file's magic bytes, using the extension
+ * only to tell TIFF-based RAW formats apart (they all share the TIFF header).
+ * @param {Buffer} buffer - original file bytes
+ * @param {string} ext - lowercased file extension
+ * @returns {string}
+ */
+function sniffMimeType(buffer, ext) {
+	const declared = INPUT_FORMATS[ext];
+
+	if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+		return 'image/jpeg';
+	}
+	if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+		return 'image/png';
+	}
+	if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+		return 'image/webp';
+	}
+	if (buffer.toString('latin1', 0, 15) === 'FUJIFILMCCD-RAW') {
+		return INPUT_FORMATS.raf.mimeType;
+	}
+	if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+		const brand = buffer.toString('latin1', 8, 12);
+		if (brand === 'crx ') return INPUT_FORMATS.cr3.mimeType;
+		if (brand === 'avif' || brand === 'avis') return 'image/avif';
+		if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+		if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+	}
+	if (isTiffHeader(buffer, 0)) {
+		return declared?.kind === 'raw' ? declared.mimeType : 'image/tiff';
+	}
+
+	return declared?.mimeType || 'application/octet-stream';
+}
+
+/**
+ * Return the length of a complete JPEG starting at `start`, or 0 if the bytes
+ * there are not a well-formed JPEG. Segments are skipped by length, so JPEGs
+ * nested inside APP segments (EXIF thumbnails) are stepped over.
+ */
+function measureJpeg(buffer, start) {
+	let pos = start + 2;
+	while (pos + 2 <= buffer.length) {
+		if (buffer[pos] !== 0xFF) {
+			return 0;
+		}
+		const marker = buffer[pos + 1];
+		if (marker === 0xFF) {
+			pos++; // fill byte
+			continue;
+		}
+		if (marker === 0xD9) {
+			return pos + 2 - start;
+		}
+		if (pos + 4 > buffer.length) {
+			return 0;
+		}
+		const segmentLength = buffer.readUInt16BE(pos + 2);
+		if (segmentLength < 2) {
+			return 0;
+		}
+		pos += 2 + segmentLength;
+
+		if (marker === 0xDA) {
+			// Entropy-coded data: 0xFF is always followed by 0x00 (stuffing) or a marker
+			while (pos + 1 < buffer.length) {
+				if (buffer[pos] === 0xFF && buffer[pos + 1] !== 0x00 && (buffer[pos + 1] < 0xD0 || buffer[pos + 1] > 0xD7)) {
+					break;
+				}
+				pos++;
+			}
+		}
+	}
+	return 0;
+}
+
+/**
+ * Find the largest complete JPEG embedded in a file (RAW previews).
+ * @param {Buffer} buffer
+ * @returns {Buffer|null}
+ */
+function findLargestEmbeddedJpeg(buffer) {
+	let largest = null;
+	let pos = buffer.indexOf(Buffer.from([0xFF, 0xD8, 0xFF]));
+	while (pos !== -1) {
+		const length = measureJpeg(buffer, pos);
+		if (length > 0 && (!largest || length > largest.length)) {
+			largest = buffer.subarray(pos, pos + length);
+		}
+		pos = buffer.indexOf(Buffer.from([0xFF, 0xD8, 0xFF]), length > 0 ? pos + length : pos + 1);
+	}
+	return largest;
+}
+
+/**
+ * Wrap a TIFF structure in a minimal JPEG APP1 segment so exif-parser can read it.
+ * TIFF blocks over 64KB are truncated; IFDs we care about sit at the start.
+ */
+function wrapTiffAsExifJpeg(tiff) {
+	const payload = tiff.subarray(0, MAX_APP1_TIFF_BYTES);
+	const length = Buffer.alloc(2);
+	length.writeUInt16BE(2 + EXIF_HEADER.length + payload.length);
+	return Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE1]), length, EXIF_HEADER, payload, Buffer.from([0xFF, 0xD9])]);
+}
+
+/**
+ * Locate EXIF TIFF blocks inside a non-JPEG container:
+ * - TIFF-based RAW files (DNG, CR2, ARW, NEF) are a TIFF structure from byte 0
+ * - HEIF stores an "Exif\0\0" item followed by the TIFF header
+ * - CR3 keeps IFD0 and the Exif IFD in CMT1/CMT2 boxes
+ * @returns {Array<Buffer>} JPEG-wrapped EXIF blocks, most complete first
+ */
+function extractExifBlocks(buffer) {
+	const blocks = [];
+
+	if (isTiffHeader(buffer, 0)) {
+		blocks.push(buffer);
+	}
+
+	const exifPos = buffer.indexOf(EXIF_HEADER);
+	if (exifPos !== -1 && isTiffHeader(buffer, exifPos + EXIF_HEADER.length)) {
+		blocks.push(buffer.subarray(exifPos + EXIF_HEADER.length));
+	}
+
+	for (const box of ['CMT2', 'CMT1']) {
+		const boxPos = buffer.indexOf(box, 0, 'latin1');
+		if (boxPos >= 4 && isTiffHeader(buffer, boxPos + 4)) {
+			const boxSize = buffer.readUInt32BE(boxPos - 4);
+			blocks.push(buffer.subarray(boxPos + 4, boxPos - 4 + boxSize));
+		}
+	}
+
+	return blocks.map(wrapTiffAsExifJpeg);
+}
+
+/**
+ * Orientation tag of the first EXIF block that has one
+ * @param {Array<Buffer>} exifBlocks - from extractExifBlocks
+ */
+function readOrientation(exifBlocks) {
+	for (const block of exifBlocks) {
+		try {
+			const { Orientation } = ExifParser.create(block).parse().tags;
+			if (Orientation !== undefined) {
+				return Orientation;
+			}
+		} catch (error) {
+			// Unreadable blocks are reported when the EXIF is parsed for metadata
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Decode HEIC/HEIF. libvips handles AV1-coded HEIF itself; HEVC-coded files
+ * (iPhone photos) go through heic-decode and are re-encoded as a high quality
+ * JPEG so the rest of the pipeline can keep working from a single buffer.
+ */
+async function decodeHeif(buffer) {
+	// libvips can read HEVC headers but not decode the pixels, so check the codec
+	const info = await sharp(buffer).metadata().catch(() => null);
+	if (info?.compression === 'av1') {
+		return { renderBuffer: buffer, decodeMethod: 'native' };
+	}
+
+	const decode = require("heic-decode");
+	const { width, height, data } = await decode({ buffer });
+	const renderBuffer = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+		raw: { width, height, channels: 4 }
+	}).jpeg({ quality: 95 }).toBuffer();
+	return { renderBuffer, decodeMethod: 'heic_decode' };
+}
+
+/**
+ * Turn an upload into a render source for variants plus the buffers to read EXIF from.
+ * @param {Buffer} imageBuffer - original file bytes (left untouched)
+ * @param {string} ext - lowercased file extension
+ * @returns {Promise<{renderBuffer: Buffer, exifBuffers: Array<Buffer>, orientation: number, mimeType: string, kind: string, decodeMethod: string}>}
+ *   `orientation` is the EXIF orientation (1-8) of the render source's pixels
+ */
+async function prepareSourceImage(imageBuffer, ext) {
+	const mimeType = sniffMimeType(imageBuffer, ext);
+	const kind = INPUT_FORMATS[ext]?.kind || 'raster';
+
+	if (kind === 'heif') {
+		const { renderBuffer, decodeMethod } = await decodeHeif(imageBuffer);
+		// libheif applies the HEIF rotation and mirroring while decoding, so the EXIF tag is only informative
+		return { renderBuffer, exifBuffers: extractExifBlocks(imageBuffer), orientation: 1, mimeType, kind, decodeMethod };
+	}
+
+	if (kind === 'raw') {
+		const preview = findLargestEmbeddedJpeg(imageBuffer);
+		const previewInfo = preview ? await sharp(preview).metadata().catch(() => null) : null;
+		if (!previewInfo || previewInfo.width < MIN_PREVIEW_WIDTH) {
+			throw new Error(`No usable embedded preview image found in ${ext.toUpperCase()} file`);
+		}
+		log.info(`Using embedded ${previewInfo.width}x${previewInfo.height} preview from ${ext.toUpperCase()} file`);
+		// The preview's own EXIF (if any) is the last resort behind the RAW container's tags
+		const containerExif = extractExifBlocks(imageBuffer);
+		return {
+			renderBuffer: preview,
+			exifBuffers: [...containerExif, preview],
+			// Previews are usually stored as the sensor reads, turned upright by the container's tag
+			orientation: normalizeOrientation(previewInfo.orientation ?? readOrientation(containerExif)),
+			mimeType,
+			kind,
+			decodeMethod: 'embedded_preview'
+		};
+	}
+
+	const { orientation } = await sharp(imageBuffer).metadata().catch(() => ({}));
+	return { renderBuffer: imageBuffer, exifBuffers: [imageBuffer], orientation: normalizeOrientation(orientation), mimeType, kind, decodeMethod: 'native' };
+}
+
+/**
+ * Render source for an original spooled to disk by the streaming path (raster formats only).
+ * EXIF comes from the file header rather than the whole file.
+ * @param {string} filePath - spool file
+ * @param {Buffer} head - first bytes of the file
+ * @param {string} ext - lowercased file extension
+ * @returns {Promise<{renderFile: string, exifBuffers: Array<Buffer>, orientation: number, mimeType: string, kind: string, decodeMethod: string}>}
+ */
+async function prepareSpooledSource(filePath, head, ext) {
+	const mimeType = sniffMimeType(head, ext);
+	const kind = INPUT_FORMATS[ext]?.kind || 'raster';
+	if (kind !== 'raster') {
+		throw new Error(`${ext.toUpperCase()} files can't be processed from a spool file`);
+	}
+
+	// libvips reads the EXIF block of JPEG, PNG and WebP from the header; TIFF is EXIF-structured itself
+	const { exif, orientation } = await sharp(filePath).metadata();
+	const exifBuffers = exif?.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)
+		? [wrapTiffAsExifJpeg(exif.subarray(EXIF_HEADER.length))]
+		: isTiffHeader(head, 0) ? [wrapTiffAsExifJpeg(head)] : [];
+	return { renderFile: filePath, exifBuffers, orientation: normalizeOrientation(orientation), mimeType, kind, decodeMethod: 'native' };
+}
+
+module.exports = {
+	INPUT_FORMATS,
+	SUPPORTED_FORMATS,
+	sniffMimeType,
+	findLargestEmbeddedJpeg,
+	extractExifBlocks,
+	prepareSourceImage,
+	prepareSpooledSource
+};
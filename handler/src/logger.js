@@ -0,0 +1,77 @@
+/**
+ * Structured logging. Each line is one JSON object carrying the correlation fields of the work
+ * it belongs to, so CloudWatch Logs Insights can follow a single record through the pipeline:
+ *   {"timestamp":"2025-09-20T08:00:01.532Z","level":"info","message":"Shot at 2025-07-30T18:05:00.000+01:00 (exif_offset)",
+ *    "requestId":"6f1c…","bucket":"photo3s-dev-sailing","key":"DSCF8545.JPG","processedBucket":"photo3s-dev-sailing-processed","phase":"exif_parsing"}
+ *
+ * Correlation fields are kept per async call chain (AsyncLocalStorage), so records processed at
+ * the same time each log their own bucket, key and phase. Lines are written straight to stdout:
+ * the Lambda runtime's console prefixes every line with its own timestamp and level, which would
+ * keep Logs Insights from discovering the JSON fields.
+ *
+ * LOG_FORMAT=text logs the bare message through the console instead (offline runs, see cli.js).
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const contexts = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with correlation fields added to those already in effect
+ * @param {object} fields - e.g. { requestId } or { bucket, key }
+ * @param {Function} fn
+ * @returns {*} what `fn` returns
+ */
+function withLogContext(fields, fn) {
+	return contexts.run({ ...contexts.getStore(), ...fields }, fn);
+}
+
+/**
+ * Change correlation fields (e.g. the phase) for the rest of the current context
+ * @param {object} fields
+ */
+function setLogContext(fields) {
+	const store = contexts.getStore();
+	if (store) {
+		Object.assign(store, fields);
+	}
+}
+
+// Errors serialize to {} by default
+function serializable(value) {
+	if (value instanceof Error) {
+		return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}) };
+	}
+	return value;
+}
+
+function write(level, message, fields = {}) {
+	const details = Object.fromEntries(Object.entries(fields)
+		.filter(([, value]) => value !== undefined)
+		.map(([name, value]) => [name, serializable(value)]));
+
+	if (process.env.LOG_FORMAT === 'text') {
+		const method = level === 'error' ? console.error : level === 'warn' ? console.warn : console.info;
+		method(Object.keys(details).length ? `${message} ${JSON.stringify(details)}` : message);
+		return;
+	}
+	process.stdout.write(`${JSON.stringify({
+		timestamp: new Date().toISOString(),
+		level,
+		message,
+		...contexts.getStore(),
+		...details
+	})}\n`);
+}
+
+const log = {
+	info: (message, fields) => write('info', message, fields),
+	warn: (message, fields) => write('warn', message, fields),
+	error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+	log,
+	withLogContext,
+	setLogContext
+};
@@ -0,0 +1,108 @@
+/**
+ * What reprocessing changed about a photo: the metadata.json it had before
+ * compared with the one regenerated from its original.
+ * - variants added to or removed from the profile
+ * - variants whose size, primary format, formats, encoded bytes or crop box changed
+ * - other top-level metadata fields that differ (shot time, location, EXIF, ...)
+ */
+
+const { isDeepStrictEqual } = require("util");
+
+// Fields expected to differ on every run, never reported as changes
+const VOLATILE_FIELDS = ['procDate', 'reprocDate'];
+
+// e.g. "120,0 800x800 (attention)"
+const describeCrop = (crop) => crop ? `${crop.left},${crop.top} ${crop.width}x${crop.height} (${crop.strategy})` : 'none';
+
+// Change notes for one variant present before and after
+function diffVariant(before, after) {
+	const notes = [];
+	for (const field of ['width', 'height', 'format']) {
+		if (before[field] !== after[field]) {
+			notes.push(`${field} ${before[field] ?? 'none'} → ${after[field]}`);
+		}
+	}
+
+	const beforeFormats = before.formats || { [before.format]: before };
+	const afterFormats = after.formats || { [after.format]: after };
+	for (const format of Object.keys(afterFormats)) {
+		if (!beforeFormats[format]) {
+			notes.push(`+${format}`);
+		} else if (beforeFormats[format].bytes !== afterFormats[format].bytes) {
+			notes.push(`${format} ${beforeFormats[format].bytes ?? '?'} → ${afterFormats[format].bytes} bytes`);
+		}
+	}
+	for (const format of Object.keys(beforeFormats)) {
+		if (!afterFormats[format]) {
+			notes.push(`-${format}`);
+		}
+	}
+
+	if (!isDeepStrictEqual(before.crop ?? null, after.crop ?? null)) {
+		notes.push(`crop ${describeCrop(before.crop)} → ${describeCrop(after.crop)}`);
+	}
+	return notes;
+}
+
+/**
+ * Compare two metadata.json documents of the same photo
+ * @param {object} before - metadata.json as stored
+ * @param {object} after - metadata.json as regenerated
+ * @returns {{variantsAdded: Array<string>, variantsRemoved: Array<string>, variantsChanged: Object<string, Array<string>>, fieldsChanged: Array<string>}}
+ */
+function diffMetadata(before, after) {
+	const variants = (metadata) => Object.fromEntries(Object.entries(metadata.versions || {}).filter(([name]) => name !== 'original'));
+	const beforeVariants = variants(before);
+	const afterVariants = variants(after);
+
+	const variantsChanged = {};
+	for (const [name, variant] of Object.entries(afterVariants)) {
+		const notes = beforeVariants[name] ? diffVariant(beforeVariants[name], variant) : [];
+		if (notes.length) {
+			variantsChanged[name] = notes;
+		}
+	}
+
+	const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+	const fieldsChanged = [...fields]
+		.filter(field => !VOLATILE_FIELDS.includes(field))
+		.filter(field => field === 'versions'
+			? !isDeepStrictEqual(before.versions?.original, after.versions?.original)
+			: !isDeepStrictEqual(before[field] ?? null, after[field] ?? null))
+		.map(field => field === 'versions' ? 'versions.original' : field)
+		.sort();
+
+	return {
+		variantsAdded: Object.keys(afterVariants).filter(name => !beforeVariants[name]),
+		variantsRemoved: Object.keys(beforeVariants).filter(name => !afterVariants[name]),
+		variantsChanged,
+		fieldsChanged
+	};
+}
+
+/**
+ * @param {object} diff - from diffMetadata
+ */
+function hasChanges(diff) {
+	return diff.variantsAdded.length > 0 || diff.variantsRemoved.length > 0 ||
+		Object.keys(diff.variantsChanged).length > 0 || diff.fieldsChanged.length > 0;
+}
+
+/**
+ * One-line summary of a diff, e.g. "+hero -medium ~large; exifData, location"
+ * @param {object} diff - from diffMetadata
+ */
+function describeChanges(diff) {
+	const variants = [
+		...diff.variantsAdded.map(name => `+${name}`),
+		...diff.variantsRemoved.map(name => `-${name}`),
+		...Object.keys(diff.variantsChanged).map(name => `~${name}`)
+	].join(' ');
+	return [variants, diff.fieldsChanged.join(', ')].filter(Boolean).join('; ') || 'no changes';
+}
+
+module.exports = {
+	diffMetadata,
+	hasChanges,
+	describeChanges
+};
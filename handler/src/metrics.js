@@ -0,0 +1,82 @@
+/**
+ * CloudWatch metrics in Embedded Metric Format (EMF): each metric document is a JSON log line
+ * that CloudWatch Logs turns into metrics, with no PutMetricData calls or extra permissions.
+ *
+ * Every metric is dimensioned by the bucket pair it came from (IngressBucket, ProcessedBucket).
+ * A breakdown (e.g. the duplicate Reason or the ErrorCategory) adds a second dimension set, so
+ * the same value is counted both per bucket pair and per bucket pair and breakdown:
+ *   {"_aws":{"Timestamp":1758355201532,"CloudWatchMetrics":[{"Namespace":"Photo3s",
+ *     "Dimensions":[["IngressBucket","ProcessedBucket"],["IngressBucket","ProcessedBucket","ErrorCategory"]],
+ *     "Metrics":[{"Name":"Errors","Unit":"Count"}]}]},
+ *    "IngressBucket":"photo3s-dev-sailing","ProcessedBucket":"photo3s-dev-sailing-processed","ErrorCategory":"s3_download","Errors":1}
+ */
+
+const UNITS = ['Milliseconds', 'Bytes', 'Count'];
+
+/**
+ * Build an EMF document
+ * @param {object} options
+ * @param {string} options.namespace - CloudWatch namespace
+ * @param {Object<string, string>} options.dimensions - bucket pair dimensions
+ * @param {Object<string, string>} [options.breakdown] - extra dimensions of a second dimension set
+ * @param {Object<string, {value: number, unit: string}>} options.metrics - values by metric name
+ * @param {number} [options.timestamp] - epoch milliseconds
+ */
+function metricDocument({ namespace, dimensions, breakdown = {}, metrics, timestamp = Date.now() }) {
+	const dimensionNames = Object.keys(dimensions);
+	const breakdownNames = Object.keys(breakdown);
+	const entries = Object.entries(metrics).filter(([, metric]) => typeof metric.value === 'number' && Number.isFinite(metric.value));
+	for (const [name, { unit }] of entries) {
+		if (!UNITS.includes(unit)) {
+			throw new Error(`Invalid unit for metric ${name}: ${unit}`);
+		}
+	}
+
+	return {
+		_aws: {
+			Timestamp: timestamp,
+			CloudWatchMetrics: [{
+				Namespace: namespace,
+				Dimensions: breakdownNames.length ? [dimensionNames, [...dimensionNames, ...breakdownNames]] : [dimensionNames],
+				Metrics: entries.map(([name, { unit }]) => ({ Name: name, Unit: unit }))
+			}]
+		},
+		...dimensions,
+		...breakdown,
+		...Object.fromEntries(entries.map(([name, { value }]) => [name, value]))
+	};
+}
+
+/**
+ * Metric emitter writing EMF documents to stdout, where the Lambda runtime passes them to CloudWatch Logs as is
+ * @param {{namespace: string, enabled?: boolean, write?: Function}} options
+ */
+function createMetrics({ namespace, enabled = true, write = (line) => process.stdout.write(line) }) {
+	return {
+		/**
+		 * Emit metrics of one bucket pair
+		 * @param {{ingressBucket: string, processedBucket: string}} pair
+		 * @param {Object<string, {value: number, unit: string}>} metrics
+		 * @param {Object<string, string>} [breakdown] - e.g. { Reason: 'exact_match' }
+		 */
+		emit({ ingressBucket, processedBucket }, metrics, breakdown = {}) {
+			if (!enabled) {
+				return;
+			}
+			const document = metricDocument({
+				namespace,
+				dimensions: { IngressBucket: ingressBucket, ProcessedBucket: processedBucket },
+				breakdown,
+				metrics
+			});
+			if (document._aws.CloudWatchMetrics[0].Metrics.length) {
+				write(`${JSON.stringify(document)}\n`);
+			}
+		}
+	};
+}
+
+module.exports = {
+	metricDocument,
+	createMetrics
+};
@@ -0,0 +1,115 @@
+/**
+ * Naming templates for photo folders. A template mixes literal text with
+ * {token} or {token:format} placeholders, and may use '/' to nest folders:
+ *   photo-{date}_{time}{zone}-{make}          (default, the historical naming)
+ *   {date:YYYY/MM/DD}/{time:HHmmss}-{model}-{seq}
+ * Set one globally with NAMING_TEMPLATE or per ingress bucket with a `naming`
+ * entry in BUCKET_MAPPINGS.
+ */
+
+const path = require("path");
+
+const DEFAULT_NAMING_TEMPLATE = 'photo-{date}_{time}{zone}-{make}';
+
+// Date/time patterns understood by {date:...} and {time:...}, applied to the local shot time
+const DATE_PATTERN = /YYYY|YY|MM|DD|HH|mm|ss|SSS/g;
+
+const DEFAULT_FORMATS = {
+	date: 'YYYY-MM-DD',
+	time: 'HH-mm-ss-SSS'
+};
+
+// Token values, from the fields passed to render()
+const TOKENS = {
+	date: (fields, format) => formatShotTime(fields.shotTime.local, format || DEFAULT_FORMATS.date),
+	time: (fields, format) => formatShotTime(fields.shotTime.local, format || DEFAULT_FORMATS.time),
+	// UTC offset: 'Z', or 'p0200' / 'm0400' ('+' has to be escaped in S3 URLs)
+	zone: (fields) => fields.shotTime.offset === '+00:00' ? 'Z' : fields.shotTime.offset.replace('+', 'p').replace('-', 'm').replace(':', ''),
+	make: (fields) => clean(fields.make) || 'unknown',
+	model: (fields) => clean(fields.model) || 'unknown',
+	original: (fields) => clean(originalStem(fields.originalKey)),
+	// Frame counter from the camera's file name (DSCF8545.JPG → 8545, IMG_0042.HEIC → 0042)
+	seq: (fields) => originalStem(fields.originalKey).match(/(\d+)$/)?.[1] || '',
+	hash: (fields, format) => (fields.sha256 || '').slice(0, parseInt(format) || 8),
+	locality: (fields) => clean(fields.location?.locality),
+	country: (fields) => clean(fields.location?.countryCode)
+};
+
+// Characters allowed in literal template text (and date/time formats)
+const LITERAL = /^[A-Za-z0-9._\-/]*$/;
+
+const PLACEHOLDER = /\{(\w+)(?::([^}]*))?\}/g;
+
+const originalStem = (key) => key ? path.basename(key, path.extname(key)) : '';
+
+// Free text as a single folder-name-safe word: accents dropped, spaces to '_', no '/'
+function clean(value) {
+	if (typeof value !== 'string') {
+		return '';
+	}
+	return value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim()
+		.replace(/\s+/g, '_').replace(/[^A-Za-z0-9._-]/g, '');
+}
+
+// Apply a date/time pattern to a local time string ('YYYY-MM-DDTHH:mm:ss.SSS')
+function formatShotTime(local, format) {
+	const [, YYYY, MM, DD, HH, mm, ss, SSS] = local.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})\.(\d{3})/);
+	const parts = { YYYY, YY: YYYY.slice(2), MM, DD, HH, mm, ss, SSS };
+	return format.replace(DATE_PATTERN, part => parts[part]);
+}
+
+/**
+ * Parse and validate a naming template
+ * @param {string} template
+ * @param {string} source - where the template came from, used in error messages
+ * @returns {{template: string, render: function(object): string}}
+ */
+function compileNamingTemplate(template, source = 'naming template') {
+	if (typeof template !== 'string' || !template.trim()) {
+		throw new Error(`Invalid ${source}: expected a non-empty template`);
+	}
+
+	const placeholders = [...template.matchAll(PLACEHOLDER)];
+	if (placeholders.length === 0) {
+		throw new Error(`Invalid ${source}: '${template}' has no {placeholders}, every photo would get the same name`);
+	}
+	for (const [placeholder, token, format] of placeholders) {
+		if (!TOKENS[token]) {
+			throw new Error(`Invalid ${source}: unknown placeholder ${placeholder}`);
+		}
+		if (format !== undefined && (token === 'date' || token === 'time') && !LITERAL.test(format.replace(DATE_PATTERN, ''))) {
+			throw new Error(`Invalid ${source}: unsupported characters in ${placeholder}`);
+		}
+	}
+
+	const literal = template.replace(PLACEHOLDER, '');
+	if (!LITERAL.test(literal)) {
+		throw new Error(`Invalid ${source}: only letters, digits, '.', '_', '-' and '/' are allowed outside placeholders`);
+	}
+	if (template.startsWith('/') || template.endsWith('/') || template.includes('//')) {
+		throw new Error(`Invalid ${source}: folders must not start or end with '/' or be empty`);
+	}
+
+	return {
+		template,
+
+		/**
+		 * Render the folder name for a photo
+		 * @param {{shotTime: object, make?: string, model?: string, originalKey?: string, sha256?: string, location?: object}} fields
+		 * @returns {string} folder name without a trailing '/'
+		 */
+		render(fields) {
+			const rendered = template.replace(PLACEHOLDER, (placeholder, token, format) => TOKENS[token](fields, format));
+			// Tidy up after empty values: collapse separator runs and trim them at folder boundaries.
+			// A folder that ends up empty becomes 'unknown' so names always nest to the same depth.
+			return rendered.split('/')
+				.map(segment => segment.replace(/([-_])[-_]+/g, '$1').replace(/^[-_.]+|[-_]+$/g, '') || 'unknown')
+				.join('/');
+		}
+	};
+}
+
+module.exports = {
+	DEFAULT_NAMING_TEMPLATE,
+	compileNamingTemplate
+};
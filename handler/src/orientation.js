@@ -0,0 +1,79 @@
+/**
+ * EXIF orientation. Cameras store pixels the way the sensor read them and record
+ * in the Orientation tag (1-8) how to turn them upright:
+ *   1 upright, 2 mirrored, 3 upside down, 4 upside down mirrored,
+ *   5 on its side mirrored, 6 needs a quarter turn clockwise,
+ *   7 on its side mirrored the other way, 8 needs a quarter turn counter-clockwise
+ * Every variant is rendered upright, so its orientation is always 1 (variants carry no EXIF).
+ */
+
+// How sharp turns each orientation upright: flip/flop first, then rotate clockwise.
+// Every transform rotates, even the plain mirrors, so that sharp applies it before
+// extract() and crop boxes can be given in upright coordinates.
+const TRANSFORMS = {
+	1: { angle: 0 },
+	2: { flip: true, angle: 180 },
+	3: { angle: 180 },
+	4: { flop: true, angle: 180 },
+	5: { flop: true, angle: 270 },
+	6: { angle: 90 },
+	7: { flop: true, angle: 90 },
+	8: { angle: 270 }
+};
+
+// Each orientation as a mirror (or not) followed by a clockwise turn, for adding turns to it
+const AS_TURNS = {
+	1: { mirrored: false, angle: 0 }, 6: { mirrored: false, angle: 90 }, 3: { mirrored: false, angle: 180 }, 8: { mirrored: false, angle: 270 },
+	2: { mirrored: true, angle: 0 }, 7: { mirrored: true, angle: 90 }, 4: { mirrored: true, angle: 180 }, 5: { mirrored: true, angle: 270 }
+};
+
+/**
+ * Orientation tag value, 1 when missing or not one of the eight defined values
+ * @param {*} value - e.g. sharp metadata().orientation or an EXIF Orientation tag
+ * @returns {number} 1-8
+ */
+function normalizeOrientation(value) {
+	return Number.isInteger(value) && TRANSFORMS[value] ? value : 1;
+}
+
+/**
+ * Orientation that shows an image turned further clockwise (e.g. a rotation override from user.json)
+ * @param {number} orientation - from normalizeOrientation
+ * @param {number} rotation - 0, 90, 180 or 270 degrees clockwise
+ * @returns {number} 1-8
+ */
+function rotateOrientation(orientation, rotation) {
+	const { mirrored, angle } = AS_TURNS[normalizeOrientation(orientation)];
+	const turned = (angle + rotation) % 360;
+	return Number(Object.keys(AS_TURNS).find(value => AS_TURNS[value].mirrored === mirrored && AS_TURNS[value].angle === turned));
+}
+
+/**
+ * Size of an image once turned upright
+ * @param {{width: number, height: number}} size - stored size
+ * @param {number} orientation - from normalizeOrientation
+ */
+function displaySize({ width, height }, orientation) {
+	return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Turn a pipeline upright. Operations added afterwards (extract, resize) work in upright coordinates.
+ * @param {object} pipeline - sharp pipeline of the stored image
+ * @param {number} orientation - from normalizeOrientation
+ * @returns {object} the same pipeline
+ */
+function orient(pipeline, orientation) {
+	const { flip, flop, angle } = TRANSFORMS[normalizeOrientation(orientation)];
+	if (angle === 0) {
+		return pipeline;
+	}
+	return pipeline.flip(!!flip).flop(!!flop).rotate(angle);
+}
+
+module.exports = {
+	normalizeOrientation,
+	rotateOrientation,
+	displaySize,
+	orient
+};
@@ -0,0 +1,179 @@
+/**
+ * Server-side copy of an original from the ingress bucket to its photo folder.
+ * The bytes never pass through the Lambda again, and the object keeps its
+ * metadata and tags, plus metadata linking back to the ingress object:
+ *   original-bucket, original-key (URI-encoded), original-version-id
+ * Copies are verified against the SHA-256 computed when the original was downloaded.
+ * Extra tags (e.g. private=true for originals of watermarked photos) are added to the copied ones.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const {
+	CopyObjectCommand, DeleteObjectCommand, GetObjectTaggingCommand,
+	CreateMultipartUploadCommand, UploadPartCopyCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require("@aws-sdk/client-s3");
+const { log } = require("./logger");
+
+// CopyObject handles objects up to 5GB; larger ones need a multipart copy
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+
+// Multipart copy parts: at least 5MB, at most 10,000 of them
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const DEFAULT_COPY_PART_SIZE = 256 * 1024 * 1024;
+
+// Source headers that describe the content rather than the upload, kept on the copy
+const CARRIED_HEADERS = ['CacheControl', 'ContentDisposition', 'ContentLanguage'];
+
+const base64Sha256 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+
+// Versioned S3 copy source, e.g. "ingress/photos%2FDSCF8545.JPG?versionId=abc"
+function copySource({ Bucket, Key, VersionId }) {
+	const source = `${Bucket}/${encodeURIComponent(Key)}`;
+	return VersionId ? `${source}?versionId=${encodeURIComponent(VersionId)}` : source;
+}
+
+/**
+ * Whether a copy failed because the source is gone or was replaced since it was downloaded
+ * (e.g. deleted by the 'replace' duplicate action in an unversioned bucket)
+ */
+function isSourceUnavailable(error) {
+	return ['NoSuchKey', 'NoSuchVersion', 'PreconditionFailed'].includes(error.name) ||
+		[404, 412].includes(error.$metadata?.httpStatusCode);
+}
+
+/**
+ * Metadata for the copy: the source's own metadata plus the link back to it
+ * @param {{Bucket: string, Key: string, VersionId?: string, Metadata?: object}} source
+ */
+function linkedMetadata(source) {
+	return {
+		...source.Metadata,
+		'original-bucket': source.Bucket,
+		// Metadata travels in HTTP headers, which only take ASCII
+		'original-key': encodeURIComponent(source.Key),
+		...(source.VersionId && { 'original-version-id': source.VersionId })
+	};
+}
+
+// Source object's tags with `tags` set over them, as a Tagging header value
+async function sourceTagging(s3Client, source, tags, retry) {
+	const { TagSet = [] } = await retry(() => s3Client.send(new GetObjectTaggingCommand({
+		Bucket: source.Bucket, Key: source.Key, VersionId: source.VersionId
+	})));
+	const merged = { ...Object.fromEntries(TagSet.map(tag => [tag.Key, tag.Value])), ...tags };
+	return new URLSearchParams(Object.entries(merged)).toString();
+}
+
+// SHA-256 (base64) of bytes [start, end] of a buffer or file
+async function hashRange(content, start, end) {
+	const hash = crypto.createHash('sha256');
+	if (Buffer.isBuffer(content)) {
+		hash.update(content.subarray(start, end + 1));
+	} else {
+		await pipeline(fs.createReadStream(content, { start, end }), hash);
+	}
+	return hash.digest('base64');
+}
+
+/**
+ * Copy an original server-side
+ * @param {S3Client} s3Client
+ * @param {object} options
+ * @param {{Bucket: string, Key: string, VersionId?: string, ETag?: string, Metadata?: object, ContentLength: number}} options.source -
+ *   the ingress object, as returned by GetObject (plus Bucket and Key)
+ * @param {{Bucket: string, Key: string}} options.target
+ * @param {string} options.ContentType
+ * @param {string} options.sha256 - hex SHA-256 of the downloaded original
+ * @param {Buffer|string} [options.content] - downloaded original or its spool file, to verify multipart copies part by part
+ * @param {number} [options.partSize]
+ * @param {number} [options.multipartThreshold] - sizes above this use a multipart copy
+ * @param {function} [options.retry] - wraps each S3 call (e.g. retryWithBackoff)
+ * @param {Object<string, string>} [options.tags] - tags set on the copy over the source's own
+ * @returns {Promise<{method: string, parts?: number}>}
+ */
+async function copyOriginal(s3Client, { source, target, ContentType, sha256, content, partSize = DEFAULT_COPY_PART_SIZE, multipartThreshold = MAX_COPY_OBJECT_SIZE, retry = (fn) => fn(), tags }) {
+	const headers = Object.fromEntries(CARRIED_HEADERS.filter(header => source[header]).map(header => [header, source[header]]));
+	const common = {
+		Bucket: target.Bucket,
+		Key: target.Key,
+		ContentType,
+		...headers,
+		Metadata: linkedMetadata(source)
+	};
+
+	if (source.ContentLength <= multipartThreshold) {
+		const tagging = tags
+			? { TaggingDirective: 'REPLACE', Tagging: await sourceTagging(s3Client, source, tags, retry) }
+			: { TaggingDirective: 'COPY' };
+		const { CopyObjectResult } = await retry(() => s3Client.send(new CopyObjectCommand({
+			...common,
+			CopySource: copySource(source),
+			...(source.ETag && { CopySourceIfMatch: source.ETag }),
+			MetadataDirective: 'REPLACE',
+			...tagging,
+			ChecksumAlgorithm: 'SHA256'
+		})));
+
+		if (CopyObjectResult?.ChecksumSHA256 !== base64Sha256(sha256)) {
+			await s3Client.send(new DeleteObjectCommand({ Bucket: target.Bucket, Key: target.Key }));
+			throw new Error(`Checksum mismatch copying ${source.Key}: expected ${base64Sha256(sha256)}, S3 computed ${CopyObjectResult?.ChecksumSHA256}`);
+		}
+		return { method: 'copy' };
+	}
+
+	return copyMultipart(s3Client, { source, common, content, partSize, retry, tags });
+}
+
+async function copyMultipart(s3Client, { source, common, content, partSize, retry, tags }) {
+	if (!content) {
+		throw new Error(`Multipart copy of ${source.Key} needs the downloaded original to verify its parts`);
+	}
+
+	// Multipart uploads can't copy tags, so they are read and set explicitly
+	const Tagging = await sourceTagging(s3Client, source, tags, retry);
+
+	const size = Math.max(partSize, MIN_PART_SIZE, Math.ceil(source.ContentLength / MAX_PARTS));
+	const { UploadId } = await retry(() => s3Client.send(new CreateMultipartUploadCommand({
+		...common,
+		...(Tagging && { Tagging }),
+		ChecksumAlgorithm: 'SHA256'
+	})));
+	const { Bucket, Key } = common;
+
+	try {
+		const parts = [];
+		for (let start = 0, PartNumber = 1; start < source.ContentLength; start += size, PartNumber++) {
+			const end = Math.min(start + size, source.ContentLength) - 1;
+			const { CopyPartResult } = await retry(() => s3Client.send(new UploadPartCopyCommand({
+				Bucket, Key, UploadId, PartNumber,
+				CopySource: copySource(source),
+				CopySourceRange: `bytes=${start}-${end}`,
+				...(source.ETag && { CopySourceIfMatch: source.ETag })
+			})));
+
+			const expected = await hashRange(content, start, end);
+			if (CopyPartResult?.ChecksumSHA256 !== expected) {
+				throw new Error(`Checksum mismatch copying part ${PartNumber} of ${source.Key}: expected ${expected}, S3 computed ${CopyPartResult?.ChecksumSHA256}`);
+			}
+			parts.push({ ETag: CopyPartResult.ETag, ChecksumSHA256: CopyPartResult.ChecksumSHA256, PartNumber });
+		}
+
+		await retry(() => s3Client.send(new CompleteMultipartUploadCommand({ Bucket, Key, UploadId, MultipartUpload: { Parts: parts } })));
+		return { method: 'multipart_copy', parts: parts.length };
+	} catch (error) {
+		// Don't leave invisible parts behind to be billed
+		await s3Client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId })).catch(abortError =>
+			log.warn(`Failed to abort multipart copy of ${Key}`, { error: abortError }));
+		throw error;
+	}
+}
+
+module.exports = {
+	MAX_COPY_OBJECT_SIZE,
+	copyOriginal,
+	isSourceUnavailable,
+	linkedMetadata
+};
@@ -0,0 +1,220 @@
+/**
+ * Bucket-level photo catalog for gallery frontends, so albums can be rendered
+ * without listing the processed bucket and fetching every metadata.json.
+ *
+ * Layout (relative to the catalog prefix, public like the photos themselves):
+ *   index.json       list of month shards with their photo counts
+ *   <yyyy>/<mm>.json  every photo shot in that month, oldest first
+ *
+ * Photos hidden through their user.json edits are left out.
+ *
+ * Shards and the index are updated read-modify-write with S3 conditional
+ * writes (If-Match / If-None-Match), retrying when another invocation wrote
+ * in between, so concurrent uploads never drop each other's entries.
+ */
+
+const { log } = require('./logger');
+
+// Attempts at a conditional write before giving up on a busy shard
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Frontends poll the catalog; keep caches short so new photos show up quickly
+const CATALOG_CACHE_CONTROL = 'public, max-age=60';
+
+/**
+ * Month shard a photo belongs to: the month it was shot in local time, so a photo taken
+ * on the evening of the 31st is not filed under the next month. Falls back to the UTC shot date.
+ * @param {object} metadata - metadata.json document
+ * @returns {{year: string, month: string}}
+ */
+function shardOf(metadata) {
+	const [year, month] = (metadata.shotTime?.local || metadata.shotDate).slice(0, 7).split('-');
+	return { year, month };
+}
+
+/**
+ * Catalog entry for a photo, built from the metadata.json document
+ * @param {object} metadata - as produced by buildMetadata
+ */
+function catalogEntryFromMetadata(metadata) {
+	const variants = Object.entries(metadata.versions).filter(([name]) => name !== 'original');
+	// Prefer a variant called 'thumb', otherwise the smallest one
+	const [, thumb] = variants.find(([name]) => name === 'thumb') ||
+		[...variants].sort(([, a], [, b]) => a.width - b.width)[0] || [];
+	const gps = metadata.exifData?.gps;
+
+	return {
+		photoFolder: metadata.photoFolder,
+		baseName: metadata.photoFolder.replace(/\/$/, ''),
+		shotDate: metadata.shotDate,
+		// From the user.json edits
+		title: metadata.userEdits?.title ?? null,
+		tags: metadata.userEdits?.tags ?? [],
+		rating: metadata.userEdits?.rating ?? null,
+		camera: {
+			make: metadata.exifData?.make || null,
+			model: metadata.exifData?.model || null
+		},
+		gps: gps ? { latitude: gps.latitude, longitude: gps.longitude, altitude: gps.altitude ?? null } : null,
+		location: metadata.location ? {
+			label: metadata.location.label,
+			locality: metadata.location.locality,
+			region: metadata.location.region,
+			country: metadata.location.country,
+			countryCode: metadata.location.countryCode
+		} : null,
+		thumb: thumb ? { path: thumb.path, width: thumb.width, height: thumb.height } : null,
+		dimensions: {
+			width: metadata.originalDimensions.width,
+			height: metadata.originalDimensions.height
+		}
+	};
+}
+
+// Whether a photo is listed in the catalog
+const isListed = (metadata) => metadata.userEdits?.hidden !== true;
+
+const isWriteConflict = (error) =>
+	error.name === 'PreconditionFailed' || error.name === 'ConditionalRequestConflict' ||
+	error.$metadata?.httpStatusCode === 412 || error.$metadata?.httpStatusCode === 409;
+
+/**
+ * Apply `update` to a public JSON document and write it back only if nobody else did meanwhile,
+ * retrying on conflict (also used for album manifests)
+ * @param {object} storage - from storage.js
+ * @param {function(object|null): Promise<object>} update - next document from the current one (null when missing)
+ * @returns {Promise<object>} the document written
+ */
+async function updateConditionally(storage, bucket, key, update) {
+	for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+		const current = await storage.readJson(bucket, key);
+		const next = await update(current?.value || null);
+		try {
+			await storage.putObject(bucket, key, JSON.stringify(next, null, 2), {
+				ContentType: 'application/json',
+				CacheControl: CATALOG_CACHE_CONTROL,
+				...(current?.etag ? { IfMatch: current.etag } : { IfNoneMatch: '*' })
+			});
+			return next;
+		} catch (error) {
+			if (!isWriteConflict(error)) {
+				throw error;
+			}
+			log.info(`Catalog write conflict on ${key} (attempt ${attempt}), retrying`);
+		}
+	}
+	throw new Error(`Gave up updating ${key} after ${MAX_WRITE_ATTEMPTS} conflicting writes`);
+}
+
+/**
+ * Catalog stored in a processed bucket
+ * @param {object} storage - from storage.js
+ * @param {string} bucket - processed bucket
+ * @param {string} prefix - catalog prefix, e.g. 'catalog/'
+ */
+function createCatalog(storage, bucket, prefix) {
+	const shardKey = ({ year, month }) => `${prefix}${year}/${month}.json`;
+	const indexKey = `${prefix}index.json`;
+
+	// Read a JSON document with the ETag needed for a conditional write
+	const read = (key) => storage.readJson(bucket, key);
+
+	// Record a shard's current photo count in the index
+	const refreshIndex = (shard) => updateConditionally(storage, bucket, indexKey, async (index) => {
+		// Count from the shard as it is now, so a slower writer can't put back a stale count
+		const count = (await read(shardKey(shard)))?.value.photos.length || 0;
+		const shards = (index?.shards || []).filter(s => s.key !== shardKey(shard));
+		if (count > 0) {
+			shards.push({ year: shard.year, month: shard.month, key: shardKey(shard), count });
+		}
+		shards.sort((a, b) => b.key.localeCompare(a.key));
+		return {
+			updatedAt: new Date().toISOString(),
+			totalPhotos: shards.reduce((sum, s) => sum + s.count, 0),
+			shards
+		};
+	});
+
+	// Replace the shard's photos with `change(photos)`
+	const updateShard = async (shard, change) => {
+		await updateConditionally(storage, bucket, shardKey(shard), async (current) => ({
+			year: shard.year,
+			month: shard.month,
+			updatedAt: new Date().toISOString(),
+			photos: change(current?.photos || []).sort((a, b) => a.shotDate.localeCompare(b.shotDate))
+		}));
+		await refreshIndex(shard);
+	};
+
+	return {
+		/**
+		 * Add (or refresh) a processed photo; a hidden one is taken out instead
+		 * @param {object} metadata - metadata.json document
+		 */
+		async addPhoto(metadata) {
+			const entry = catalogEntryFromMetadata(metadata);
+			await updateShard(shardOf(metadata), photos =>
+				[...photos.filter(p => p.photoFolder !== entry.photoFolder), ...(isListed(metadata) ? [entry] : [])]);
+		},
+
+		/**
+		 * Drop a photo whose folder was removed
+		 * @param {object} metadata - metadata.json document of the removed photo
+		 */
+		async removePhoto(metadata) {
+			await updateShard(shardOf(metadata), photos =>
+				photos.filter(p => p.photoFolder !== metadata.photoFolder));
+		},
+
+		/**
+		 * Every photo in the catalog, oldest first
+		 * @returns {Promise<Array<object>>} catalog entries
+		 */
+		async listPhotos() {
+			const shards = (await read(indexKey))?.value.shards || [];
+			const photos = [];
+			// The index lists the newest shard first
+			for (const { key } of [...shards].reverse()) {
+				photos.push(...((await read(key))?.value.photos || []));
+			}
+			return photos;
+		},
+
+		/**
+		 * Replace the whole catalog with the given photos (rebuilds)
+		 * @param {Array<object>} metadataList - metadata.json documents
+		 * @returns {Promise<number>} number of shards written
+		 */
+		async rebuild(metadataList) {
+			const shards = new Map();
+			for (const metadata of metadataList.filter(isListed)) {
+				const shard = shardOf(metadata);
+				const key = shardKey(shard);
+				if (!shards.has(key)) {
+					shards.set(key, { shard, photos: [] });
+				}
+				shards.get(key).photos.push(catalogEntryFromMetadata(metadata));
+			}
+
+			// Shards that no longer have photos are emptied rather than left stale
+			const existing = (await read(indexKey))?.value.shards || [];
+			for (const { year, month, key } of existing) {
+				if (!shards.has(key)) {
+					shards.set(key, { shard: { year, month }, photos: [] });
+				}
+			}
+
+			for (const { shard, photos } of shards.values()) {
+				await updateShard(shard, () => photos);
+			}
+			return shards.size;
+		}
+	};
+}
+
+module.exports = {
+	shardOf,
+	catalogEntryFromMetadata,
+	updateConditionally,
+	createCatalog
+};
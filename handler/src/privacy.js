@@ -0,0 +1,142 @@
+/**
+ * Privacy policies for what processed buckets expose publicly. A policy is configured
+ * globally with the PRIVACY env var or per ingress bucket with a `privacy` entry in BUCKET_MAPPINGS:
+ *   { "gps": "coarse", "gpsGrid": 0.05, "exif": "strip", "original": "separate", "privateMetadata": true }
+ * - gps: 'exact' (as recorded), 'coarse' (rounded to a gpsGrid-degree grid, locality kept) or 'strip'
+ * - exif: 'keep' or 'strip' the camera EXIF fields (make, model, exposure, ...) of the public metadata.json
+ * - original: 'public' (in the photo folder), 'private' (in the folder, tagged private) or
+ *   'separate' (under the private prefix, in privateBucket when set)
+ * - privateMetadata: also keep the unredacted metadata.json under the private prefix
+ * Variants never carry EXIF: sharp only writes metadata when asked to.
+ */
+
+const GPS_MODES = ['exact', 'coarse', 'strip'];
+const EXIF_MODES = ['keep', 'strip'];
+const ORIGINAL_MODES = ['public', 'private', 'separate'];
+
+const DEFAULTS = {
+	gps: 'exact',
+	gpsGrid: 0.1,
+	exif: 'keep',
+	original: 'public',
+	privateMetadata: false,
+	privateBucket: null
+};
+
+/**
+ * Validate a privacy policy and fill in defaults.
+ * @param {object|null|undefined} config - raw policy (e.g. parsed from JSON)
+ * @param {string} source - where the policy came from, used in error messages
+ * @returns {object|null} normalized policy, or null for none
+ */
+function normalizePrivacy(config, source = 'privacy') {
+	if (config === undefined || config === null) {
+		return null;
+	}
+	if (typeof config !== 'object' || Array.isArray(config)) {
+		throw new Error(`Invalid ${source}: expected an object`);
+	}
+
+	const unknown = Object.keys(config).filter(field => !(field in DEFAULTS));
+	if (unknown.length) {
+		throw new Error(`Invalid ${source}: unknown field(s) ${unknown.join(', ')}`);
+	}
+	const privacy = { ...DEFAULTS, ...config };
+	for (const [field, modes] of [['gps', GPS_MODES], ['exif', EXIF_MODES], ['original', ORIGINAL_MODES]]) {
+		if (!modes.includes(privacy[field])) {
+			throw new Error(`Invalid ${source}: ${field} must be one of ${modes.join(', ')}`);
+		}
+	}
+	if (typeof privacy.gpsGrid !== 'number' || !(privacy.gpsGrid > 0) || privacy.gpsGrid > 10) {
+		throw new Error(`Invalid ${source}: gpsGrid must be a number of degrees above 0 and at most 10`);
+	}
+	if (typeof privacy.privateMetadata !== 'boolean') {
+		throw new Error(`Invalid ${source}: privateMetadata must be true or false`);
+	}
+	if (privacy.privateBucket !== null && (typeof privacy.privateBucket !== 'string' || privacy.privateBucket === '')) {
+		throw new Error(`Invalid ${source}: privateBucket must be a bucket name`);
+	}
+	return privacy;
+}
+
+/**
+ * Parse the PRIVACY env var
+ * @param {string|undefined} value - JSON object
+ */
+function parsePrivacy(value) {
+	return value ? normalizePrivacy(JSON.parse(value), 'PRIVACY') : null;
+}
+
+// Snap a coordinate to the center of its grid cell, so every photo in a cell gets the same position
+const toGrid = (value, grid) => {
+	const decimals = Math.max(0, Math.ceil(-Math.log10(grid)) + 1);
+	return Number(((Math.floor(value / grid) + 0.5) * grid).toFixed(decimals));
+};
+
+/**
+ * GPS fields safe to publish under a policy
+ * @param {object|null} gps - exifData.gps of the full metadata
+ * @param {object} privacy - normalized policy
+ * @returns {object|null}
+ */
+function redactGps(gps, privacy) {
+	if (!gps || privacy.gps === 'exact') {
+		return gps || null;
+	}
+	if (privacy.gps === 'strip') {
+		return null;
+	}
+	// Altitude, heading, speed and fix time narrow a coarse position down again
+	return {
+		latitude: toGrid(gps.latitude, privacy.gpsGrid),
+		longitude: toGrid(gps.longitude, privacy.gpsGrid),
+		precision: privacy.gpsGrid,
+		...(gps.locality !== undefined && {
+			locality: gps.locality, region: gps.region, country: gps.country, countryCode: gps.countryCode
+		})
+	};
+}
+
+/**
+ * The public metadata.json of a photo: its full metadata with GPS, location and camera EXIF
+ * reduced to what the policy allows. The full metadata is returned as is without a policy.
+ * @param {object} metadata - as built by buildMetadata
+ * @param {object|null} privacy - normalized policy
+ */
+function redactMetadata(metadata, privacy) {
+	if (!privacy) {
+		return metadata;
+	}
+
+	const gps = redactGps(metadata.exifData?.gps, privacy);
+	let exifData = metadata.exifData;
+	if (exifData) {
+		const { gps: _, ...camera } = exifData;
+		exifData = privacy.exif === 'strip'
+			? (gps ? { gps } : null)
+			: { ...camera, ...(gps && { gps }) };
+	}
+
+	let location = metadata.location;
+	if (location && privacy.gps === 'strip') {
+		location = null;
+	} else if (location && privacy.gps === 'coarse') {
+		// How far the photo was from the locality is a position of its own
+		const { distanceKm: _, ...place } = location;
+		location = place;
+	}
+
+	// The time zone names where the photo was taken; the offset still places the local time
+	const shotTime = metadata.shotTime && privacy.gps === 'strip'
+		? { ...metadata.shotTime, timeZone: null }
+		: metadata.shotTime;
+
+	return { ...metadata, exifData, location, ...(shotTime && { shotTime }) };
+}
+
+module.exports = {
+	normalizePrivacy,
+	parsePrivacy,
+	redactGps,
+	redactMetadata
+};
@@ -0,0 +1,114 @@
+/**
+ * Offline reverse geocoding: turn GPS coordinates into the nearest locality,
+ * its region and country without calling any external API.
+ *
+ * Places come from a gazetteer directory in GeoNames dump layout:
+ *   cities.tsv     GeoNames "cities" columns (name, lat/long, country, admin1 code, timezone)
+ *   admin1.tsv     admin1CodesASCII layout: "<CC>.<code>" and region name
+ *   countries.tsv  countryInfo layout: ISO code in column 1, name in column 5
+ * A small set of coastal and major localities is bundled under data/gazetteer;
+ * point GAZETTEER_DIR at a full GeoNames download (e.g. cities1000) for finer results.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_GAZETTEER_DIR = path.join(__dirname, 'data', 'gazetteer');
+
+// Mean Earth radius (IUGG)
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} kilometres
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+	const dLat = toRadians(lat2 - lat1);
+	const dLon = toRadians(lon2 - lon1);
+	const a = Math.sin(dLat / 2) ** 2 +
+		Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+	return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Tab-separated rows of a GeoNames-style file, without comments and blank lines
+function readRows(file) {
+	return fs.readFileSync(file, 'utf8')
+		.split('\n')
+		.filter(line => line.trim() && !line.startsWith('#'))
+		.map(line => line.replace(/\r$/, '').split('\t'));
+}
+
+/**
+ * Load a gazetteer directory
+ * @param {string} dir - directory with cities.tsv, admin1.tsv and countries.tsv
+ * @returns {{places: Array<object>, regions: Map<string, string>, countries: Map<string, string>}}
+ */
+function loadGazetteer(dir = DEFAULT_GAZETTEER_DIR) {
+	const places = readRows(path.join(dir, 'cities.tsv')).map(columns => ({
+		name: columns[1],
+		latitude: parseFloat(columns[4]),
+		longitude: parseFloat(columns[5]),
+		countryCode: columns[8],
+		admin1Code: columns[10],
+		timezone: columns[17] || null
+	})).filter(place => Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+
+	const regions = new Map(readRows(path.join(dir, 'admin1.tsv')).map(columns => [columns[0], columns[1]]));
+	const countries = new Map(readRows(path.join(dir, 'countries.tsv')).map(columns => [columns[0], columns[4]]));
+
+	if (places.length === 0) {
+		throw new Error(`Gazetteer in ${dir} has no places`);
+	}
+	return { places, regions, countries };
+}
+
+/**
+ * Reverse geocoder over a loaded gazetteer
+ * @param {{places: Array<object>, regions: Map, countries: Map}} gazetteer
+ * @param {{maxDistanceKm?: number}} options - places further away than this are not reported
+ */
+function createReverseGeocoder(gazetteer, { maxDistanceKm = Infinity } = {}) {
+	return {
+		/**
+		 * Nearest locality to a point
+		 * @returns {{locality: string, region: string|null, country: string|null, countryCode: string, timezone: string|null, distanceKm: number}|null}
+		 */
+		lookup(latitude, longitude) {
+			if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+				Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+				return null;
+			}
+
+			let nearest = null;
+			let nearestDistance = Infinity;
+			for (const place of gazetteer.places) {
+				const distance = haversineKm(latitude, longitude, place.latitude, place.longitude);
+				if (distance < nearestDistance) {
+					nearest = place;
+					nearestDistance = distance;
+				}
+			}
+			if (!nearest || nearestDistance > maxDistanceKm) {
+				return null;
+			}
+
+			return {
+				locality: nearest.name,
+				region: gazetteer.regions.get(`${nearest.countryCode}.${nearest.admin1Code}`) || null,
+				country: gazetteer.countries.get(nearest.countryCode) || null,
+				countryCode: nearest.countryCode,
+				timezone: nearest.timezone,
+				distanceKm: Math.round(nearestDistance * 10) / 10
+			};
+		}
+	};
+}
+
+module.exports = {
+	DEFAULT_GAZETTEER_DIR,
+	haversineKm,
+	loadGazetteer,
+	createReverseGeocoder
+};
@@ -0,0 +1,191 @@
+/**
+ * Shot time resolution. EXIF DateTimeOriginal is the camera's wall clock with
+ * no timezone, so the UTC instant has to come from somewhere else, in order:
+ *   exif_offset        OffsetTimeOriginal written by the camera
+ *   gps_offset         offset between the wall clock and the GPS fix time
+ *   location_timezone  timezone of the reverse geocoded locality
+ *   default_timezone   per-bucket (or global) default timezone
+ *   assumed_utc        nothing known; the wall clock is taken as UTC
+ * Photos without DateTimeOriginal use the GPS fix time ('gps_time') or the
+ * upload time ('upload_time').
+ */
+
+const ExifParser = require("exif-parser");
+
+// exif-parser doesn't name the EXIF 2.31 offset tags, so they are read by number
+const OFFSET_TAGS = {
+	0x9010: 'OffsetTime',
+	0x9011: 'OffsetTimeOriginal',
+	0x9012: 'OffsetTimeDigitized'
+};
+
+// Real-world UTC offsets run from -12:00 to +14:00
+const MIN_OFFSET_MINUTES = -12 * 60;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+// Offsets derived from GPS time are rounded to the nearest quarter hour (e.g. +05:45)
+const GPS_OFFSET_STEP_MINUTES = 15;
+
+// Clock drift / fix lag tolerated before a GPS-derived offset is considered unreliable
+const GPS_OFFSET_TOLERANCE_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Read the OffsetTime* tags of a JPEG (or JPEG-wrapped EXIF block)
+ * @param {Buffer} buffer
+ * @returns {object} offset tags present in the block, by name
+ */
+function readOffsetTags(buffer) {
+	const parser = ExifParser.create(buffer);
+	parser.enableTagNames(false);
+	const { tags } = parser.parse();
+	return Object.fromEntries(tags
+		.filter(tag => OFFSET_TAGS[tag.type] && typeof tag.value === 'string')
+		.map(tag => [OFFSET_TAGS[tag.type], tag.value]));
+}
+
+/**
+ * Parse an EXIF offset such as '+02:00' or '-0530'
+ * @returns {number|null} minutes east of UTC
+ */
+function parseOffset(value) {
+	const match = typeof value === 'string' && value.replace(/\0/g, '').trim().match(/^([+-])(\d{2}):?(\d{2})$/);
+	if (!match) {
+		return null;
+	}
+	const minutes = (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3]));
+	return minutes >= MIN_OFFSET_MINUTES && minutes <= MAX_OFFSET_MINUTES ? minutes : null;
+}
+
+/**
+ * Format minutes east of UTC as '+02:00'
+ */
+function formatOffset(minutes) {
+	const sign = minutes < 0 ? '-' : '+';
+	const abs = Math.abs(minutes);
+	return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Whether `timeZone` is an IANA zone this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+	if (!timeZone) {
+		return false;
+	}
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * UTC offset of a timezone at an instant
+ * @param {string} timeZone - IANA zone, e.g. 'Europe/London'
+ * @param {number} utcMs
+ * @returns {number} minutes east of UTC
+ */
+function zoneOffsetMinutes(timeZone, utcMs) {
+	const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+		timeZone, hourCycle: 'h23',
+		year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+	}).formatToParts(new Date(utcMs)).map(part => [part.type, part.value]));
+	const wallMs = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+	return Math.round((wallMs - Math.floor(utcMs / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Offset of a timezone for a wall clock time in that zone (DST aware)
+ * @param {string} timeZone
+ * @param {number} wallMs - wall clock time expressed as if it were UTC
+ */
+function wallTimeOffsetMinutes(timeZone, wallMs) {
+	// Second pass corrects the guess when the first lands on the other side of a DST change
+	const guess = zoneOffsetMinutes(timeZone, wallMs);
+	return zoneOffsetMinutes(timeZone, wallMs - guess * MINUTE_MS);
+}
+
+// Offset implied by the wall clock and a GPS fix, when the two agree to within the tolerance
+function gpsOffsetMinutes(wallMs, gpsTimestamp) {
+	const gpsMs = gpsTimestamp ? Date.parse(gpsTimestamp) : NaN;
+	if (!Number.isFinite(gpsMs)) {
+		return null;
+	}
+	const difference = (wallMs - gpsMs) / MINUTE_MS;
+	const offset = Math.round(difference / GPS_OFFSET_STEP_MINUTES) * GPS_OFFSET_STEP_MINUTES;
+	if (Math.abs(difference - offset) > GPS_OFFSET_TOLERANCE_MINUTES ||
+		offset < MIN_OFFSET_MINUTES || offset > MAX_OFFSET_MINUTES) {
+		return null;
+	}
+	return offset;
+}
+
+// Shot time from a UTC instant and the offset of the place it was taken
+function shotTimeAt(utcMs, offsetMinutes, timeZone, source) {
+	return {
+		utc: new Date(utcMs),
+		local: new Date(utcMs + offsetMinutes * MINUTE_MS).toISOString().slice(0, 23),
+		offset: formatOffset(offsetMinutes),
+		timeZone: timeZone || null,
+		source
+	};
+}
+
+/**
+ * Resolve when a photo was taken
+ * @param {object} options
+ * @param {number} [options.dateTimeOriginal] - DateTimeOriginal as exif-parser returns it (wall clock seconds, read as UTC)
+ * @param {object} [options.offsetTags] - from readOffsetTags
+ * @param {string} [options.gpsTimestamp] - UTC fix time from normalizeGps
+ * @param {string} [options.timeZone] - timezone of the photo's location
+ * @param {string} [options.defaultTimeZone] - timezone assumed for the bucket
+ * @param {Date} [options.uploadTime] - used when the photo has no date at all
+ * @returns {{utc: Date, local: string, offset: string, timeZone: string|null, source: string}}
+ */
+function resolveShotTime({ dateTimeOriginal, offsetTags = {}, gpsTimestamp, timeZone, defaultTimeZone, uploadTime = new Date() } = {}) {
+	const zones = [
+		{ timeZone, source: 'location_timezone' },
+		{ timeZone: defaultTimeZone, source: 'default_timezone' }
+	].filter(zone => isValidTimeZone(zone.timeZone));
+
+	if (!Number.isFinite(dateTimeOriginal)) {
+		// Without a camera clock the best instant is the GPS fix, then the upload itself
+		const gpsMs = gpsTimestamp ? Date.parse(gpsTimestamp) : NaN;
+		const utcMs = Number.isFinite(gpsMs) ? gpsMs : uploadTime.getTime();
+		const zone = zones[0]?.timeZone;
+		return shotTimeAt(utcMs, zone ? zoneOffsetMinutes(zone, utcMs) : 0, zone,
+			Number.isFinite(gpsMs) ? 'gps_time' : 'upload_time');
+	}
+
+	const wallMs = dateTimeOriginal * 1000;
+	const resolveAt = (offsetMinutes, zone, source) => shotTimeAt(wallMs - offsetMinutes * MINUTE_MS, offsetMinutes, zone, source);
+
+	const exifOffset = parseOffset(offsetTags.OffsetTimeOriginal);
+	if (exifOffset !== null) {
+		return resolveAt(exifOffset, null, 'exif_offset');
+	}
+
+	const gpsOffset = gpsOffsetMinutes(wallMs, gpsTimestamp);
+	if (gpsOffset !== null) {
+		return resolveAt(gpsOffset, null, 'gps_offset');
+	}
+
+	if (zones.length > 0) {
+		const { timeZone: zone, source } = zones[0];
+		return resolveAt(wallTimeOffsetMinutes(zone, wallMs), zone, source);
+	}
+
+	return resolveAt(0, null, 'assumed_utc');
+}
+
+module.exports = {
+	readOffsetTags,
+	parseOffset,
+	formatOffset,
+	isValidTimeZone,
+	zoneOffsetMinutes,
+	resolveShotTime
+};
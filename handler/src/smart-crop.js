@@ -0,0 +1,91 @@
+/**
+ * Crop boxes for variants that fill a fixed aspect ratio (`fit: "cover"` with a width and a height).
+ * The box is the largest one of the variant's aspect ratio that fits the image, placed by:
+ * - the focal point users set in user.json, when there is one: { "focalPoint": { "x": 0.3, "y": 0.6 } }
+ *   (fractions of the width and height from the top left corner)
+ * - otherwise the variant's `position`: 'center', or sharp's 'attention' (faces, skin, saturated
+ *   and bright areas) or 'entropy' (most detail) strategies
+ * Variants are rendered from the box with extract + resize, so the box recorded in metadata
+ * is exactly what the variant shows.
+ */
+
+const sharp = require("sharp");
+
+/**
+ * Whether a variant is cropped to its own aspect ratio
+ * @param {object} variant - normalized variant from variant-profiles.js
+ */
+function isCropped(variant) {
+	return variant.fit === 'cover' && variant.width !== null && variant.height !== null;
+}
+
+// Largest box of the variant's aspect ratio inside an image
+function boxSize(image, variant) {
+	const scale = Math.min(image.width / variant.width, image.height / variant.height);
+	return {
+		width: Math.min(image.width, Math.round(variant.width * scale)),
+		height: Math.min(image.height, Math.round(variant.height * scale))
+	};
+}
+
+// Place a box centered on a point, shifted back inside the image where it would stick out
+function placeBox(image, size, center) {
+	const clamp = (value, max) => Math.min(Math.max(0, Math.round(value)), max);
+	return {
+		left: clamp(center.x - size.width / 2, image.width - size.width),
+		top: clamp(center.y - size.height / 2, image.height - size.height),
+		...size
+	};
+}
+
+/**
+ * Work out where a cropped variant is cut from an image
+ * @param {function(): sharp.Sharp} input - returns a fresh pipeline of the image
+ * @param {{width: number, height: number}} image - size of the image the input produces
+ * @param {object} variant - normalized variant, see isCropped
+ * @param {{x: number, y: number}|null} focalPoint - from the user.json edits (see user-edits.js)
+ * @returns {Promise<{left: number, top: number, width: number, height: number, strategy: string}>} in image pixels
+ */
+async function findCropBox(input, image, variant, focalPoint = null) {
+	const size = boxSize(image, variant);
+
+	if (focalPoint) {
+		return { ...placeBox(image, size, { x: focalPoint.x * image.width, y: focalPoint.y * image.height }), strategy: 'focal' };
+	}
+	if (variant.position === 'attention' || variant.position === 'entropy') {
+		// sharp reports where it cropped the image scaled to cover the variant
+		const { info } = await input()
+			.resize(variant.width, variant.height, { fit: 'cover', position: sharp.strategy[variant.position] })
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+		const scale = Math.max(variant.width / image.width, variant.height / image.height);
+		const box = placeBox(image, size, {
+			x: (-(info.cropOffsetLeft ?? 0) + variant.width / 2) / scale,
+			y: (-(info.cropOffsetTop ?? 0) + variant.height / 2) / scale
+		});
+		return { ...box, strategy: variant.position };
+	}
+	return { ...placeBox(image, size, { x: image.width / 2, y: image.height / 2 }), strategy: 'center' };
+}
+
+/**
+ * A crop box found on one image, in the pixels of another size of the same image
+ * (e.g. from the reduced decode of a streamed original to the original)
+ */
+function scaleBox(box, from, to) {
+	const sx = to.width / from.width;
+	const sy = to.height / from.height;
+	return {
+		left: Math.round(box.left * sx),
+		top: Math.round(box.top * sy),
+		width: Math.round(box.width * sx),
+		height: Math.round(box.height * sy),
+		strategy: box.strategy
+	};
+}
+
+module.exports = {
+	isCropped,
+	findCropBox,
+	scaleBox
+};
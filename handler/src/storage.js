@@ -0,0 +1,365 @@
+/**
+ * Object storage behind the processor: S3 in the Lambda, or a local directory
+ * per bucket for offline batch runs (see cli.js) and tests without mocks.
+ *
+ * Both backends take bucket/key pairs, return S3's field names (Body, ContentLength,
+ * ETag, ...) and fail with S3's error names (NoSuchKey, PreconditionFailed), so
+ * callers handle either the same way.
+ *
+ * The file backend keeps content only: content types, user metadata and tags are
+ * not stored, and ETags are MD5 digests of the content.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const {
+	GetObjectCommand, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command, CopyObjectCommand,
+	GetObjectTaggingCommand, PutObjectTaggingCommand
+} = require("@aws-sdk/client-s3");
+const { uploadFileMultipart } = require("./streaming");
+const { copyOriginal } = require("./original-copy");
+
+// DeleteObjects takes at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+const readBody = async (body) => {
+	const chunks = [];
+	for await (const chunk of body) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+};
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage in S3
+ * @param {S3Client} s3Client
+ */
+function createS3Storage(s3Client) {
+	const storage = {
+		backend: 's3',
+
+		/**
+		 * @returns {Promise<object>} GetObject response, Body as a stream
+		 */
+		async getObject(bucket, key) {
+			return s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+		},
+
+		/**
+		 * Read a JSON document with the ETag needed for a conditional write
+		 * @returns {Promise<{value: *, etag: string}|null>} null if it does not exist
+		 */
+		async readJson(bucket, key) {
+			try {
+				const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+				return { value: JSON.parse((await readBody(response.Body)).toString()), etag: response.ETag };
+			} catch (error) {
+				if (isNotFound(error)) {
+					return null;
+				}
+				throw error;
+			}
+		},
+
+		/**
+		 * @param {Buffer|string} body
+		 * @param {object} [options] - PutObject fields: ContentType, CacheControl, Metadata, Tagging, IfMatch, IfNoneMatch
+		 */
+		async putObject(bucket, key, body, options = {}) {
+			const { ETag } = await s3Client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ...options }));
+			return { ETag };
+		},
+
+		/**
+		 * Upload a local file without reading it into memory (multipart)
+		 */
+		async putFile(bucket, key, filePath, { ContentType, Metadata, Tagging, partSize, retry } = {}) {
+			return uploadFileMultipart(s3Client, { Bucket: bucket, Key: key, ContentType, Metadata, Tagging, filePath, partSize, retry });
+		},
+
+		/**
+		 * Tags of an object
+		 * @returns {Promise<Object<string, string>>}
+		 */
+		async getTags(bucket, key) {
+			const { TagSet = [] } = await s3Client.send(new GetObjectTaggingCommand({ Bucket: bucket, Key: key }));
+			return Object.fromEntries(TagSet.map(tag => [tag.Key, tag.Value]));
+		},
+
+		/**
+		 * Set tags on an object, keeping its other tags
+		 * @param {Object<string, string>} tags
+		 */
+		async setTags(bucket, key, tags) {
+			const merged = { ...await storage.getTags(bucket, key), ...tags };
+			await s3Client.send(new PutObjectTaggingCommand({
+				Bucket: bucket, Key: key, Tagging: { TagSet: Object.entries(merged).map(([Key, Value]) => ({ Key, Value })) }
+			}));
+		},
+
+		async deleteObject(bucket, key) {
+			await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+		},
+
+		async deleteObjects(bucket, keys) {
+			for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+				await s3Client.send(new DeleteObjectsCommand({
+					Bucket: bucket,
+					Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(Key => ({ Key })), Quiet: true }
+				}));
+			}
+		},
+
+		/**
+		 * Keys under a prefix, in S3's (lexicographic) order
+		 * @param {{limit?: number}} [options] - stop after this many keys
+		 * @returns {Promise<Array<string>>}
+		 */
+		async listKeys(bucket, prefix = '', { limit } = {}) {
+			const keys = [];
+			let ContinuationToken;
+			do {
+				const page = await s3Client.send(new ListObjectsV2Command({
+					Bucket: bucket, Prefix: prefix, ContinuationToken, ...(limit && { MaxKeys: limit - keys.length })
+				}));
+				keys.push(...(page.Contents || []).map(obj => obj.Key));
+				ContinuationToken = page.IsTruncated && !(limit && keys.length >= limit) ? page.NextContinuationToken : undefined;
+			} while (ContinuationToken);
+			return keys;
+		},
+
+		/**
+		 * Server-side copy
+		 * @param {object} [options] - CopyObject fields, e.g. Metadata with MetadataDirective, Tagging with TaggingDirective
+		 */
+		async copyObject(sourceBucket, sourceKey, bucket, key, options = {}) {
+			await s3Client.send(new CopyObjectCommand({
+				Bucket: bucket, Key: key, CopySource: `${sourceBucket}/${encodeURIComponent(sourceKey)}`, ...options
+			}));
+		},
+
+		/**
+		 * Verified copy of an original, see original-copy.js
+		 */
+		async copyOriginal(options) {
+			return copyOriginal(s3Client, options);
+		}
+	};
+	return storage;
+}
+
+/**
+ * Storage in local directories: each bucket is a directory under `rootDir`
+ * (a bucket named with an absolute path is that directory itself) and keys are
+ * paths inside it.
+ * @param {string} rootDir
+ */
+function createFileStorage(rootDir) {
+	const bucketDir = (bucket) => path.resolve(rootDir, bucket);
+
+	const filePath = (bucket, key) => {
+		const segments = key.split('/');
+		if (!key || segments.some(segment => segment === '..' || segment === '.')) {
+			throw new Error(`Invalid key for file storage: ${key}`);
+		}
+		return path.join(bucketDir(bucket), ...segments);
+	};
+
+	const noSuchKey = (bucket, key) =>
+		Object.assign(new Error(`The specified key does not exist: ${bucket}/${key}`), { name: 'NoSuchKey', $metadata: { httpStatusCode: 404 } });
+	const preconditionFailed = (bucket, key) =>
+		Object.assign(new Error(`At least one of the pre-conditions you specified did not hold: ${bucket}/${key}`), { name: 'PreconditionFailed', $metadata: { httpStatusCode: 412 } });
+
+	const etagOf = (content) => `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+
+	// Writes land in a temporary file first so readers never see half a file
+	const writeAtomically = async (target, body) => {
+		await fs.promises.mkdir(path.dirname(target), { recursive: true });
+		const temporary = `${target}.photo3s-tmp-${crypto.randomUUID()}`;
+		await fs.promises.writeFile(temporary, body);
+		await fs.promises.rename(temporary, target);
+	};
+
+	// Remove directories a delete left empty, up to the bucket directory
+	const pruneEmptyDirs = async (bucket, dir) => {
+		const root = bucketDir(bucket);
+		while (dir.startsWith(`${root}${path.sep}`)) {
+			try {
+				await fs.promises.rmdir(dir);
+			} catch {
+				return;
+			}
+			dir = path.dirname(dir);
+		}
+	};
+
+	const walk = async (dir, keyPrefix, keys) => {
+		let entries;
+		try {
+			entries = await fs.promises.readdir(dir, { withFileTypes: true });
+		} catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+				return;
+			}
+			throw error;
+		}
+		for (const entry of entries) {
+			if (entry.isDirectory()) {
+				await walk(path.join(dir, entry.name), `${keyPrefix}${entry.name}/`, keys);
+			} else if (entry.isFile() && !entry.name.includes('.photo3s-tmp-')) {
+				keys.push(`${keyPrefix}${entry.name}`);
+			}
+		}
+	};
+
+	const storage = {
+		backend: 'file',
+
+		async getObject(bucket, key) {
+			const target = filePath(bucket, key);
+			try {
+				const stats = await fs.promises.stat(target);
+				if (!stats.isFile()) {
+					throw noSuchKey(bucket, key);
+				}
+				return { Body: fs.createReadStream(target), ContentLength: stats.size, LastModified: stats.mtime, Metadata: {} };
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					throw noSuchKey(bucket, key);
+				}
+				throw error;
+			}
+		},
+
+		async readJson(bucket, key) {
+			try {
+				const content = await fs.promises.readFile(filePath(bucket, key));
+				return { value: JSON.parse(content.toString()), etag: etagOf(content) };
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return null;
+				}
+				throw error;
+			}
+		},
+
+		async putObject(bucket, key, body, { IfMatch, IfNoneMatch } = {}) {
+			const target = filePath(bucket, key);
+			await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+			if (IfNoneMatch === '*') {
+				try {
+					await fs.promises.writeFile(target, body, { flag: 'wx' });
+				} catch (error) {
+					if (error.code === 'EEXIST') {
+						throw preconditionFailed(bucket, key);
+					}
+					throw error;
+				}
+				return { ETag: etagOf(body) };
+			}
+
+			if (IfMatch) {
+				// Compared and written without yielding, so writers in this process can't interleave
+				let current;
+				try {
+					current = fs.readFileSync(target);
+				} catch (error) {
+					if (error.code === 'ENOENT') {
+						throw noSuchKey(bucket, key);
+					}
+					throw error;
+				}
+				if (etagOf(current) !== IfMatch) {
+					throw preconditionFailed(bucket, key);
+				}
+				fs.writeFileSync(target, body);
+				return { ETag: etagOf(body) };
+			}
+
+			await writeAtomically(target, body);
+			return { ETag: etagOf(body) };
+		},
+
+		async putFile(bucket, key, sourcePath) {
+			const target = filePath(bucket, key);
+			await fs.promises.mkdir(path.dirname(target), { recursive: true });
+			await fs.promises.copyFile(sourcePath, target);
+			return { parts: 1 };
+		},
+
+		// Tags are not stored
+		async getTags() {
+			return {};
+		},
+
+		async setTags() {},
+
+		async deleteObject(bucket, key) {
+			const target = filePath(bucket, key);
+			await fs.promises.rm(target, { force: true });
+			await pruneEmptyDirs(bucket, path.dirname(target));
+		},
+
+		async deleteObjects(bucket, keys) {
+			for (const key of keys) {
+				await storage.deleteObject(bucket, key);
+			}
+		},
+
+		async listKeys(bucket, prefix = '', { limit } = {}) {
+			// Only the directory the prefix ends in can hold matching keys
+			const dirPrefix = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+			const keys = [];
+			await walk(dirPrefix ? filePath(bucket, dirPrefix.slice(0, -1)) : bucketDir(bucket), dirPrefix, keys);
+			const matching = keys.filter(key => key.startsWith(prefix)).sort();
+			return limit ? matching.slice(0, limit) : matching;
+		},
+
+		async copyObject(sourceBucket, sourceKey, bucket, key) {
+			const source = filePath(sourceBucket, sourceKey);
+			const target = filePath(bucket, key);
+			if (source === target) {
+				// Copying onto itself only changes metadata and tags in S3, neither of which is stored
+				if (!fs.existsSync(source)) {
+					throw noSuchKey(sourceBucket, sourceKey);
+				}
+				return;
+			}
+			await fs.promises.mkdir(path.dirname(target), { recursive: true });
+			try {
+				await fs.promises.copyFile(source, target);
+			} catch (error) {
+				if (error.code === 'ENOENT' && !fs.existsSync(source)) {
+					throw noSuchKey(sourceBucket, sourceKey);
+				}
+				throw error;
+			}
+		},
+
+		/**
+		 * Copy an original and check the copy against the SHA-256 it was processed with
+		 */
+		async copyOriginal({ source, target, sha256 }) {
+			await storage.copyObject(source.Bucket, source.Key, target.Bucket, target.Key);
+			const hash = crypto.createHash('sha256');
+			await pipeline(fs.createReadStream(filePath(target.Bucket, target.Key)), hash);
+			const copied = hash.digest('hex');
+			if (copied !== sha256) {
+				await storage.deleteObject(target.Bucket, target.Key);
+				throw new Error(`Checksum mismatch copying ${source.Key}: expected ${sha256}, copy has ${copied}`);
+			}
+			return { method: 'copy' };
+		}
+	};
+	return storage;
+}
+
+module.exports = {
+	createS3Storage,
+	createFileStorage
+};
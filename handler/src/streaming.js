@@ -0,0 +1,153 @@
+/**
+ * Low-memory path for very large originals. Instead of holding the upload (and
+ * several decodes of it) in memory:
+ * - the S3 body is streamed to a spool file, hashing it on the way
+ * - the file is decoded once, straight down to the largest size any variant needs,
+ *   and every variant is a cloned pipeline of that one decode
+ * - if the original has to be uploaded rather than copied (see original-copy.js),
+ *   it goes up from the spool file with a multipart upload
+ * Only formats sharp reads natively can stream; HEIF and RAW still need the whole
+ * file to find their image data.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const sharp = require("sharp");
+const { displaySize, orient } = require("./orientation");
+const { log } = require("./logger");
+const { CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand } = require("@aws-sdk/client-s3");
+
+// Bytes kept from the start of the file for MIME sniffing and JPEG EXIF (APP1 is at most 64KB)
+const HEAD_BYTES = 256 * 1024;
+
+// S3 rejects multipart parts under 5MB (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Stream an S3 body to a spool file
+ * @param {Readable} body - GetObject Body
+ * @param {string} dir - spool directory (Lambda: /tmp)
+ * @returns {Promise<{filePath: string, sha256: string, head: Buffer, bytes: number}>}
+ */
+async function spoolToFile(body, dir) {
+	const filePath = path.join(dir, `photo3s-${crypto.randomUUID()}`);
+	const hash = crypto.createHash('sha256');
+	const headChunks = [];
+	let headLength = 0;
+	let bytes = 0;
+
+	const tap = new Transform({
+		transform(chunk, encoding, callback) {
+			hash.update(chunk);
+			bytes += chunk.length;
+			if (headLength < HEAD_BYTES) {
+				headChunks.push(chunk.subarray(0, HEAD_BYTES - headLength));
+				headLength += Math.min(chunk.length, HEAD_BYTES - headLength);
+			}
+			callback(null, chunk);
+		}
+	});
+
+	try {
+		await pipeline(body, tap, fs.createWriteStream(filePath));
+	} catch (error) {
+		await fs.promises.rm(filePath, { force: true });
+		throw error;
+	}
+	return { filePath, sha256: hash.digest('hex'), head: Buffer.concat(headChunks), bytes };
+}
+
+/**
+ * Smallest size the original can be decoded to while every variant still gets
+ * at least as many pixels as it would from the full-size image
+ * @param {number} width - original width
+ * @param {number} height - original height
+ * @param {Array<object>} variantProfile - normalized profile
+ * @returns {{width: number, height: number}}
+ */
+function intermediateSize(width, height, variantProfile) {
+	const scale = Math.min(1, Math.max(...variantProfile.map(variant => {
+		const scales = [variant.width && variant.width / width, variant.height && variant.height / height].filter(Boolean);
+		// inside/contain fit the box, so the tighter side decides; cropping fits cover the box
+		return variant.fit === 'inside' || variant.fit === 'contain' ? Math.min(...scales) : Math.max(...scales);
+	})));
+	return { width: Math.ceil(width * scale), height: Math.ceil(height * scale) };
+}
+
+/**
+ * Decode a spooled original once, turned upright and down to intermediateSize
+ * @param {string} filePath
+ * @param {Array<object>} variantProfile
+ * @param {number} [orientation] - EXIF orientation of the file, see orientation.js
+ * @returns {Promise<{pipeline: function(): sharp.Sharp, width: number, height: number, original: {width: number, height: number}}>}
+ *   `pipeline()` returns a clone of the decoded image for one variant; `original` is the upright size of the file
+ */
+async function decodeForVariants(filePath, variantProfile, orientation = 1) {
+	const { width, height } = displaySize(await sharp(filePath).metadata(), orientation);
+	const target = intermediateSize(width, height, variantProfile);
+
+	const { data, info } = await orient(sharp(filePath, { sequentialRead: true }), orientation)
+		.resize(target.width, target.height, { fit: 'fill' })
+		.toColourspace('srgb')
+		.raw({ depth: 'uchar' })
+		.toBuffer({ resolveWithObject: true });
+
+	const decoded = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+	return {
+		pipeline: () => decoded.clone(),
+		width: info.width,
+		height: info.height,
+		original: { width, height }
+	};
+}
+
+/**
+ * Upload a file with a multipart upload, one part in memory at a time
+ * @param {S3Client} s3Client
+ * @param {{Bucket: string, Key: string, ContentType?: string, Metadata?: object, Tagging?: string, filePath: string, partSize?: number, retry?: function}} options
+ *   `retry(fn)` wraps each S3 call (e.g. retryWithBackoff)
+ * @returns {Promise<{parts: number}>}
+ */
+async function uploadFileMultipart(s3Client, { Bucket, Key, ContentType, Metadata, Tagging, filePath, partSize = MIN_PART_SIZE, retry = (fn) => fn() }) {
+	const size = Math.max(partSize, MIN_PART_SIZE);
+	const { UploadId } = await retry(() => s3Client.send(new CreateMultipartUploadCommand({ Bucket, Key, ContentType, Metadata, Tagging })));
+	const file = await fs.promises.open(filePath, 'r');
+
+	try {
+		const parts = [];
+		const buffer = Buffer.alloc(size);
+		for (let PartNumber = 1; ; PartNumber++) {
+			const { bytesRead } = await file.read(buffer, 0, size, (PartNumber - 1) * size);
+			if (bytesRead === 0 && PartNumber > 1) {
+				break;
+			}
+			const Body = buffer.subarray(0, bytesRead);
+			const { ETag } = await retry(() => s3Client.send(new UploadPartCommand({ Bucket, Key, UploadId, PartNumber, Body })));
+			parts.push({ ETag, PartNumber });
+			if (bytesRead < size) {
+				break;
+			}
+		}
+
+		await retry(() => s3Client.send(new CompleteMultipartUploadCommand({ Bucket, Key, UploadId, MultipartUpload: { Parts: parts } })));
+		return { parts: parts.length };
+	} catch (error) {
+		// Don't leave invisible parts behind to be billed
+		await s3Client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId })).catch(abortError =>
+			log.warn(`Failed to abort multipart upload of ${Key}`, { error: abortError }));
+		throw error;
+	} finally {
+		await file.close();
+	}
+}
+
+module.exports = {
+	HEAD_BYTES,
+	spoolToFile,
+	intermediateSize,
+	decodeForVariants,
+	uploadFileMultipart
+};
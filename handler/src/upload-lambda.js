@@ -1,43 +1,91 @@
 /**
  * This AWS Lambda function processes images uploaded to S3:
- * - File is converted to multiple sizes (large, medium, small, thumbnail)
+ * - JPEG, PNG, TIFF, WebP, HEIC/HEIF and camera RAW uploads are accepted
+ * - File is converted to multiple sizes defined by a variant profile (large, medium, small, thumbnail by default)
  * - EXIF data is extracted for metadata
  * - Duplicate detection allows keeping, moving, deleting, or replacing duplicates
  * - All images and metadata are uploaded back to a companion S3 bucket
+ * - Deleting an upload from ingress deletes or archives its processed photo folder
  * - Buckets are arranged in ingress/processed pairs for organized workflows
  */
 
-const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command, CopyObjectCommand } = require("@aws-sdk/client-s3");
+const { S3Client } = require("@aws-sdk/client-s3");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
 const sharp = require("sharp");
 const ExifParser = require("exif-parser");
-
-// Supported image formats
-const SUPPORTED_FORMATS = ["jpg", "jpeg", "png", "tiff", "tif", "webp"];
-
-// Retry utility function
-const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
+const { INPUT_FORMATS, SUPPORTED_FORMATS, sniffMimeType, prepareSourceImage, prepareSpooledSource } = require("./input-formats");
+const { spoolToFile, decodeForVariants } = require("./streaming");
+const { isSourceUnavailable, linkedMetadata } = require("./original-copy");
+const { computeContentHash, computeDHash, compareHashes } = require("./image-hashes");
+const { createS3Storage, createFileStorage } = require("./storage");
+const { createBucketIndexStore, createFileIndexStore, createDuplicateIndex } = require("./duplicate-index");
+const { createCatalog, shardOf } = require("./photo-catalog");
+const { diffMetadata, hasChanges, describeChanges } = require("./metadata-diff");
+const { normalizeGps, readGpsTags } = require("./gps-normalizer");
+const { DEFAULT_GAZETTEER_DIR, loadGazetteer, createReverseGeocoder } = require("./reverse-geocoder");
+const { readOffsetTags, resolveShotTime, isValidTimeZone } = require("./shot-time");
+const { DEFAULT_NAMING_TEMPLATE, compileNamingTemplate } = require("./naming-template");
+const { OUTPUT_FORMATS, parseFormats, parseVariantProfile, resolveVariantProfile, buildPictureManifest } = require("./variant-profiles");
+const { normalizeWatermark, parseWatermark, createWatermarker } = require("./watermark");
+const { normalizePrivacy, parsePrivacy, redactMetadata } = require("./privacy");
+const { isCropped, findCropBox, scaleBox } = require("./smart-crop");
+const { displaySize, orient, rotateOrientation } = require("./orientation");
+const { validateUserEdits, recordedEdits } = require("./user-edits");
+const { normalizeAlbumRules, parseAlbumRules, albumsOf, createAlbums } = require("./albums");
+const { createGallery } = require("./gallery");
+const { log, withLogContext, setLogContext } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+// Formats for variants that don't list their own (needed before CONFIG to parse the default profile)
+const VARIANT_FORMATS = parseFormats(process.env.VARIANT_FORMATS || 'webp', 'VARIANT_FORMATS');
+
+// Retry utility function (errors `isRetryable` rejects are thrown straight away)
+const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000, isRetryable = () => true) => {
 	for (let attempt = 1; attempt <= maxRetries; attempt++) {
 		try {
 			return await fn();
 		} catch (error) {
-			if (attempt === maxRetries) {
+			if (attempt === maxRetries || !isRetryable(error)) {
 				throw error;
 			}
 
 			// Exponential backoff with jitter
 			const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000;
-			console.warn(`Attempt ${attempt} failed: ${error.message}. Retrying in ${Math.round(delay)}ms...`);
+			log.warn(`Attempt ${attempt} failed: ${error.message}. Retrying in ${Math.round(delay)}ms...`, { attempt, error });
 			await new Promise(resolve => setTimeout(resolve, delay));
 		}
 	}
 };
 
-// Memory monitoring utility
+// Run an async mapper over items with at most `limit` in flight, preserving order
+const mapWithConcurrency = async (items, limit, mapper) => {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await mapper(items[index], index);
+		}
+	};
+	const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+	await Promise.all(workers);
+	return results;
+};
+
+// Memory monitoring utility (peak RSS is what counts against the Lambda memory size)
 const logMemoryUsage = (phase) => {
 	const used = process.memoryUsage();
 	const mb = (bytes) => Math.round(bytes / 1024 / 1024 * 100) / 100;
-	console.info(`Memory usage [${phase}]: RSS: ${mb(used.rss)}MB, Heap: ${mb(used.heapUsed)}/${mb(used.heapTotal)}MB, External: ${mb(used.external)}MB`);
+	const peakRss = process.resourceUsage().maxRSS * 1024;
+	log.info(`Memory usage [${phase}]: RSS: ${mb(used.rss)}MB (peak ${mb(peakRss)}MB), Heap: ${mb(used.heapUsed)}/${mb(used.heapTotal)}MB, External: ${mb(used.external)}MB`, {
+		checkpoint: phase,
+		memoryMb: { rss: mb(used.rss), peakRss: mb(peakRss), heapUsed: mb(used.heapUsed), heapTotal: mb(used.heapTotal), external: mb(used.external) }
+	});
 };
 
 // Configuration from environment variables
@@ -45,328 +93,1572 @@ const CONFIG = {
 	// Comma-separated list of allowed source buckets (optional - if not set, allows any bucket)
 	ALLOWED_SOURCE_BUCKETS: process.env.ALLOWED_SOURCE_BUCKETS?.split(',').map(b => b.trim()),
 
-	// Bucket mappings: ingress bucket → processed bucket (JSON object)
+	// Bucket mappings: ingress bucket → { processed, variants? } (JSON object)
 	BUCKET_MAPPINGS: process.env.BUCKET_MAPPINGS ? JSON.parse(process.env.BUCKET_MAPPINGS) : {},
 
+	// Default output formats for variants, first one is primary (comma-separated: webp, avif, jpeg, png)
+	VARIANT_FORMATS,
+
+	// Default variant profile (JSON array of { name, width, height, fit, formats, quality })
+	VARIANT_PROFILE: parseVariantProfile(process.env.VARIANT_PROFILE, VARIANT_FORMATS),
+
+	// Default watermark (JSON object, see watermark.js; a bucket mapping's `watermark` overrides it)
+	WATERMARK: parseWatermark(process.env.WATERMARK),
+
+	// Default privacy policy for public outputs (JSON object, see privacy.js; a bucket mapping's `privacy` overrides it)
+	PRIVACY: parsePrivacy(process.env.PRIVACY),
+
 	// Whether to check for duplicates before processing
 	CHECK_DUPLICATES: process.env.CHECK_DUPLICATES !== 'false', // default true
 
+	// Maximum perceptual hash (dHash) Hamming distance, out of 64 bits, still treated as a duplicate
+	DUPLICATE_HASH_THRESHOLD: parseInt(process.env.DUPLICATE_HASH_THRESHOLD ?? '5'),
+
+	// Where the duplicate index lives: 's3' (under INDEX_PREFIX in the processed bucket) or 'file'
+	DUPLICATE_INDEX_STORE: process.env.DUPLICATE_INDEX_STORE || 's3',
+
+	// Root directory for the 'file' duplicate index store (one subdirectory per processed bucket)
+	DUPLICATE_INDEX_DIR: process.env.DUPLICATE_INDEX_DIR || '/tmp/photo3s-duplicate-index',
+
+	// Look up the nearest locality, region and country of GPS-tagged photos
+	GEOCODING_ENABLED: process.env.GEOCODING_ENABLED !== 'false',
+
+	// Gazetteer used for reverse geocoding (GeoNames layout; the bundled one covers major and coastal places)
+	GAZETTEER_DIR: process.env.GAZETTEER_DIR || DEFAULT_GAZETTEER_DIR,
+
+	// Photos further than this from any gazetteer locality get no location (e.g. mid-ocean)
+	GEOCODE_MAX_DISTANCE_KM: parseFloat(process.env.GEOCODE_MAX_DISTANCE_KM) || 150,
+
+	// Folder naming template (a bucket mapping's `naming` overrides it), see naming-template.js
+	NAMING_TEMPLATE: compileNamingTemplate(process.env.NAMING_TEMPLATE || DEFAULT_NAMING_TEMPLATE, 'NAMING_TEMPLATE'),
+
+	// IANA timezone assumed for photos without an EXIF offset, GPS time or geocoded location
+	// (a bucket mapping's `timezone` overrides it; unset means the camera clock is taken as UTC)
+	DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || null,
+
+	// Maintain a catalog of every photo, sharded by shot month, for gallery frontends
+	CATALOG_ENABLED: process.env.CATALOG_ENABLED !== 'false',
+
+	// Where the catalog lives in the processed bucket (public, unlike INDEX_PREFIX)
+	CATALOG_PREFIX: process.env.CATALOG_PREFIX || 'catalog/',
+
+	// Album rules grouping photos into album manifests (JSON array, see albums.js; a bucket mapping's `albums` overrides them)
+	ALBUMS: parseAlbumRules(process.env.ALBUMS),
+
+	// Where album manifests live in the processed bucket (public like the catalog)
+	ALBUMS_PREFIX: process.env.ALBUMS_PREFIX || 'albums/',
+
+	// Keep a static HTML gallery of the catalog: photos that come and go are marked for the scheduled
+	// generate-gallery operation, which renders the pages they changed (see gallery.js)
+	GALLERY_ENABLED: process.env.GALLERY_ENABLED === 'true', // default false
+
+	// Where the gallery pages live in the processed bucket (public)
+	GALLERY_PREFIX: process.env.GALLERY_PREFIX || 'gallery/',
+
+	// Photos per gallery page
+	GALLERY_PAGE_SIZE: parseInt(process.env.GALLERY_PAGE_SIZE) || 48,
+
+	// Title of the gallery pages
+	GALLERY_TITLE: process.env.GALLERY_TITLE || 'Photos',
+
 	// What to do with duplicate originals: 'delete', 'move', 'keep', 'replace'
 	DUPLICATE_ACTION: process.env.DUPLICATE_ACTION || 'replace',
 
 	// Prefix for duplicate files (when DUPLICATE_ACTION is 'move')
 	DUPLICATES_PREFIX: process.env.DUPLICATES_PREFIX || 'duplicates/',
 
+	// What to do with a processed folder when its ingress upload is deleted: 'delete', 'archive', 'keep'
+	INGRESS_DELETE_POLICY: process.env.INGRESS_DELETE_POLICY || 'archive',
+
+	// Prefix that archived photo folders (and preserved user.json edits) are moved under
+	ARCHIVE_PREFIX: process.env.ARCHIVE_PREFIX || 'archive/',
+
+	// Keep a copy of non-empty user.json edits under ARCHIVE_PREFIX when the 'delete' policy removes a folder
+	PRESERVE_USER_EDITS: process.env.PRESERVE_USER_EDITS !== 'false', // default true
+
+	// What to do with a user.json that fails validation: 'quarantine' (move it aside and restore the
+	// last approved edits) or 'reject' (leave it in place, unapplied)
+	USER_EDITS_INVALID_ACTION: process.env.USER_EDITS_INVALID_ACTION || 'quarantine',
+
+	// What to do with an upload that failed to process: 'move' it under FAILED_PREFIX, 'tag' it in place
+	// or 'keep' it as it is; a sidecar JSON under FAILED_PREFIX describes the failure either way
+	FAILED_ACTION: process.env.FAILED_ACTION || 'move',
+
+	// Prefix failed uploads and their sidecars are quarantined under
+	FAILED_PREFIX: process.env.FAILED_PREFIX || 'failed/',
+
+	// Bucket failed uploads are quarantined in (default: their ingress bucket); keys then start with the ingress bucket name
+	FAILED_BUCKET: process.env.FAILED_BUCKET || null,
+
+	// Attempts at an upload failing with a retryable error before it is quarantined (asynchronous invocations get 3)
+	FAILED_MAX_ATTEMPTS: parseInt(process.env.FAILED_MAX_ATTEMPTS) || 3,
+
+	// Prefix for private bookkeeping objects in the processed bucket
+	INDEX_PREFIX: process.env.INDEX_PREFIX || '_index/',
+
+	// Prefix for originals and full metadata kept private by a privacy policy (mirrors the photo folders)
+	PRIVATE_PREFIX: process.env.PRIVATE_PREFIX || '_private/',
+
 	// Maximum file size to process (in bytes, default 100MB)
 	MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024,
 
+	// Low-memory streaming path for large originals: 'auto' (at STREAMING_THRESHOLD and above), 'always', 'off'
+	STREAMING_MODE: process.env.STREAMING_MODE || 'auto',
+
+	// Original size (in bytes, default 32MB) from which 'auto' streams
+	STREAMING_THRESHOLD: parseInt(process.env.STREAMING_THRESHOLD) || 32 * 1024 * 1024,
+
+	// Where streamed originals are spooled (Lambda: /tmp, sized with ephemeral storage)
+	SPOOL_DIR: process.env.SPOOL_DIR || os.tmpdir(),
+
+	// Part size for the multipart upload of streamed originals (in bytes, minimum and default 8MB)
+	MULTIPART_PART_SIZE: parseInt(process.env.MULTIPART_PART_SIZE) || 8 * 1024 * 1024,
+
 	// Timeout for individual operations (milliseconds)
 	OPERATION_TIMEOUT: parseInt(process.env.OPERATION_TIMEOUT) || 30000,
 
+	// Maximum number of records from one event processed at the same time
+	RECORD_CONCURRENCY: parseInt(process.env.RECORD_CONCURRENCY) || 2,
+
+	// Where buckets live: 's3', or 'file' for a local directory per bucket (offline runs, see cli.js)
+	STORAGE_BACKEND: process.env.STORAGE_BACKEND || 's3',
+
+	// Root directory of the 'file' storage backend (buckets named with an absolute path are used as is)
+	STORAGE_DIR: process.env.STORAGE_DIR || process.cwd(),
+
 	// Enable detailed logging
-	DETAILED_LOGGING: process.env.DETAILED_LOGGING === 'true'
+	DETAILED_LOGGING: process.env.DETAILED_LOGGING === 'true',
+
+	// Emit CloudWatch metrics (Embedded Metric Format, see metrics.js)
+	METRICS_ENABLED: process.env.METRICS_ENABLED !== 'false', // default true
+
+	// CloudWatch namespace of the metrics
+	METRICS_NAMESPACE: process.env.METRICS_NAMESPACE || 'Photo3s'
 };
 
+const storage = CONFIG.STORAGE_BACKEND === 'file'
+	? createFileStorage(CONFIG.STORAGE_DIR)
+	: createS3Storage(s3Client);
+
+const metrics = createMetrics({ namespace: CONFIG.METRICS_NAMESPACE, enabled: CONFIG.METRICS_ENABLED });
+
 // Log configuration at startup for debugging
-console.info('Lambda Configuration:');
-console.info('- Allowed source buckets:', CONFIG.ALLOWED_SOURCE_BUCKETS || 'any');
-console.info('- Bucket mappings:', JSON.stringify(CONFIG.BUCKET_MAPPINGS, null, 2));
+log.info('Lambda configuration', {
+	allowedSourceBuckets: CONFIG.ALLOWED_SOURCE_BUCKETS || 'any',
+	bucketMappings: CONFIG.BUCKET_MAPPINGS
+});
 
 
 /**
- * Check for potential duplicates by searching existing processed files
- * Uses date-based prefix searching for efficiency
+ * Duplicate index for a processed bucket, kept in the bucket (default) or in local files
  */
-async function checkForDuplicates(targetBucket, shotDate, camera, fileSize, exif) {
+function duplicateIndexFor(targetBucket) {
+	const store = CONFIG.DUPLICATE_INDEX_STORE === 'file'
+		? createFileIndexStore(path.join(CONFIG.DUPLICATE_INDEX_DIR, targetBucket))
+		: createBucketIndexStore(storage, targetBucket, `${CONFIG.INDEX_PREFIX}duplicates/`);
+	return createDuplicateIndex(store);
+}
+
+/**
+ * Check for duplicates through the persistent duplicate index.
+ * With only a content hash this is a single exact lookup (done before any image work);
+ * with a perceptual hash it finds near matches within DUPLICATE_HASH_THRESHOLD.
+ * @param {object} duplicateIndex - from duplicateIndexFor
+ * @param {{sha256: string, dhash?: string}} hashes - hashes of the new upload
+ * @param {object|null} shotTime - resolved shot time of the new upload (from resolveShotTime)
+ * @param {{sourceBucket: string, originalKey: string}} upload - where the new upload is
+ * @returns {Promise<object>} the match; `alreadyProcessed` when the index entry is this very upload
+ */
+async function checkForDuplicates(duplicateIndex, hashes, shotTime, upload) {
+	// S3 delivers events more than once, and a retried event repeats the records that succeeded
+	const isSameUpload = (entry) => entry.sourceBucket === upload.sourceBucket && entry.originalKey === upload.originalKey;
 	try {
-		const dateStr = shotDate.toISOString().split('T')[0]; // YYYY-MM-DD
-		const searchPrefix = `photo-${dateStr.replace(/[:.]/g, "-")}`;
+		if (!hashes.dhash) {
+			const entry = await duplicateIndex.findByContentHash(hashes.sha256);
+			if (!entry) {
+				return { isDuplicate: false };
+			}
+			if (isSameUpload(entry)) {
+				log.info(`Upload already processed in ${entry.photoFolder}`, { existingFile: entry.photoFolder });
+				return { isDuplicate: false, alreadyProcessed: true, existingFile: entry.photoFolder };
+			}
+			log.info(`Identical content already processed in ${entry.photoFolder}`, { existingFile: entry.photoFolder });
+			return { ...compareHashes(hashes, entry, CONFIG.DUPLICATE_HASH_THRESHOLD), existingFile: entry.photoFolder };
+		}
 
-		console.info(`Searching for duplicates with prefix: ${searchPrefix}`);
+		const currentTimestamp = shotInstant(shotTime);
+		const matches = await duplicateIndex.findSimilar(hashes.dhash, CONFIG.DUPLICATE_HASH_THRESHOLD);
 
-		// List objects with date-based prefix to narrow search
-		const listCommand = new ListObjectsV2Command({
-			Bucket: targetBucket,
-			Prefix: searchPrefix,
-			MaxKeys: 100 // Reasonable limit for same-day photos
-		});
+		for (const { entry } of matches) {
+			// An earlier version of an overwritten upload
+			if (isSameUpload(entry)) {
+				continue;
+			}
+			// Burst shots look alike; a perceptual match with a different shot time is a different photo
+			if (currentTimestamp && entry.dateTimeOriginal && currentTimestamp !== entry.dateTimeOriginal) {
+				log.info(`Perceptual match with ${entry.photoFolder} ignored: shot times differ`, { existingFile: entry.photoFolder });
+				continue;
+			}
+
+			const match = compareHashes(hashes, entry, CONFIG.DUPLICATE_HASH_THRESHOLD);
+			log.info(`Duplicate of ${entry.photoFolder}: ${match.reason} (confidence ${match.confidence})`, {
+				existingFile: entry.photoFolder, reason: match.reason, confidence: match.confidence
+			});
+			return { ...match, existingFile: entry.photoFolder, candidatesChecked: matches.length };
+		}
+
+		return { isDuplicate: false, candidatesChecked: matches.length };
+	} catch (error) {
+		log.warn("Duplicate check failed", { error });
+		// Don't fail processing if duplicate check fails
+		return { isDuplicate: false, error: error.message };
+	}
+}
 
-		const response = await s3Client.send(listCommand);
+// metadata.json of a live photo folder (not archived, not bookkeeping)
+const isPhotoMetadataKey = (key) =>
+	key.endsWith('/metadata.json') && ![CONFIG.ARCHIVE_PREFIX, CONFIG.INDEX_PREFIX, CONFIG.PRIVATE_PREFIX].some(prefix => key.startsWith(prefix));
 
-		if (!response.Contents || response.Contents.length === 0) {
-			return { isDuplicate: false, filesChecked: 0 };
+/**
+ * Read every photo's metadata.json in a processed bucket (archived folders excluded)
+ * @returns {Promise<Array<{photoFolder: string, metadata: object}>>}
+ */
+async function listPhotoMetadata(targetBucket) {
+	const metadataKeys = (await listFolderKeys(targetBucket, '')).filter(isPhotoMetadataKey);
+
+	const photos = [];
+	for (const metadataKey of metadataKeys) {
+		const metadata = await readJsonObject(targetBucket, metadataKey);
+		if (metadata) {
+			photos.push({ photoFolder: metadataKey.replace('metadata.json', ''), metadata });
 		}
+	}
+	return photos;
+}
 
-		console.info(`Found ${response.Contents.length} existing files from same date`);
+/**
+ * Rebuild the duplicate index of a processed bucket from the hashes in its metadata.json files.
+ * Photos processed before hashes were recorded have to be reprocessed to be indexed.
+ * @param {string} targetBucket - processed bucket
+ */
+async function rebuildDuplicateIndex(targetBucket) {
+	const startTime = Date.now();
+	const duplicateIndex = duplicateIndexFor(targetBucket);
+
+	let indexed = 0;
+	const missingHashes = [];
+	for (const { photoFolder, metadata } of await listPhotoMetadata(targetBucket)) {
+		if (!metadata.hashes) {
+			missingHashes.push(photoFolder);
+			continue;
+		}
+		await duplicateIndex.add(duplicateIndexEntry(metadata));
+		indexed++;
+	}
+
+	log.info(`Duplicate index rebuilt for ${targetBucket}: ${indexed} indexed, ${missingHashes.length} without hashes`, { indexed, missingHashes: missingHashes.length });
+	return {
+		status: "success",
+		operation: "rebuild-duplicate-index",
+		bucket: targetBucket,
+		indexed,
+		missingHashes,
+		processingTimeMs: Date.now() - startTime
+	};
+}
 
-		// Look for JSON metadata files to compare
-		const jsonFiles = response.Contents.filter(obj => obj.Key.endsWith('.json'));
+/**
+ * Rebuild the photo catalog of a processed bucket from its metadata.json files
+ * @param {string} targetBucket - processed bucket
+ */
+async function rebuildCatalog(targetBucket) {
+	const startTime = Date.now();
+	const photos = await listPhotoMetadata(targetBucket);
+	const shards = await createCatalog(storage, targetBucket, CONFIG.CATALOG_PREFIX).rebuild(photos.map(p => p.metadata));
 
-		for (const jsonFile of jsonFiles) {
-			try {
-				// Download and parse the metadata
-				const metadataCommand = new GetObjectCommand({
-					Bucket: targetBucket,
-					Key: jsonFile.Key
-				});
-				const metadataResponse = await s3Client.send(metadataCommand);
-
-				const chunks = [];
-				for await (const chunk of metadataResponse.Body) {
-					chunks.push(chunk);
-				}
-				const metadataStr = Buffer.concat(chunks).toString();
-				const existingMetadata = JSON.parse(metadataStr);
-
-				// Compare file size first (fastest check)
-				if (Math.abs(existingMetadata.fileSize - fileSize) < 1024) { // Within 1KB
-					console.info(`Size match found: ${existingMetadata.fileSize} vs ${fileSize}`);
-
-					// Compare timestamps if both have EXIF data
-					if (exif && existingMetadata.exifData) {
-						const existingTimestamp = existingMetadata.exifData.dateTimeOriginal;
-						const currentTimestamp = exif.tags.DateTimeOriginal ?
-							new Date(exif.tags.DateTimeOriginal * 1000).toISOString() : null;
-
-						if (existingTimestamp && currentTimestamp && existingTimestamp === currentTimestamp) {
-							// Compare camera info
-							const existingCamera = existingMetadata.exifData.make || 'unknown';
-							const currentCamera = exif.tags.Make || 'unknown';
-
-							if (existingCamera.toLowerCase() === currentCamera.toLowerCase()) {
-								// Compare dimensions if available
-								if (existingMetadata.originalDimensions && exif.imageSize) {
-									const widthMatch = existingMetadata.originalDimensions.width === exif.imageSize.width;
-									const heightMatch = existingMetadata.originalDimensions.height === exif.imageSize.height;
-
-									if (widthMatch && heightMatch) {
-										return {
-											isDuplicate: true,
-											reason: "exact_match_exif_timestamp_camera_dimensions",
-											existingFile: jsonFile.Key.replace('.json', ''),
-											confidence: "high",
-											filesChecked: jsonFiles.length
-										};
-									}
-								}
-
-								return {
-									isDuplicate: true,
-									reason: "exact_match_exif_timestamp_camera",
-									existingFile: jsonFile.Key.replace('.json', ''),
-									confidence: "high",
-									filesChecked: jsonFiles.length
-								};
-							}
-						}
-					}
-
-					// If no EXIF comparison possible, use file size + camera as lower confidence match
-					if (existingMetadata.camera.toLowerCase() === camera.toLowerCase()) {
-						return {
-							isDuplicate: true,
-							reason: "size_camera_match_no_exif_comparison",
-							existingFile: jsonFile.Key.replace('.json', ''),
-							confidence: "medium",
-							filesChecked: jsonFiles.length
-						};
-					}
-				}
-			} catch (parseError) {
-				console.warn(`Failed to parse metadata for ${jsonFile.Key}:`, parseError.message);
-				continue;
-			}
+	log.info(`Catalog rebuilt for ${targetBucket}: ${photos.length} photos in ${shards} shards`, { photos: photos.length, shards });
+	return {
+		status: "success",
+		operation: "rebuild-catalog",
+		bucket: targetBucket,
+		photos: photos.length,
+		shards,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+/**
+ * Rebuild a processed bucket's album manifests from the memberships recorded in each metadata.json.
+ * Memberships follow changed album rules once the photos are reprocessed.
+ */
+async function rebuildAlbums(targetBucket) {
+	const startTime = Date.now();
+	const photos = await listPhotoMetadata(targetBucket);
+	const albums = await createAlbums(storage, targetBucket, CONFIG.ALBUMS_PREFIX, albumRulesFor(targetBucket)).rebuild(photos.map(p => p.metadata));
+
+	log.info(`Albums rebuilt for ${targetBucket}: ${photos.length} photos in ${albums} albums`, { photos: photos.length, albums });
+	return {
+		status: "success",
+		operation: "rebuild-albums",
+		bucket: targetBucket,
+		photos: photos.length,
+		albums,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+/**
+ * Render a processed bucket's gallery pages from its catalog: the pages that changed (or whose
+ * photos were marked) since the last run, or all of them with `full` (e.g. after changing GALLERY_PAGE_SIZE or GALLERY_TITLE)
+ * @param {string} targetBucket - processed bucket
+ * @param {object} [options]
+ * @param {boolean} [options.full] - render every page
+ */
+async function generateGallery(targetBucket, { full = false } = {}) {
+	const startTime = Date.now();
+	const { photos, written, removed } = await galleryFor(targetBucket).update({ full });
+
+	log.info(`Gallery of ${targetBucket} updated`, { action: 'generate_gallery', photos, pagesWritten: written.length, pagesRemoved: removed.length });
+	return {
+		status: "success",
+		operation: "generate-gallery",
+		bucket: targetBucket,
+		photos,
+		pagesWritten: written.length,
+		pagesRemoved: removed.length,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+/**
+ * Regenerate the variants and metadata.json of processed photos from the originals kept in
+ * their folders, e.g. after the variant profile or EXIF handling changed. Folder names,
+ * originals and user.json are left alone. Photos are reprocessed one at a time in folder
+ * order; a run that stops early returns the last folder done as `checkpoint`, which a
+ * later run resumes from as `startAfter`.
+ * @param {string} targetBucket - processed bucket
+ * @param {object} [options]
+ * @param {string} [options.prefix] - only photo folders under this prefix
+ * @param {boolean} [options.dryRun] - work out what would change without writing anything
+ * @param {string} [options.startAfter] - checkpoint of an earlier run
+ * @param {number} [options.maxPhotos] - stop after this many photos
+ * @param {function} [options.shouldStop] - checked before each photo (e.g. Lambda time left)
+ * @param {function} [options.onResult] - called with each photo's result and the progress so far
+ */
+async function reprocessBucket(targetBucket, { prefix = '', dryRun = false, startAfter = null, maxPhotos = Infinity, shouldStop = () => false, onResult = () => {} } = {}) {
+	const startTime = Date.now();
+	const photoFolders = (await listFolderKeys(targetBucket, prefix))
+		.filter(isPhotoMetadataKey)
+		.map(metadataKey => metadataKey.slice(0, -'metadata.json'.length))
+		.filter(photoFolder => !startAfter || photoFolder > startAfter);
+	log.info(`Reprocessing ${photoFolders.length} photo(s) in ${targetBucket}`, { action: 'reprocess', photos: photoFolders.length, prefix, startAfter: startAfter || null, dryRun });
+
+	const results = [];
+	for (const photoFolder of photoFolders) {
+		if (results.length >= maxPhotos || shouldStop()) {
+			break;
 		}
+		const result = await withLogContext({ photoFolder }, () => reprocessPhoto(targetBucket, photoFolder, { dryRun }));
+		results.push(result);
+		onResult(result, { done: results.length, total: photoFolders.length });
+	}
 
-		return {
-			isDuplicate: false,
-			filesChecked: jsonFiles.length,
-			searchPrefix
+	const count = (status) => results.filter(r => r.status === status).length;
+	const complete = results.length === photoFolders.length;
+	log.info(`Reprocessed ${results.length}/${photoFolders.length} photo(s): ${count('changed')} changed, ${count('unchanged')} unchanged, ${count('skipped')} skipped, ${count('error')} failed`, {
+		changed: count('changed'), unchanged: count('unchanged'), skipped: count('skipped'), failed: count('error')
+	});
+	return {
+		status: count('error') > 0 ? 'partial_failure' : 'success',
+		operation: 'reprocess',
+		bucket: targetBucket,
+		prefix,
+		dryRun,
+		changed: count('changed'),
+		unchanged: count('unchanged'),
+		skipped: count('skipped'),
+		failed: count('error'),
+		complete,
+		// Pass as startAfter to carry on where this run stopped
+		checkpoint: complete ? null : results[results.length - 1]?.photoFolder ?? startAfter,
+		results,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+// BUCKET_MAPPINGS entry of the ingress bucket a photo came from, or of a mapping into the processed bucket for older photos
+const reprocessMapping = (targetBucket, sourceBucket) => CONFIG.BUCKET_MAPPINGS[sourceBucket] ||
+	Object.values(CONFIG.BUCKET_MAPPINGS).find(mapping => mapping.processed === targetBucket);
+
+// Album rules of the photos in a processed bucket, e.g. for the titles of its albums
+const albumRulesFor = (targetBucket, sourceBucket) =>
+	resolveMappingOverride(reprocessMapping(targetBucket, sourceBucket), 'albums', normalizeAlbumRules, CONFIG.ALBUMS);
+
+/**
+ * Variant profile, default timezone, watermark, privacy policy and album rules a processed photo is regenerated with:
+ * those of the ingress bucket it came from, or of a mapping into the processed bucket for older photos
+ */
+function resolveReprocessSettings(targetBucket, sourceBucket) {
+	const bucketMapping = reprocessMapping(targetBucket, sourceBucket);
+	const defaultTimeZone = bucketMapping?.timezone || CONFIG.DEFAULT_TIMEZONE;
+	if (defaultTimeZone && !isValidTimeZone(defaultTimeZone)) {
+		throw new Error(`Unknown timezone ${defaultTimeZone} configured for ${sourceBucket || targetBucket}`);
+	}
+	return {
+		variantProfile: resolveVariantProfile(bucketMapping, CONFIG.VARIANT_PROFILE, CONFIG.VARIANT_FORMATS),
+		defaultTimeZone,
+		watermark: resolveMappingOverride(bucketMapping, 'watermark', normalizeWatermark, CONFIG.WATERMARK),
+		privacy: resolveMappingOverride(bucketMapping, 'privacy', normalizePrivacy, CONFIG.PRIVACY),
+		albumRules: resolveMappingOverride(bucketMapping, 'albums', normalizeAlbumRules, CONFIG.ALBUMS)
+	};
+}
+
+/**
+ * Regenerate one photo folder from its stored original. Never throws.
+ * @param {object} options
+ * @param {boolean} options.dryRun - work out what would change without writing anything
+ * @param {boolean} [options.cropsOnly] - only regenerate cropped variants (e.g. after a focal point change),
+ *   falling back to the whole photo when other variants are missing or the watermark changed
+ * @returns {Promise<object>} changed, unchanged, skipped or error result
+ */
+async function reprocessPhoto(targetBucket, photoFolder, { dryRun, cropsOnly = false }) {
+	const startTime = Date.now();
+	let processingPhase;
+	const enterPhase = (phase) => {
+		processingPhase = phase;
+		setLogContext({ phase });
+	};
+	enterPhase('read_metadata');
+	let spool = null;
+
+	try {
+		const previous = await readJsonObject(targetBucket, `${photoFolder}metadata.json`);
+		const originalPath = previous?.versions?.original?.path;
+		const ext = originalPath?.split('.').pop().toLowerCase();
+		if (!originalPath || !SUPPORTED_FORMATS.includes(ext)) {
+			return { status: "skipped", reason: "no_original", photoFolder };
+		}
+		const sourceBucket = previous.originalBucket || null;
+		const key = previous.originalKey || originalPath.split('/').pop();
+		// Originals kept separately by a privacy policy may be in another bucket
+		const originalBucket = previous.versions.original.bucket || targetBucket;
+		const { variantProfile, defaultTimeZone, watermark, privacy, albumRules } = resolveReprocessSettings(targetBucket, sourceBucket);
+		const userEdits = await readUserEdits(targetBucket, photoFolder);
+		// Invalid edits were never applied, so the photo keeps the ones it was last rendered with
+		const edits = userEdits.errors.length ? previous.userEdits : userEdits.edits;
+		if (userEdits.errors.length) {
+			log.warn(`Ignoring invalid user.json in ${photoFolder}: ${userEdits.errors.join('; ')}`, { errors: userEdits.errors });
+		}
+
+		enterPhase('download');
+		const download = await downloadImage(originalBucket, originalPath, ext);
+		const { imageBuffer } = download;
+		spool = download.spool;
+		const sha256 = spool ? spool.sha256 : computeContentHash(imageBuffer);
+		if (previous.hashes?.sha256 && previous.hashes.sha256 !== sha256) {
+			log.warn(`Original no longer matches the SHA-256 it was processed with`, { originalPath });
+		}
+
+		enterPhase('decode');
+		const source = spool
+			? await prepareSpooledSource(spool.filePath, spool.head, ext)
+			: await prepareSourceImage(imageBuffer, ext);
+
+		enterPhase('exif_parsing');
+		const { exif, camera, gpsCoords, location, shotTime } = await readPhotoDetails(source, defaultTimeZone);
+
+		enterPhase('hashing');
+		const hashes = { sha256, dhash: await computeDHash(source.renderBuffer || source.renderFile) };
+
+		enterPhase('image_processing');
+		const watermarker = await watermarkerFor(watermark);
+		// Variants that aren't cropped are kept as they are, as long as they are all there to keep
+		// and still turned the same way
+		const keepUncropped = cropsOnly &&
+			variantProfile.every(variant => isCropped(variant) || previous.versions[variant.name]) &&
+			(watermarker?.version ?? null) === (previous.watermark?.version ?? null) &&
+			(edits?.rotation || null) === (previous.rotation ?? null);
+		const renderProfile = keepUncropped ? variantProfile.filter(isCropped) : variantProfile;
+		const { variants } = await processImageVariants(withRotation(source, edits), renderProfile, watermarker, edits?.focalPoint);
+		const built = await buildMetadata({
+			key, sourceBucket, originalVersionId: previous.originalVersionId, baseName: photoFolder.replace(/\/$/, ''), shotTime, camera,
+			originalBytes: download.actualFileSize, source, hashes, exif, ext, processedVariants: variants, gpsCoords, location, watermarker, privacy, albumRules, userEdits: edits,
+			// The folder keeps its name, whatever the naming template says now
+			naming: previous.naming
+		});
+		// The original stays where it is, even if the policy would now put it elsewhere
+		const { path: _, bucket: __, ...originalVersion } = built.versions.original;
+		const metadata = {
+			...built,
+			...(keepUncropped && { watermark: previous.watermark }),
+			procDate: previous.procDate,
+			reprocDate: new Date().toISOString(),
+			versions: {
+				...Object.fromEntries(variantProfile.map(({ name }) => [name, built.versions[name] || previous.versions[name]])),
+				original: { path: originalPath, ...(previous.versions.original.bucket && { bucket: previous.versions.original.bucket }), ...originalVersion }
+			}
 		};
+		const publicMetadata = redactMetadata(metadata, privacy);
+
+		// metadata.json is compared as published
+		const changes = diffMetadata(previous, publicMetadata);
+		const result = { photoFolder, changes, summary: describeChanges(changes) };
+		if (!hasChanges(changes)) {
+			return { ...result, status: "unchanged", processingTimeMs: Date.now() - startTime };
+		}
+		if (dryRun) {
+			return { ...result, status: "changed", written: false, processingTimeMs: Date.now() - startTime };
+		}
+
+		enterPhase('upload');
+		const staleKeys = await replacePhotoOutputs({ targetBucket, photoFolder, previous, metadata, publicMetadata, variants, variantProfile });
+		const isPrivate = (version) => version?.private === true;
+		if (isPrivate(previous.versions.original) !== isPrivate(metadata.versions.original)) {
+			// Watermarking or the privacy policy changed: the original follows
+			await storage.setTags(originalBucket, originalPath, { private: String(isPrivate(metadata.versions.original)) });
+		}
+
+		enterPhase('indexing');
+		if (previous.hashes) {
+			await duplicateIndexFor(targetBucket).remove({ ...previous.hashes, photoFolder }).catch(error =>
+				log.warn(`Failed to remove old duplicate index entry for ${photoFolder}`, { error }));
+		}
+		await addToDuplicateIndex(duplicateIndexFor(targetBucket), metadata);
+		if (previous.shotDate && !isDeepStrictEqual(shardOf(previous), shardOf(metadata))) {
+			await updateCatalog(targetBucket, previous, 'remove');
+		}
+		await updateCatalog(targetBucket, publicMetadata, 'add');
+		await updateAlbums(targetBucket, publicMetadata, 'add', previous.albums);
+		await markGalleryChanged(targetBucket, photoFolder);
 
+		log.info(`Reprocessed ${photoFolder}`, { action: 'reprocess', photoFolder, summary: result.summary, changes: result.changes });
+		return { ...result, status: "changed", written: true, removedKeys: staleKeys, processingTimeMs: Date.now() - startTime };
 	} catch (error) {
-		console.warn("Duplicate check failed:", error.message);
-		// Don't fail processing if duplicate check fails
-		return { isDuplicate: false, error: error.message, filesChecked: 0 };
+		return { ...handleError(error, startTime, processingPhase, photoFolder), photoFolder };
+	} finally {
+		if (spool) {
+			await fs.promises.rm(spool.filePath, { force: true });
+		}
+	}
+}
+
+/**
+ * Write a reprocessed photo's variants, metadata.json (public and private) and srcset.json, then remove
+ * variant files the new profile no longer produces. The original and user.json are not touched.
+ * @returns {Promise<Array<string>>} keys removed
+ */
+async function replacePhotoOutputs({ targetBucket, photoFolder, previous, metadata, publicMetadata, variants, variantProfile }) {
+	const uploadWithRetry = (key, body, options) => retryWithBackoff(() => storage.putObject(targetBucket, key, body, options), 3, 1000);
+	const variantPaths = (versions) => Object.entries(versions || {})
+		.filter(([name]) => name !== 'original')
+		.flatMap(([, version]) => version.formats ? Object.values(version.formats).map(f => f.path) : [version.path]);
+
+	await Promise.all(Object.entries(variants).flatMap(([name, variant]) =>
+		Object.entries(variant.outputs).map(([format, output]) => uploadWithRetry(
+			metadata.versions[name].formats[format].path, output.buffer, { ContentType: OUTPUT_FORMATS[format].contentType }))));
+
+	// metadata.json only points at the new variants once they are all in place
+	await storePrivateMetadata(targetBucket, metadata);
+	await uploadWithRetry(`${photoFolder}metadata.json`, JSON.stringify(publicMetadata, null, 2), { ContentType: 'application/json' });
+	await uploadWithRetry(`${photoFolder}srcset.json`, JSON.stringify(buildPictureManifest(metadata.versions, variantProfile), null, 2), { ContentType: 'application/json' });
+
+	const current = new Set(variantPaths(metadata.versions));
+	const staleKeys = variantPaths(previous.versions)
+		.filter(key => key.startsWith(photoFolder) && !current.has(key) && key !== metadata.versions.original.path);
+	if (staleKeys.length) {
+		await deleteKeys(targetBucket, staleKeys);
+	}
+	if (previous.privateMetadata && !metadata.privateMetadata) {
+		// The policy no longer keeps a private copy
+		await storage.deleteObject(previous.privateMetadata.bucket || targetBucket, previous.privateMetadata.path);
+		staleKeys.push(previous.privateMetadata.path);
 	}
+	return staleKeys;
 }
 
+// Maintenance operations invoked directly with { "operation": ..., "bucket": ... }
+const MAINTENANCE_OPERATIONS = {
+	'rebuild-duplicate-index': rebuildDuplicateIndex,
+	'rebuild-catalog': rebuildCatalog,
+	'backfill-pointers': backfillPointers,
+	'rebuild-albums': rebuildAlbums,
+	'generate-gallery': (targetBucket, event) => generateGallery(targetBucket, { full: event.full === true }),
+	// Quarantined uploads are in (or listed by) their ingress bucket
+	'replay-failed': (targetBucket, event) => replayFailed(event.bucket, { prefix: event.prefix, dryRun: event.dryRun === true }),
+	'reprocess': (targetBucket, event, context) => reprocessBucket(targetBucket, {
+		prefix: event.prefix,
+		dryRun: event.dryRun === true,
+		startAfter: event.startAfter,
+		maxPhotos: event.maxPhotos,
+		// Leave time to finish the photo in hand and return the checkpoint
+		shouldStop: () => context?.getRemainingTimeInMillis?.() < 2 * CONFIG.OPERATION_TIMEOUT
+	})
+};
+
 /**
  * Handle duplicate file cleanup based on configuration
  */
-async function handleDuplicateFile(sourceBucket, key, targetBucket, duplicateCheck, duplicateAction, duplicatesPrefix, originalContentType) {
+async function handleDuplicateFile(sourceBucket, key, targetBucket, duplicateCheck, duplicateAction, duplicatesPrefix, originalContentType, isOriginalPrivate = false) {
 	try {
 		const timestamp = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").split(".")[0];
 		const originalFilename = key.split('/').pop(); // Get just the filename, not the full path
 
 		switch (duplicateAction.toLowerCase()) {
 			case 'replace':
-				console.info(`🔄 Replacing existing processed file for duplicate: ${key}`);
+				log.info(`Replacing the processed photo of a duplicate`, { action: 'replace', existingFile: duplicateCheck.existingFile });
 				// Delete the original duplicate - processing will continue and replace the existing processed file
-				await s3Client.send(new DeleteObjectCommand({
-					Bucket: sourceBucket,
-					Key: key
-				}));
-				console.info(`✅ Original duplicate deleted, will replace processed file: ${duplicateCheck.existingFile}`);
+				await deleteIngressObject(sourceBucket, key, targetBucket);
+				log.info(`Duplicate upload deleted, its processed photo will be replaced`, { action: 'replace', existingFile: duplicateCheck.existingFile });
 				return { action: 'replace', location: duplicateCheck.existingFile };
 
 			case 'delete':
-				console.info(`Deleting duplicate file: ${key}`);
-				await s3Client.send(new DeleteObjectCommand({
-					Bucket: sourceBucket,
-					Key: key
-				}));
-				console.info(`✅ Duplicate file deleted: ${key}`);
+				log.info(`Deleting duplicate file: ${key}`);
+				await deleteIngressObject(sourceBucket, key, targetBucket);
+				log.info(`Duplicate upload deleted`, { action: 'deleted', existingFile: duplicateCheck.existingFile });
 				return { action: 'deleted', location: null };
 
 			case 'move':
 				// Preserve original filename with processing timestamp: duplicates/2025-09-20_03-23-33-DSCF8545.jpg
 				const duplicateKey = `${duplicatesPrefix}${timestamp}-${originalFilename}`;
-				console.info(`Moving duplicate file to: ${duplicateKey}`);
+				log.info(`Moving duplicate file to: ${duplicateKey}`);
 
-				// Copy to duplicates folder with metadata about why it's a duplicate
-				const copyCommand = new CopyObjectCommand({
-					Bucket: targetBucket,
-					Key: duplicateKey,
-					CopySource: `${sourceBucket}/${encodeURIComponent(key)}`,
+				// Copy to duplicates folder with metadata about why it's a duplicate. The copy is the raw
+				// original (full EXIF, no watermark), so it is tagged private when a policy hides that
+				await storage.copyObject(sourceBucket, key, targetBucket, duplicateKey, {
 					ContentType: originalContentType || 'image/jpeg', // Ensure proper content type
 					ContentDisposition: 'inline', // Allow browser viewing instead of forcing download
-					CacheControl: 'public, max-age=86400', // 24 hour cache for duplicates
+					...(isOriginalPrivate
+						? { Tagging: PRIVATE_TAGGING, TaggingDirective: 'REPLACE' }
+						: { CacheControl: 'public, max-age=86400' }), // 24 hour cache for public duplicates
 					Metadata: {
 						'original-key': key,
 						'original-bucket': sourceBucket,
 						'duplicate-reason': duplicateCheck.reason,
-						'duplicate-confidence': duplicateCheck.confidence,
+						'duplicate-confidence': String(duplicateCheck.confidence),
 						'existing-file': duplicateCheck.existingFile,
 						'detected-at': new Date().toISOString()
 					},
 					MetadataDirective: 'REPLACE'
 				});
 
-				await s3Client.send(copyCommand);
-
 				// Delete original after successful copy
-				await s3Client.send(new DeleteObjectCommand({
-					Bucket: sourceBucket,
-					Key: key
-				}));
+				await deleteIngressObject(sourceBucket, key, targetBucket);
 
-				console.info(`✅ Duplicate file moved to: ${duplicateKey}`);
+				log.info(`Duplicate upload moved`, { action: 'moved', duplicateKey, existingFile: duplicateCheck.existingFile });
 				return { action: 'moved', location: duplicateKey };
 
 			case 'keep':
 			default:
-				console.info(`ℹ️ Keeping duplicate file in place: ${key}`);
+				log.info(`Duplicate upload kept in place`, { action: 'kept', existingFile: duplicateCheck.existingFile });
 				return { action: 'kept', location: key };
 		}
 	} catch (error) {
-		console.warn(`⚠️ Failed to handle duplicate file: ${error.message}`);
+		log.warn(`Failed to handle duplicate upload`, { action: duplicateAction, error });
 		// Don't fail the entire operation if duplicate handling fails
 		return { action: 'error', error: error.message };
 	}
 }
 
+/* ---------------- INGRESS REMOVAL ---------------- */
+
+// Private bookkeeping keys are hashed so any ingress key maps to a safe object name
+const indexKey = (kind, sourceBucket, key) =>
+	`${CONFIG.INDEX_PREFIX}${kind}/${crypto.createHash('sha256').update(`${sourceBucket}/${key}`).digest('hex')}.json`;
+
+// Bookkeeping and archived objects are tagged private, which the bucket policy keeps out of public reads
+const PRIVATE_TAGGING = 'private=true';
+
+/**
+ * Read and parse a JSON object, returning null if it does not exist
+ */
+async function readJsonObject(bucket, key) {
+	return (await storage.readJson(bucket, key))?.value ?? null;
+}
+
+/**
+ * Delete an ingress object on the processor's behalf. A marker is written first so the
+ * resulting ObjectRemoved event is recognised and doesn't clean up the processed folder.
+ */
+async function deleteIngressObject(sourceBucket, key, targetBucket) {
+	await storage.putObject(targetBucket, indexKey('ingress-deletes', sourceBucket, key),
+		JSON.stringify({ sourceBucket, key, deletedAt: new Date().toISOString() }),
+		{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING });
+	await storage.deleteObject(sourceBucket, key);
+}
+
+/**
+ * Find the processed folder for an ingress key through the pointer written at upload time.
+ * Photos processed before pointers existed get theirs from the backfill-pointers operation.
+ * @returns {Promise<string|null>} photo folder (with trailing slash)
+ */
+async function findProcessedFolder(targetBucket, sourceBucket, key) {
+	const pointer = await readJsonObject(targetBucket, indexKey('originals', sourceBucket, key));
+	return pointer?.photoFolder || null;
+}
+
+/**
+ * Write the ingress pointers (see uploadAllFiles) missing for photos processed before they existed,
+ * so deleting their uploads cleans up their folders. Pointers already there are left alone.
+ * @param {string} targetBucket - processed bucket
+ */
+async function backfillPointers(targetBucket) {
+	const startTime = Date.now();
+	// Older metadata.json has no originalBucket; it can only be told when one ingress bucket feeds this one
+	const ingressBuckets = Object.keys(CONFIG.BUCKET_MAPPINGS).filter(bucket => CONFIG.BUCKET_MAPPINGS[bucket].processed === targetBucket);
+	const defaultSourceBucket = ingressBuckets.length === 0 ? targetBucket : ingressBuckets.length === 1 ? ingressBuckets[0] : null;
+
+	let written = 0;
+	let existing = 0;
+	const unresolved = [];
+	for (const { photoFolder, metadata } of await listPhotoMetadata(targetBucket)) {
+		const sourceBucket = metadata.originalBucket || defaultSourceBucket;
+		if (!sourceBucket || !metadata.originalKey) {
+			unresolved.push(photoFolder);
+			continue;
+		}
+		const pointerKey = indexKey('originals', sourceBucket, metadata.originalKey);
+		if (await readJsonObject(targetBucket, pointerKey)) {
+			existing++;
+			continue;
+		}
+		await storage.putObject(targetBucket, pointerKey,
+			JSON.stringify({ sourceBucket, originalKey: metadata.originalKey, photoFolder }),
+			{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING });
+		written++;
+	}
+
+	log.info(`Ingress pointers of ${targetBucket}: ${written} written, ${existing} already there, ${unresolved.length} unresolved`, { written, existing, unresolved: unresolved.length });
+	return {
+		status: "success",
+		operation: "backfill-pointers",
+		bucket: targetBucket,
+		written,
+		existing,
+		unresolved,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+async function listFolderKeys(bucket, prefix) {
+	return storage.listKeys(bucket, prefix);
+}
+
+async function deleteKeys(bucket, keys) {
+	await retryWithBackoff(() => storage.deleteObjects(bucket, keys), 3, 1000);
+}
+
+// Server-side copy into the private archive prefix
+async function archiveObject(bucket, key) {
+	const archiveKey = `${CONFIG.ARCHIVE_PREFIX}${key}`;
+	await retryWithBackoff(() => storage.copyObject(bucket, key, bucket, archiveKey, {
+		TaggingDirective: 'REPLACE',
+		Tagging: PRIVATE_TAGGING
+	}), 3, 1000);
+	return archiveKey;
+}
+
+/**
+ * A photo's objects kept outside its folder by a privacy policy (separate original, private metadata)
+ * @returns {Array<{bucket: string, key: string}>}
+ */
+function privateObjectsOf(targetBucket, photoFolder, metadata) {
+	const original = metadata?.versions?.original;
+	return [
+		original?.path && (original.bucket || !original.path.startsWith(photoFolder)) ? original : null,
+		metadata?.privateMetadata
+	]
+		.filter(Boolean)
+		.map(({ bucket, path }) => ({ bucket: bucket || targetBucket, key: path }));
+}
+
+async function hasUserEdits(bucket, photoFolder) {
+	try {
+		const userEdits = await readJsonObject(bucket, `${photoFolder}user.json`);
+		return !!userEdits && Object.keys(userEdits).length > 0;
+	} catch (error) {
+		log.warn(`Could not read user.json in ${photoFolder}`, { error });
+		return false;
+	}
+}
+
+/**
+ * A photo's user.json checked against the schema in user-edits.js
+ * @returns {Promise<{edits: object|null, errors: Array<string>}>} empty edits when there is no user.json
+ */
+async function readUserEdits(bucket, photoFolder) {
+	let document;
+	try {
+		document = await readJsonObject(bucket, `${photoFolder}user.json`);
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			return { edits: null, errors: [`user.json is not valid JSON: ${error.message}`] };
+		}
+		throw error;
+	}
+	return document === null ? { edits: {}, errors: [] } : validateUserEdits(document);
+}
+
+/**
+ * The source as rendered: turned by the rotation override of the user.json edits on top of its EXIF orientation
+ * @param {object} source - from prepareSourceImage or prepareSpooledSource
+ * @param {object|null} edits - approved user.json edits
+ */
+function withRotation(source, edits) {
+	return edits?.rotation ? { ...source, orientation: rotateOrientation(source.orientation, edits.rotation) } : source;
+}
+
+/**
+ * React to a photo's user.json being written in a processed bucket. Edits are validated first;
+ * valid ones are recorded in metadata.json and the catalog, and re-render the variants when the
+ * rotation changed (all of them) or the focal point did (the cropped ones). Invalid ones are
+ * handled according to USER_EDITS_INVALID_ACTION.
+ * @param {*} record - S3 ObjectCreated:* record for <photoFolder>user.json
+ * @returns {Promise<object>} applied, rejected, quarantined or skipped result, or the reprocessing result
+ */
+async function processUserEditsRecord(record) {
+	const startTime = Date.now();
+	const targetBucket = record.s3.bucket.name;
+	const key = decodeS3Key(record.s3.object.key);
+	const photoFolder = key.slice(0, -'user.json'.length);
+	if (isOwnWrite(record)) {
+		// Approved edits put back by rejectUserEdits; S3 can't filter them out of the notifications
+		return { status: "skipped", reason: "own_write", photoFolder };
+	}
+	if (resolveProcessedBucket(targetBucket) !== targetBucket) {
+		return { status: "skipped", reason: "not_a_processed_bucket", photoFolder };
+	}
+
+	const metadata = isPhotoMetadataKey(`${photoFolder}metadata.json`)
+		? await readJsonObject(targetBucket, `${photoFolder}metadata.json`)
+		: null;
+	if (!metadata) {
+		return { status: "skipped", reason: "not_a_photo_folder", photoFolder };
+	}
+
+	const { edits, errors } = await readUserEdits(targetBucket, photoFolder);
+	if (errors.length) {
+		return rejectUserEdits(targetBucket, photoFolder, metadata, errors);
+	}
+	const approved = recordedEdits(edits);
+	const previous = metadata.userEdits ?? null;
+	if (isDeepStrictEqual(approved, previous)) {
+		return { status: "skipped", reason: "edits_unchanged", photoFolder };
+	}
+
+	if ((approved?.rotation || null) !== (metadata.rotation ?? null)) {
+		log.info(`Rotation changed, regenerating the variants`, { action: 'rerender', photoFolder, rotation: approved?.rotation ?? null });
+		return reprocessPhoto(targetBucket, photoFolder, { dryRun: false });
+	}
+	if (!isDeepStrictEqual(approved?.focalPoint ?? null, metadata.focalPoint ?? null)) {
+		log.info(`Focal point changed, regenerating the cropped variants`, { action: 'rerender_crops', photoFolder });
+		return reprocessPhoto(targetBucket, photoFolder, { dryRun: false, cropsOnly: true });
+	}
+
+	// Only descriptive fields changed: nothing to render
+	const fields = [...new Set([...Object.keys(previous || {}), ...Object.keys(approved || {})])]
+		.filter(field => !isDeepStrictEqual(previous?.[field], approved?.[field]));
+	const fullMetadata = metadata.privateMetadata
+		? await readJsonObject(metadata.privateMetadata.bucket || targetBucket, metadata.privateMetadata.path) ?? metadata
+		: metadata;
+	// Album memberships are worked out from the unredacted metadata, like at upload
+	const albums = albumsOf({ ...fullMetadata, userEdits: approved }, albumRulesFor(targetBucket, metadata.originalBucket));
+	const publicMetadata = { ...metadata, userEdits: approved, albums };
+	await storePrivateMetadata(targetBucket, { ...fullMetadata, userEdits: approved, albums });
+	await retryWithBackoff(() => storage.putObject(targetBucket, `${photoFolder}metadata.json`,
+		JSON.stringify(publicMetadata, null, 2), { ContentType: 'application/json' }), 3, 1000);
+	await updateCatalog(targetBucket, publicMetadata, 'add');
+	await updateAlbums(targetBucket, publicMetadata, 'add', metadata.albums);
+	await markGalleryChanged(targetBucket, photoFolder);
+
+	log.info(`Applied user edits`, { action: 'apply_edits', photoFolder, fields });
+	return { status: "applied", photoFolder, fields, processingTimeMs: Date.now() - startTime };
+}
+
+// A record of an object this function wrote itself: Lambda names the role session after the function
+const isOwnWrite = (record) => Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME)
+	&& Boolean(record.userIdentity?.principalId?.endsWith(`:${process.env.AWS_LAMBDA_FUNCTION_NAME}`));
+
+/**
+ * Deal with a user.json that failed validation. 'quarantine' copies it (and its errors) under
+ * INDEX_PREFIX and puts the last approved edits back (or deletes it when there are none), so
+ * clients read back what applies; 'reject' leaves it where it is.
+ */
+async function rejectUserEdits(targetBucket, photoFolder, metadata, errors) {
+	log.warn(`Invalid user.json`, { action: CONFIG.USER_EDITS_INVALID_ACTION, photoFolder, errors });
+	if (CONFIG.USER_EDITS_INVALID_ACTION !== 'quarantine') {
+		return { status: "rejected", photoFolder, errors };
+	}
+
+	const rejectedAt = new Date().toISOString();
+	// Named user-<time>.json so the copies don't trigger another user.json event
+	const quarantineKey = `${CONFIG.INDEX_PREFIX}rejected-edits/${photoFolder}user-${rejectedAt.replace(/[:.]/g, '-')}.json`;
+	await storage.copyObject(targetBucket, `${photoFolder}user.json`, targetBucket, quarantineKey, {
+		TaggingDirective: 'REPLACE', Tagging: PRIVATE_TAGGING
+	});
+	await storage.putObject(targetBucket, quarantineKey.replace(/\.json$/, '.errors.json'),
+		JSON.stringify({ photoFolder, rejectedAt, errors }, null, 2),
+		{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING });
+	// A missing user.json means no edits, and its removal sends no event (only writes are notified)
+	if (metadata.userEdits) {
+		await storage.putObject(targetBucket, `${photoFolder}user.json`,
+			JSON.stringify(metadata.userEdits, null, 2), { ContentType: 'application/json' });
+	} else {
+		await storage.deleteObject(targetBucket, `${photoFolder}user.json`);
+	}
+
+	return { status: "quarantined", photoFolder, errors, quarantineKey };
+}
+
+/**
+ * React to an ingress object being deleted by removing or archiving its processed
+ * folder according to INGRESS_DELETE_POLICY.
+ * @param {*} record - S3 ObjectRemoved:* record
+ */
+async function processRemovalRecord(record) {
+	const startTime = Date.now();
+	const sourceBucket = record.s3.bucket.name;
+	const key = decodeS3Key(record.s3.object.key);
+	const ext = key.split(".").pop()?.toLowerCase();
+
+	if (!SUPPORTED_FORMATS.includes(ext) || key.startsWith(CONFIG.DUPLICATES_PREFIX)) {
+		return { status: "skipped", reason: "not_a_photo_upload", originalKey: key };
+	}
+
+	const { targetBucket } = resolveTargetBucket(sourceBucket);
+
+	// Deletions the processor made itself (duplicate handling) leave a marker
+	const marker = indexKey('ingress-deletes', sourceBucket, key);
+	if (await readJsonObject(targetBucket, marker)) {
+		await storage.deleteObject(targetBucket, marker);
+		log.info(`Ignoring removal of ${key}: deleted by the processor`);
+		return { status: "skipped", reason: "deleted_by_processor", originalKey: key };
+	}
+
+	const photoFolder = await findProcessedFolder(targetBucket, sourceBucket, key);
+	if (!photoFolder) {
+		log.info(`No processed folder found for removed upload ${sourceBucket}/${key}`);
+		return { status: "removed", action: "not_found", originalKey: key, processingTimeMs: Date.now() - startTime };
+	}
+
+	const policy = CONFIG.INGRESS_DELETE_POLICY.toLowerCase();
+	const folderKeys = await listFolderKeys(targetBucket, photoFolder);
+	const folderMetadata = await readJsonObject(targetBucket, `${photoFolder}metadata.json`).catch(() => null);
+	const privateObjects = privateObjectsOf(targetBucket, photoFolder, folderMetadata);
+	let action;
+	let archivedKeys = [];
+
+	switch (policy) {
+		case 'archive':
+			log.info(`Archiving the processed folder of a removed upload`, { action: 'archive', photoFolder, objects: folderKeys.length + privateObjects.length, archivePrefix: CONFIG.ARCHIVE_PREFIX });
+			for (const folderKey of folderKeys) {
+				archivedKeys.push(await archiveObject(targetBucket, folderKey));
+			}
+			await deleteKeys(targetBucket, folderKeys);
+			// Private objects are archived in the bucket they are kept in
+			for (const { bucket, key: privateKey } of privateObjects) {
+				archivedKeys.push(await archiveObject(bucket, privateKey));
+				await deleteKeys(bucket, [privateKey]);
+			}
+			action = 'archived';
+			break;
+
+		case 'delete':
+			if (CONFIG.PRESERVE_USER_EDITS && await hasUserEdits(targetBucket, photoFolder)) {
+				archivedKeys.push(await archiveObject(targetBucket, `${photoFolder}user.json`));
+				log.info(`Preserved user.json edits for ${photoFolder}`);
+			}
+			log.info(`Deleting the processed folder of a removed upload`, { action: 'delete', photoFolder, objects: folderKeys.length + privateObjects.length });
+			await deleteKeys(targetBucket, folderKeys);
+			for (const { bucket, key: privateKey } of privateObjects) {
+				await deleteKeys(bucket, [privateKey]);
+			}
+			action = 'deleted';
+			break;
+
+		case 'keep':
+		default:
+			log.info(`Keeping the processed folder of a removed upload`, { action: 'keep', photoFolder });
+			return { status: "removed", action: "kept", originalKey: key, photoFolder, processingTimeMs: Date.now() - startTime };
+	}
+
+	await storage.deleteObject(targetBucket, indexKey('originals', sourceBucket, key));
+	// The folder name is free again
+	await storage.deleteObject(targetBucket, folderClaimKey(photoFolder.replace(/\/$/, '')));
+	if (folderMetadata?.hashes) {
+		await duplicateIndexFor(targetBucket).remove({ ...folderMetadata.hashes, photoFolder });
+	}
+	if (folderMetadata) {
+		await updateCatalog(targetBucket, folderMetadata, 'remove');
+		await updateAlbums(targetBucket, folderMetadata, 'remove');
+		await markGalleryChanged(targetBucket, photoFolder);
+	}
+
+	return {
+		status: "removed",
+		action,
+		originalKey: key,
+		photoFolder,
+		objectsRemoved: folderKeys.length + privateObjects.length,
+		archivedKeys,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+// Error categories (see handleError) worth another attempt: the invocation fails so it is retried
+const RETRYABLE_CATEGORIES = ['s3_download', 's3_upload', 'timeout'];
+
+// Failures in these phases aren't of an upload that can be quarantined (malformed records, removals, user.json edits)
+const UNQUARANTINED_PHASES = ['initialization', 'removal', 'user_edits'];
+
+// Sidecar describing a quarantined upload, next to it under FAILED_PREFIX
+const FAILURE_SUFFIX = '.failure.json';
+
+// Tag marking an upload quarantined in place ('tag' action)
+const FAILED_TAG = 'photo3s-failed';
+
+// Where an upload is quarantined
+function quarantineLocation(sourceBucket, key) {
+	return CONFIG.FAILED_BUCKET
+		? { bucket: CONFIG.FAILED_BUCKET, key: `${CONFIG.FAILED_PREFIX}${sourceBucket}/${key}` }
+		: { bucket: sourceBucket, key: `${CONFIG.FAILED_PREFIX}${key}` };
+}
+
+/**
+ * Deal with a record that failed: when the error is retryable and attempts remain, count the
+ * attempt and ask for a retry; otherwise quarantine the upload (FAILED_ACTION) with a sidecar.
+ * Attempts are counted in a private marker; retries of an event carry the same S3 sequencer,
+ * so a new upload of the key starts again from one.
+ * @param {object} record - S3 event record
+ * @param {object} result - error result from processRecord
+ * @returns {Promise<object>} the result, with `retry: true` or the `quarantine` it went to
+ */
+async function handleFailedRecord(record, result) {
+	if (UNQUARANTINED_PHASES.includes(result.processingPhase)) {
+		return result;
+	}
+	const sourceBucket = record.s3.bucket.name;
+	const key = decodeS3Key(record.s3.object.key);
+
+	try {
+		const { targetBucket } = resolveTargetBucket(sourceBucket);
+		const upload = { sourceBucket, key, sequencer: record.s3.object.sequencer || null, eTag: record.s3.object.eTag || null };
+		const attemptsKey = indexKey('failures', sourceBucket, key);
+		const previous = await readJsonObject(targetBucket, attemptsKey);
+		const isSameUpload = previous?.sequencer === upload.sequencer && previous?.eTag === upload.eTag;
+		const now = new Date().toISOString();
+		const failure = {
+			...upload,
+			error: result.error,
+			errorCode: result.errorCode,
+			errorCategory: result.errorCategory,
+			phase: result.processingPhase,
+			attempts: isSameUpload ? previous.attempts + 1 : 1,
+			firstFailedAt: isSameUpload ? previous.firstFailedAt : now,
+			lastFailedAt: now
+		};
+
+		if (RETRYABLE_CATEGORIES.includes(failure.errorCategory) && failure.attempts < CONFIG.FAILED_MAX_ATTEMPTS) {
+			await storage.putObject(targetBucket, attemptsKey, JSON.stringify(failure),
+				{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING });
+			log.warn(`Attempt ${failure.attempts}/${CONFIG.FAILED_MAX_ATTEMPTS} at ${key} failed (${failure.errorCategory}), retrying`, { attempts: failure.attempts });
+			return { ...result, retry: true, attempts: failure.attempts };
+		}
+
+		const quarantine = await quarantineUpload(targetBucket, failure);
+		if (previous) {
+			await storage.deleteObject(targetBucket, attemptsKey);
+		}
+		return { ...result, attempts: failure.attempts, quarantine };
+	} catch (error) {
+		log.error(`Failed to quarantine ${sourceBucket}/${key}: ${error.message}`, { error });
+		return result;
+	}
+}
+
+/**
+ * Move or tag a failed upload as FAILED_ACTION says and write its sidecar. The sidecar is written
+ * even when moving or tagging fails, so every failure leaves a trace.
+ * @param {string} targetBucket - processed bucket of the upload (for the ingress deletion marker)
+ * @param {object} failure - upload, error and attempts, from handleFailedRecord
+ * @returns {Promise<{action: string, bucket: string, key: string, sidecar: string}>} where the upload now is
+ */
+async function quarantineUpload(targetBucket, failure) {
+	const { sourceBucket, key } = failure;
+	const location = quarantineLocation(sourceBucket, key);
+	let object = { bucket: sourceBucket, key };
+	let actionError;
+	try {
+		if (CONFIG.FAILED_ACTION === 'move') {
+			await storage.copyObject(sourceBucket, key, location.bucket, location.key);
+			await deleteIngressObject(sourceBucket, key, targetBucket);
+			object = location;
+		} else if (CONFIG.FAILED_ACTION === 'tag') {
+			await storage.setTags(sourceBucket, key, { [FAILED_TAG]: 'true' });
+		}
+	} catch (error) {
+		actionError = error.message;
+	}
+
+	const sidecar = `${location.key}${FAILURE_SUFFIX}`;
+	await storage.putObject(location.bucket, sidecar, JSON.stringify({
+		...failure,
+		action: CONFIG.FAILED_ACTION,
+		actionError,
+		object,
+		quarantinedAt: new Date().toISOString()
+	}, null, 2), { ContentType: 'application/json' });
+
+	log.warn(`Quarantined a failed upload`, {
+		action: CONFIG.FAILED_ACTION, sourceBucket, key, actionError, sidecar, attempts: failure.attempts, error: failure.error
+	});
+	return { action: CONFIG.FAILED_ACTION, bucket: object.bucket, key: object.key, sidecar };
+}
+
+/**
+ * Put quarantined uploads of an ingress bucket back so S3 sends a new ObjectCreated event for each:
+ * moved uploads are copied back to their key, tagged and kept ones are copied onto themselves
+ * (without the failed tag). Sidecars, and the quarantined copies of moved uploads, are then removed.
+ * @param {string} sourceBucket - ingress bucket
+ * @param {object} [options]
+ * @param {string} [options.prefix] - only uploads whose ingress key starts with this
+ * @param {boolean} [options.dryRun] - list what would be replayed without touching anything
+ */
+async function replayFailed(sourceBucket, { prefix = '', dryRun = false } = {}) {
+	const startTime = Date.now();
+	const location = quarantineLocation(sourceBucket, prefix);
+	const sidecars = (await storage.listKeys(location.bucket, location.key)).filter(key => key.endsWith(FAILURE_SUFFIX));
+	log.info(`Replaying ${sidecars.length} quarantined upload(s) of ${sourceBucket}`, { action: 'replay', uploads: sidecars.length, dryRun });
+
+	const results = [];
+	for (const sidecar of sidecars) {
+		try {
+			const failure = await readJsonObject(location.bucket, sidecar);
+			if (!dryRun) {
+				await restoreUpload(failure);
+				await storage.deleteObject(location.bucket, sidecar);
+			}
+			const { key, errorCategory, attempts, action } = failure;
+			results.push({ status: dryRun ? 'would_replay' : 'replayed', key, errorCategory, attempts, action });
+		} catch (error) {
+			log.warn(`Failed to replay ${sidecar}: ${error.message}`, { error });
+			results.push({ status: 'error', sidecar, error: error.message });
+		}
+	}
+
+	const failed = results.filter(result => result.status === 'error').length;
+	log.info(`Replayed ${results.length - failed}/${sidecars.length} quarantined upload(s)`, { replayed: results.length - failed, failed });
+	return {
+		status: failed > 0 ? 'partial_failure' : 'success',
+		operation: 'replay-failed',
+		bucket: sourceBucket,
+		prefix,
+		dryRun,
+		replayed: results.length - failed,
+		failed,
+		results,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+// Bring a quarantined upload back to its ingress key as a new object
+async function restoreUpload({ sourceBucket, key, object }) {
+	if (object.bucket !== sourceBucket || object.key !== key) {
+		await storage.copyObject(object.bucket, object.key, sourceBucket, key);
+		await storage.deleteObject(object.bucket, object.key);
+		return;
+	}
+	// S3 only copies an object onto itself when something about it changes: its metadata here
+	const { Metadata = {}, ContentType, Body } = await storage.getObject(sourceBucket, key);
+	Body?.destroy?.();
+	const { [FAILED_TAG]: failedTag, ...tags } = await storage.getTags(sourceBucket, key);
+	await storage.copyObject(sourceBucket, key, sourceBucket, key, {
+		ContentType,
+		Metadata: { ...Metadata, 'replayed-at': new Date().toISOString() },
+		MetadataDirective: 'REPLACE',
+		Tagging: new URLSearchParams(tags).toString(),
+		TaggingDirective: 'REPLACE'
+	});
+}
+
 /**
  * Lambda function handler
  *	This is responding to S3 upload events, processing images into multiple sizes,
  *	extracting metadata, checking for duplicates, and uploading results to the target bucket.
+ *	Every record in the event is processed independently (bounded by RECORD_CONCURRENCY),
+ *	and S3 events delivered through SQS get a batchItemFailures list for partial retries.
+ *	Direct invocations with an `operation` (see MAINTENANCE_OPERATIONS) run maintenance on a processed bucket.
+ *	Failed uploads are quarantined (see handleFailedRecord); when one failed with a retryable error and has
+ *	attempts left, the invocation throws so Lambda retries it (SQS events list it in batchItemFailures instead).
+ *	Every log line carries the request ID (see logger.js); each record's outcome is emitted as metrics (see metrics.js).
  * @param {*} event 
- * @returns 
+ * @param {*} [context] - Lambda context, used by long-running maintenance to stop in time
+ * @returns {{status: string, succeeded: number, duplicates: number, skipped: number, removed: number, failed: number, results: Array, batchItemFailures?: Array}}
  */
-exports.handler = async (event) => {
+exports.handler = (event, context) => withLogContext({ requestId: context?.awsRequestId }, () => handleEvent(event, context));
+
+async function handleEvent(event, context) {
 	const startTime = Date.now();
-	let key = 'unknown';
-	let processingPhase = 'initialization';
 
 	logMemoryUsage('start');
 	logInitialInfo(event);
 
-	try {
-		// 1. Validate and extract event info
-		const { sourceBucket, key: objectKey, fileSize, ext } = validateEvent(event);
-		key = objectKey;
-		processingPhase = 'validation';
+	if (event.operation) {
+		try {
+			const operation = MAINTENANCE_OPERATIONS[event.operation];
+			if (!operation) {
+				throw new Error(`Unknown operation: ${event.operation}`);
+			}
+			const targetBucket = resolveProcessedBucket(event.bucket);
+			return await withLogContext({ operation: event.operation, processedBucket: targetBucket },
+				() => operation(targetBucket, event, context));
+		} catch (error) {
+			return handleError(error, startTime, event.operation, event.bucket);
+		}
+	}
+
+	let records;
+	try {
+		records = extractRecords(event);
+	} catch (error) {
+		return { ...handleError(error, startTime, 'initialization', 'unknown'), results: [] };
+	}
+
+	log.info(`Processing ${records.length} record(s) with concurrency ${CONFIG.RECORD_CONCURRENCY}`, { records: records.length });
+	const results = await mapWithConcurrency(records, CONFIG.RECORD_CONCURRENCY, async ({ record, messageId }) => {
+		const result = await withLogContext(recordLogContext(record, messageId), async () => {
+			const outcome = await processRecord(record);
+			return outcome.status === 'error' ? handleFailedRecord(record, outcome) : outcome;
+		});
+		emitRecordMetrics(record, result);
+		return { ...result, messageId };
+	});
+	logMemoryUsage('end');
+
+	const response = buildBatchResponse(event, results);
+	const retries = results.filter(result => result.retry);
+	if (retries.length && !response.batchItemFailures) {
+		throw new Error(`Retryable failure of ${retries.map(result => `${result.originalKey} (${result.errorCategory})`).join(', ')}`);
+	}
+	return response;
+}
+
+// Records are also processed one at a time by the offline CLI (cli.js), which reprocesses too
+exports.processRecord = processRecord;
+exports.handleDuplicateFile = handleDuplicateFile;
+exports.resolveMappingOverride = resolveMappingOverride;
+exports.reprocessBucket = reprocessBucket;
+exports.generateGallery = generateGallery;
+exports.replayFailed = replayFailed;
+
+/**
+ * Process a single S3 record end to end. Never throws - failures are
+ * returned as error results so other records in the batch are unaffected.
+ * @param {*} record - S3 event record
+ * @returns {Promise<object>} success, duplicate, skipped, removed or error result
+ */
+async function processRecord(record) {
+	const startTime = Date.now();
+	let key = record.s3?.object?.key ? decodeS3Key(record.s3.object.key) : 'unknown';
+	let processingPhase;
+	const enterPhase = (phase) => {
+		processingPhase = phase;
+		setLogContext({ phase });
+	};
+	enterPhase('initialization');
+	let spool = null;
+
+	try {
+		if (key.startsWith(CONFIG.FAILED_PREFIX)) {
+			// Quarantined uploads and their sidecars are only processed again when replayed
+			return { status: "skipped", reason: "quarantined", originalKey: key };
+		}
+		if (record.eventName?.startsWith('ObjectRemoved:')) {
+			enterPhase('removal');
+			validateRecord(record);
+			return await processRemovalRecord(record);
+		}
+		if (key.endsWith('/user.json')) {
+			enterPhase('user_edits');
+			validateRecord(record);
+			return await processUserEditsRecord(record);
+		}
+
+		// 1. Validate and extract record info; from here on a failure is of an upload, which is quarantined
+		const { sourceBucket, key: objectKey, fileSize, ext } = validateRecord(record);
+		key = objectKey;
+		enterPhase('validation');
+		checkSupportedFormat(ext);
+
+		const { targetBucket, isUsingSeparateBucket, variantProfile, defaultTimeZone, namingTemplate, watermark, privacy, albumRules } = resolveBucketMapping(sourceBucket, key, fileSize);
+		setLogContext({ processedBucket: targetBucket });
+
+		// 2. Download the image
+		enterPhase('download');
+		const download = await downloadImage(sourceBucket, key, ext);
+		const { imageBuffer, original, downloadTime, actualFileSize } = download;
+		spool = download.spool;
+		logMemoryUsage(`downloaded ${key}`);
+
+		// 3. Exact duplicates are found from the content hash before any image work
+		enterPhase('duplicate_check');
+		const duplicateIndex = duplicateIndexFor(targetBucket);
+		const sha256 = spool ? spool.sha256 : computeContentHash(imageBuffer);
+		const originalMimeType = sniffMimeType(spool ? spool.head : imageBuffer, ext);
+		// Originals a privacy or watermark policy keeps out of public reads stay private as duplicates too
+		const isOriginalPrivate = Boolean(privacy || watermark);
+		let duplicateCheck = await handleDuplicatesIfNeeded(
+			sourceBucket, key, targetBucket, duplicateIndex, { sha256 }, null, originalMimeType, isOriginalPrivate
+		);
+		if (duplicateCheck?.alreadyProcessed) {
+			return { status: "skipped", reason: "already_processed", originalKey: key, photoFolder: duplicateCheck.existingFile };
+		}
+
+		// 4. Decode HEIF/RAW into a render source and parse EXIF metadata
+		enterPhase('decode');
+		const source = spool
+			? await prepareSpooledSource(spool.filePath, spool.head, ext)
+			: await prepareSourceImage(imageBuffer, ext);
+
+		enterPhase('exif_parsing');
+		const { exif, camera, gpsCoords, location, shotTime } = await readPhotoDetails(source, defaultTimeZone);
+
+		// 5. Perceptual hash for near duplicates (re-encoded or resized copies)
+		enterPhase('hashing');
+		const hashes = { sha256, dhash: await computeDHash(source.renderBuffer || source.renderFile) };
 
-		const { targetBucket, isUsingSeparateBucket } = resolveBucketMapping(sourceBucket, key, fileSize);
+		enterPhase('duplicate_check');
+		if (!duplicateCheck?.isDuplicate) {
+			duplicateCheck = await handleDuplicatesIfNeeded(
+				sourceBucket, key, targetBucket, duplicateIndex, hashes, shotTime, originalMimeType, isOriginalPrivate
+			);
+		}
 
-		// 2. Download the image
-		processingPhase = 'download';
-		const { imageBuffer, original, downloadTime, actualFileSize } =
-			await downloadImage(sourceBucket, key);
-
-		// 3. Parse EXIF metadata
-		processingPhase = 'exif_parsing';
-		const { exif, exifDate, camera, gpsCoords } = await parseExif(imageBuffer);
-
-		// 4. Generate base name and handle duplicates
-		const { baseName, shotDate } = generateBaseName(exifDate, camera);
-		await handleDuplicatesIfNeeded(
-			sourceBucket, key, targetBucket, isUsingSeparateBucket,
-			shotDate, camera, actualFileSize, exif, original
-		);
+		// 6. Name the photo folder, with a suffix if another photo already has the name
+		enterPhase('naming');
+		const naming = await claimPhotoFolder(targetBucket, generateBaseName(namingTemplate, {
+			shotTime, make: camera, model: exif?.tags.Model, originalKey: key, sha256,
+			// Folder names are public: no locality when the policy hides where photos were taken
+			location: privacy?.gps === 'strip' ? null : location
+		}), {
+			sourceBucket, originalKey: key, sha256,
+			// A duplicate being replaced gives up its folder to the new upload
+			replacesFolder: duplicateCheck?.isDuplicate && CONFIG.DUPLICATE_ACTION === 'replace' ? duplicateCheck.existingFile : null
+		});
+		const { baseName } = naming;
 
-		// 5. Process images into multiple sizes
-		processingPhase = 'image_processing';
-		const { large, medium, small, thumb, processingTime } =
-			await processImageVariants(imageBuffer);
+		// 7. Process images into multiple sizes
+		enterPhase('image_processing');
+		const watermarker = await watermarkerFor(watermark);
+		const { variants, processingTime } =
+			await processImageVariants(source, variantProfile, watermarker);
+		logMemoryUsage(`variants ${key}`);
 
-		// 6. Collect metadata
+		// 8. Collect metadata
 		const metadata = await buildMetadata({
-			key, baseName, shotDate, camera, original, imageBuffer, exif, ext, isUsingSeparateBucket,
-			processedVariants: { large, medium, small, thumb }, gpsCoords
+			key, sourceBucket, originalVersionId: original.VersionId, baseName, shotTime, camera, originalBytes: actualFileSize, source, hashes, exif, ext, isUsingSeparateBucket,
+			processedVariants: variants, gpsCoords, location, watermarker, privacy, albumRules,
+			naming: { template: namingTemplate.template, suffix: naming.suffix }
 		});
+		const publicMetadata = redactMetadata(metadata, privacy);
+		const pictureManifest = buildPictureManifest(metadata.versions, variantProfile);
 
-		// 7. Upload processed images + metadata
-		processingPhase = 'upload';
+		// 9. Upload processed images + metadata
+		enterPhase('upload');
 		const uploadTime = await uploadAllFiles({
-			imageBuffer, original, targetBucket, photoFolder: metadata.photoFolder,
-			baseName, large: large.buffer, medium: medium.buffer, small: small.buffer, thumb: thumb.buffer, metadata, key});
+			imageBuffer, spool, original, targetBucket, photoFolder: metadata.photoFolder,
+			baseName, variants, metadata, publicMetadata, pictureManifest, key});
+		logMemoryUsage(`uploaded ${key}`);
+
+		// 10. Make the new photo findable by later duplicate checks and list it in the catalog and its albums
+		enterPhase('indexing');
+		await addToDuplicateIndex(duplicateIndex, metadata);
+		await updateCatalog(targetBucket, publicMetadata, 'add');
+		await updateAlbums(targetBucket, publicMetadata, 'add');
+		await markGalleryChanged(targetBucket, metadata.photoFolder);
 
 
 		// Done
 		const totalTime = Date.now() - startTime;
 		return buildSuccessResponse({
-			baseName, key, metadata, downloadTime, processingTime, uploadTime, totalTime, actualFileSize
+			baseName, key, metadata, downloadTime, processingTime, uploadTime, totalTime, actualFileSize, variants, duplicateCheck
 		});
 	} catch (error) {
+		if (error.message === 'duplicate_detected') {
+			return buildDuplicateResponse(error, key, startTime);
+		}
+		if (error.message === 'already_in_duplicates') {
+			log.info(`Skipping file already in duplicates prefix: ${key}`);
+			return { status: "skipped", reason: error.message, originalKey: key };
+		}
 		return handleError(error, startTime, processingPhase, key);
+	} finally {
+		if (spool) {
+			await fs.promises.rm(spool.filePath, { force: true });
+		}
 	}
-};
+}
 
 /* ---------------- HELPER FUNCTIONS ---------------- */
 
 function logInitialInfo(event) {
-	if (CONFIG.DETAILED_LOGGING) {
-		console.info("Photo processing Lambda triggered:", JSON.stringify(event, null, 2));
-	} else {
-		console.info("Photo processing Lambda triggered");
+	log.info("Photo processing Lambda triggered", {
+		event: CONFIG.DETAILED_LOGGING ? event : undefined,
+		config: CONFIG,
+		lambdaMemoryMb: Number(process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE) || undefined,
+		nodeVersion: process.version
+	});
+}
+
+// Correlation fields of a record's log lines
+function recordLogContext(record, messageId) {
+	return {
+		bucket: record.s3?.bucket?.name,
+		key: record.s3?.object?.key ? decodeS3Key(record.s3.object.key) : undefined,
+		messageId
+	};
+}
+
+// Ingress and processed bucket of a record, for metric dimensions (also when the record failed before it was resolved)
+function bucketPairOf(record) {
+	const ingressBucket = record.s3?.bucket?.name || 'unknown';
+	return { ingressBucket, processedBucket: CONFIG.BUCKET_MAPPINGS[ingressBucket]?.processed || ingressBucket };
+}
+
+/**
+ * Emit the metrics of a record's outcome: timings and bytes of processed photos,
+ * duplicates by reason (including duplicates being replaced), and errors and quarantined uploads by category
+ * @param {object} record - S3 event record
+ * @param {object} result - from processRecord
+ */
+function emitRecordMetrics(record, result) {
+	const pair = bucketPairOf(record);
+	const ms = (value) => ({ value, unit: 'Milliseconds' });
+	const bytes = (value) => ({ value, unit: 'Bytes' });
+	const count = { value: 1, unit: 'Count' };
+
+	if (result.status === 'success') {
+		const { totalTimeMs, downloadTimeMs, processingTimeMs, uploadTimeMs, originalBytes, outputBytes } = result.processingMetrics;
+		metrics.emit(pair, {
+			PhotosProcessed: count,
+			DownloadTime: ms(downloadTimeMs),
+			ProcessingTime: ms(processingTimeMs),
+			UploadTime: ms(uploadTimeMs),
+			TotalTime: ms(totalTimeMs),
+			BytesIn: bytes(originalBytes),
+			BytesOut: bytes(outputBytes)
+		});
+	}
+	const duplicate = result.status === 'duplicate' ? result : result.replacedDuplicate;
+	if (duplicate) {
+		metrics.emit(pair, { Duplicates: count }, { Reason: duplicate.reason || 'unknown' });
+	}
+	if (result.status === 'error') {
+		metrics.emit(pair, { Errors: count }, { ErrorCategory: result.errorCategory });
+	}
+	if (result.quarantine) {
+		metrics.emit(pair, { Quarantined: count }, { ErrorCategory: result.errorCategory });
 	}
-	console.info("Configuration:", CONFIG);
-	console.info(
-		`Lambda memory: ${process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE}MB, Node.js: ${process.version}`
-	);
 }
 
-function validateEvent(event) {
+/**
+ * Flatten an incoming event into the list of S3 records to process.
+ * Direct S3 notifications are used as-is; SQS messages are unwrapped and each
+ * S3 record is tagged with the messageId it came from for batchItemFailures.
+ * @param {*} event
+ * @returns {Array<{record: object, messageId: string|undefined}>}
+ */
+function extractRecords(event) {
 	if (!event.Records || event.Records.length === 0) {
 		throw new Error("No S3 records found in event");
 	}
 
-	const record = event.Records[0];
+	const records = [];
+	for (const record of event.Records) {
+		if (record.eventSource !== 'aws:sqs') {
+			records.push({ record, messageId: undefined });
+			continue;
+		}
+
+		let body;
+		try {
+			body = JSON.parse(record.body);
+		} catch (err) {
+			// Keep the message so it is reported (and retried) as a failure
+			records.push({ record: { invalidBody: record.body }, messageId: record.messageId });
+			continue;
+		}
+
+		// S3 test events carry no Records and need no processing
+		for (const s3Record of body.Records || []) {
+			records.push({ record: s3Record, messageId: record.messageId });
+		}
+	}
+	return records;
+}
+
+function validateRecord(record) {
 	if (!record.s3 || !record.s3.bucket || !record.s3.object) {
 		throw new Error("Invalid S3 record structure");
 	}
 
 	const sourceBucket = record.s3.bucket.name;
-	const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, " "));
+	const key = decodeS3Key(record.s3.object.key);
 	const fileSize = record.s3.object.size || 'unknown';
 	const ext = key.split(".").pop()?.toLowerCase();
 
+	return { sourceBucket, key, fileSize, ext };
+}
+
+function checkSupportedFormat(ext) {
 	if (!ext || !SUPPORTED_FORMATS.includes(ext)) {
 		throw new Error(`Unsupported file format: ${ext}`);
 	}
+}
 
-	return { sourceBucket, key, fileSize, ext };
+// S3 event keys are URL-encoded with '+' for spaces
+function decodeS3Key(rawKey) {
+	return decodeURIComponent(rawKey.replace(/\+/g, " "));
+}
+
+// Resolve the processed bucket a maintenance operation targets; ingress buckets map to theirs
+function resolveProcessedBucket(bucket) {
+	if (!bucket) {
+		throw new Error("Maintenance operation needs a bucket");
+	}
+	const processedBuckets = Object.values(CONFIG.BUCKET_MAPPINGS).map(m => m.processed);
+	if (processedBuckets.includes(bucket)) {
+		return bucket;
+	}
+	return resolveTargetBucket(bucket).targetBucket;
+}
+
+// Check the source bucket is allowed and find its processed bucket
+function resolveTargetBucket(sourceBucket) {
+	if (CONFIG.ALLOWED_SOURCE_BUCKETS &&
+		!CONFIG.ALLOWED_SOURCE_BUCKETS.includes(sourceBucket)) {
+		throw new Error(`Bucket ${sourceBucket} not allowed`);
+	}
+
+	const bucketMapping = CONFIG.BUCKET_MAPPINGS[sourceBucket];
+	const targetBucket = bucketMapping?.processed || sourceBucket;
+	const isUsingSeparateBucket = bucketMapping?.processed && bucketMapping.processed !== sourceBucket;
+	return { bucketMapping, targetBucket, isUsingSeparateBucket };
+}
+
+/**
+ * Pick a setting for an ingress bucket: its BUCKET_MAPPINGS entry wins over the global one
+ * (a `false` watermark turns watermarking off for the bucket)
+ * @param {object|undefined} bucketMapping - BUCKET_MAPPINGS entry for the source bucket
+ * @param {string} field - the entry's field, e.g. 'privacy'
+ * @param {function(*, string): *} normalize - validates the raw entry, given where it came from for errors
+ * @param {*} fallback - already normalized global setting
+ */
+function resolveMappingOverride(bucketMapping, field, normalize, fallback) {
+	// null (e.g. an unset Terraform lookup) keeps the default like a missing entry
+	if (bucketMapping && bucketMapping[field] !== undefined && bucketMapping[field] !== null) {
+		return normalize(bucketMapping[field], `BUCKET_MAPPINGS ${field}`);
+	}
+	return fallback;
 }
 
 function resolveBucketMapping(sourceBucket, key, fileSize) {
@@ -377,37 +1669,62 @@ function resolveBucketMapping(sourceBucket, key, fileSize) {
 		throw new Error(`File size ${sizeMB}MB exceeds maximum ${maxSizeMB}MB`);
 	}
 
-	// Allowed buckets
-	if (CONFIG.ALLOWED_SOURCE_BUCKETS &&
-		!CONFIG.ALLOWED_SOURCE_BUCKETS.includes(sourceBucket)) {
-		throw new Error(`Bucket ${sourceBucket} not allowed`);
-	}
-
 	if (key.startsWith(CONFIG.DUPLICATES_PREFIX)) {
 		throw new Error("already_in_duplicates");
 	}
 
-	const bucketMapping = CONFIG.BUCKET_MAPPINGS[sourceBucket];
-	const targetBucket = bucketMapping?.processed || sourceBucket;
-	const isUsingSeparateBucket = bucketMapping?.processed && bucketMapping.processed !== sourceBucket;
+	const { bucketMapping, targetBucket, isUsingSeparateBucket } = resolveTargetBucket(sourceBucket);
+
+	const variantProfile = resolveVariantProfile(bucketMapping, CONFIG.VARIANT_PROFILE, CONFIG.VARIANT_FORMATS);
+
+	const defaultTimeZone = bucketMapping?.timezone || CONFIG.DEFAULT_TIMEZONE;
+	if (defaultTimeZone && !isValidTimeZone(defaultTimeZone)) {
+		throw new Error(`Unknown timezone ${defaultTimeZone} configured for ${sourceBucket}`);
+	}
+
+	const namingTemplate = bucketMapping?.naming
+		? compileNamingTemplate(bucketMapping.naming, 'BUCKET_MAPPINGS naming')
+		: CONFIG.NAMING_TEMPLATE;
+
+	const watermark = resolveMappingOverride(bucketMapping, 'watermark', normalizeWatermark, CONFIG.WATERMARK);
+	const privacy = resolveMappingOverride(bucketMapping, 'privacy', normalizePrivacy, CONFIG.PRIVACY);
+	const albumRules = resolveMappingOverride(bucketMapping, 'albums', normalizeAlbumRules, CONFIG.ALBUMS);
+
+	log.info(`Processing file: ${sourceBucket}/${key} → ${targetBucket} (variants: ${variantProfile.map(v => v.name).join(', ')})`);
+	return { targetBucket, isUsingSeparateBucket, variantProfile, defaultTimeZone, namingTemplate, watermark, privacy, albumRules };
+}
 
-	console.info(`Processing file: ${sourceBucket}/${key} → ${targetBucket}`);
-	return { targetBucket, isUsingSeparateBucket };
+/**
+ * Whether an original goes through the streaming path. Only formats sharp decodes
+ * natively can; HEIF and RAW decoders need the whole file in memory anyway.
+ */
+function shouldStream(ext, contentLength) {
+	if (CONFIG.STREAMING_MODE === 'off' || INPUT_FORMATS[ext]?.kind !== 'raster') {
+		return false;
+	}
+	return CONFIG.STREAMING_MODE === 'always' || contentLength >= CONFIG.STREAMING_THRESHOLD;
 }
 
-async function downloadImage(sourceBucket, key) {
+/**
+ * Download an original, into memory or (for large originals) to a spool file
+ * @returns {Promise<{imageBuffer?: Buffer, spool?: {filePath: string, sha256: string, head: Buffer, bytes: number}, original: object, downloadTime: number, actualFileSize: number}>}
+ */
+async function downloadImage(sourceBucket, key, ext) {
 	const downloadStart = Date.now();
-	console.info("Downloading original image from S3");
+	log.info("Downloading original image from S3");
 
-	const original = await retryWithBackoff(async () => {
-		const cmd = new GetObjectCommand({ Bucket: sourceBucket, Key: key });
-		return await s3Client.send(cmd);
-	}, 3, 1000);
+	const original = await retryWithBackoff(() => storage.getObject(sourceBucket, key), 3, 1000);
 
 	if (!original.Body) {
 		throw new Error("Empty S3 body");
 	}
 
+	if (shouldStream(ext, original.ContentLength)) {
+		log.info(`Streaming the original through a spool file`, { bytes: original.ContentLength, spoolDir: CONFIG.SPOOL_DIR });
+		const spool = await spoolToFile(original.Body, CONFIG.SPOOL_DIR);
+		return { spool, original, downloadTime: Date.now() - downloadStart, actualFileSize: spool.bytes };
+	}
+
 	const chunks = [];
 	for await (const chunk of original.Body) chunks.push(chunk);
 	const imageBuffer = Buffer.concat(chunks);
@@ -417,14 +1734,45 @@ async function downloadImage(sourceBucket, key) {
 	return { imageBuffer, original, downloadTime, actualFileSize };
 }
 
-async function parseExif(imageBuffer) {
-	let exif = null, exifDate = null, camera = "unknown", gpsCoords = null;
+/**
+ * Parse each EXIF source and merge their tags. HEIF and RAW files can spread
+ * their tags over several blocks; earlier sources win when a tag repeats.
+ * @param {Array<Buffer>} exifBuffers - JPEG-structured buffers from prepareSourceImage
+ */
+function readExifSources(exifBuffers) {
+	let lastError = new Error('No EXIF sources');
+	const results = [];
+	for (const buffer of exifBuffers) {
+		try {
+			// GPS tags are also kept unsimplified for normalizeGps, offsets (unnamed by exif-parser) for resolveShotTime
+			results.push({ ...ExifParser.create(buffer).parse(), gpsTags: readGpsTags(buffer), offsetTags: readOffsetTags(buffer) });
+		} catch (err) {
+			lastError = err;
+		}
+	}
+
+	if (results.length === 0) {
+		throw lastError;
+	}
+	if (results.length === 1) {
+		return results[0];
+	}
+	return {
+		tags: Object.assign({}, ...results.map(r => r.tags).reverse()),
+		// GPS tags only make sense together, so take them all from the first source that has a position
+		gpsTags: results.find(r => r.gpsTags.GPSLatitude !== undefined)?.gpsTags || {},
+		offsetTags: Object.assign({}, ...results.map(r => r.offsetTags).reverse()),
+		imageSize: results.find(r => r.imageSize)?.imageSize
+	};
+}
+
+async function parseExif(exifBuffers) {
+	let exif = null, camera = "unknown", gpsCoords = null;
 
 	try {
 		const exifPromise = new Promise((resolve, reject) => {
 			try {
-				const parser = ExifParser.create(imageBuffer);
-				resolve(parser.parse());
+				resolve(readExifSources(exifBuffers));
 			} catch (err) {
 				reject(err);
 			}
@@ -434,63 +1782,334 @@ async function parseExif(imageBuffer) {
 		);
 		exif = await Promise.race([exifPromise, timeout]);
 
-		if (exif.tags.DateTimeOriginal) {
-			exifDate = new Date(exif.tags.DateTimeOriginal * 1000);
-		}
-
 		camera = exif.tags.Make || "unknown";
 		
-		// Extract GPS coordinates if available
-		if (exif.tags.GPSLatitude !== undefined && exif.tags.GPSLongitude !== undefined) {
-			gpsCoords = {
-				latitude: exif.tags.GPSLatitude,
-				longitude: exif.tags.GPSLongitude,
-				altitude: exif.tags.GPSAltitude || null,
-				timestamp: exif.tags.GPSDateStamp ? new Date(exif.tags.GPSDateStamp).toISOString() : null
-			};
-			console.info(`GPS coordinates found: ${gpsCoords.latitude}, ${gpsCoords.longitude}`);
+		// Signed decimal degrees, UTC fix time, bearing, speed and precision
+		gpsCoords = normalizeGps(exif.gpsTags);
+		if (gpsCoords) {
+			log.info(`GPS coordinates found: ${gpsCoords.latitude}, ${gpsCoords.longitude}`);
 		}
 	} catch (err) {
-		console.warn("Failed to parse EXIF:", err.message);
+		log.warn("Failed to parse EXIF", { error: err });
+	}
+	return { exif, camera, gpsCoords };
+}
+
+/**
+ * EXIF, GPS position, place and shot time of a decoded original
+ * @param {{exifBuffers: Array<Buffer>}} source - from prepareSourceImage or prepareSpooledSource
+ * @param {string|null} defaultTimeZone - assumed when the photo has no better timezone
+ */
+async function readPhotoDetails(source, defaultTimeZone) {
+	const { exif, camera, gpsCoords } = await parseExif(source.exifBuffers);
+	const location = resolveLocation(gpsCoords);
+	const shotTime = resolveShotTime({
+		dateTimeOriginal: exif?.tags.DateTimeOriginal,
+		offsetTags: exif?.offsetTags,
+		gpsTimestamp: gpsCoords?.timestamp,
+		timeZone: location?.timezone,
+		defaultTimeZone
+	});
+	log.info(`Shot at ${shotTime.local}${shotTime.offset} (${shotTime.source})`, { shotTimeSource: shotTime.source });
+	return { exif, camera, gpsCoords, location, shotTime };
+}
+
+// Loaded on first use and kept for the lifetime of the container
+let reverseGeocoder = null;
+
+// Prepared watermarks by configuration, kept for the lifetime of the container
+const watermarkers = new Map();
+
+/**
+ * Watermarker for a bucket's watermark, or null when it has none
+ * @param {object|null} watermark - from resolveMappingOverride
+ */
+async function watermarkerFor(watermark) {
+	if (!watermark) {
+		return null;
+	}
+	const cacheKey = JSON.stringify(watermark);
+	if (!watermarkers.has(cacheKey)) {
+		// A failed load is not cached, so the next record tries again
+		watermarkers.set(cacheKey, createWatermarker(watermark, loadWatermarkImage).catch(error => {
+			watermarkers.delete(cacheKey);
+			throw new Error(`Failed to prepare watermark: ${error.message}`);
+		}));
+	}
+	return watermarkers.get(cacheKey);
+}
+
+// Watermark overlays live in S3 (s3://bucket/key) or on disk (relative to the working directory)
+async function loadWatermarkImage(location) {
+	const s3Location = location.match(/^s3:\/\/([^/]+)\/(.+)$/);
+	if (!s3Location) {
+		return fs.promises.readFile(path.resolve(location));
+	}
+	const { Body } = await retryWithBackoff(() => storage.getObject(s3Location[1], s3Location[2]), 3, 1000);
+	const chunks = [];
+	for await (const chunk of Body) chunks.push(chunk);
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Reverse geocode GPS coordinates against the offline gazetteer
+ * @returns {{locality: string, region: string|null, country: string|null, countryCode: string, timezone: string|null, distanceKm: number, label: string}|null}
+ */
+function resolveLocation(gpsCoords) {
+	if (!gpsCoords || !CONFIG.GEOCODING_ENABLED) {
+		return null;
+	}
+	try {
+		reverseGeocoder = reverseGeocoder || createReverseGeocoder(loadGazetteer(CONFIG.GAZETTEER_DIR), {
+			maxDistanceKm: CONFIG.GEOCODE_MAX_DISTANCE_KM
+		});
+		const place = reverseGeocoder.lookup(gpsCoords.latitude, gpsCoords.longitude);
+		if (!place) {
+			log.info(`No locality within ${CONFIG.GEOCODE_MAX_DISTANCE_KM}km of ${gpsCoords.latitude}, ${gpsCoords.longitude}`);
+			return null;
+		}
+		const label = [place.locality, place.region, place.country].filter(Boolean).join(', ');
+		log.info(`Reverse geocoded to ${label}`, { locality: place.locality, countryCode: place.countryCode, distanceKm: place.distanceKm });
+		return { ...place, label };
+	} catch (error) {
+		log.warn("Reverse geocoding failed", { error });
+		return null;
+	}
+}
+
+/**
+ * Folder/base name from the bucket's naming template. Dates are the local shot time,
+ * so photos land on the day they were taken.
+ */
+function generateBaseName(namingTemplate, fields) {
+	const baseName = namingTemplate.render(fields);
+	const reserved = [CONFIG.INDEX_PREFIX, CONFIG.ARCHIVE_PREFIX, CONFIG.CATALOG_PREFIX, CONFIG.ALBUMS_PREFIX, CONFIG.GALLERY_PREFIX, CONFIG.DUPLICATES_PREFIX, CONFIG.PRIVATE_PREFIX, CONFIG.FAILED_PREFIX]
+		.find(prefix => `${baseName}/`.startsWith(prefix));
+	if (reserved) {
+		throw new Error(`Naming template ${namingTemplate.template} produced ${baseName}, which is inside the reserved ${reserved} prefix`);
 	}
-	return { exif, exifDate, camera, gpsCoords };
+	return baseName;
 }
 
-function generateBaseName(exifDate, camera) {
-	const shotDate = exifDate || new Date();
-	const timestamp = shotDate.toISOString().replace(/[:.]/g, "-").replace("T", "_").split(".")[0];
-	const baseName = `photo-${timestamp}-${camera.replace(/\s+/g, "_")}`;
-	return { baseName, shotDate };
+// Claims on folder names, so concurrent uploads with the same name can't both take it
+const folderClaimKey = (baseName) => `${CONFIG.INDEX_PREFIX}folders/${baseName}.json`;
+
+// Photo folder names tried per upload before giving up ('name', 'name-2', ... 'name-100')
+const MAX_FOLDER_SUFFIX = 100;
+
+/**
+ * Claim a folder name for an upload. A name already held by another photo gets a
+ * '-2', '-3', ... suffix instead of being overwritten; the upload's own folder
+ * (a retry or reprocess) and a duplicate it replaces are reused as they are.
+ * @param {string} targetBucket - processed bucket
+ * @param {string} baseName - name from the naming template
+ * @param {{sourceBucket: string, originalKey: string, sha256: string, replacesFolder: string|null}} owner
+ * @returns {Promise<{baseName: string, suffix: number|null}>}
+ */
+async function claimPhotoFolder(targetBucket, baseName, owner) {
+	const claim = { sourceBucket: owner.sourceBucket, originalKey: owner.originalKey, sha256: owner.sha256 };
+	const isOwn = (held) => (held.sourceBucket === owner.sourceBucket && held.originalKey === owner.originalKey) ||
+		held.sha256 === owner.sha256;
+	const writeClaim = (candidate, condition) => storage.putObject(targetBucket, folderClaimKey(candidate),
+		JSON.stringify({ ...claim, claimedAt: new Date().toISOString() }),
+		{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING, ...condition });
+
+	for (let suffix = 1; suffix <= MAX_FOLDER_SUFFIX; suffix++) {
+		const candidate = suffix === 1 ? baseName : `${baseName}-${suffix}`;
+		const result = { baseName: candidate, suffix: suffix === 1 ? null : suffix };
+
+		if (`${candidate}/` === owner.replacesFolder) {
+			await writeClaim(candidate, {});
+			return result;
+		}
+
+		const held = await readJsonObject(targetBucket, folderClaimKey(candidate));
+		if (held) {
+			if (isOwn(held)) {
+				return result;
+			}
+			continue;
+		}
+
+		// Folders from before claims existed (or from another template) only show up in a listing
+		const existing = await storage.listKeys(targetBucket, `${candidate}/`, { limit: 1 });
+		if (existing.length) {
+			const metadata = await readJsonObject(targetBucket, `${candidate}/metadata.json`).catch(() => null);
+			if (!metadata || !isOwn({ sourceBucket: metadata.originalBucket, originalKey: metadata.originalKey, sha256: metadata.hashes?.sha256 })) {
+				continue;
+			}
+		}
+
+		try {
+			await writeClaim(candidate, { IfNoneMatch: '*' });
+			return result;
+		} catch (error) {
+			if (error.name !== 'PreconditionFailed' && error.$metadata?.httpStatusCode !== 412) {
+				throw error;
+			}
+			// Another upload claimed the name between our check and our write
+			const winner = await readJsonObject(targetBucket, folderClaimKey(candidate));
+			if (winner && isOwn(winner)) {
+				return result;
+			}
+		}
+	}
+	throw new Error(`No free folder name for ${baseName} after ${MAX_FOLDER_SUFFIX} attempts`);
 }
 
-async function handleDuplicatesIfNeeded(sourceBucket, key, targetBucket, isUsingSeparateBucket, shotDate, camera, actualFileSize, exif, original) {
+/**
+ * Check for duplicates and apply DUPLICATE_ACTION. Throws duplicate_detected unless
+ * the action is 'replace', in which case processing continues.
+ * @returns {Promise<object|null>} the duplicate check, or null when checks are disabled
+ */
+async function handleDuplicatesIfNeeded(sourceBucket, key, targetBucket, duplicateIndex, hashes, shotTime, originalMimeType, isOriginalPrivate) {
 	if (!CONFIG.CHECK_DUPLICATES) {
-		return;
+		return null;
 	}
 
-	console.info("Checking for potential duplicates");
-	const duplicateCheck = await checkForDuplicates(targetBucket, shotDate, camera, actualFileSize, exif);
+	log.info(`Checking for potential duplicates (${hashes.dhash ? 'perceptual' : 'content'} hash)`);
+	const duplicateCheck = await checkForDuplicates(duplicateIndex, hashes, shotTime, { sourceBucket, originalKey: key });
 
 	if (duplicateCheck.isDuplicate) {
-		await handleDuplicateFile(sourceBucket, key, targetBucket, duplicateCheck,
-			CONFIG.DUPLICATE_ACTION, CONFIG.DUPLICATES_PREFIX, original.ContentType);
+		const duplicateHandling = await handleDuplicateFile(sourceBucket, key, targetBucket, duplicateCheck,
+			CONFIG.DUPLICATE_ACTION, CONFIG.DUPLICATES_PREFIX, originalMimeType, isOriginalPrivate);
 		if (CONFIG.DUPLICATE_ACTION !== 'replace') {
-			throw new Error("duplicate_detected");
+			const duplicateError = new Error("duplicate_detected");
+			duplicateError.duplicateCheck = duplicateCheck;
+			duplicateError.duplicateHandling = duplicateHandling;
+			throw duplicateError;
 		}
 	}
+	return duplicateCheck;
+}
+
+// UTC instant a photo was shot, when it came from the photo itself rather than the upload
+function shotInstant(shotTime) {
+	return shotTime && shotTime.source !== 'upload_time' ? shotTime.utc.toISOString() : null;
+}
+
+// Shot instant recorded in the duplicate index; metadata from before shot time resolution only has the camera clock
+function indexedShotTime(metadata) {
+	if (metadata.shotTime) {
+		return metadata.shotTime.source !== 'upload_time' ? metadata.shotDate : null;
+	}
+	return metadata.exifData?.dateTimeOriginal || null;
+}
+
+// Duplicate index entry of a processed photo; the upload it came from tells re-deliveries from duplicates
+const duplicateIndexEntry = (metadata) => ({
+	...metadata.hashes,
+	photoFolder: metadata.photoFolder,
+	sourceBucket: metadata.originalBucket || null,
+	originalKey: metadata.originalKey || null,
+	dateTimeOriginal: indexedShotTime(metadata)
+});
+
+async function addToDuplicateIndex(duplicateIndex, metadata) {
+	try {
+		await duplicateIndex.add(duplicateIndexEntry(metadata));
+	} catch (error) {
+		// The photo is processed; a missing index entry only weakens later duplicate checks
+		log.warn(`Failed to update duplicate index for ${metadata.photoFolder}`, { error });
+	}
+}
+
+/**
+ * Add a photo to (or remove it from) the bucket's catalog
+ * @param {string} targetBucket - processed bucket
+ * @param {object} metadata - the photo's metadata.json document
+ * @param {'add'|'remove'} change
+ */
+async function updateCatalog(targetBucket, metadata, change) {
+	if (!CONFIG.CATALOG_ENABLED) {
+		return;
+	}
+	try {
+		const catalog = createCatalog(storage, targetBucket, CONFIG.CATALOG_PREFIX);
+		await (change === 'add' ? catalog.addPhoto(metadata) : catalog.removePhoto(metadata));
+	} catch (error) {
+		// The catalog can be repaired with the rebuild-catalog operation
+		log.warn(`Failed to update catalog for ${metadata.photoFolder}`, { error });
+	}
+}
+
+// Gallery of a processed bucket, showing the photos in its catalog
+function galleryFor(targetBucket) {
+	return createGallery(storage, targetBucket, {
+		catalog: createCatalog(storage, targetBucket, CONFIG.CATALOG_PREFIX),
+		prefix: CONFIG.GALLERY_PREFIX,
+		pageSize: CONFIG.GALLERY_PAGE_SIZE,
+		title: CONFIG.GALLERY_TITLE,
+		stateKey: `${CONFIG.INDEX_PREFIX}gallery.json`,
+		stateTagging: PRIVATE_TAGGING,
+		pendingPrefix: `${CONFIG.INDEX_PREFIX}gallery-pending/`
+	});
+}
+
+/**
+ * Mark a photo's upload, change or removal for the next generate-gallery run, which renders the
+ * pages it affected (rendering them here would read the whole catalog on every event)
+ * @param {string} photoFolder - the photo whose own page is rendered again
+ */
+async function markGalleryChanged(targetBucket, photoFolder) {
+	// The gallery shows what the catalog lists
+	if (!CONFIG.GALLERY_ENABLED || !CONFIG.CATALOG_ENABLED) {
+		return;
+	}
+	try {
+		await galleryFor(targetBucket).markChanged(photoFolder);
+	} catch (error) {
+		// The catalog still changed, so the next run renders the lists; only the photo page can lag
+		log.warn(`Failed to mark ${photoFolder} changed for the gallery`, { error });
+	}
+}
+
+/**
+ * Add a photo to the album manifests it belongs to (taking it out of those it left) or remove it from them
+ * @param {object} metadata - public metadata.json document, with its `albums`
+ * @param {'add'|'remove'} change
+ * @param {Array<string>} [previousAlbums] - albums the photo belonged to before ('add' only)
+ */
+async function updateAlbums(targetBucket, metadata, change, previousAlbums = []) {
+	if (!metadata.albums?.length && !previousAlbums?.length) {
+		return;
+	}
+	try {
+		const albums = createAlbums(storage, targetBucket, CONFIG.ALBUMS_PREFIX, albumRulesFor(targetBucket, metadata.originalBucket));
+		await (change === 'add' ? albums.addPhoto(metadata, previousAlbums) : albums.removePhoto(metadata));
+	} catch (error) {
+		// The manifests can be repaired with the rebuild-albums operation
+		log.warn(`Failed to update albums for ${metadata.photoFolder}`, { error });
+	}
 }
 
-async function processImageVariants(imageBuffer) {
+// Encoder options per output format
+const FORMAT_OPTIONS = {
+	webp: (quality) => ({ quality, effort: 4 }),
+	jpeg: (quality) => ({ quality, progressive: true, mozjpeg: true }),
+	png: () => ({ compressionLevel: 9 }),
+	avif: (quality) => ({ quality, effort: 4 })
+};
+
+/**
+ * Render every variant of the profile from the original image, once per output format.
+ * Spooled originals are decoded once and their variants rendered one at a time to keep the peak low.
+ * @param {{renderBuffer?: Buffer, renderFile?: string}} source - from prepareSourceImage or prepareSpooledSource
+ * @param {Array<object>} variantProfile - normalized profile from variant-profiles.js
+ * @param {object|null} [watermarker] - from watermarkerFor, applied to the variants it covers
+ * @param {{x: number, y: number}|null} [focalPoint] - from user.json, places the crop of cropped variants
+ * @returns {Promise<{variants: Object<string, {format: string, outputs: Object<string, {buffer: Buffer, width: number, height: number, bytes: number}>, crop: object|null}>, processingTime: number}>}
+ *   `crop` is the box (in original pixels) a cropped variant was cut from
+ */
+async function processImageVariants(source, variantProfile, watermarker = null, focalPoint = null) {
 	const start = Date.now();
 	
-	// Create Sharp pipelines that return both buffer and metadata
-	const createVariant = async (maxWidth, maxHeight, quality) => {
-		const pipeline = sharp(imageBuffer)
-			.resize(maxWidth, maxHeight, { fit: "inside", withoutEnlargement: true })
-			.webp({ quality, effort: 4 });
-		
+	// Encode one output format from a resized pipeline
+	const encode = async (resized, format, quality) => {
 		// Use resolveWithObject to get both buffer and metadata of the processed image
-		const { data: buffer, info } = await pipeline.toBuffer({ resolveWithObject: true });
+		const { data: buffer, info } = await resized.clone()
+			.toFormat(format, FORMAT_OPTIONS[format](quality))
+			.toBuffer({ resolveWithObject: true });
 		
 		return {
 			buffer,
@@ -499,26 +2118,57 @@ async function processImageVariants(imageBuffer) {
 			bytes: buffer.length
 		};
 	};
+
+	// Resize (cropped variants from their crop box) once per variant, then encode each requested format from a clone.
+	// input() produces the image upright, `image` is its size and `original` the size crop boxes are recorded in.
+	const createVariant = (input, image, original) => async (variant) => {
+		const { name, width, height, fit, format, formats, quality, withoutEnlargement } = variant;
+		let crop = null;
+		let resized;
+		if (isCropped(variant)) {
+			crop = await findCropBox(input, image, variant, focalPoint);
+			const { left, top, width: boxWidth, height: boxHeight } = crop;
+			resized = input().extract({ left, top, width: boxWidth, height: boxHeight }).resize(width, height, { fit, withoutEnlargement });
+		} else {
+			resized = input().resize(width, height, { fit, withoutEnlargement });
+		}
+		if (watermarker?.appliesTo(name)) {
+			resized = await watermarker.apply(resized);
+		}
+		const encoded = await Promise.all(formats.map(f => encode(resized, f, quality)));
+		return {
+			format,
+			outputs: Object.fromEntries(formats.map((f, i) => [f, encoded[i]])),
+			crop: crop && scaleBox(crop, image, original)
+		};
+	};
 	
-	const tasks = [
-		createVariant(1920, 1920, 85), // large
-		createVariant(1200, 1200, 80), // medium  
-		createVariant(650, 650, 75),   // small
-		createVariant(200, 200, 70)    // thumb
-	];
+	const render = async () => {
+		if (!source.renderFile) {
+			const upright = displaySize(await sharp(source.renderBuffer).metadata(), source.orientation);
+			return Promise.all(variantProfile.map(createVariant(() => orient(sharp(source.renderBuffer), source.orientation), upright, upright)));
+		}
+		const decoded = await decodeForVariants(source.renderFile, variantProfile, source.orientation);
+		log.info(`Decoded ${decoded.original.width}x${decoded.original.height} once at ${decoded.width}x${decoded.height} for variants`);
+		return mapWithConcurrency(variantProfile, 1, createVariant(decoded.pipeline, decoded, decoded.original));
+	};
 	
-	const timeout = new Promise((_, reject) =>
-		setTimeout(() => reject(new Error('Image processing timeout')), CONFIG.OPERATION_TIMEOUT)
-	);
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error('Image processing timeout')), CONFIG.OPERATION_TIMEOUT);
+	});
 	
-	const [large, medium, small, thumb] = await Promise.race([Promise.all(tasks), timeout]);
+	const rendered = await Promise.race([render(), timeout]).finally(() => clearTimeout(timer));
+	const variants = Object.fromEntries(variantProfile.map((variant, i) => [variant.name, rendered[i]]));
 	const processingTime = Date.now() - start;
 	
-	return { large, medium, small, thumb, processingTime };
+	return { variants, processingTime };
 }
 
-async function buildMetadata({ key, baseName, shotDate, camera, original, imageBuffer, exif, ext, isUsingSeparateBucket, processedVariants, gpsCoords }) {
-	const imageMetadata = await sharp(imageBuffer).metadata();
+async function buildMetadata({ key, sourceBucket, originalVersionId, baseName, shotTime, camera, originalBytes, source, hashes, exif, ext, isUsingSeparateBucket, processedVariants, gpsCoords, location, naming, watermarker, privacy, albumRules = [], userEdits = null }) {
+	// Dimensions come from what we rendered (the embedded preview for RAW files): as stored, and as displayed
+	const stored = await sharp(source.renderBuffer || source.renderFile).metadata();
+	const { width, height } = displaySize(stored, withRotation(source, userEdits).orientation);
 	const photoFolder = `${baseName}/`;
 	const originalFilename = key.split('/').pop(); // Extract just the filename from the full key path
 	
@@ -528,7 +2178,9 @@ async function buildMetadata({ key, baseName, shotDate, camera, original, imageB
 		exifData = {
 			make: exif.tags.Make || null,
 			model: exif.tags.Model || null,
-			dateTimeOriginal: exif.tags.DateTimeOriginal ? new Date(exif.tags.DateTimeOriginal * 1000).toISOString() : null,
+			// Camera wall clock as recorded, without a timezone; see shotTime for the resolved instant
+			dateTimeOriginal: exif.tags.DateTimeOriginal ? new Date(exif.tags.DateTimeOriginal * 1000).toISOString().slice(0, 19) : null,
+			offsetTimeOriginal: exif.offsetTags?.OffsetTimeOriginal || null,
 			iso: exif.tags.ISO || null,
 			fNumber: exif.tags.FNumber || null,
 			exposureTime: exif.tags.ExposureTime || null,
@@ -538,131 +2190,297 @@ async function buildMetadata({ key, baseName, shotDate, camera, original, imageB
 		
 		// Add GPS data if available
 		if (gpsCoords) {
-			exifData.gps = gpsCoords;
+			exifData.gps = location ? {
+				...gpsCoords,
+				locality: location.locality,
+				region: location.region,
+				country: location.country,
+				countryCode: location.countryCode,
+				distanceKm: location.distanceKm
+			} : gpsCoords;
 		}
 	}
 	
-	return {
+	const metadata = {
 		photoFolder : photoFolder,
+		// Template that produced the folder name, and the suffix added if the name was taken
+		naming: naming || null,
 		originalKey: key,
-		shotDate: shotDate.toISOString(),
+		originalBucket: sourceBucket,
+		// Version of the ingress object that was processed (versioned ingress buckets only)
+		originalVersionId: originalVersionId || null,
+		shotDate: shotTime.utc.toISOString(),
+		shotTime: {
+			utc: shotTime.utc.toISOString(),
+			local: shotTime.local,
+			offset: shotTime.offset,
+			timeZone: shotTime.timeZone,
+			source: shotTime.source
+		},
 		procDate: new Date().toISOString(),
-		originalBytes: original.ContentLength || imageBuffer.length,
-		originalDimensions: { width: imageMetadata.width, height: imageMetadata.height, format: ext },
+		originalBytes,
+		// Size as displayed; `raw` is the size as stored, before `orientation` (the EXIF tag) and `rotation` are applied
+		originalDimensions: { width, height, format: ext, orientation: source.orientation, raw: { width: stored.width, height: stored.height } },
+		originalMimeType: source.mimeType,
+		decodeMethod: source.decodeMethod,
+		// 'streaming' when the original was spooled to disk instead of held in memory
+		processingMode: source.renderFile ? 'streaming' : 'buffered',
+		// Watermark version and the variants carrying it; reprocessing finds photos with an outdated one
+		watermark: watermarker ? {
+			version: watermarker.version,
+			variants: Object.keys(processedVariants).filter(name => watermarker.appliesTo(name))
+		} : null,
+		// Approved user.json edits, and the focal point and rotation override the variants were rendered with
+		userEdits: recordedEdits(userEdits),
+		focalPoint: userEdits?.focalPoint || null,
+		rotation: userEdits?.rotation || null,
+		// Policy the public metadata.json was redacted with, and where the unredacted copy is
+		privacy: privacy || null,
+		privateMetadata: privacy?.privateMetadata ? privateLocation(privacy, photoFolder, 'metadata.json') : null,
+		hashes,
 		exifData: exifData,
+		location: location || null,
 		versions: {
 			original: {
-				path: buildPhotoPath(photoFolder, originalFilename, 'original'),
-				width: imageMetadata.width,
-				height: imageMetadata.height,
-				bytes: original.ContentLength || imageBuffer.length,
-				format: ext
+				...(privacy?.original === 'separate'
+					? privateLocation(privacy, photoFolder, originalFilename)
+					: { path: buildPhotoPath(photoFolder, originalFilename, 'original') }),
+				width,
+				height,
+				orientation: source.orientation,
+				bytes: originalBytes,
+				format: ext,
+				mimeType: source.mimeType,
+				// Unwatermarked or full EXIF, so kept out of public reads
+				...((watermarker || (privacy && privacy.original !== 'public')) && { private: true })
 			},
-			large: {
-				path: buildPhotoPath(photoFolder, originalFilename, 'large'),
-				width: processedVariants.large.width,
-				height: processedVariants.large.height,
-				bytes: processedVariants.large.bytes,
-				format: 'webp'
-			},
-			medium: {
-				path: buildPhotoPath(photoFolder, originalFilename, 'medium'),
-				width: processedVariants.medium.width,
-				height: processedVariants.medium.height,
-				bytes: processedVariants.medium.bytes,
-				format: 'webp'
-			},
-			small: {
-				path: buildPhotoPath(photoFolder, originalFilename, 'small'),
-				width: processedVariants.small.width,
-				height: processedVariants.small.height,
-				bytes: processedVariants.small.bytes,
-				format: 'webp'
-			},
-			thumb: {
-				path: buildPhotoPath(photoFolder, originalFilename, 'thumb'),
-				width: processedVariants.thumb.width,
-				height: processedVariants.thumb.height,
-				bytes: processedVariants.thumb.bytes,
-				format: 'webp'
-			}
+			...Object.fromEntries(Object.entries(processedVariants).map(([name, variant]) => {
+				// Top-level fields describe the primary format; `formats` lists every encoding
+				const primary = variant.outputs[variant.format];
+				return [name, {
+					path: buildPhotoPath(photoFolder, originalFilename, name, variant.format),
+					width: primary.width,
+					height: primary.height,
+					bytes: primary.bytes,
+					format: variant.format,
+					// Box of the original a cropped variant shows, and how it was chosen
+					...(variant.crop && { crop: variant.crop }),
+					formats: Object.fromEntries(Object.entries(variant.outputs).map(([format, output]) => [format, {
+						path: buildPhotoPath(photoFolder, originalFilename, name, format),
+						width: output.width,
+						height: output.height,
+						bytes: output.bytes
+					}]))
+				}];
+			}))
 		}
 	};
+	// Albums it belongs to, from the album rules and the user.json edits
+	return { ...metadata, albums: albumsOf(metadata, albumRules) };
+}
+
+/**
+ * Where a privacy policy keeps a private file of a photo: under PRIVATE_PREFIX, mirroring
+ * the photo folder, in the policy's private bucket when it has one
+ * @returns {{path: string, bucket?: string}}
+ */
+function privateLocation(privacy, photoFolder, fileName) {
+	return {
+		path: `${CONFIG.PRIVATE_PREFIX}${photoFolder}${fileName}`,
+		...(privacy.privateBucket && { bucket: privacy.privateBucket })
+	};
+}
+
+/**
+ * Upload a photo's full metadata to its private location, if its policy keeps one
+ */
+async function storePrivateMetadata(targetBucket, metadata) {
+	if (!metadata.privateMetadata) {
+		return;
+	}
+	const { bucket = targetBucket, path } = metadata.privateMetadata;
+	await retryWithBackoff(() => storage.putObject(bucket, path, JSON.stringify(metadata, null, 2), {
+		ContentType: 'application/json', Tagging: PRIVATE_TAGGING
+	}), 3, 1000);
 }
 
 async function uploadAllFiles(
 	{ imageBuffer, 
+		spool,
 		original, 
 		targetBucket, 
-		photoFolder, baseName, large, medium, small, thumb, metadata, key }
+		photoFolder, baseName, variants, metadata, publicMetadata = metadata, pictureManifest, key }
 	) {
 	const start = Date.now();
-	const uploadWithRetry = (cmd) => retryWithBackoff(() => s3Client.send(cmd), 3, 1000);
+	const uploadWithRetry = (key, body, options) => retryWithBackoff(() => storage.putObject(targetBucket, key, body, options), 3, 1000);
 	const originalFilename = key.split('/').pop(); // Extract just the filename from the full key path
 
 	const uploads = [
-		uploadWithRetry(new PutObjectCommand({
-			Bucket: targetBucket, Key: `${photoFolder}${originalFilename}`, Body: imageBuffer,
-			ContentType: original.ContentType
-		})),
-		uploadWithRetry(new PutObjectCommand({ Bucket: targetBucket, Key: buildPhotoPath(photoFolder, originalFilename, 'large'), Body: large, ContentType: 'image/webp' })),
-		uploadWithRetry(new PutObjectCommand({ Bucket: targetBucket, Key: buildPhotoPath(photoFolder, originalFilename, 'medium'), Body: medium, ContentType: 'image/webp' })),
-		uploadWithRetry(new PutObjectCommand({ Bucket: targetBucket, Key: buildPhotoPath(photoFolder, originalFilename, 'small'), Body: small, ContentType: 'image/webp' })),
-		uploadWithRetry(new PutObjectCommand({ Bucket: targetBucket, Key: buildPhotoPath(photoFolder, originalFilename, 'thumb'), Body: thumb, ContentType: 'image/webp' })),
-		uploadWithRetry(new PutObjectCommand({
-			Bucket: targetBucket, Key: `${photoFolder}metadata.json`, Body: JSON.stringify(metadata, null, 2),
-			ContentType: 'application/json'
-		})),
-		// Create initial empty user.json for client edits
-		uploadWithRetry(new PutObjectCommand({
-			Bucket: targetBucket,
-			Key: `${photoFolder}user.json`,
-			Body: JSON.stringify({}, null, 2),
-			ContentType: 'application/json'
-		}))
+		storeOriginal({
+			imageBuffer, spool, original, metadata,
+			targetBucket: metadata.versions.original.bucket || targetBucket, targetKey: metadata.versions.original.path
+		}),
+		...Object.entries(variants).flatMap(([name, variant]) =>
+			Object.entries(variant.outputs).map(([format, output]) => uploadWithRetry(
+				buildPhotoPath(photoFolder, originalFilename, name, format), output.buffer,
+				{ ContentType: OUTPUT_FORMATS[format].contentType }))),
+		uploadWithRetry(`${photoFolder}metadata.json`, JSON.stringify(publicMetadata, null, 2), { ContentType: 'application/json' }),
+		storePrivateMetadata(targetBucket, metadata),
+		// <picture>/srcset manifest for frontends
+		uploadWithRetry(`${photoFolder}srcset.json`, JSON.stringify(pictureManifest, null, 2), { ContentType: 'application/json' }),
+		// Private pointer from the ingress key to this folder, used when the upload is deleted
+		uploadWithRetry(indexKey('originals', metadata.originalBucket, key),
+			JSON.stringify({ sourceBucket: metadata.originalBucket, originalKey: key, photoFolder }),
+			{ ContentType: 'application/json', Tagging: PRIVATE_TAGGING })
 	];
 	await Promise.all(uploads);
 	return Date.now() - start;
 }
 	
+/**
+ * Copy the original into its photo folder server-side. When the ingress object is gone
+ * (deleted by the 'replace' duplicate action, or overwritten since it was downloaded),
+ * the downloaded bytes are uploaded instead.
+ * @returns {Promise<{method: string, parts?: number}>}
+ */
+async function storeOriginal({ imageBuffer, spool, original, metadata, targetBucket, targetKey }) {
+	const retry = (fn) => retryWithBackoff(fn, 3, 1000, error => !isSourceUnavailable(error));
+	const { Body, ...objectHeaders } = original;
+	const source = {
+		...objectHeaders, Bucket: metadata.originalBucket, Key: metadata.originalKey, ContentLength: metadata.originalBytes
+	};
+
+	const isPrivate = metadata.versions.original.private === true;
+
+	try {
+		const copy = await storage.copyOriginal({
+			source, target: { Bucket: targetBucket, Key: targetKey }, ContentType: metadata.originalMimeType,
+			sha256: metadata.hashes.sha256, content: spool ? spool.filePath : imageBuffer, retry,
+			...(isPrivate && { tags: { private: 'true' } })
+		});
+		log.info(`Original copied`, { targetKey, method: copy.method, parts: copy.parts ?? null });
+		return copy;
+	} catch (error) {
+		if (!isSourceUnavailable(error)) {
+			throw error;
+		}
+		log.warn(`Original can no longer be copied, uploading the downloaded bytes`, { sourceBucket: source.Bucket, sourceKey: source.Key, errorName: error.name });
+	}
+
+	const options = { ContentType: metadata.originalMimeType, Metadata: linkedMetadata(source), ...(isPrivate && { Tagging: PRIVATE_TAGGING }) };
+	if (spool) {
+		// Spooled originals go up in parts straight from disk
+		const { parts } = await storage.putFile(targetBucket, targetKey, spool.filePath, { ...options, partSize: CONFIG.MULTIPART_PART_SIZE, retry });
+		return { method: 'multipart_upload', parts };
+	}
+	await retry(() => storage.putObject(targetBucket, targetKey, imageBuffer, options));
+	return { method: 'upload' };
+}
+
 /**
  * Consistently build photo path for different sizes
  * @param {string} photoFolder 
  * @param {string} originalFilename - The actual original filename (e.g., DSC003344.JPG)
- * @param {string} sizeLabel 
+ * @param {string} sizeLabel - 'original' or a variant name from the profile
+ * @param {string} [format] - variant output format (default webp)
  * @returns {string}
  */
-function buildPhotoPath(photoFolder, originalFilename, sizeLabel) {
-	const fileName = sizeLabel === 'original' ? originalFilename : `${sizeLabel}.webp`;
+function buildPhotoPath(photoFolder, originalFilename, sizeLabel, format = 'webp') {
+	const fileName = sizeLabel === 'original' ? originalFilename : `${sizeLabel}.${OUTPUT_FORMATS[format].extension}`;
 
 	let path = `${photoFolder}${fileName}`;
-	console.info(`Built photo path: ${path}`);
+	log.info(`Built photo path: ${path}`);
 	return path;
 }
 
-function buildSuccessResponse({ baseName, key, metadata, downloadTime, processingTime, uploadTime, totalTime, actualFileSize }) {
+function buildSuccessResponse({ baseName, key, metadata, downloadTime, processingTime, uploadTime, totalTime, actualFileSize, variants, duplicateCheck }) {
 	return {
 		status: "success",
 		baseName,
+		photoFolder: metadata.photoFolder,
 		originalKey: key,
-		processedFiles: Object.values(metadata.versions).map(v => v.path),
+		processedFiles: Object.values(metadata.versions).flatMap(v => v.formats ? Object.values(v.formats).map(f => f.path) : [v.path]),
+		variants: Object.keys(metadata.versions).filter(name => name !== 'original'),
 		metadata: `${metadata.photoFolder}metadata.json`,
+		pictureManifest: `${metadata.photoFolder}srcset.json`,
+		replacedDuplicate: duplicateCheck?.isDuplicate ? {
+			existingFile: duplicateCheck.existingFile,
+			reason: duplicateCheck.reason,
+			confidence: duplicateCheck.confidence
+		} : undefined,
 		processingMetrics: {
 			totalTimeMs: totalTime,
 			downloadTimeMs: downloadTime,
 			processingTimeMs: processingTime,
 			uploadTimeMs: uploadTime,
-			originalSizeMB: (actualFileSize / 1024 / 1024).toFixed(2)
+			originalSizeMB: (actualFileSize / 1024 / 1024).toFixed(2),
+			originalBytes: actualFileSize,
+			// Encoded variants written to the processed bucket
+			outputBytes: Object.values(variants).flatMap(variant => Object.values(variant.outputs)).reduce((sum, output) => sum + output.bytes, 0)
 		}
 	};
 }
 
+function buildDuplicateResponse(error, key, startTime) {
+	const { duplicateCheck, duplicateHandling } = error;
+	log.info(`Duplicate detected for ${key}: ${duplicateCheck?.existingFile}`, { existingFile: duplicateCheck?.existingFile, reason: duplicateCheck?.reason });
+	return {
+		status: "duplicate",
+		originalKey: key,
+		existingFile: duplicateCheck?.existingFile,
+		reason: duplicateCheck?.reason,
+		confidence: duplicateCheck?.confidence,
+		hashDistance: duplicateCheck?.hashDistance,
+		action: duplicateHandling?.action,
+		location: duplicateHandling?.location,
+		processingTimeMs: Date.now() - startTime
+	};
+}
+
+/**
+ * Summarise per-record results. Event sources that support partial batch
+ * responses (SQS) get batchItemFailures listing only the messages that failed.
+ */
+function buildBatchResponse(event, results) {
+	const count = (status) => results.filter(r => r.status === status).length;
+	const failed = count('error');
+
+	let status = 'success';
+	if (failed > 0) {
+		status = failed === results.length ? 'error' : 'partial_failure';
+	}
+
+	const response = {
+		status,
+		succeeded: count('success'),
+		duplicates: count('duplicate'),
+		skipped: count('skipped'),
+		removed: count('removed'),
+		failed,
+		results
+	};
+
+	const isSqsEvent = event.Records.some(r => r.eventSource === 'aws:sqs');
+	if (isSqsEvent) {
+		// Quarantined uploads are dealt with; retrying their messages would only fail again
+		const failedMessageIds = new Set(results.filter(r => r.status === 'error' && !r.quarantine).map(r => r.messageId));
+		response.batchItemFailures = [...failedMessageIds].map(itemIdentifier => ({ itemIdentifier }));
+	}
+
+	log.info(`Batch complete: ${response.succeeded} succeeded, ${response.duplicates} duplicates, ${response.skipped} skipped, ${response.removed} removed, ${failed} failed`, {
+		succeeded: response.succeeded, duplicates: response.duplicates, skipped: response.skipped, removed: response.removed, failed
+	});
+	return response;
+}
+
 function handleError(error, startTime, processingPhase, key) {
 	const totalTime = Date.now() - startTime;
-	console.error(`Error in phase '${processingPhase}':`, error.message);
 
 	let errorCategory = 'unknown';
-	if (/getObject|download/.test(error.message)) {
+	// Timeouts first: "Image processing timeout" is worth retrying, a broken image isn't
+	if (/timeout/.test(error.message) || error.name === 'TimeoutError' || error.code === 'ETIMEDOUT') {
+		errorCategory = 'timeout';
+	} else if (/getObject|download/.test(error.message)) {
 		errorCategory = 's3_download';
 	} else if (/Sharp|resize|image/.test(error.message)) {
 		errorCategory = 'image_processing';
@@ -670,11 +2488,15 @@ function handleError(error, startTime, processingPhase, key) {
 		errorCategory = 's3_upload';
 	} else if (/EXIF/.test(error.message)) {
 		errorCategory = 'exif_parsing';
-	} else if (/timeout/.test(error.message)) {
-		errorCategory = 'timeout';
 	} else if (/memory|size/.test(error.message)) {
 		errorCategory = 'resource_limit';
+	} else if (processingPhase === 'download' || processingPhase === 'upload') {
+		// S3 errors say what went wrong (e.g. "SlowDown"), not what was being done
+		errorCategory = `s3_${processingPhase}`;
 	}
+	log.error(`Error in phase '${processingPhase}': ${error.message}`, {
+		phase: processingPhase, errorCategory, error, stack: CONFIG.DETAILED_LOGGING ? error.stack : undefined
+	});
 
 	return {
 		status: "error",
@@ -0,0 +1,119 @@
+/**
+ * Schema of the user.json edits in each photo folder, written by clients:
+ *   {
+ *     "title": "Cowes Week", "caption": "Start of the Round the Island race",
+ *     "tags": ["sailing", "solent"], "rating": 4, "albums": ["summer-2025"], "hidden": false,
+ *     "focalPoint": { "x": 0.3, "y": 0.6 }, "rotation": 90
+ *   }
+ * Every field is optional. title, caption, tags and rating describe the photo, albums are
+ * slugs of albums it belongs to, hidden keeps it out of the catalog, focalPoint places the
+ * crop of cropped variants (see smart-crop.js) and rotation turns it clockwise on top of its
+ * EXIF orientation. Edits that don't match the schema are never applied.
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CAPTION_LENGTH = 2000;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 50;
+const MAX_ALBUMS = 50;
+const ROTATIONS = [0, 90, 180, 270];
+
+// Album slugs, e.g. "summer-2025"; "index" would be the manifest of the album index (albums/index.json)
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const RESERVED_SLUGS = ['index'];
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isAlbumSlug = (value) => typeof value === 'string' && SLUG_PATTERN.test(value) && !RESERVED_SLUGS.includes(value);
+
+// Checks for each field in the order edits are normalized: the normalized value, or an error message
+const FIELDS = {
+	title: (value) => typeof value === 'string' && value.trim().length <= MAX_TITLE_LENGTH
+		? { value: value.trim() }
+		: { error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` },
+
+	caption: (value) => typeof value === 'string' && value.trim().length <= MAX_CAPTION_LENGTH
+		? { value: value.trim() }
+		: { error: `caption must be a string of at most ${MAX_CAPTION_LENGTH} characters` },
+
+	tags: (value) => {
+		if (!Array.isArray(value) || value.length > MAX_TAGS ||
+			!value.every(tag => typeof tag === 'string' && tag.trim() !== '' && tag.trim().length <= MAX_TAG_LENGTH)) {
+			return { error: `tags must be a list of at most ${MAX_TAGS} non-empty strings of at most ${MAX_TAG_LENGTH} characters` };
+		}
+		// The first spelling of a tag wins
+		const seen = new Set();
+		return {
+			value: value.map(tag => tag.trim()).filter(tag => !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+		};
+	},
+
+	rating: (value) => value === null || (Number.isInteger(value) && value >= 0 && value <= 5)
+		? { value }
+		: { error: 'rating must be a whole number from 0 to 5, or null' },
+
+	albums: (value) => Array.isArray(value) && value.length <= MAX_ALBUMS && value.every(isAlbumSlug)
+		? { value: [...new Set(value)] }
+		: { error: `albums must be a list of at most ${MAX_ALBUMS} album slugs (lowercase letters, digits and dashes, not "index")` },
+
+	hidden: (value) => typeof value === 'boolean'
+		? { value }
+		: { error: 'hidden must be true or false' },
+
+	focalPoint: (value) => {
+		if (value === null) {
+			return { value };
+		}
+		const valid = typeof value === 'object' && !Array.isArray(value) &&
+			Object.keys(value).every(field => field === 'x' || field === 'y') && isFraction(value.x) && isFraction(value.y);
+		return valid
+			? { value: { x: value.x, y: value.y } }
+			: { error: 'focalPoint must be { "x": ..., "y": ... } with fractions from 0 to 1, or null' };
+	},
+
+	rotation: (value) => ROTATIONS.includes(value)
+		? { value }
+		: { error: `rotation must be one of ${ROTATIONS.join(', ')}` }
+};
+
+/**
+ * Check a parsed user.json against the schema
+ * @param {*} document - parsed user.json
+ * @returns {{edits: object|null, errors: Array<string>}} normalized edits (fields in schema order), or null with the errors
+ */
+function validateUserEdits(document) {
+	if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+		return { edits: null, errors: ['user.json must be a JSON object'] };
+	}
+
+	const errors = Object.keys(document)
+		.filter(field => !FIELDS[field])
+		.map(field => `unknown field '${field}'`);
+	const edits = {};
+	for (const [field, check] of Object.entries(FIELDS)) {
+		if (document[field] === undefined) {
+			continue;
+		}
+		const { value, error } = check(document[field]);
+		if (error) {
+			errors.push(error);
+		} else {
+			edits[field] = value;
+		}
+	}
+	return errors.length ? { edits: null, errors } : { edits, errors };
+}
+
+/**
+ * Normalized edits as recorded in metadata.json: null when there are none
+ * @param {object|null} edits - from validateUserEdits
+ */
+function recordedEdits(edits) {
+	return edits && Object.keys(edits).length > 0 ? edits : null;
+}
+
+module.exports = {
+	ROTATIONS,
+	isAlbumSlug,
+	validateUserEdits,
+	recordedEdits
+};
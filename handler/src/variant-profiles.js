@@ -0,0 +1,221 @@
+/**
+ * Variant profiles describe which processed images are generated for a photo.
+ * A profile is an ordered list of variants, each with a name, target dimensions,
+ * sharp fit mode, crop position, output formats and quality. Profiles can be set globally with
+ * the VARIANT_PROFILE env var or per ingress bucket with a `variants` entry in
+ * BUCKET_MAPPINGS. Variants without their own formats use VARIANT_FORMATS.
+ */
+
+// Output formats we know how to encode, with their file extension and content type
+const OUTPUT_FORMATS = {
+	webp: { extension: 'webp', contentType: 'image/webp' },
+	jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+	png: { extension: 'png', contentType: 'image/png' },
+	avif: { extension: 'avif', contentType: 'image/avif' }
+};
+
+// Order used when offering sources to browsers (most efficient first)
+const SOURCE_PREFERENCE = ['avif', 'webp', 'jpeg', 'png'];
+
+// Order used when picking the <img> fallback (most compatible first)
+const FALLBACK_PREFERENCE = ['jpeg', 'png', 'webp', 'avif'];
+
+// sharp resize fit modes
+const FIT_MODES = ['inside', 'outside', 'cover', 'contain', 'fill'];
+
+// Where cropped ('cover') variants are cut from the image, see smart-crop.js
+const CROP_POSITIONS = ['center', 'attention', 'entropy'];
+
+// Names reserved for files that live next to the variants in a photo folder
+const RESERVED_NAMES = ['original', 'metadata', 'user'];
+
+// The sizes the pipeline has always produced
+const DEFAULT_VARIANT_PROFILE = [
+	{ name: 'large', width: 1920, height: 1920, fit: 'inside', quality: 85 },
+	{ name: 'medium', width: 1200, height: 1200, fit: 'inside', quality: 80 },
+	{ name: 'small', width: 650, height: 650, fit: 'inside', quality: 75 },
+	// Square, cut around the most interesting part of the photo
+	{ name: 'thumb', width: 200, height: 200, fit: 'cover', position: 'attention', quality: 70 }
+];
+
+// Formats used by variants that don't list their own
+const DEFAULT_FORMATS = ['webp'];
+
+/**
+ * Normalize a list of output format names ('jpg' is accepted for 'jpeg').
+ * @param {Array<string>|string} formats - array or comma-separated list
+ * @param {string} source - where the formats came from, used in error messages
+ * @returns {Array<string>}
+ */
+function parseFormats(formats, source = 'formats') {
+	const list = typeof formats === 'string' ? formats.split(',') : formats;
+	if (!Array.isArray(list) || list.length === 0) {
+		throw new Error(`Invalid ${source}: expected a non-empty list of formats`);
+	}
+
+	const normalized = [...new Set(list.map(f => String(f).trim().toLowerCase().replace(/^jpg$/, 'jpeg')))];
+	for (const format of normalized) {
+		if (!OUTPUT_FORMATS[format]) {
+			throw new Error(`Invalid ${source}: unsupported format '${format}'`);
+		}
+	}
+	return normalized;
+}
+
+/**
+ * Validate a variant profile and fill in defaults.
+ * @param {Array<object>} profile - raw profile (e.g. parsed from JSON)
+ * @param {string} source - where the profile came from, used in error messages
+ * @param {Array<string>} defaultFormats - formats for variants without `format`/`formats`
+ * @returns {Array<{name: string, width: number|null, height: number|null, fit: string, position: string, format: string, formats: Array<string>, quality: number, withoutEnlargement: boolean}>}
+ */
+function normalizeVariantProfile(profile, source = 'variant profile', defaultFormats = DEFAULT_FORMATS) {
+	if (!Array.isArray(profile) || profile.length === 0) {
+		throw new Error(`Invalid ${source}: expected a non-empty array of variants`);
+	}
+
+	const seen = new Set();
+	return profile.map((variant, index) => {
+		const name = variant?.name;
+		if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+			throw new Error(`Invalid ${source}: variant ${index} needs a name of letters, digits, '-' or '_'`);
+		}
+		if (RESERVED_NAMES.includes(name.toLowerCase()) || seen.has(name)) {
+			throw new Error(`Invalid ${source}: variant name '${name}' is reserved or used twice`);
+		}
+		seen.add(name);
+
+		const width = variant.width ?? null;
+		const height = variant.height ?? null;
+		for (const [label, value] of [['width', width], ['height', height]]) {
+			if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+				throw new Error(`Invalid ${source}: variant '${name}' ${label} must be a positive integer`);
+			}
+		}
+		if (width === null && height === null) {
+			throw new Error(`Invalid ${source}: variant '${name}' needs a width or a height`);
+		}
+
+		const fit = variant.fit || 'inside';
+		if (!FIT_MODES.includes(fit)) {
+			throw new Error(`Invalid ${source}: variant '${name}' has unknown fit '${fit}'`);
+		}
+
+		const position = variant.position || 'center';
+		if (!CROP_POSITIONS.includes(position)) {
+			throw new Error(`Invalid ${source}: variant '${name}' has unknown position '${position}' (expected one of ${CROP_POSITIONS.join(', ')})`);
+		}
+
+		// The first format is the primary one, used for the variant's top-level metadata
+		const formats = parseFormats(variant.formats || (variant.format ? [variant.format] : defaultFormats),
+			`${source} variant '${name}'`);
+
+		const quality = variant.quality ?? 80;
+		if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+			throw new Error(`Invalid ${source}: variant '${name}' quality must be between 1 and 100`);
+		}
+
+		return {
+			name,
+			width,
+			height,
+			fit,
+			position,
+			format: formats[0],
+			formats,
+			quality,
+			withoutEnlargement: variant.withoutEnlargement !== false
+		};
+	});
+}
+
+/**
+ * Parse the VARIANT_PROFILE env var, falling back to the default profile.
+ * @param {string|undefined} value - JSON array of variants
+ * @param {Array<string>} defaultFormats - formats for variants without their own
+ */
+function parseVariantProfile(value, defaultFormats = DEFAULT_FORMATS) {
+	if (!value) {
+		return normalizeVariantProfile(DEFAULT_VARIANT_PROFILE, 'variant profile', defaultFormats);
+	}
+	return normalizeVariantProfile(JSON.parse(value), 'VARIANT_PROFILE', defaultFormats);
+}
+
+/**
+ * Pick the profile for an ingress bucket: its BUCKET_MAPPINGS `variants` entry wins
+ * over the global profile.
+ * @param {object|undefined} bucketMapping - BUCKET_MAPPINGS entry for the source bucket
+ * @param {Array<object>} defaultProfile - already normalized global profile
+ * @param {Array<string>} defaultFormats - formats for variants without their own
+ */
+function resolveVariantProfile(bucketMapping, defaultProfile, defaultFormats = DEFAULT_FORMATS) {
+	if (bucketMapping?.variants) {
+		return normalizeVariantProfile(bucketMapping.variants, 'BUCKET_MAPPINGS variants', defaultFormats);
+	}
+	return defaultProfile;
+}
+
+/**
+ * Build a manifest a frontend can turn straight into <picture>/<img srcset> markup.
+ * Variants that keep the original aspect ratio (fit inside/outside) are grouped into
+ * one srcset per format; cropped variants are listed separately under `crops`.
+ * @param {Object<string, object>} versions - metadata.versions (original entry is ignored)
+ * @param {Array<object>} variantProfile - the profile the versions were generated from
+ * @returns {{sources: Array<{type: string, srcset: string}>, img: object|null, crops: object}}
+ */
+function buildPictureManifest(versions, variantProfile) {
+	const responsive = variantProfile.filter(v => v.fit === 'inside' || v.fit === 'outside');
+	const cropped = variantProfile.filter(v => !responsive.includes(v));
+
+	const sources = SOURCE_PREFERENCE
+		.map(format => {
+			const entries = responsive
+				.map(v => versions[v.name]?.formats?.[format])
+				.filter(Boolean)
+				.sort((a, b) => b.width - a.width);
+			if (entries.length === 0) {
+				return null;
+			}
+			return {
+				type: OUTPUT_FORMATS[format].contentType,
+				srcset: entries.map(e => `${e.path} ${e.width}w`).join(', ')
+			};
+		})
+		.filter(Boolean);
+
+	// Fallback <img>: the largest responsive variant in the most compatible format available
+	let img = null;
+	const largest = responsive
+		.map(v => versions[v.name])
+		.filter(Boolean)
+		.sort((a, b) => b.width - a.width)[0];
+	if (largest) {
+		const format = FALLBACK_PREFERENCE.find(f => largest.formats[f]);
+		const entry = largest.formats[format];
+		img = { src: entry.path, width: entry.width, height: entry.height, type: OUTPUT_FORMATS[format].contentType };
+	}
+
+	const crops = Object.fromEntries(cropped
+		.filter(v => versions[v.name])
+		.map(v => [v.name, SOURCE_PREFERENCE
+			.filter(format => versions[v.name].formats[format])
+			.map(format => {
+				const entry = versions[v.name].formats[format];
+				return { type: OUTPUT_FORMATS[format].contentType, src: entry.path, width: entry.width, height: entry.height };
+			})]));
+
+	return { sources, img, crops };
+}
+
+module.exports = {
+	OUTPUT_FORMATS,
+	SOURCE_PREFERENCE,
+	FALLBACK_PREFERENCE,
+	DEFAULT_VARIANT_PROFILE,
+	DEFAULT_FORMATS,
+	parseFormats,
+	normalizeVariantProfile,
+	parseVariantProfile,
+	resolveVariantProfile,
+	buildPictureManifest
+};
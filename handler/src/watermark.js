@@ -0,0 +1,188 @@
+/**
+ * Watermarks composited onto selected variants of public photos. A watermark is
+ * a line of text or a PNG overlay, configured globally with the WATERMARK env var
+ * or per ingress bucket with a `watermark` entry in BUCKET_MAPPINGS:
+ *   { "text": "© Jane Doe", "position": "bottom-right", "opacity": 0.6, "scale": 0.2, "variants": ["large", "medium"] }
+ *   { "image": "s3://photo3s-assets/logo.png", "position": "center", "opacity": 0.3, "scale": 0.5 }
+ * The overlay is sized relative to each variant's width (`scale`, and `margin` from its edges).
+ * Every watermark has a version, a digest of its configuration and overlay image, that is
+ * recorded in metadata.json so photos rendered with an older watermark can be found.
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Where the overlay sits: a corner, an edge's midpoint or the center
+const POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+const DEFAULTS = {
+	position: 'bottom-right',
+	opacity: 0.5,
+	scale: 0.2,
+	margin: 0.02,
+	font: 'sans bold',
+	color: '#ffffff'
+};
+
+// Text is rendered once at this resolution and scaled down to each variant
+const TEXT_DPI = 600;
+
+const isFraction = (value, { allowZero = false } = {}) =>
+	typeof value === 'number' && (allowZero ? value >= 0 : value > 0) && value <= 1;
+
+/**
+ * Validate a watermark and fill in defaults.
+ * @param {object|false|null|undefined} config - raw watermark (e.g. parsed from JSON); false or null means none
+ * @param {string} source - where the watermark came from, used in error messages
+ * @returns {object|null} normalized watermark, or null for none
+ */
+function normalizeWatermark(config, source = 'watermark') {
+	if (config === undefined || config === null || config === false) {
+		return null;
+	}
+	if (typeof config !== 'object' || Array.isArray(config)) {
+		throw new Error(`Invalid ${source}: expected an object`);
+	}
+
+	const hasText = typeof config.text === 'string' && config.text.trim() !== '';
+	const hasImage = typeof config.image === 'string' && config.image !== '';
+	if (hasText === hasImage) {
+		throw new Error(`Invalid ${source}: needs either a text or an image`);
+	}
+
+	const watermark = { ...DEFAULTS, ...config };
+	if (!POSITIONS.includes(watermark.position)) {
+		throw new Error(`Invalid ${source}: unknown position '${watermark.position}' (expected one of ${POSITIONS.join(', ')})`);
+	}
+	for (const field of ['opacity', 'scale']) {
+		if (!isFraction(watermark[field])) {
+			throw new Error(`Invalid ${source}: ${field} must be a number above 0 and at most 1`);
+		}
+	}
+	if (!isFraction(watermark.margin, { allowZero: true }) || watermark.margin >= 0.5) {
+		throw new Error(`Invalid ${source}: margin must be a number from 0 to below 0.5`);
+	}
+	if (watermark.variants !== undefined &&
+		(!Array.isArray(watermark.variants) || watermark.variants.length === 0 || !watermark.variants.every(name => typeof name === 'string'))) {
+		throw new Error(`Invalid ${source}: variants must be a non-empty list of variant names`);
+	}
+
+	return hasText
+		? {
+			text: watermark.text, font: watermark.font, ...(watermark.fontfile && { fontfile: watermark.fontfile }), color: watermark.color,
+			position: watermark.position, opacity: watermark.opacity, scale: watermark.scale, margin: watermark.margin,
+			variants: watermark.variants || null
+		}
+		: {
+			image: watermark.image,
+			position: watermark.position, opacity: watermark.opacity, scale: watermark.scale, margin: watermark.margin,
+			variants: watermark.variants || null
+		};
+}
+
+/**
+ * Parse the WATERMARK env var
+ * @param {string|undefined} value - JSON object
+ */
+function parseWatermark(value) {
+	return value ? normalizeWatermark(JSON.parse(value), 'WATERMARK') : null;
+}
+
+// Pango markup needs &, < and > escaped
+const escapeMarkup = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Top-left corner of an overlay placed in a variant
+function placeOverlay(position, variant, overlay, margin) {
+	const [vertical, horizontal] = position === 'center' ? ['center', 'center']
+		: position.includes('-') ? position.split('-')
+		: ['top', 'bottom'].includes(position) ? [position, 'center'] : ['center', position];
+	const offset = (side, variantSize, overlaySize) =>
+		side === 'top' || side === 'left' ? margin
+			: side === 'bottom' || side === 'right' ? variantSize - overlaySize - margin
+			: Math.round((variantSize - overlaySize) / 2);
+	return {
+		left: Math.max(0, offset(horizontal, variant.width, overlay.width)),
+		top: Math.max(0, offset(vertical, variant.height, overlay.height))
+	};
+}
+
+/**
+ * Prepare a watermark for rendering
+ * @param {object} watermark - from normalizeWatermark
+ * @param {function(string): Promise<Buffer>} loadImage - reads an overlay image location
+ * @returns {Promise<{version: string, appliesTo: function(string): boolean, apply: function(object): Promise<object>}>}
+ */
+async function createWatermarker(watermark, loadImage) {
+	const overlay = watermark.image
+		? await sharp(await loadImage(watermark.image)).ensureAlpha().png().toBuffer()
+		: await sharp({
+			text: {
+				text: `<span foreground="${watermark.color}">${escapeMarkup(watermark.text)}</span>`,
+				font: watermark.font,
+				...(watermark.fontfile && { fontfile: watermark.fontfile }),
+				dpi: TEXT_DPI,
+				rgba: true
+			}
+		}).png().toBuffer();
+	const { width: overlayWidth, height: overlayHeight } = await sharp(overlay).metadata();
+
+	const version = crypto.createHash('sha256')
+		.update(JSON.stringify(watermark))
+		.update(watermark.image ? overlay : '')
+		.digest('hex')
+		.slice(0, 12);
+
+	// Overlay sized and faded for a variant of the given size, as a sharp composite input
+	const overlayFor = async (width, height) => {
+		const margin = Math.round(watermark.margin * width);
+		const fit = Math.min(watermark.scale * width / overlayWidth, (height - 2 * margin) / overlayHeight);
+		const size = { width: Math.max(1, Math.round(overlayWidth * fit)), height: Math.max(1, Math.round(overlayHeight * fit)) };
+		const { data, info } = await sharp(overlay)
+			.resize(size.width, size.height, { fit: 'fill' })
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+		for (let i = 3; i < data.length; i += 4) {
+			data[i] = Math.round(data[i] * watermark.opacity);
+		}
+		return {
+			input: data,
+			raw: { width: info.width, height: info.height, channels: info.channels },
+			...placeOverlay(watermark.position, { width, height }, info, margin)
+		};
+	};
+
+	return {
+		version,
+
+		/**
+		 * Whether a variant is watermarked (all of them when no variants are listed)
+		 */
+		appliesTo(variantName) {
+			return !watermark.variants || watermark.variants.includes(variantName);
+		},
+
+		/**
+		 * Composite the watermark onto a resized variant
+		 * @param {object} pipeline - sharp pipeline producing the variant
+		 * @returns {Promise<object>} sharp pipeline producing the watermarked variant
+		 */
+		async apply(pipeline) {
+			const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+			const raw = { width: info.width, height: info.height, channels: info.channels };
+			const marked = await sharp(data, { raw })
+				.composite([await overlayFor(info.width, info.height)])
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			// Compositing adds an alpha channel; opaque variants stay opaque
+			const watermarked = sharp(marked.data, { raw: { width: marked.info.width, height: marked.info.height, channels: marked.info.channels } });
+			return info.channels === marked.info.channels ? watermarked : watermarked.removeAlpha();
+		}
+	};
+}
+
+module.exports = {
+	POSITIONS,
+	normalizeWatermark,
+	parseWatermark,
+	createWatermarker
+};
@@ -0,0 +1,143 @@
+// handler/test/albums.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeAlbumRules, parseAlbumRules, albumsOf, createAlbums } = require('../src/albums');
+const { createFileStorage } = require('../src/storage');
+
+const metadataFor = (photoFolder, shotDate, extra = {}) => ({
+  photoFolder,
+  shotDate,
+  shotTime: { utc: shotDate, local: shotDate.slice(0, 23) },
+  originalKey: 'sailing/DSCF8545.JPG',
+  originalDimensions: { width: 6000, height: 4000, format: 'jpg' },
+  exifData: { make: 'FUJIFILM', model: 'X-T5', gps: { latitude: 50.7667, longitude: -1.2833 } },
+  versions: {
+    original: { path: `${photoFolder}a.jpg`, width: 6000, height: 4000 },
+    thumb: { path: `${photoFolder}thumb.webp`, width: 200, height: 200 }
+  },
+  ...extra
+});
+
+describe('albums', () => {
+  it('validates rules and fills in titles', () => {
+    expect(normalizeAlbumRules([{ slug: 'summer-2025', from: '2025-06-01', to: '2025-08-31' }])).toEqual([{
+      slug: 'summer-2025', title: 'summer-2025', from: '2025-06-01', to: '2025-08-31', near: null, camera: null, prefix: null
+    }]);
+    expect(normalizeAlbumRules(null)).toEqual([]);
+    expect(parseAlbumRules(undefined)).toEqual([]);
+    expect(() => normalizeAlbumRules({ slug: 'x' })).toThrow('expected an array of album rules');
+    expect(() => normalizeAlbumRules([{ slug: 'Summer', camera: 'X-T5' }])).toThrow('albums rule 1: slug must be');
+    // albums/index.json is the album index
+    expect(() => normalizeAlbumRules([{ slug: 'index', camera: 'X-T5' }])).toThrow('albums rule 1: slug must be');
+    expect(() => normalizeAlbumRules([{ slug: 'all' }])).toThrow('needs at least one of from, to, near, camera, prefix');
+    expect(() => normalizeAlbumRules([{ slug: 'late', from: '2025-09-01', to: '2025-08-01' }])).toThrow('from is after to');
+    expect(() => normalizeAlbumRules([{ slug: 'day', from: '1 June' }])).toThrow('from must be a YYYY-MM-DD date');
+    expect(() => normalizeAlbumRules([{ slug: 'here', near: { latitude: 50, longitude: -1 } }])).toThrow('near must be');
+    expect(() => normalizeAlbumRules([{ slug: 'fuji', camera: 'FUJIFILM', lens: '23mm' }])).toThrow('unknown field(s) lens');
+    expect(() => parseAlbumRules('[{"slug": "a", "camera": "X"}, {"slug": "a", "prefix": "b/"}]'))
+      .toThrow('Invalid ALBUMS: slug a is used by more than one rule');
+  });
+
+  it('matches photos by date, place, camera and upload prefix, then adds user.json albums', () => {
+    const rules = normalizeAlbumRules([
+      { slug: 'summer-2025', title: 'Summer 2025', from: '2025-06-01', to: '2025-08-31' },
+      { slug: 'cowes', near: { latitude: 50.76, longitude: -1.30, radiusKm: 5 } },
+      { slug: 'london', near: { latitude: 51.5, longitude: -0.12, radiusKm: 20 } },
+      { slug: 'fuji', camera: 'fujifilm x' },
+      { slug: 'sailing', prefix: 'sailing/' },
+      { slug: 'sailing-summer', prefix: 'sailing/', from: '2025-06-01', to: '2025-08-31' }
+    ]);
+    const photo = metadataFor('photo-a/', '2025-07-30T17:05:00.000Z', { userEdits: { albums: ['family', 'cowes'] } });
+
+    expect(albumsOf(photo, rules)).toEqual(['summer-2025', 'cowes', 'fuji', 'sailing', 'sailing-summer', 'family']);
+    // The local date counts: still 31 August where it was taken
+    expect(albumsOf(metadataFor('photo-b/', '2025-09-01T02:00:00.000Z', {
+      shotTime: { utc: '2025-09-01T02:00:00.000Z', local: '2025-08-31T22:00:00.000' }
+    }), rules)).toContain('summer-2025');
+    expect(albumsOf(metadataFor('photo-c/', '2025-07-30T17:05:00.000Z', { exifData: null, originalKey: 'DSCF1.JPG' }), rules))
+      .toEqual(['summer-2025']);
+    expect(albumsOf({ ...photo, userEdits: { albums: ['family'], hidden: true } }, rules)).toEqual([]);
+  });
+
+  it('keeps photos whose GPS a privacy policy hides out of place albums', () => {
+    const rules = normalizeAlbumRules([
+      { slug: 'summer-2025', from: '2025-06-01', to: '2025-08-31' },
+      { slug: 'cowes', near: { latitude: 50.76, longitude: -1.30, radiusKm: 5 } }
+    ]);
+    const photo = metadataFor('photo-a/', '2025-07-30T17:05:00.000Z');
+
+    expect(albumsOf({ ...photo, privacy: { gps: 'exact' } }, rules)).toEqual(['summer-2025', 'cowes']);
+    expect(albumsOf({ ...photo, privacy: { gps: 'coarse' } }, rules)).toEqual(['summer-2025']);
+    expect(albumsOf({ ...photo, privacy: { gps: 'strip' } }, rules)).toEqual(['summer-2025']);
+    // Listing the album in user.json is the owner's own choice
+    expect(albumsOf({ ...photo, privacy: { gps: 'strip' }, userEdits: { albums: ['cowes'] } }, rules)).toEqual(['summer-2025', 'cowes']);
+  });
+
+  describe('manifests', () => {
+    let rootDir;
+    let albums;
+    const read = (key) => JSON.parse(fs.readFileSync(path.join(rootDir, 'processed', key), 'utf8'));
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-albums-'));
+      albums = createAlbums(createFileStorage(rootDir), 'processed', 'albums/', normalizeAlbumRules([
+        { slug: 'summer-2025', title: 'Summer 2025', from: '2025-06-01', to: '2025-08-31' }
+      ]));
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('lists photos oldest first with a cover and date range, and keeps the index current', async () => {
+      await albums.addPhoto(metadataFor('photo-b/', '2025-08-02T09:00:00.000Z', { albums: ['summer-2025', 'family'] }));
+      await albums.addPhoto(metadataFor('photo-a/', '2025-07-30T17:05:00.000Z', { albums: ['summer-2025'], userEdits: { title: 'Start', rating: 2 } }));
+      await albums.addPhoto(metadataFor('photo-c/', '2025-08-20T12:00:00.000Z', { albums: ['summer-2025'], userEdits: { rating: 5 } }));
+
+      const summer = read('albums/summer-2025.json');
+      expect(summer).toMatchObject({
+        slug: 'summer-2025',
+        title: 'Summer 2025',
+        count: 3,
+        dateRange: { from: '2025-07-30T17:05:00.000Z', to: '2025-08-20T12:00:00.000Z' },
+        cover: { photoFolder: 'photo-c/', path: 'photo-c/thumb.webp', width: 200, height: 200 }
+      });
+      expect(summer.photos.map(p => p.photoFolder)).toEqual(['photo-a/', 'photo-b/', 'photo-c/']);
+      expect(summer.photos[0]).toEqual({
+        photoFolder: 'photo-a/', baseName: 'photo-a', shotDate: '2025-07-30T17:05:00.000Z', title: 'Start', rating: 2,
+        thumb: { path: 'photo-a/thumb.webp', width: 200, height: 200 }, dimensions: { width: 6000, height: 4000 }
+      });
+      expect(read('albums/index.json').albums.map(({ slug, title, key, count }) => ({ slug, title, key, count }))).toEqual([
+        { slug: 'family', title: 'family', key: 'albums/family.json', count: 1 },
+        { slug: 'summer-2025', title: 'Summer 2025', key: 'albums/summer-2025.json', count: 3 }
+      ]);
+    });
+
+    it('moves photos between albums and removes them', async () => {
+      const photo = metadataFor('photo-a/', '2025-07-30T17:05:00.000Z', { albums: ['summer-2025', 'family'] });
+      await albums.addPhoto(photo);
+
+      await albums.addPhoto({ ...photo, albums: ['summer-2025', 'friends'] }, photo.albums);
+      expect(read('albums/family.json')).toMatchObject({ count: 0, photos: [], cover: null, dateRange: null });
+      expect(read('albums/friends.json').count).toBe(1);
+      expect(read('albums/index.json').albums.map(a => a.slug)).toEqual(['friends', 'summer-2025']);
+
+      await albums.removePhoto({ ...photo, albums: ['summer-2025', 'friends'] });
+      expect(read('albums/index.json').albums).toEqual([]);
+    });
+
+    it('rebuilds every album from recorded memberships and empties the rest', async () => {
+      await albums.addPhoto(metadataFor('photo-gone/', '2025-07-01T00:00:00.000Z', { albums: ['family'] }));
+
+      const count = await albums.rebuild([
+        metadataFor('photo-a/', '2025-07-30T17:05:00.000Z', { albums: ['summer-2025'] }),
+        metadataFor('photo-old/', '2020-01-01T00:00:00.000Z')
+      ]);
+
+      expect(count).toBe(2);
+      expect(read('albums/family.json').photos).toEqual([]);
+      expect(read('albums/index.json').albums.map(a => a.slug)).toEqual(['summer-2025']);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// handler/test/cli.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, findPhotos } = require('../src/cli');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+describe('photo3s CLI', () => {
+  let workDir;
+  let inputDir;
+  let outputDir;
+  let output;
+  let consoleLog;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-cli-'));
+    inputDir = path.join(workDir, 'camera roll');
+    outputDir = path.join(inputDir, 'processed');
+    fs.mkdirSync(path.join(inputDir, 'trip'), { recursive: true });
+    fs.copyFileSync(fixture('sample.jpg'), path.join(inputDir, 'DSCF8545.JPG'));
+    fs.copyFileSync(fixture('sample.jpg'), path.join(inputDir, 'trip', 'copy of DSCF8545.jpg'));
+    fs.copyFileSync(fixture('gps-north-east.jpg'), path.join(inputDir, 'trip', 'north-east.jpg'));
+    fs.writeFileSync(path.join(inputDir, 'trip', 'broken.jpg'), 'not a jpeg');
+    fs.writeFileSync(path.join(inputDir, 'notes.txt'), 'not a photo');
+    fs.writeFileSync(path.join(inputDir, '.hidden.jpg'), 'hidden');
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    output = [];
+    consoleLog = jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  it('finds supported photos, skipping hidden files and the output folder', async () => {
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.copyFileSync(fixture('sample.jpg'), path.join(outputDir, 'already-processed.jpg'));
+
+    expect((await findPhotos(inputDir, outputDir)).map(photo => photo.key))
+      .toEqual(['DSCF8545.JPG', 'trip/broken.jpg', 'trip/copy of DSCF8545.jpg', 'trip/north-east.jpg']);
+
+    fs.rmSync(outputDir, { recursive: true });
+  });
+
+  it('explains its usage', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(await main(['--help'])).toBe(0);
+      expect(output.join('\n')).toContain('Usage: photo3s process <dir> --out <dir>');
+      expect(await main(['process', inputDir])).toBe(2);
+      expect(await main(['process', path.join(workDir, 'missing'), '--out', outputDir])).toBe(2);
+      expect(await main(['process', inputDir, '--out', outputDir, '--concurrency', '0'])).toBe(2);
+      expect(await main(['process', inputDir, '--out', outputDir, '--unknown'])).toBe(2);
+      // A path, not an S3 bucket name
+      expect(await main(['replay', path.join(workDir, 'missing')])).toBe(2);
+      expect(consoleError).toHaveBeenCalledWith(`Not a directory: ${path.join(workDir, 'missing')}`);
+      expect(fs.existsSync(outputDir)).toBe(false);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  it('processes a folder into photo folders and reports the results', async () => {
+    const reportPath = path.join(workDir, 'report.json');
+
+    const code = await main(['process', inputDir, '--out', outputDir, '--naming', '{original}', '--report', reportPath]);
+
+    // The broken photo fails the run
+    expect(code).toBe(1);
+    expect(output[0]).toBe(`Processing 4 photo(s) from ${inputDir} into ${outputDir}`);
+    expect(output.filter(line => /^\[\d\/4\]/.test(line))).toHaveLength(4);
+    expect(output).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^\[1\/4\] DSCF8545\.JPG → DSCF8545\/ \(/),
+      expect.stringMatching(/^\[3\/4\] trip\/copy of DSCF8545\.jpg duplicate of /),
+      '  ✅ processed: 2',
+      '  🔁 duplicates: 1',
+      '  ❌ failed: 1'
+    ]));
+
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    expect(report.summary).toMatchObject({ inputDir, outputDir, photos: 4, success: 2, duplicate: 1, skipped: 0, error: 1 });
+    expect(report.results.map(result => [result.key, result.status])).toEqual([
+      ['DSCF8545.JPG', 'success'],
+      ['trip/broken.jpg', 'error'],
+      ['trip/copy of DSCF8545.jpg', 'duplicate'],
+      ['trip/north-east.jpg', 'success']
+    ]);
+
+    // Laid out like a processed bucket, with the original copied next to its variants
+    const photoFolder = path.join(outputDir, 'DSCF8545');
+    expect(fs.readdirSync(photoFolder)).toEqual(expect.arrayContaining(['DSCF8545.JPG', 'metadata.json']));
+    expect(fs.readFileSync(path.join(photoFolder, 'DSCF8545.JPG')).equals(fs.readFileSync(fixture('sample.jpg')))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(photoFolder, 'metadata.json'), 'utf8')).versions.original.path).toBe('DSCF8545/DSCF8545.JPG');
+
+    // Sources are left where they were
+    expect(fs.existsSync(path.join(inputDir, 'DSCF8545.JPG'))).toBe(true);
+    expect(fs.existsSync(path.join(inputDir, 'trip', 'copy of DSCF8545.jpg'))).toBe(true);
+  });
+
+  describe('reprocess', () => {
+    const photoFolder = () => path.join(outputDir, 'DSCF8545');
+    const readMetadata = () => JSON.parse(fs.readFileSync(path.join(photoFolder(), 'metadata.json'), 'utf8'));
+
+    beforeAll(() => {
+      // Pretend the photo was processed with an older profile: a 'hero' variant and no 'thumb'
+      const metadata = readMetadata();
+      const { thumb, ...versions } = metadata.versions;
+      versions.hero = { ...versions.large, path: 'DSCF8545/hero.webp', formats: { webp: { ...versions.large.formats.webp, path: 'DSCF8545/hero.webp' } } };
+      versions.large = { ...versions.large, width: 10 };
+      fs.writeFileSync(path.join(photoFolder(), 'metadata.json'), JSON.stringify({ ...metadata, versions }));
+      fs.writeFileSync(path.join(photoFolder(), 'hero.webp'), 'old variant');
+      fs.rmSync(path.join(photoFolder(), 'thumb.webp'));
+      fs.writeFileSync(path.join(photoFolder(), 'user.json'), JSON.stringify({ caption: 'Cowes week' }));
+    });
+
+    it('reports what would change without writing anything', async () => {
+      const before = fs.readFileSync(path.join(photoFolder(), 'metadata.json'));
+
+      expect(await main(['reprocess', outputDir, '--dry-run'])).toBe(0);
+
+      expect(output).toEqual(expect.arrayContaining([
+        // The caption in user.json is picked up too
+        expect.stringMatching(/^\[1\/2\] DSCF8545\/ would change: \+thumb -hero ~large; userEdits \(/),
+        expect.stringMatching(/^\[2\/2\] north-east\/ unchanged \(/),
+        '  ✏️  changed: 1'
+      ]));
+      expect(fs.readFileSync(path.join(photoFolder(), 'metadata.json')).equals(before)).toBe(true);
+      expect(fs.existsSync(path.join(photoFolder(), 'thumb.webp'))).toBe(false);
+    });
+
+    it('resumes after the photo recorded in the checkpoint', async () => {
+      const checkpoint = path.join(workDir, 'reprocess-checkpoint.json');
+      fs.writeFileSync(checkpoint, JSON.stringify({ bucket: outputDir, prefix: '', dryRun: true, startAfter: 'DSCF8545/' }));
+
+      expect(await main(['reprocess', outputDir, '--dry-run', '--checkpoint', checkpoint])).toBe(0);
+      expect(output).toContain('Resuming after DSCF8545/');
+      expect(output.filter(line => line.startsWith('['))).toEqual([expect.stringMatching(/^\[1\/1\] north-east\/ unchanged/)]);
+      // A finished run leaves nothing to resume
+      expect(fs.existsSync(checkpoint)).toBe(false);
+
+      fs.writeFileSync(checkpoint, JSON.stringify({ bucket: outputDir, prefix: 'other/', dryRun: false, startAfter: 'other/a/' }));
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      try {
+        expect(await main(['reprocess', outputDir, '--checkpoint', checkpoint])).toBe(2);
+        expect(stderr).toHaveBeenCalledWith(expect.stringContaining('belongs to another run'));
+      } finally {
+        stderr.mockRestore();
+      }
+    });
+
+    it('regenerates variants and metadata.json, leaving user.json and the original alone', async () => {
+      const reportPath = path.join(workDir, 'reprocess.json');
+      const { procDate } = readMetadata();
+
+      expect(await main(['reprocess', outputDir, '--prefix', 'DSCF', '--report', reportPath])).toBe(0);
+
+      const [result] = JSON.parse(fs.readFileSync(reportPath, 'utf8')).results;
+      expect(result).toMatchObject({
+        photoFolder: 'DSCF8545/',
+        status: 'changed',
+        written: true,
+        changes: { variantsAdded: ['thumb'], variantsRemoved: ['hero'], variantsChanged: { large: [expect.stringMatching(/^width 10 → /)] } },
+        removedKeys: ['DSCF8545/hero.webp']
+      });
+
+      const metadata = readMetadata();
+      expect(Object.keys(metadata.versions).sort()).toEqual(['large', 'medium', 'original', 'small', 'thumb']);
+      expect(metadata).toMatchObject({ procDate, reprocDate: expect.any(String) });
+      expect(fs.existsSync(path.join(photoFolder(), 'thumb.webp'))).toBe(true);
+      expect(fs.existsSync(path.join(photoFolder(), 'hero.webp'))).toBe(false);
+      expect(JSON.parse(fs.readFileSync(path.join(photoFolder(), 'user.json'), 'utf8'))).toEqual({ caption: 'Cowes week' });
+      expect(fs.readFileSync(path.join(photoFolder(), 'DSCF8545.JPG')).equals(fs.readFileSync(fixture('sample.jpg')))).toBe(true);
+
+      // Nothing left to do on a second run
+      output.length = 0;
+      expect(await main(['reprocess', outputDir])).toBe(0);
+      expect(output).toContain('  ✅ unchanged: 2');
+    });
+  });
+
+  it('reports failures with their message and exit code 1', async () => {
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      expect(await main(['reprocess', outputDir, '--dry-run', '--report', path.join(workDir, 'missing', 'report.json')])).toBe(1);
+      expect(stderr).toHaveBeenCalledWith(expect.stringMatching(/^ENOENT: no such file or directory, open '.*report\.json'\n$/));
+    } finally {
+      stderr.mockRestore();
+    }
+  });
+
+  describe('gallery', () => {
+    const galleryFile = (name) => path.join(outputDir, 'gallery', name);
+
+    it('renders the gallery pages, then only the ones that changed', async () => {
+      expect(await main(['gallery', outputDir])).toBe(0);
+
+      expect(output[0]).toMatch(/^Gallery of 2 photo\(s\): 3 page\(s\) written, 0 removed in /);
+      const index = fs.readFileSync(galleryFile('index.html'), 'utf8');
+      expect(index).toContain('<a href="photos/DSCF8545.html"><img src="../DSCF8545/thumb.webp"');
+      expect(fs.readFileSync(galleryFile('photos/DSCF8545.html'), 'utf8')).toContain('<figcaption>Cowes week</figcaption>');
+      expect(fs.existsSync(galleryFile('photos/north-east.html'))).toBe(true);
+
+      output.length = 0;
+      expect(await main(['gallery', outputDir])).toBe(0);
+      expect(output[0]).toMatch(/^Gallery of 2 photo\(s\): 0 page\(s\) written, 0 removed/);
+
+      output.length = 0;
+      expect(await main(['gallery', outputDir, '--full'])).toBe(0);
+      expect(output[0]).toMatch(/: 3 page\(s\) written/);
+    });
+  });
+
+  describe('replay', () => {
+    it('puts quarantined uploads of a local ingress folder back', async () => {
+      const ingressDir = path.join(workDir, 'ingress');
+      fs.mkdirSync(path.join(ingressDir, 'failed', 'trip'), { recursive: true });
+      fs.copyFileSync(fixture('sample.jpg'), path.join(ingressDir, 'failed', 'trip', 'broken.jpg'));
+      fs.writeFileSync(path.join(ingressDir, 'failed', 'trip', 'broken.jpg.failure.json'), JSON.stringify({
+        sourceBucket: ingressDir, key: 'trip/broken.jpg', errorCategory: 'image_processing', attempts: 1,
+        action: 'move', object: { bucket: ingressDir, key: 'failed/trip/broken.jpg' }
+      }));
+
+      expect(await main(['replay', ingressDir, '--dry-run'])).toBe(0);
+      expect(output).toContain('would replay trip/broken.jpg (image_processing, 1 attempt(s))');
+      expect(fs.existsSync(path.join(ingressDir, 'trip'))).toBe(false);
+
+      output.length = 0;
+      expect(await main(['replay', ingressDir])).toBe(0);
+      expect(output).toContain('🔁 replayed trip/broken.jpg (image_processing, 1 attempt(s))');
+      expect(fs.readdirSync(ingressDir)).toEqual(['trip']);
+      expect(fs.readFileSync(path.join(ingressDir, 'trip', 'broken.jpg')).equals(fs.readFileSync(fixture('sample.jpg')))).toBe(true);
+    });
+  });
+});
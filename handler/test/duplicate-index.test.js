@@ -0,0 +1,106 @@
+// handler/test/duplicate-index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+const { createBucketIndexStore, createFileIndexStore, createDuplicateIndex } = require('../src/duplicate-index');
+const { createS3Storage } = require('../src/storage');
+
+const s3Mock = mockClient(S3Client);
+
+describe('duplicate index', () => {
+  let rootDir;
+  let index;
+
+  const photo = (photoFolder, dhash, sha256 = photoFolder.padEnd(64, '0')) => ({ sha256, dhash, photoFolder, dateTimeOriginal: null });
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-index-test-'));
+    index = createDuplicateIndex(createFileIndexStore(rootDir));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('finds exact content matches', async () => {
+    await index.add(photo('a1/', '0123456789abcdef'));
+
+    expect(await index.findByContentHash('a1/'.padEnd(64, '0'))).toMatchObject({ photoFolder: 'a1/', indexedAt: expect.any(String) });
+    expect(await index.findByContentHash('f'.repeat(64))).toBeNull();
+  });
+
+  it('finds near matches whose differing bits span every band', async () => {
+    // 7 bits differ, one in each of the first seven bands; only the last band matches exactly
+    await index.add(photo('near/', '8080808080808000'));
+    await index.add(photo('far/', 'ffffffffffffffff'));
+
+    const matches = await index.findSimilar('0000000000000000', 7);
+
+    expect(matches).toEqual([{ entry: expect.objectContaining({ photoFolder: 'near/' }), distance: 7 }]);
+    expect(await index.findSimilar('0000000000000000', 6)).toEqual([]);
+  });
+
+  it('orders matches by distance and lists each photo once', async () => {
+    await index.add(photo('two-bits/', '0000000000000003'));
+    await index.add(photo('same/', '0000000000000000'));
+
+    const matches = await index.findSimilar('0000000000000000', 5);
+
+    expect(matches.map(m => [m.entry.photoFolder, m.distance])).toEqual([['same/', 0], ['two-bits/', 2]]);
+  });
+
+  it('caps the keys listed per band and the entries read', async () => {
+    const capped = createDuplicateIndex(createFileIndexStore(rootDir), { maxBandKeys: 3, maxCandidates: 2 });
+    for (const [n, dhash] of ['0000000000000007', '0000000000000003', '0000000000000001', '0000000000000000'].entries()) {
+      await capped.add(photo(`p${n}/`, dhash));
+    }
+
+    // Only the first three keys (by name) of each band are listed, and the nearest two of those read
+    const matches = await capped.findSimilar('0000000000000000', 5);
+    expect(matches.map(m => [m.entry.photoFolder, m.distance])).toEqual([['p3/', 0], ['p2/', 1]]);
+    expect((await index.findSimilar('0000000000000000', 5))).toHaveLength(4);
+  });
+
+  it('removes a photo without dropping a content entry that now points elsewhere', async () => {
+    const sha256 = 'c'.repeat(64);
+    await index.add(photo('old/', '00000000000000ff', sha256));
+    await index.add(photo('new/', '00000000000000ff', sha256));
+
+    await index.remove(photo('old/', '00000000000000ff', sha256));
+
+    expect(await index.findByContentHash(sha256)).toMatchObject({ photoFolder: 'new/' });
+    expect((await index.findSimilar('00000000000000ff', 0)).map(m => m.entry.photoFolder)).toEqual(['new/']);
+  });
+
+  it('keeps S3 index objects private under the index prefix', async () => {
+    const objects = new Map();
+    s3Mock.reset();
+    s3Mock.on(PutObjectCommand).callsFake((params) => {
+      objects.set(params.Key, params);
+      return Promise.resolve({});
+    });
+    s3Mock.on(GetObjectCommand).callsFake((params) => objects.has(params.Key)
+      ? Promise.resolve({ Body: Readable.from([Buffer.from(objects.get(params.Key).Body)]) })
+      : Promise.reject(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' })));
+    s3Mock.on(ListObjectsV2Command).callsFake((params) => Promise.resolve({
+      Contents: [...objects.keys()].filter(k => k.startsWith(params.Prefix)).map(Key => ({ Key }))
+    }));
+    s3Mock.on(DeleteObjectCommand).callsFake((params) => {
+      objects.delete(params.Key);
+      return Promise.resolve({});
+    });
+
+    const s3Index = createDuplicateIndex(createBucketIndexStore(createS3Storage(new S3Client({})), 'processed', '_index/duplicates/'));
+    await s3Index.add(photo('s3/', '0123456789abcdef'));
+
+    expect([...objects.keys()].every(k => k.startsWith('_index/duplicates/'))).toBe(true);
+    expect([...objects.values()].every(o => o.Tagging === 'private=true')).toBe(true);
+    expect((await s3Index.findSimilar('0123456789abcdee', 5))[0]).toMatchObject({ entry: { photoFolder: 's3/' }, distance: 1 });
+
+    await s3Index.remove(photo('s3/', '0123456789abcdef'));
+    expect(objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,162 @@
+// handler/test/gallery.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { planGallery, renderListPage, renderPhotoPage, createGallery } = require('../src/gallery');
+const { createFileStorage } = require('../src/storage');
+
+const entryFor = (n, extra = {}) => ({
+  photoFolder: `photo-${n}/`,
+  baseName: `photo-${n}`,
+  shotDate: `2025-09-${String(n).padStart(2, '0')}T10:00:00.000Z`,
+  title: null,
+  tags: [],
+  rating: null,
+  thumb: { path: `photo-${n}/thumb.webp`, width: 200, height: 200 },
+  dimensions: { width: 6000, height: 4000 },
+  ...extra
+});
+const entries = (count) => Array.from({ length: count }, (_, i) => entryFor(i + 1));
+
+const options = { prefix: 'gallery/', pageSize: 2, title: 'Sailing' };
+
+const metadataFor = (n, extra = {}) => ({
+  photoFolder: `photo-${n}/`,
+  shotDate: `2025-09-${String(n).padStart(2, '0')}T10:00:00.000Z`,
+  shotTime: { local: `2025-09-${String(n).padStart(2, '0')}T11:00:00.000`, offset: '+01:00' },
+  originalDimensions: { width: 6000, height: 4000 },
+  exifData: { make: 'FUJIFILM', model: 'X-T5', iso: 200, fNumber: 8, exposureTime: 0.004, focalLength: 23, gps: { latitude: 50.7667, longitude: -1.2833 } },
+  location: { label: 'Cowes, England, United Kingdom' },
+  versions: {
+    original: { path: `photo-${n}/DSCF.JPG`, width: 6000, height: 4000 },
+    large: {
+      path: `photo-${n}/large.avif`, width: 1920, height: 1280,
+      formats: { avif: { path: `photo-${n}/large.avif`, width: 1920, height: 1280 }, jpeg: { path: `photo-${n}/large.jpg`, width: 1920, height: 1280 } }
+    },
+    small: {
+      path: `photo-${n}/small.avif`, width: 640, height: 427,
+      formats: { avif: { path: `photo-${n}/small.avif`, width: 640, height: 427 }, jpeg: { path: `photo-${n}/small.jpg`, width: 640, height: 427 } }
+    },
+    thumb: {
+      path: `photo-${n}/thumb.webp`, width: 200, height: 200, crop: { left: 1000, top: 0, width: 4000, height: 4000, strategy: 'attention' },
+      formats: { webp: { path: `photo-${n}/thumb.webp`, width: 200, height: 200 } }
+    }
+  },
+  ...extra
+});
+
+describe('gallery', () => {
+  it('fills pages from the oldest photo and links them newest to oldest', () => {
+    const { pages, photos } = planGallery(entries(5), options);
+
+    expect(pages.map(page => [page.key, page.photos.map(p => p.baseName), page.newer, page.older])).toEqual([
+      ['gallery/page-1.html', ['photo-2', 'photo-1'], 'gallery/page-2.html', null],
+      ['gallery/page-2.html', ['photo-4', 'photo-3'], 'gallery/index.html', 'gallery/page-1.html'],
+      ['gallery/index.html', ['photo-5'], null, 'gallery/page-2.html']
+    ]);
+    expect(photos[0]).toMatchObject({ key: 'gallery/photos/photo-1.html', newer: 'gallery/photos/photo-2.html', older: null });
+    expect(planGallery([], options).pages.map(page => page.key)).toEqual(['gallery/index.html']);
+  });
+
+  it('only changes the newest pages when the newest photo is added', () => {
+    const before = planGallery(entries(5), options);
+    const after = planGallery(entries(6), options);
+    const changed = (kind) => after[kind].filter((item, i) => item.hash !== before[kind][i]?.hash).map(item => item.key);
+
+    expect(changed('pages')).toEqual(['gallery/index.html']);
+    expect(changed('photos')).toEqual(['gallery/photos/photo-5.html', 'gallery/photos/photo-6.html']);
+  });
+
+  it('renders list pages with escaped titles and relative links', () => {
+    const { pages } = planGallery([entryFor(1, { title: 'Fish & <chips>' }), entryFor(2)], { ...options, pageSize: 1 });
+    const html = renderListPage(pages[0]);
+
+    expect(html).toContain('<title>Sailing</title>');
+    expect(html).toContain('<a href="photos/photo-1.html"><img src="../photo-1/thumb.webp" width="200" height="200" alt="Fish &amp; &lt;chips&gt;" loading="lazy">');
+    expect(html).toContain('<a rel="prev" href="index.html">← Newer</a>');
+  });
+
+  it('renders photo pages with a responsive picture and the photo details', () => {
+    const { photos } = planGallery(entries(2), options);
+    const html = renderPhotoPage(photos[1], metadataFor(2, { userEdits: { title: 'Start', caption: 'Gun at 10:00', tags: ['racing', 'solent'], rating: 4 } }));
+
+    expect(html).toContain('<title>Start · Sailing</title>');
+    expect(html).toContain('<source type="image/avif" srcset="../../photo-2/large.avif 1920w, ../../photo-2/small.avif 640w" sizes="(max-width: 1920px) 100vw, 1920px">');
+    expect(html).toContain('<img src="../../photo-2/large.jpg" srcset="../../photo-2/large.jpg 1920w, ../../photo-2/small.jpg 640w"');
+    // Cropped variants are thumbnails, not sizes of the photo
+    expect(html).not.toContain('thumb.webp');
+    expect(html).toContain('<figcaption>Gun at 10:00</figcaption>');
+    expect(html).toContain('<dt>Taken</dt><dd>2 Sep 2025, 11:00 (UTC+01:00)</dd>');
+    expect(html).toContain('<dt>Exposure</dt><dd>1/250 s · f/8 · ISO 200 · 23 mm</dd>');
+    expect(html).toContain('<dt>GPS</dt><dd><a href="https://www.openstreetmap.org/?mlat=50.7667&amp;mlon=-1.2833#map=15/50.7667/-1.2833">50.76670, -1.28330</a></dd>');
+    expect(html).toContain('<dt>Tags</dt><dd>racing, solent</dd><dt>Rating</dt><dd>★★★★☆</dd>');
+    expect(html).toContain('<a rel="next" href="photo-1.html">Older →</a>');
+  });
+
+  describe('updates', () => {
+    let rootDir;
+    let storage;
+    let listed;
+    let gallery;
+    const exists = (key) => fs.existsSync(path.join(rootDir, 'processed', key));
+
+    beforeEach(async () => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-gallery-'));
+      storage = createFileStorage(rootDir);
+      listed = entries(3);
+      for (let n = 1; n <= 4; n++) {
+        await storage.putObject('processed', `photo-${n}/metadata.json`, JSON.stringify(metadataFor(n)));
+      }
+      gallery = createGallery(storage, 'processed', {
+        ...options,
+        catalog: { listPhotos: async () => listed },
+        stateKey: '_index/gallery.json',
+        stateTagging: 'private=true',
+        pendingPrefix: '_index/gallery-pending/'
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('renders only what changed and removes pages of photos that are gone', async () => {
+      expect((await gallery.update()).written).toHaveLength(5);
+      expect(await gallery.update()).toEqual({ photos: 3, written: [], removed: [] });
+
+      // A caption isn't in the catalog: the photo is passed as changed
+      expect((await gallery.update({ changed: ['photo-2/'] })).written).toEqual(['gallery/photos/photo-2.html']);
+
+      listed = entries(4);
+      expect((await gallery.update({ changed: ['photo-4/'] })).written)
+        .toEqual(['gallery/index.html', 'gallery/photos/photo-3.html', 'gallery/photos/photo-4.html']);
+
+      listed = entries(2);
+      const { written, removed } = await gallery.update();
+      expect(written).toEqual(['gallery/index.html', 'gallery/photos/photo-2.html']);
+      expect(removed).toEqual(['gallery/page-1.html', 'gallery/photos/photo-3.html', 'gallery/photos/photo-4.html']);
+      expect(exists('gallery/page-1.html')).toBe(false);
+      expect(exists('gallery/photos/photo-4.html')).toBe(false);
+      expect(exists('gallery/photos/photo-1.html')).toBe(true);
+
+      expect((await gallery.update({ full: true })).written).toHaveLength(3);
+    });
+
+    it('renders the pages of photos marked as changed on the next update, then clears the marks', async () => {
+      await gallery.update();
+      // Marks are named by time: make each one a millisecond apart
+      const now = jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(1001).mockReturnValueOnce(1002);
+      await gallery.markChanged('photo-2/');
+      await gallery.markChanged('photo-2/');
+      listed = entries(4);
+      await gallery.markChanged('photo-4/');
+      now.mockRestore();
+      expect(await storage.listKeys('processed', '_index/gallery-pending/')).toHaveLength(3);
+
+      expect((await gallery.update()).written)
+        .toEqual(['gallery/index.html', 'gallery/photos/photo-2.html', 'gallery/photos/photo-3.html', 'gallery/photos/photo-4.html']);
+      expect(await storage.listKeys('processed', '_index/gallery-pending/')).toEqual([]);
+      expect((await gallery.update()).written).toEqual([]);
+    });
+  });
+});
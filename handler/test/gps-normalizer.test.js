@@ -0,0 +1,86 @@
+// handler/test/gps-normalizer.test.js
+const fs = require('fs');
+const path = require('path');
+const { normalizeGps, readGpsTags, toDecimalDegrees, toFixTime } = require('../src/gps-normalizer');
+
+const fixtureGps = (name) => normalizeGps(readGpsTags(fs.readFileSync(path.join(__dirname, 'fixtures', name))));
+
+describe('GPS normalisation', () => {
+  it('reads a northern/eastern fix below sea level (Dead Sea)', () => {
+    expect(fixtureGps('gps-north-east.jpg')).toEqual({
+      latitude: 31.5583333,
+      longitude: 35.47,
+      altitude: -430,
+      altitudeReference: 'below_sea_level',
+      timestamp: '2025-03-14T08:15:45.000Z',
+      bearing: { degrees: 90, reference: 'true' },
+      track: null,
+      speed: { value: 0, unit: 'km/h', kmh: 0, knots: 0 },
+      dop: 0.9,
+      measureMode: '3d',
+      mapDatum: 'WGS-84',
+      status: 'active'
+    });
+  });
+
+  it('reads a northern/western fix with a magnetic bearing and speed in knots (Cowes)', () => {
+    expect(fixtureGps('gps-north-west.jpg')).toMatchObject({
+      latitude: 50.7628,
+      longitude: -1.2975,
+      altitude: 3,
+      altitudeReference: 'above_sea_level',
+      timestamp: '2025-08-02T13:05:00.000Z',
+      bearing: { degrees: 247.5, reference: 'magnetic' },
+      speed: { value: 6.5, unit: 'knots', kmh: 12.04, knots: 6.5 }
+    });
+  });
+
+  it('reads a southern/eastern fix with a 2D fix in mph (Sydney)', () => {
+    expect(fixtureGps('gps-south-east.jpg')).toMatchObject({
+      latitude: -33.857,
+      longitude: 151.2093,
+      timestamp: '2024-12-31T23:59:30.000Z',
+      speed: { value: 10, unit: 'mph', kmh: 16.09, knots: 8.69 },
+      dop: 2,
+      measureMode: '2d'
+    });
+  });
+
+  it('reads a southern/western fix (Cape Horn)', () => {
+    expect(fixtureGps('gps-south-west.jpg')).toMatchObject({
+      latitude: -55.98,
+      longitude: -67.27,
+      timestamp: '2025-01-01T00:00:05.000Z',
+      bearing: { degrees: 180, reference: 'true' }
+    });
+  });
+
+  it('handles decimal degrees, decimal minutes and missing or messy refs', () => {
+    expect(toDecimalDegrees([[5076, 100]], 'N', 'S')).toBeCloseTo(50.76, 6);
+    expect(toDecimalDegrees([[50, 1], [4576, 100]], 'S', 'S')).toBeCloseTo(-50.76267, 5);
+    // exif-parser would make this negative; without a ref the value is taken as written
+    expect(toDecimalDegrees([[1, 1], [17, 1], [51, 1]], null, 'W')).toBeCloseTo(1.2975, 6);
+    expect(toDecimalDegrees([-1.2975], null, 'W')).toBeCloseTo(-1.2975, 6);
+    // A signed value with a ref is not negated twice
+    expect(toDecimalDegrees([-1.2975], 'W', 'W')).toBeCloseTo(-1.2975, 6);
+
+    expect(normalizeGps({
+      GPSLatitudeRef: 's\0', GPSLatitude: [[33, 1], [51, 1], [2520, 100]],
+      GPSLongitudeRef: 'e ', GPSLongitude: [[151, 1], [12, 1], [3348, 100]]
+    })).toMatchObject({ latitude: -33.857, longitude: 151.2093, timestamp: null, altitude: null, speed: null });
+  });
+
+  it('combines the GPS date and time of day into a UTC fix time', () => {
+    expect(toFixTime('2025:08:02', [[13, 1], [5, 1], [3050, 100]])).toBe('2025-08-02T13:05:30.500Z');
+    expect(toFixTime('2025:08:02', undefined)).toBe('2025-08-02T00:00:00.000Z');
+    expect(toFixTime(undefined, [[13, 1], [5, 1], [0, 1]])).toBeNull();
+    expect(toFixTime('2025:08:02', [[13, 1], [5, 0], [0, 1]])).toBeNull();
+  });
+
+  it('rejects photos without a usable position', () => {
+    expect(normalizeGps({})).toBeNull();
+    expect(normalizeGps({ GPSLatitude: [[91, 1]], GPSLongitude: [[0, 1]] })).toBeNull();
+    expect(normalizeGps({ GPSLatitude: [[50, 0]], GPSLongitude: [[0, 1]] })).toBeNull();
+    expect(readGpsTags(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.jpg')))).toEqual({});
+  });
+});
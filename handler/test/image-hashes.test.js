@@ -0,0 +1,46 @@
+// handler/test/image-hashes.test.js
+const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
+const { computeContentHash, computeDHash, hammingDistance, compareHashes } = require('../src/image-hashes');
+
+describe('image hashes', () => {
+  let sampleImageBuffer;
+
+  beforeAll(() => {
+    sampleImageBuffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.jpg'));
+  });
+
+  it('computes a stable SHA-256 of the original bytes', () => {
+    expect(computeContentHash(sampleImageBuffer)).toMatch(/^[0-9a-f]{64}$/);
+    expect(computeContentHash(sampleImageBuffer)).toBe(computeContentHash(Buffer.from(sampleImageBuffer)));
+  });
+
+  it('gives re-encoded copies a close dHash and different images a distant one', async () => {
+    const original = await computeDHash(sampleImageBuffer);
+    const reencoded = await computeDHash(await sharp(sampleImageBuffer).resize(800).webp({ quality: 50 }).toBuffer());
+    const flipped = await computeDHash(await sharp(sampleImageBuffer).flop().toBuffer());
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(original, reencoded)).toBeLessThanOrEqual(5);
+    expect(hammingDistance(original, flipped)).toBeGreaterThan(10);
+  });
+
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+
+  it('reports confidence from the hash distance', () => {
+    const candidate = { sha256: 'a'.repeat(64), dhash: '00000000000000ff' };
+
+    expect(compareHashes(candidate, { sha256: 'a'.repeat(64), dhash: 'ffffffffffffffff' }, 5))
+      .toEqual({ isDuplicate: true, reason: 'identical_content_sha256', confidence: 1, hashDistance: 0 });
+    expect(compareHashes(candidate, { sha256: 'b'.repeat(64), dhash: '000000000000000f' }, 5))
+      .toEqual({ isDuplicate: true, reason: 'perceptual_match_dhash', confidence: 0.94, hashDistance: 4 });
+    expect(compareHashes(candidate, { sha256: 'b'.repeat(64), dhash: '0000000000000000' }, 5))
+      .toEqual({ isDuplicate: false, hashDistance: 8 });
+    expect(compareHashes(candidate, undefined, 5)).toEqual({ isDuplicate: false });
+  });
+});
@@ -0,0 +1,131 @@
+// handler/test/input-formats.test.js
+jest.mock('heic-decode', () => jest.fn(async () => ({
+  width: 800,
+  height: 600,
+  data: new Uint8ClampedArray(800 * 600 * 4).fill(128)
+})));
+
+const decode = require('heic-decode');
+const ExifParser = require('exif-parser');
+const fs = require('fs');
+const path = require('path');
+const {
+  SUPPORTED_FORMATS,
+  sniffMimeType,
+  findLargestEmbeddedJpeg,
+  extractExifBlocks,
+  prepareSourceImage,
+  prepareSpooledSource
+} = require('../src/input-formats');
+
+describe('input formats', () => {
+  let sampleImageBuffer;
+  let sampleTiff; // the TIFF structure inside the sample's EXIF APP1 segment
+
+  beforeAll(() => {
+    sampleImageBuffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.jpg'));
+    const exifPos = sampleImageBuffer.indexOf('Exif\0\0');
+    const app1End = exifPos - 2 + sampleImageBuffer.readUInt16BE(exifPos - 2);
+    sampleTiff = sampleImageBuffer.subarray(exifPos + 6, app1End);
+  });
+
+  const ftyp = (brand) => Buffer.concat([
+    Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(12)
+  ]);
+
+  it('accepts HEIC/HEIF and camera RAW extensions', () => {
+    expect(SUPPORTED_FORMATS).toEqual(expect.arrayContaining(['jpg', 'heic', 'heif', 'dng', 'cr3', 'arw']));
+  });
+
+  it('sniffs the real MIME type from magic bytes', () => {
+    expect(sniffMimeType(sampleImageBuffer, 'png')).toBe('image/jpeg');
+    expect(sniffMimeType(ftyp('heic'), 'heic')).toBe('image/heic');
+    expect(sniffMimeType(ftyp('mif1'), 'heic')).toBe('image/heif');
+    expect(sniffMimeType(ftyp('crx '), 'cr3')).toBe('image/x-canon-cr3');
+    expect(sniffMimeType(sampleTiff, 'arw')).toBe('image/x-sony-arw');
+    expect(sniffMimeType(sampleTiff, 'tif')).toBe('image/tiff');
+  });
+
+  it('finds the largest embedded JPEG and skips nested EXIF thumbnails', () => {
+    const container = Buffer.concat([sampleTiff, Buffer.alloc(100), sampleImageBuffer, Buffer.alloc(100)]);
+
+    const preview = findLargestEmbeddedJpeg(container);
+
+    expect(preview.length).toBe(sampleImageBuffer.length);
+    expect(findLargestEmbeddedJpeg(Buffer.alloc(1024))).toBeNull();
+  });
+
+  it('extracts EXIF from TIFF-based RAW files and HEIF Exif items', () => {
+    const [rawBlock] = extractExifBlocks(sampleTiff);
+    expect(ExifParser.create(rawBlock).parse().tags.Make).toBe('FUJIFILM');
+
+    const heif = Buffer.concat([ftyp('heic'), Buffer.from([0, 0, 0, 6]), Buffer.from('Exif\0\0', 'binary'), sampleTiff]);
+    const [heifBlock] = extractExifBlocks(heif);
+    expect(ExifParser.create(heifBlock).parse().tags.Model).toBe('X-T3');
+  });
+
+  it('renders RAW files from the embedded preview', async () => {
+    const dng = Buffer.concat([sampleTiff, sampleImageBuffer]);
+
+    const source = await prepareSourceImage(dng, 'dng');
+
+    expect(source).toMatchObject({ mimeType: 'image/x-adobe-dng', kind: 'raw', decodeMethod: 'embedded_preview' });
+    expect(source.renderBuffer.length).toBe(sampleImageBuffer.length);
+    expect(source.exifBuffers.length).toBeGreaterThan(1);
+  });
+
+  it('turns RAW previews upright with their own orientation or the container\'s', async () => {
+    const sharp = require('sharp');
+    const container = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } }).tiff().withMetadata({ orientation: 8 }).toBuffer();
+
+    expect((await prepareSourceImage(Buffer.concat([container, sampleImageBuffer]), 'dng')).orientation).toBe(8);
+    expect((await prepareSourceImage(Buffer.concat([sampleTiff, sampleImageBuffer]), 'dng')).orientation).toBe(1);
+
+    const turnedPreview = await sharp(sampleImageBuffer).withMetadata({ orientation: 3 }).jpeg().toBuffer();
+    expect((await prepareSourceImage(Buffer.concat([container, turnedPreview]), 'dng')).orientation).toBe(3);
+  });
+
+  it('rejects RAW files without a usable preview', async () => {
+    await expect(prepareSourceImage(sampleTiff, 'cr2')).rejects.toThrow(/No usable embedded preview image/);
+  });
+
+  it('decodes HEVC-coded HEIC with heic-decode when libvips cannot', async () => {
+    const heic = Buffer.concat([ftyp('heic'), Buffer.from([0, 0, 0, 6]), Buffer.from('Exif\0\0', 'binary'), sampleTiff]);
+
+    const source = await prepareSourceImage(heic, 'heic');
+
+    expect(decode).toHaveBeenCalledWith({ buffer: heic });
+    expect(source).toMatchObject({ mimeType: 'image/heic', kind: 'heif', decodeMethod: 'heic_decode' });
+    expect(source.renderBuffer.subarray(0, 3)).toEqual(Buffer.from([0xFF, 0xD8, 0xFF]));
+    expect(source.exifBuffers).toHaveLength(1);
+    // heic-decode hands back upright pixels
+    expect(source.orientation).toBe(1);
+  });
+
+  it('passes raster formats through unchanged', async () => {
+    const source = await prepareSourceImage(sampleImageBuffer, 'jpg');
+
+    expect(source.renderBuffer).toBe(sampleImageBuffer);
+    expect(source.exifBuffers).toEqual([sampleImageBuffer]);
+    expect(source.decodeMethod).toBe('native');
+  });
+
+  it('reads the orientation of raster formats', async () => {
+    expect((await prepareSourceImage(sampleImageBuffer, 'jpg')).orientation).toBe(1);
+    const turned = await prepareSourceImage(fs.readFileSync(path.join(__dirname, 'fixtures', 'orientation-6.jpg')), 'jpg');
+    expect(turned.orientation).toBe(6);
+  });
+
+  it('reads EXIF of spooled originals without loading the whole file', async () => {
+    const filePath = path.join(require('os').tmpdir(), `photo3s-spooled-${process.pid}.jpg`);
+    fs.writeFileSync(filePath, sampleImageBuffer);
+    try {
+      const source = await prepareSpooledSource(filePath, sampleImageBuffer.subarray(0, 1024), 'jpg');
+      expect(source).toMatchObject({ renderFile: filePath, mimeType: 'image/jpeg', kind: 'raster', decodeMethod: 'native' });
+      expect(ExifParser.create(source.exifBuffers[0]).parse().tags.Make).toBe('FUJIFILM');
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+    await expect(prepareSpooledSource(filePath, Buffer.alloc(16), 'dng')).rejects.toThrow("DNG files can't be processed from a spool file");
+  });
+});
@@ -0,0 +1,64 @@
+// handler/test/logger.test.js
+const { log, withLogContext, setLogContext } = require('../src/logger');
+
+describe('logger', () => {
+  let lines;
+  let write;
+
+  beforeEach(() => {
+    lines = [];
+    write = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+      lines.push(JSON.parse(chunk));
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    write.mockRestore();
+    delete process.env.LOG_FORMAT;
+  });
+
+  it('writes one JSON line per message with its fields', () => {
+    log.warn('Reverse geocoding failed', { error: Object.assign(new Error('no gazetteer'), { code: 'ENOENT' }), skipped: undefined });
+
+    expect(lines).toEqual([{
+      timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'warn',
+      message: 'Reverse geocoding failed',
+      error: { name: 'Error', message: 'no gazetteer', code: 'ENOENT' }
+    }]);
+  });
+
+  it('keeps correlation fields apart for work running at the same time', async () => {
+    const record = (key, delay) => withLogContext({ key }, async () => {
+      setLogContext({ phase: 'download' });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      log.info('Downloaded');
+      setLogContext({ phase: 'upload' });
+      log.info('Uploaded');
+    });
+
+    await withLogContext({ requestId: 'req-1' }, () => Promise.all([record('a.jpg', 20), record('b.jpg', 5)]));
+    log.info('Outside');
+
+    expect(lines.map(({ message, requestId, key, phase }) => [message, requestId, key, phase])).toEqual([
+      ['Downloaded', 'req-1', 'b.jpg', 'download'],
+      ['Uploaded', 'req-1', 'b.jpg', 'upload'],
+      ['Downloaded', 'req-1', 'a.jpg', 'download'],
+      ['Uploaded', 'req-1', 'a.jpg', 'upload'],
+      ['Outside', undefined, undefined, undefined]
+    ]);
+  });
+
+  it('logs plain messages through the console with LOG_FORMAT=text', () => {
+    process.env.LOG_FORMAT = 'text';
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      withLogContext({ key: 'a.jpg' }, () => log.error('Upload failed', { attempt: 3 }));
+      expect(consoleError).toHaveBeenCalledWith('Upload failed {"attempt":3}');
+      expect(lines).toEqual([]);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
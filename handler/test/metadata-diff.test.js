@@ -0,0 +1,83 @@
+// handler/test/metadata-diff.test.js
+const { diffMetadata, hasChanges, describeChanges } = require('../src/metadata-diff');
+
+const variant = (width, height, bytes, format = 'webp') => ({
+  path: `photo-1/v.${format}`, width, height, bytes, format,
+  formats: { [format]: { path: `photo-1/v.${format}`, width, height, bytes } }
+});
+
+const stored = {
+  photoFolder: 'photo-1/',
+  procDate: '2025-09-20T08:00:00.000Z',
+  shotDate: '2025-09-11T10:14:46.000Z',
+  location: null,
+  versions: {
+    original: { path: 'photo-1/DSCF8545.JPG', width: 6000, height: 4000 },
+    large: variant(1920, 1280, 200000),
+    medium: variant(1200, 800, 90000),
+    thumb: variant(200, 133, 6000)
+  }
+};
+
+describe('metadata diff', () => {
+  it('finds nothing to report when only processing dates moved', () => {
+    const diff = diffMetadata(stored, { ...stored, procDate: '2025-10-01T00:00:00.000Z', reprocDate: '2025-10-01T00:00:00.000Z' });
+
+    expect(hasChanges(diff)).toBe(false);
+    expect(describeChanges(diff)).toBe('no changes');
+  });
+
+  it('reports variants added, removed and re-rendered', () => {
+    const regenerated = {
+      ...stored,
+      versions: {
+        original: stored.versions.original,
+        large: { ...variant(1600, 1067, 150000, 'avif'), formats: { ...variant(1600, 1067, 150000, 'avif').formats, webp: { bytes: 180000 } } },
+        thumb: variant(200, 133, 5800),
+        hero: variant(2400, 1600, 300000)
+      }
+    };
+
+    const diff = diffMetadata(stored, regenerated);
+
+    expect(diff).toEqual({
+      variantsAdded: ['hero'],
+      variantsRemoved: ['medium'],
+      variantsChanged: {
+        large: ['width 1920 → 1600', 'height 1280 → 1067', 'format webp → avif', '+avif', 'webp 200000 → 180000 bytes'],
+        thumb: ['webp 6000 → 5800 bytes']
+      },
+      fieldsChanged: []
+    });
+    expect(describeChanges(diff)).toBe('+hero -medium ~large ~thumb');
+  });
+
+  it('reports metadata fields that changed, including new ones', () => {
+    const diff = diffMetadata(stored, {
+      ...stored,
+      shotDate: '2025-09-11T08:14:46.000Z',
+      location: { label: 'Cowes, England, United Kingdom' },
+      hashes: { sha256: 'abc', dhash: '0f0f0f0f0f0f0f0f' },
+      versions: { ...stored.versions, original: { ...stored.versions.original, mimeType: 'image/jpeg' } }
+    });
+
+    expect(diff.fieldsChanged).toEqual(['hashes', 'location', 'shotDate', 'versions.original']);
+    expect(hasChanges(diff)).toBe(true);
+    expect(describeChanges(diff)).toBe('hashes, location, shotDate, versions.original');
+  });
+
+  it('reports a cropped variant cut from a different box', () => {
+    const thumb = { ...stored.versions.thumb, crop: { left: 1000, top: 0, width: 4000, height: 4000, strategy: 'attention' } };
+    const before = { ...stored, versions: { ...stored.versions, thumb } };
+
+    const diff = diffMetadata(before, {
+      ...before,
+      focalPoint: { x: 0.2, y: 0.5 },
+      versions: { ...before.versions, thumb: { ...thumb, crop: { left: 0, top: 0, width: 4000, height: 4000, strategy: 'focal' } } }
+    });
+
+    expect(diff.variantsChanged).toEqual({ thumb: ['crop 1000,0 4000x4000 (attention) → 0,0 4000x4000 (focal)'] });
+    expect(diff.fieldsChanged).toEqual(['focalPoint']);
+    expect(diffMetadata(stored, before).variantsChanged.thumb).toEqual(['crop none → 1000,0 4000x4000 (attention)']);
+  });
+});
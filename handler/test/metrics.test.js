@@ -0,0 +1,56 @@
+// handler/test/metrics.test.js
+const { metricDocument, createMetrics } = require('../src/metrics');
+
+const pair = { ingressBucket: 'photo3s-dev-sailing', processedBucket: 'photo3s-dev-sailing-processed' };
+
+describe('metrics', () => {
+  it('builds EMF documents dimensioned by bucket pair', () => {
+    expect(metricDocument({
+      namespace: 'Photo3s',
+      dimensions: { IngressBucket: 'in', ProcessedBucket: 'out' },
+      metrics: { DownloadTime: { value: 120, unit: 'Milliseconds' }, BytesIn: { value: 2048, unit: 'Bytes' } },
+      timestamp: 1758355201532
+    })).toEqual({
+      _aws: {
+        Timestamp: 1758355201532,
+        CloudWatchMetrics: [{
+          Namespace: 'Photo3s',
+          Dimensions: [['IngressBucket', 'ProcessedBucket']],
+          Metrics: [{ Name: 'DownloadTime', Unit: 'Milliseconds' }, { Name: 'BytesIn', Unit: 'Bytes' }]
+        }]
+      },
+      IngressBucket: 'in',
+      ProcessedBucket: 'out',
+      DownloadTime: 120,
+      BytesIn: 2048
+    });
+  });
+
+  it('counts a breakdown both per bucket pair and per bucket pair and breakdown', () => {
+    const lines = [];
+    const metrics = createMetrics({ namespace: 'Photo3s', write: line => lines.push(line) });
+
+    metrics.emit(pair, { Duplicates: { value: 1, unit: 'Count' } }, { Reason: 'perceptual_match_dhash' });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    const document = JSON.parse(lines[0]);
+    expect(document._aws.CloudWatchMetrics[0].Dimensions).toEqual([
+      ['IngressBucket', 'ProcessedBucket'],
+      ['IngressBucket', 'ProcessedBucket', 'Reason']
+    ]);
+    expect(document).toMatchObject({ Reason: 'perceptual_match_dhash', Duplicates: 1 });
+  });
+
+  it('leaves out missing values and writes nothing when disabled or empty', () => {
+    const lines = [];
+    const metrics = createMetrics({ namespace: 'Photo3s', write: line => lines.push(line) });
+    metrics.emit(pair, { UploadTime: { value: undefined, unit: 'Milliseconds' } });
+    createMetrics({ namespace: 'Photo3s', enabled: false, write: line => lines.push(line) })
+      .emit(pair, { Errors: { value: 1, unit: 'Count' } });
+
+    expect(lines).toEqual([]);
+    expect(() => metricDocument({ namespace: 'Photo3s', dimensions: {}, metrics: { Size: { value: 1, unit: 'MB' } } }))
+      .toThrow('Invalid unit for metric Size: MB');
+  });
+});
@@ -0,0 +1,52 @@
+// handler/test/naming-template.test.js
+const { DEFAULT_NAMING_TEMPLATE, compileNamingTemplate } = require('../src/naming-template');
+
+const fields = {
+  shotTime: { local: '2025-07-01T23:30:05.120', offset: '+02:00' },
+  make: 'FUJIFILM',
+  model: 'X-T5',
+  originalKey: 'uploads/trip/DSCF8545.JPG',
+  sha256: 'd3ad5c4230c6afd49804f2cba2c0da21b921e8bc0dc44e30c5c0fcf4b144f891',
+  location: { locality: 'Saint-Tropez', countryCode: 'FR' }
+};
+
+describe('naming templates', () => {
+  it('keeps the historical naming by default', () => {
+    const naming = compileNamingTemplate(DEFAULT_NAMING_TEMPLATE);
+    expect(naming.render(fields)).toBe('photo-2025-07-01_23-30-05-120p0200-FUJIFILM');
+    expect(naming.render({ ...fields, shotTime: { local: '2025-07-01T23:30:05.120', offset: '+00:00' } }))
+      .toBe('photo-2025-07-01_23-30-05-120Z-FUJIFILM');
+    expect(naming.render({ ...fields, make: 'NIKON CORPORATION', shotTime: { local: '2025-07-01T23:30:05.120', offset: '-04:00' } }))
+      .toBe('photo-2025-07-01_23-30-05-120m0400-NIKON_CORPORATION');
+  });
+
+  it('nests folders and fills every placeholder', () => {
+    expect(compileNamingTemplate('{date:YYYY/MM/DD}/{time:HHmmss}-{model}-{seq}').render(fields))
+      .toBe('2025/07/01/233005-X-T5-8545');
+    expect(compileNamingTemplate('{country}/{locality}/{date:YY.MM.DD}-{original}-{hash}').render(fields))
+      .toBe('FR/Saint-Tropez/25.07.01-DSCF8545-d3ad5c42');
+    expect(compileNamingTemplate('{time:HH}h-{hash:12}').render(fields)).toBe('23h-d3ad5c4230c6');
+  });
+
+  it('makes free text safe for folder names', () => {
+    const naming = compileNamingTemplate('{locality}-{model}');
+    expect(naming.render({ ...fields, location: { locality: 'Zürich / Altstadt' }, model: 'iPhone 15 Pro' }))
+      .toBe('Zurich_Altstadt-iPhone_15_Pro');
+  });
+
+  it('tidies up after missing values', () => {
+    const naming = compileNamingTemplate('{locality}/{date}_{time:HHmm}-{seq}-{model}');
+    expect(naming.render({ ...fields, location: null, originalKey: 'IMG.HEIC', model: undefined }))
+      .toBe('unknown/2025-07-01_2330-unknown');
+  });
+
+  it('rejects templates that cannot name photos safely', () => {
+    expect(() => compileNamingTemplate('', 'NAMING_TEMPLATE')).toThrow('Invalid NAMING_TEMPLATE: expected a non-empty template');
+    expect(() => compileNamingTemplate('photos')).toThrow('has no {placeholders}');
+    expect(() => compileNamingTemplate('{date}-{lens}')).toThrow('unknown placeholder {lens}');
+    expect(() => compileNamingTemplate('{date:YYYY MM}')).toThrow('unsupported characters in {date:YYYY MM}');
+    expect(() => compileNamingTemplate('my photos/{date}')).toThrow('only letters, digits');
+    expect(() => compileNamingTemplate('/{date}')).toThrow("must not start or end with '/'");
+    expect(() => compileNamingTemplate('{date}//{time}')).toThrow("must not start or end with '/'");
+  });
+});
@@ -0,0 +1,83 @@
+// handler/test/orientation.test.js
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { normalizeOrientation, rotateOrientation, displaySize, orient } = require('../src/orientation');
+
+// orientation-<n>.jpg hold the same 120x80 picture stored for each EXIF orientation.
+// Upright it is red top left, green top right, blue bottom left and white bottom right.
+const fixture = (orientation) => fs.readFileSync(path.join(__dirname, 'fixtures', `orientation-${orientation}.jpg`));
+const UPRIGHT = { topLeft: 'red', topRight: 'green', bottomLeft: 'blue', bottomRight: 'white' };
+
+const colourAt = (data, info, x, y) => {
+  const i = (y * info.width + x) * info.channels;
+  const [r, g, b] = [data[i], data[i + 1], data[i + 2]].map(value => value > 128);
+  return r && g && b ? 'white' : r ? 'red' : g ? 'green' : b ? 'blue' : 'black';
+};
+
+async function corners(pipeline) {
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  const [right, bottom] = [info.width - 3, info.height - 3];
+  return {
+    size: { width: info.width, height: info.height },
+    colours: {
+      topLeft: colourAt(data, info, 2, 2), topRight: colourAt(data, info, right, 2),
+      bottomLeft: colourAt(data, info, 2, bottom), bottomRight: colourAt(data, info, right, bottom)
+    }
+  };
+}
+
+describe('orientation', () => {
+  it('normalizes orientation tags', () => {
+    expect(normalizeOrientation(6)).toBe(6);
+    expect(normalizeOrientation(undefined)).toBe(1);
+    expect(normalizeOrientation(0)).toBe(1);
+    expect(normalizeOrientation(9)).toBe(1);
+    expect(normalizeOrientation('6')).toBe(1);
+  });
+
+  it('swaps width and height for quarter turns', () => {
+    expect(displaySize({ width: 80, height: 120 }, 6)).toEqual({ width: 120, height: 80 });
+    expect(displaySize({ width: 120, height: 80 }, 3)).toEqual({ width: 120, height: 80 });
+  });
+
+  it('adds clockwise turns to an orientation', async () => {
+    expect(rotateOrientation(1, 90)).toBe(6);
+    expect(rotateOrientation(6, 90)).toBe(3);
+    expect(rotateOrientation(8, 90)).toBe(1);
+    expect(rotateOrientation(2, 0)).toBe(2);
+    expect(rotateOrientation(undefined, 270)).toBe(8);
+
+    // A mirrored photo turned a quarter clockwise past upright: its top ends up on the right
+    const turned = await corners(orient(sharp(fixture(2)), rotateOrientation(2, 90)));
+    expect(turned).toEqual({
+      size: { width: 80, height: 120 },
+      colours: { topLeft: 'blue', topRight: 'red', bottomLeft: 'white', bottomRight: 'green' }
+    });
+  });
+
+  describe.each([1, 2, 3, 4, 5, 6, 7, 8])('orientation %i', (orientation) => {
+    it('is stored with its tag', async () => {
+      const { orientation: tag, width, height } = await sharp(fixture(orientation)).metadata();
+
+      expect(tag).toBe(orientation);
+      expect(displaySize({ width, height }, orientation)).toEqual({ width: 120, height: 80 });
+    });
+
+    it('turns upright', async () => {
+      const upright = await corners(orient(sharp(fixture(orientation)), orientation));
+
+      expect(upright).toEqual({ size: { width: 120, height: 80 }, colours: UPRIGHT });
+    });
+
+    it('resizes and extracts in upright coordinates', async () => {
+      const resized = await corners(orient(sharp(fixture(orientation)), orientation).resize(60, 40));
+      expect(resized).toEqual({ size: { width: 60, height: 40 }, colours: UPRIGHT });
+
+      // The right half of the upright picture, squashed square
+      const cropped = await corners(orient(sharp(fixture(orientation)), orientation)
+        .extract({ left: 60, top: 0, width: 60, height: 80 }).resize(40, 40, { fit: 'fill' }));
+      expect(cropped.colours).toEqual({ topLeft: 'green', topRight: 'green', bottomLeft: 'white', bottomRight: 'white' });
+    });
+  });
+});
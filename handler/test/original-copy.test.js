@@ -0,0 +1,122 @@
+// handler/test/original-copy.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  S3Client, CopyObjectCommand, DeleteObjectCommand, GetObjectTaggingCommand,
+  CreateMultipartUploadCommand, UploadPartCopyCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+const { copyOriginal, isSourceUnavailable, linkedMetadata } = require('../src/original-copy');
+
+const MB = 1024 * 1024;
+const sha256 = (buffer, encoding = 'hex') => crypto.createHash('sha256').update(buffer).digest(encoding);
+
+describe('original copy', () => {
+  const s3Mock = mockClient(S3Client);
+  const s3Client = new S3Client({ region: 'us-east-1' });
+  const content = crypto.randomBytes(12 * MB);
+  const source = {
+    Bucket: 'ingress', Key: 'trip/Île de Ré.jpg', VersionId: 'v7', ETag: '"etag"', ContentLength: content.length,
+    ContentType: 'binary/octet-stream', CacheControl: 'no-cache', Metadata: { camera: 'x100' }
+  };
+  const target = { Bucket: 'processed', Key: 'photo-1/Île de Ré.jpg' };
+
+  beforeEach(() => {
+    s3Mock.reset();
+  });
+
+  it('links the copy back to the ingress object', () => {
+    expect(linkedMetadata(source)).toEqual({
+      camera: 'x100',
+      'original-bucket': 'ingress',
+      'original-key': 'trip%2F%C3%8Ele%20de%20R%C3%A9.jpg',
+      'original-version-id': 'v7'
+    });
+    expect(linkedMetadata({ Bucket: 'ingress', Key: 'a.jpg' })).toEqual({ 'original-bucket': 'ingress', 'original-key': 'a.jpg' });
+  });
+
+  it('recognises copy sources that are gone or were replaced', () => {
+    expect(isSourceUnavailable(Object.assign(new Error(), { name: 'NoSuchKey' }))).toBe(true);
+    expect(isSourceUnavailable(Object.assign(new Error(), { name: 'Unknown', $metadata: { httpStatusCode: 412 } }))).toBe(true);
+    expect(isSourceUnavailable(Object.assign(new Error(), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } }))).toBe(false);
+  });
+
+  it('verifies single copies against the processed checksum', async () => {
+    s3Mock.on(CopyObjectCommand).resolves({ CopyObjectResult: { ChecksumSHA256: sha256(content, 'base64') } });
+
+    await expect(copyOriginal(s3Client, { source, target, ContentType: 'image/jpeg', sha256: sha256(content) }))
+      .resolves.toEqual({ method: 'copy' });
+    expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toMatchObject({
+      CopySource: 'ingress/trip%2F%C3%8Ele%20de%20R%C3%A9.jpg?versionId=v7',
+      CacheControl: 'no-cache',
+      ContentType: 'image/jpeg'
+    });
+
+    s3Mock.on(CopyObjectCommand).resolves({ CopyObjectResult: { ChecksumSHA256: sha256(Buffer.from('other'), 'base64') } });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+    await expect(copyOriginal(s3Client, { source, target, ContentType: 'image/jpeg', sha256: sha256(content) }))
+      .rejects.toThrow('Checksum mismatch');
+    expect(s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input).toEqual(target);
+  });
+
+  describe('multipart copy', () => {
+    let spoolDir;
+    let partCopies;
+
+    beforeEach(() => {
+      spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-copy-'));
+      partCopies = [];
+      s3Mock.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: 'album', Value: 'Summer 2025' }, { Key: 'private', Value: 'false' }] });
+      s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'copy-1' });
+      // S3 computes each part's checksum from the source range
+      s3Mock.on(UploadPartCopyCommand).callsFake((params) => {
+        partCopies.push(params);
+        const [, start, end] = params.CopySourceRange.match(/^bytes=(\d+)-(\d+)$/).map(Number);
+        return Promise.resolve({ CopyPartResult: { ETag: `"part-${params.PartNumber}"`, ChecksumSHA256: sha256(content.subarray(start, end + 1), 'base64') } });
+      });
+      s3Mock.on(CompleteMultipartUploadCommand).resolves({});
+      s3Mock.on(AbortMultipartUploadCommand).resolves({});
+    });
+
+    afterEach(() => {
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    it('copies large originals in ranges, with their tags, verifying every part against the spool file', async () => {
+      const filePath = path.join(spoolDir, 'original');
+      fs.writeFileSync(filePath, content);
+
+      const result = await copyOriginal(s3Client, {
+        source, target, ContentType: 'image/jpeg', sha256: sha256(content), content: filePath, partSize: 5 * MB, multipartThreshold: MB
+      });
+
+      expect(result).toEqual({ method: 'multipart_copy', parts: 3 });
+      expect(partCopies.map(part => part.CopySourceRange)).toEqual([
+        `bytes=0-${5 * MB - 1}`, `bytes=${5 * MB}-${10 * MB - 1}`, `bytes=${10 * MB}-${12 * MB - 1}`
+      ]);
+      expect(partCopies[0]).toMatchObject({ UploadId: 'copy-1', CopySourceIfMatch: '"etag"', CopySource: expect.stringMatching(/\?versionId=v7$/) });
+      expect(s3Mock.commandCalls(CreateMultipartUploadCommand)[0].args[0].input).toMatchObject({
+        ...target,
+        ContentType: 'image/jpeg',
+        Tagging: 'album=Summer+2025&private=false',
+        Metadata: linkedMetadata(source),
+        ChecksumAlgorithm: 'SHA256'
+      });
+      expect(s3Mock.commandCalls(CompleteMultipartUploadCommand)[0].args[0].input.MultipartUpload.Parts)
+        .toEqual([1, 2, 3].map(n => expect.objectContaining({ PartNumber: n, ETag: `"part-${n}"` })));
+    });
+
+    it('aborts when a part does not match the downloaded original', async () => {
+      const changed = Buffer.from(content);
+      changed[7 * MB] ^= 0xff;
+
+      await expect(copyOriginal(s3Client, {
+        source, target, ContentType: 'image/jpeg', sha256: sha256(content), content: changed, partSize: 5 * MB, multipartThreshold: MB
+      })).rejects.toThrow('Checksum mismatch copying part 2');
+      expect(s3Mock.commandCalls(AbortMultipartUploadCommand)[0].args[0].input).toEqual({ ...target, UploadId: 'copy-1' });
+      expect(s3Mock.commandCalls(CompleteMultipartUploadCommand)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// handler/test/photo-catalog.test.js
+const { Readable } = require('stream');
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+const { shardOf, catalogEntryFromMetadata, createCatalog } = require('../src/photo-catalog');
+const { createS3Storage } = require('../src/storage');
+
+const s3Mock = mockClient(S3Client);
+
+const metadataFor = (photoFolder, shotDate, extra = {}) => ({
+  photoFolder,
+  shotDate,
+  originalDimensions: { width: 6000, height: 4000, format: 'jpg' },
+  exifData: { make: 'FUJIFILM', model: 'X-T5', gps: { latitude: 51.5, longitude: -0.12, altitude: 11, timestamp: null } },
+  versions: {
+    original: { path: `${photoFolder}a.jpg`, width: 6000, height: 4000 },
+    large: { path: `${photoFolder}large.webp`, width: 1920, height: 1280 },
+    thumb: { path: `${photoFolder}thumb.webp`, width: 200, height: 133 }
+  },
+  ...extra
+});
+
+describe('photo catalog', () => {
+  let objects;
+  let catalog;
+
+  // In-memory bucket that honours If-Match / If-None-Match like S3
+  const givenBucket = ({ beforePut } = {}) => {
+    objects = new Map();
+    let version = 0;
+    s3Mock.reset();
+    s3Mock.on(GetObjectCommand).callsFake(({ Key }) => objects.has(Key)
+      ? Promise.resolve({ Body: Readable.from([Buffer.from(objects.get(Key).body)]), ETag: objects.get(Key).etag })
+      : Promise.reject(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' })));
+    s3Mock.on(PutObjectCommand).callsFake(async (params) => {
+      await beforePut?.(params);
+      const current = objects.get(params.Key);
+      if ((params.IfNoneMatch === '*' && current) || (params.IfMatch && params.IfMatch !== current?.etag)) {
+        throw Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), { name: 'PreconditionFailed' });
+      }
+      objects.set(params.Key, { body: params.Body, etag: `"${++version}"`, cacheControl: params.CacheControl });
+      return {};
+    });
+    catalog = createCatalog(createS3Storage(new S3Client({})), 'processed', 'catalog/');
+  };
+
+  const read = (key) => JSON.parse(objects.get(key).body);
+
+  it('builds compact entries from metadata.json', () => {
+    expect(shardOf({ shotDate: '2025-09-11T10:14:46.000Z' })).toEqual({ year: '2025', month: '09' });
+    // The local month, not the UTC one
+    expect(shardOf(metadataFor('photo-a/', '2025-09-01T02:00:00.000Z', {
+      shotTime: { utc: '2025-09-01T02:00:00.000Z', local: '2025-08-31T22:00:00.000', offset: '-04:00' }
+    }))).toEqual({ year: '2025', month: '08' });
+    expect(catalogEntryFromMetadata(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z'))).toEqual({
+      photoFolder: 'photo-a/',
+      baseName: 'photo-a',
+      shotDate: '2025-09-11T10:14:46.000Z',
+      title: null,
+      tags: [],
+      rating: null,
+      camera: { make: 'FUJIFILM', model: 'X-T5' },
+      gps: { latitude: 51.5, longitude: -0.12, altitude: 11 },
+      location: null,
+      thumb: { path: 'photo-a/thumb.webp', width: 200, height: 133 },
+      dimensions: { width: 6000, height: 4000 }
+    });
+
+    const edited = metadataFor('photo-a/', '2025-09-11T10:14:46.000Z', {
+      userEdits: { title: 'Cowes Week', caption: 'Start of the race', tags: ['sailing'], rating: 4 }
+    });
+    expect(catalogEntryFromMetadata(edited)).toMatchObject({ title: 'Cowes Week', tags: ['sailing'], rating: 4 });
+    expect(catalogEntryFromMetadata(edited)).not.toHaveProperty('caption');
+  });
+
+  it('leaves hidden photos out', async () => {
+    givenBucket();
+    const hidden = (photoFolder) => metadataFor(photoFolder, '2025-09-11T10:14:46.000Z', { userEdits: { hidden: true } });
+
+    await catalog.addPhoto(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z'));
+    await catalog.addPhoto(metadataFor('photo-b/', '2025-09-20T08:00:00.000Z'));
+    await catalog.addPhoto(hidden('photo-a/'));
+
+    expect(read('catalog/2025/09.json').photos.map(p => p.photoFolder)).toEqual(['photo-b/']);
+    expect(read('catalog/index.json').totalPhotos).toBe(1);
+
+    await catalog.rebuild([hidden('photo-a/'), metadataFor('photo-c/', '2025-09-01T00:00:00.000Z')]);
+    expect(read('catalog/2025/09.json').photos.map(p => p.photoFolder)).toEqual(['photo-c/']);
+  });
+
+  it('shards photos by shot month and keeps the index counts current', async () => {
+    givenBucket();
+
+    await catalog.addPhoto(metadataFor('photo-b/', '2025-09-20T08:00:00.000Z'));
+    await catalog.addPhoto(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z'));
+    await catalog.addPhoto(metadataFor('photo-c/', '2024-12-31T23:59:59.000Z'));
+    await catalog.addPhoto(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z')); // reprocessed
+
+    expect(read('catalog/2025/09.json').photos.map(p => p.photoFolder)).toEqual(['photo-a/', 'photo-b/']);
+    expect(read('catalog/2024/12.json').photos.map(p => p.photoFolder)).toEqual(['photo-c/']);
+    expect(read('catalog/index.json')).toMatchObject({
+      totalPhotos: 3,
+      shards: [
+        { year: '2025', month: '09', key: 'catalog/2025/09.json', count: 2 },
+        { year: '2024', month: '12', key: 'catalog/2024/12.json', count: 1 }
+      ]
+    });
+    expect(objects.get('catalog/index.json').cacheControl).toBe('public, max-age=60');
+
+    await catalog.removePhoto(metadataFor('photo-c/', '2024-12-31T23:59:59.000Z'));
+    expect(read('catalog/index.json')).toMatchObject({ totalPhotos: 2, shards: [{ key: 'catalog/2025/09.json' }] });
+  });
+
+  it('retries when another upload writes the shard first', async () => {
+    let raced = false;
+    givenBucket({
+      beforePut: async ({ Key }) => {
+        // Another invocation adds its photo between our read and our write
+        if (Key === 'catalog/2025/09.json' && !raced) {
+          raced = true;
+          objects.set(Key, {
+            body: JSON.stringify({ photos: [catalogEntryFromMetadata(metadataFor('photo-other/', '2025-09-01T00:00:00.000Z'))] }),
+            etag: '"other"'
+          });
+        }
+      }
+    });
+
+    await catalog.addPhoto(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z'));
+
+    expect(read('catalog/2025/09.json').photos.map(p => p.photoFolder)).toEqual(['photo-other/', 'photo-a/']);
+    expect(read('catalog/index.json').totalPhotos).toBe(2);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    givenBucket({
+      beforePut: async () => {
+        throw Object.assign(new Error('conflict'), { name: 'PreconditionFailed' });
+      }
+    });
+
+    await expect(catalog.addPhoto(metadataFor('photo-a/', '2025-09-11T10:14:46.000Z')))
+      .rejects.toThrow('Gave up updating catalog/2025/09.json after 5 conflicting writes');
+  });
+
+  it('rebuilds every shard and empties ones without photos', async () => {
+    givenBucket();
+    await catalog.addPhoto(metadataFor('photo-gone/', '2023-01-05T00:00:00.000Z'));
+
+    const shards = await catalog.rebuild([
+      metadataFor('photo-a/', '2025-09-11T10:14:46.000Z'),
+      metadataFor('photo-c/', '2024-12-31T23:59:59.000Z')
+    ]);
+
+    expect(shards).toBe(3);
+    expect(read('catalog/2023/01.json').photos).toEqual([]);
+    expect(read('catalog/index.json').shards.map(s => s.key)).toEqual(['catalog/2025/09.json', 'catalog/2024/12.json']);
+  });
+});
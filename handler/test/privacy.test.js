@@ -0,0 +1,80 @@
+// handler/test/privacy.test.js
+const { normalizePrivacy, parsePrivacy, redactGps, redactMetadata } = require('../src/privacy');
+
+const gps = {
+  latitude: 50.7667, longitude: -1.2833, altitude: 12, altitudeReference: 'above_sea_level',
+  timestamp: '2025-07-30T17:05:00Z', bearing: { degrees: 270, reference: 'true' }, track: null, speed: null,
+  dop: 2.5, measureMode: '3d', mapDatum: 'WGS-84', status: 'active',
+  locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB', distanceKm: 0.4
+};
+
+const metadata = {
+  photoFolder: 'photo-1/',
+  shotDate: '2025-07-30T17:05:00.000Z',
+  exifData: { make: 'FUJIFILM', model: 'X-T5', iso: 400, gps },
+  location: {
+    locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB',
+    timezone: 'Europe/London', distanceKm: 0.4, label: 'Cowes, England, United Kingdom'
+  },
+  versions: { original: { path: 'photo-1/IMG_1.jpg' } }
+};
+
+describe('privacy', () => {
+  it('fills in defaults and rejects bad policies', () => {
+    expect(normalizePrivacy({ gps: 'coarse' })).toEqual({
+      gps: 'coarse', gpsGrid: 0.1, exif: 'keep', original: 'public', privateMetadata: false, privateBucket: null
+    });
+    expect(normalizePrivacy(null)).toBeNull();
+    expect(() => normalizePrivacy({ gps: 'fuzzy' })).toThrow('gps must be one of exact, coarse, strip');
+    expect(() => normalizePrivacy({ original: 'hidden' })).toThrow('original must be one of');
+    expect(() => normalizePrivacy({ gpsGrid: 0 })).toThrow('gpsGrid must be');
+    expect(() => normalizePrivacy({ privateMetadata: 'yes' })).toThrow('privateMetadata must be true or false');
+    expect(() => normalizePrivacy({ stripGps: true })).toThrow('unknown field(s) stripGps');
+    expect(() => parsePrivacy('{"exif": "blur"}')).toThrow('Invalid PRIVACY: exif must be one of keep, strip');
+  });
+
+  it('snaps coarse positions to the center of their grid cell', () => {
+    expect(redactGps(gps, normalizePrivacy({ gps: 'coarse' }))).toEqual({
+      latitude: 50.75, longitude: -1.25, precision: 0.1,
+      locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB'
+    });
+    expect(redactGps({ latitude: -33.8688, longitude: 151.2093 }, normalizePrivacy({ gps: 'coarse', gpsGrid: 1 })))
+      .toEqual({ latitude: -33.5, longitude: 151.5, precision: 1 });
+    // Nearby photos land on the same position
+    const grid = normalizePrivacy({ gps: 'coarse', gpsGrid: 0.05 });
+    expect(redactGps({ latitude: 50.7512, longitude: -1.2999 }, grid)).toEqual(redactGps({ latitude: 50.7999, longitude: -1.2501 }, grid));
+
+    expect(redactGps(gps, normalizePrivacy({ gps: 'strip' }))).toBeNull();
+    expect(redactGps(gps, normalizePrivacy({}))).toBe(gps);
+    expect(redactGps(null, normalizePrivacy({ gps: 'coarse' }))).toBeNull();
+  });
+
+  it('redacts GPS, location and camera EXIF from the public metadata', () => {
+    expect(redactMetadata(metadata, null)).toBe(metadata);
+
+    const stripped = redactMetadata(metadata, normalizePrivacy({ gps: 'strip', exif: 'strip' }));
+    expect(stripped).toMatchObject({ exifData: null, location: null, versions: metadata.versions });
+
+    const coarse = redactMetadata(metadata, normalizePrivacy({ gps: 'coarse' }));
+    expect(coarse.exifData).toEqual({ make: 'FUJIFILM', model: 'X-T5', iso: 400, gps: expect.objectContaining({ latitude: 50.75 }) });
+    expect(coarse.location).toEqual({
+      locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB',
+      timezone: 'Europe/London', label: 'Cowes, England, United Kingdom'
+    });
+
+    const cameraOnly = redactMetadata(metadata, normalizePrivacy({ gps: 'strip' }));
+    expect(cameraOnly.exifData).toEqual({ make: 'FUJIFILM', model: 'X-T5', iso: 400 });
+
+    // The full metadata is left as it was
+    expect(metadata.exifData.gps).toBe(gps);
+  });
+
+  it('drops the shot time zone along with stripped GPS', () => {
+    const shotTime = { utc: '2025-07-30T17:05:00.000Z', local: '2025-07-30T18:05:00.000', offset: '+01:00', timeZone: 'Europe/London', source: 'gps_time' };
+
+    expect(redactMetadata({ ...metadata, shotTime }, normalizePrivacy({ gps: 'strip' })).shotTime).toEqual({ ...shotTime, timeZone: null });
+    // A coarse position still names the locality, which says more than its time zone
+    expect(redactMetadata({ ...metadata, shotTime }, normalizePrivacy({ gps: 'coarse' })).shotTime).toEqual(shotTime);
+    expect(redactMetadata(metadata, normalizePrivacy({ gps: 'strip' }))).not.toHaveProperty('shotTime');
+  });
+});
@@ -0,0 +1,60 @@
+// handler/test/reverse-geocoder.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { haversineKm, loadGazetteer, createReverseGeocoder } = require('../src/reverse-geocoder');
+
+describe('reverse geocoder', () => {
+  let geocoder;
+
+  beforeAll(() => {
+    geocoder = createReverseGeocoder(loadGazetteer(), { maxDistanceKm: 150 });
+  });
+
+  it('measures great-circle distances', () => {
+    expect(haversineKm(51.5074, -0.1278, 48.8566, 2.3522)).toBeCloseTo(343.5, 0); // London - Paris
+    expect(haversineKm(10, 179.9, 10, -179.9)).toBeCloseTo(21.9, 0); // across the antimeridian
+    expect(haversineKm(1, 2, 1, 2)).toBe(0);
+  });
+
+  it('finds the nearest locality with its region, country and timezone', () => {
+    expect(geocoder.lookup(50.7660, -1.2960)).toEqual({
+      locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB',
+      timezone: 'Europe/London', distanceKm: expect.any(Number)
+    });
+    expect(geocoder.lookup(17.0090, -61.7640)).toMatchObject({ locality: 'English Harbour', region: 'Saint Paul Parish', country: 'Antigua and Barbuda' });
+    expect(geocoder.lookup(-33.8570, 151.2150)).toMatchObject({ locality: 'Sydney', region: 'New South Wales', timezone: 'Australia/Sydney' });
+  });
+
+  it('bundles regions under their GeoNames admin1 codes', () => {
+    const { regions } = loadGazetteer();
+    expect(regions.get('GB.ENG')).toBe('England');
+    expect(regions.get('US.NY')).toBe('New York');
+    expect(regions.get('FR.93')).toBe("Provence-Alpes-Côte d'Azur");
+    expect(regions.has('GB.ENGLAND')).toBe(false);
+  });
+
+  it('reports nothing for open ocean or invalid coordinates', () => {
+    expect(geocoder.lookup(35, -40)).toBeNull(); // mid-Atlantic
+    expect(geocoder.lookup(91, 0)).toBeNull();
+    expect(geocoder.lookup(NaN, 0)).toBeNull();
+  });
+
+  it('reads a full GeoNames download dropped into GAZETTEER_DIR', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-gazetteer-'));
+    try {
+      const city = ['2638419', 'Salcombe', 'Salcombe', '', '50.23783', '-3.76852', 'P', 'PPL', 'GB', '', 'ENG',
+        'D5', '', '', '1893', '', '35', 'Europe/London', '2018-07-03'];
+      fs.writeFileSync(path.join(dir, 'cities.tsv'), `${city.join('\t')}\r\n`);
+      fs.writeFileSync(path.join(dir, 'admin1.tsv'), 'GB.ENG\tEngland\tEngland\t6269131\n');
+      fs.writeFileSync(path.join(dir, 'countries.tsv'),
+        '# GeoNames countryInfo\n#ISO\tISO3\tISO-Numeric\tfips\tCountry\nGB\tGBR\t826\tUK\tUnited Kingdom\tLondon\n');
+
+      expect(createReverseGeocoder(loadGazetteer(dir)).lookup(50.2, -3.8)).toMatchObject({
+        locality: 'Salcombe', region: 'England', country: 'United Kingdom', timezone: 'Europe/London'
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,97 @@
+// handler/test/shot-time.test.js
+const fs = require('fs');
+const path = require('path');
+const { readOffsetTags, parseOffset, formatOffset, isValidTimeZone, zoneOffsetMinutes, resolveShotTime } = require('../src/shot-time');
+
+// exif-parser reads DateTimeOriginal as if the wall clock were UTC
+const wallClock = (iso) => Date.parse(`${iso}Z`) / 1000;
+
+describe('shot time resolution', () => {
+  it('parses and formats EXIF offsets', () => {
+    expect(parseOffset('+02:00')).toBe(120);
+    expect(parseOffset('-04:00\0')).toBe(-240);
+    expect(parseOffset('+0545')).toBe(345);
+    expect(parseOffset('   :  ')).toBeNull();
+    expect(parseOffset('+15:00')).toBeNull();
+    expect(formatOffset(-570)).toBe('-09:30');
+    expect(formatOffset(0)).toBe('+00:00');
+  });
+
+  it('reads the offset tags exif-parser leaves unnamed', () => {
+    // Lightroom wrote OffsetTime (for the edit time) but not OffsetTimeOriginal
+    expect(readOffsetTags(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.jpg')))).toEqual({ OffsetTime: '-04:00' });
+  });
+
+  it('knows IANA timezones and their DST offsets', () => {
+    expect(isValidTimeZone('Pacific/Auckland')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(zoneOffsetMinutes('Europe/London', Date.parse('2025-01-15T12:00:00Z'))).toBe(0);
+    expect(zoneOffsetMinutes('Europe/London', Date.parse('2025-07-15T12:00:00Z'))).toBe(60);
+    expect(zoneOffsetMinutes('Asia/Kathmandu', Date.parse('2025-07-15T12:00:00Z'))).toBe(345);
+  });
+
+  it('prefers OffsetTimeOriginal over everything else', () => {
+    expect(resolveShotTime({
+      dateTimeOriginal: wallClock('2025-07-01T23:30:00'),
+      offsetTags: { OffsetTimeOriginal: '+02:00', OffsetTime: '-04:00' },
+      gpsTimestamp: '2025-07-01T20:00:00.000Z',
+      timeZone: 'Asia/Tokyo',
+      defaultTimeZone: 'America/New_York'
+    })).toEqual({
+      utc: new Date('2025-07-01T21:30:00.000Z'),
+      local: '2025-07-01T23:30:00.000',
+      offset: '+02:00',
+      timeZone: null,
+      source: 'exif_offset'
+    });
+  });
+
+  it('derives the offset from the GPS fix time when the clocks agree', () => {
+    // Kathmandu: +05:45, camera clock a couple of minutes fast
+    const shotTime = resolveShotTime({
+      dateTimeOriginal: wallClock('2025-03-14T14:02:00'),
+      gpsTimestamp: '2025-03-14T08:15:45.000Z',
+      timeZone: 'Asia/Tokyo'
+    });
+    expect(shotTime).toMatchObject({ offset: '+05:45', source: 'gps_offset' });
+    expect(shotTime.utc.toISOString()).toBe('2025-03-14T08:17:00.000Z');
+
+    // A fix that misses every quarter-hour offset by minutes is not trusted; the location timezone is used instead
+    expect(resolveShotTime({
+      dateTimeOriginal: wallClock('2025-03-14T14:02:00'),
+      gpsTimestamp: '2025-03-14T07:55:00.000Z',
+      timeZone: 'Asia/Tokyo'
+    })).toMatchObject({ offset: '+09:00', timeZone: 'Asia/Tokyo', source: 'location_timezone' });
+  });
+
+  it('falls back to the location, then the default timezone, then UTC', () => {
+    const dateTimeOriginal = wallClock('2025-12-24T21:00:00');
+
+    expect(resolveShotTime({ dateTimeOriginal, timeZone: 'Australia/Sydney', defaultTimeZone: 'Europe/London' }))
+      .toMatchObject({ utc: new Date('2025-12-24T10:00:00.000Z'), offset: '+11:00', source: 'location_timezone' });
+    expect(resolveShotTime({ dateTimeOriginal, defaultTimeZone: 'America/Los_Angeles' }))
+      .toMatchObject({ utc: new Date('2025-12-25T05:00:00.000Z'), local: '2025-12-24T21:00:00.000', source: 'default_timezone' });
+    expect(resolveShotTime({ dateTimeOriginal, defaultTimeZone: 'Not/A_Zone' }))
+      .toMatchObject({ utc: new Date('2025-12-24T21:00:00.000Z'), offset: '+00:00', source: 'assumed_utc' });
+  });
+
+  it('resolves wall clock times either side of a DST change', () => {
+    // Clocks in London went forward at 01:00 UTC on 30 March 2025
+    expect(resolveShotTime({ dateTimeOriginal: wallClock('2025-03-30T00:30:00'), defaultTimeZone: 'Europe/London' }).utc)
+      .toEqual(new Date('2025-03-30T00:30:00.000Z'));
+    expect(resolveShotTime({ dateTimeOriginal: wallClock('2025-03-30T02:30:00'), defaultTimeZone: 'Europe/London' }).utc)
+      .toEqual(new Date('2025-03-30T01:30:00.000Z'));
+  });
+
+  it('uses the GPS fix or the upload time for photos without a camera date', () => {
+    expect(resolveShotTime({ gpsTimestamp: '2024-12-31T23:59:30.000Z', timeZone: 'Australia/Sydney' })).toEqual({
+      utc: new Date('2024-12-31T23:59:30.000Z'),
+      local: '2025-01-01T10:59:30.000',
+      offset: '+11:00',
+      timeZone: 'Australia/Sydney',
+      source: 'gps_time'
+    });
+    expect(resolveShotTime({ uploadTime: new Date('2025-05-05T05:05:05.000Z') }))
+      .toMatchObject({ local: '2025-05-05T05:05:05.000', offset: '+00:00', source: 'upload_time' });
+  });
+});
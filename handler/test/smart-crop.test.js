@@ -0,0 +1,51 @@
+// handler/test/smart-crop.test.js
+const sharp = require('sharp');
+const { isCropped, findCropBox, scaleBox } = require('../src/smart-crop');
+
+const square = { name: 'thumb', width: 200, height: 200, fit: 'cover', position: 'center' };
+
+// Dark 600x300 image with a bright, saturated blob near its right edge
+const withBlob = () => sharp({ create: { width: 600, height: 300, channels: 3, background: '#202020' } })
+  .composite([{ input: { create: { width: 80, height: 80, channels: 3, background: '#ff2060' } }, left: 480, top: 110 }])
+  .png()
+  .toBuffer();
+
+describe('smart crop', () => {
+  it('only crops cover variants with both dimensions', () => {
+    expect(isCropped(square)).toBe(true);
+    expect(isCropped({ ...square, fit: 'inside' })).toBe(false);
+    expect(isCropped({ ...square, height: null })).toBe(false);
+  });
+
+  it('centers the largest box of the variant aspect ratio by default', async () => {
+    const box = await findCropBox(null, { width: 600, height: 300 }, { ...square, width: 400, height: 300 });
+
+    expect(box).toEqual({ left: 100, top: 0, width: 400, height: 300, strategy: 'center' });
+  });
+
+  it('places the box around a focal point, kept inside the image', async () => {
+    const image = { width: 600, height: 300 };
+
+    expect(await findCropBox(null, image, square, { x: 0.5, y: 0.5 })).toEqual({ left: 150, top: 0, width: 300, height: 300, strategy: 'focal' });
+    expect(await findCropBox(null, image, square, { x: 0.4, y: 0 })).toEqual({ left: 90, top: 0, width: 300, height: 300, strategy: 'focal' });
+    expect(await findCropBox(null, image, square, { x: 1, y: 1 })).toEqual({ left: 300, top: 0, width: 300, height: 300, strategy: 'focal' });
+  });
+
+  it('finds the interesting part of the image with sharp strategies', async () => {
+    const image = await withBlob();
+
+    const box = await findCropBox(() => sharp(image), { width: 600, height: 300 }, { ...square, position: 'attention' });
+
+    expect(box).toMatchObject({ top: 0, width: 300, height: 300, strategy: 'attention' });
+    // The blob at 480-560 ends up in the box
+    expect(box.left).toBeGreaterThanOrEqual(260);
+    expect(box.left).toBeLessThanOrEqual(300);
+  });
+
+  it('scales boxes to the original size', () => {
+    const box = { left: 150, top: 0, width: 300, height: 300, strategy: 'focal' };
+
+    expect(scaleBox(box, { width: 600, height: 300 }, { width: 6000, height: 3000 }))
+      .toEqual({ left: 1500, top: 0, width: 3000, height: 3000, strategy: 'focal' });
+  });
+});
@@ -0,0 +1,160 @@
+// handler/test/storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { S3Client, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+const { Readable } = require('stream');
+const { createS3Storage, createFileStorage } = require('../src/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('storage', () => {
+  describe('file backend', () => {
+    let rootDir;
+    let storage;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-storage-'));
+      storage = createFileStorage(rootDir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('stores objects as files under a directory per bucket', async () => {
+      await storage.putObject('processed', 'photo-1/large.webp', Buffer.from('webp'));
+
+      expect(fs.readFileSync(path.join(rootDir, 'processed', 'photo-1', 'large.webp'), 'utf8')).toBe('webp');
+      const object = await storage.getObject('processed', 'photo-1/large.webp');
+      expect(object.ContentLength).toBe(4);
+      expect((await readAll(object.Body)).toString()).toBe('webp');
+
+      await expect(storage.getObject('processed', 'photo-1/missing.webp')).rejects.toMatchObject({ name: 'NoSuchKey' });
+      await expect(storage.getObject('processed', 'photo-1')).rejects.toMatchObject({ name: 'NoSuchKey' });
+    });
+
+    it('uses an absolute bucket name as the directory itself', async () => {
+      const elsewhere = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-bucket-'));
+      try {
+        await storage.putObject(elsewhere, 'a.json', '{}');
+        expect(fs.existsSync(path.join(elsewhere, 'a.json'))).toBe(true);
+      } finally {
+        fs.rmSync(elsewhere, { recursive: true, force: true });
+      }
+    });
+
+    it('guards JSON documents with ETags', async () => {
+      expect(await storage.readJson('processed', '_index/catalog.json')).toBeNull();
+
+      const { ETag } = await storage.putObject('processed', '_index/catalog.json', JSON.stringify({ photos: 1 }), { IfNoneMatch: '*' });
+      await expect(storage.putObject('processed', '_index/catalog.json', '{}', { IfNoneMatch: '*' }))
+        .rejects.toMatchObject({ name: 'PreconditionFailed' });
+
+      const current = await storage.readJson('processed', '_index/catalog.json');
+      expect(current).toEqual({ value: { photos: 1 }, etag: ETag });
+
+      await storage.putObject('processed', '_index/catalog.json', JSON.stringify({ photos: 2 }), { IfMatch: current.etag });
+      // The first writer changed the ETag, so a second one with the old ETag fails
+      await expect(storage.putObject('processed', '_index/catalog.json', JSON.stringify({ photos: 3 }), { IfMatch: current.etag }))
+        .rejects.toMatchObject({ name: 'PreconditionFailed' });
+      expect((await storage.readJson('processed', '_index/catalog.json')).value).toEqual({ photos: 2 });
+
+      await expect(storage.putObject('processed', '_index/other.json', '{}', { IfMatch: current.etag }))
+        .rejects.toMatchObject({ name: 'NoSuchKey' });
+    });
+
+    it('lists keys under a prefix in order', async () => {
+      for (const key of ['photo-b/small.webp', 'photo-a/large.webp', 'photo-a/small.webp', 'photo-ab/large.webp', 'top.json']) {
+        await storage.putObject('processed', key, key);
+      }
+
+      expect(await storage.listKeys('processed')).toEqual([
+        'photo-a/large.webp', 'photo-a/small.webp', 'photo-ab/large.webp', 'photo-b/small.webp', 'top.json'
+      ]);
+      expect(await storage.listKeys('processed', 'photo-a/')).toEqual(['photo-a/large.webp', 'photo-a/small.webp']);
+      expect(await storage.listKeys('processed', 'photo-a')).toEqual(['photo-a/large.webp', 'photo-a/small.webp', 'photo-ab/large.webp']);
+      expect(await storage.listKeys('processed', 'photo-', { limit: 1 })).toEqual(['photo-a/large.webp']);
+      expect(await storage.listKeys('processed', 'missing/')).toEqual([]);
+      expect(await storage.listKeys('no-such-bucket')).toEqual([]);
+    });
+
+    it('removes directories left empty by deletes', async () => {
+      await storage.putObject('processed', 'photo-1/large.webp', 'a');
+      await storage.putObject('processed', 'photo-1/small.webp', 'b');
+      await storage.putObject('processed', 'photo-2/large.webp', 'c');
+
+      await storage.deleteObjects('processed', ['photo-1/large.webp', 'photo-1/small.webp', 'photo-1/missing.webp']);
+      await storage.deleteObject('processed', 'photo-2/large.webp');
+
+      expect(fs.readdirSync(path.join(rootDir, 'processed'))).toEqual([]);
+    });
+
+    it('rejects keys that would escape the bucket directory', async () => {
+      await expect(storage.putObject('processed', '../ingress/a.jpg', 'x')).rejects.toThrow('Invalid key');
+      await expect(storage.getObject('processed', 'a/./b.jpg')).rejects.toThrow('Invalid key');
+      expect(fs.existsSync(path.join(rootDir, 'ingress'))).toBe(false);
+    });
+
+    it('copies files, including large ones written from disk', async () => {
+      const spool = path.join(rootDir, 'spool');
+      fs.writeFileSync(spool, 'spooled');
+      await storage.putFile('processed', 'photo-1/big.tif', spool);
+      await storage.copyObject('processed', 'photo-1/big.tif', 'archive', 'photo-1/big.tif');
+
+      expect(fs.readFileSync(path.join(rootDir, 'archive', 'photo-1', 'big.tif'), 'utf8')).toBe('spooled');
+      await expect(storage.copyObject('processed', 'photo-9/big.tif', 'archive', 'photo-9/big.tif'))
+        .rejects.toMatchObject({ name: 'NoSuchKey' });
+    });
+
+    it('verifies copied originals against their checksum', async () => {
+      const content = Buffer.from('original bytes');
+      await storage.putObject('ingress', 'DSCF8545.JPG', content);
+      const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+      const source = { Bucket: 'ingress', Key: 'DSCF8545.JPG' };
+
+      await expect(storage.copyOriginal({ source, target: { Bucket: 'processed', Key: 'photo-1/DSCF8545.JPG' }, sha256 }))
+        .resolves.toEqual({ method: 'copy' });
+
+      await expect(storage.copyOriginal({ source, target: { Bucket: 'processed', Key: 'photo-2/DSCF8545.JPG' }, sha256: '0'.repeat(64) }))
+        .rejects.toThrow('Checksum mismatch');
+      expect(await storage.listKeys('processed')).toEqual(['photo-1/DSCF8545.JPG']);
+    });
+  });
+
+  describe('S3 backend', () => {
+    const s3Mock = mockClient(S3Client);
+    const storage = createS3Storage(new S3Client({ region: 'us-east-1' }));
+
+    beforeEach(() => {
+      s3Mock.reset();
+    });
+
+    it('reads JSON documents with their ETag and missing ones as null', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'a.json' }).resolves({ Body: Readable.from([Buffer.from('{"a":1}')]), ETag: '"e1"' });
+      s3Mock.on(GetObjectCommand, { Key: 'b.json' }).rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+
+      expect(await storage.readJson('processed', 'a.json')).toEqual({ value: { a: 1 }, etag: '"e1"' });
+      expect(await storage.readJson('processed', 'b.json')).toBeNull();
+    });
+
+    it('pages through listings up to the limit', async () => {
+      s3Mock.on(ListObjectsV2Command, { ContinuationToken: undefined })
+        .resolves({ Contents: [{ Key: 'a' }, { Key: 'b' }], IsTruncated: true, NextContinuationToken: 't1' });
+      s3Mock.on(ListObjectsV2Command, { ContinuationToken: 't1' })
+        .resolves({ Contents: [{ Key: 'c' }], IsTruncated: false });
+
+      expect(await storage.listKeys('processed', '')).toEqual(['a', 'b', 'c']);
+      expect(await storage.listKeys('processed', '', { limit: 2 })).toEqual(['a', 'b']);
+      expect(s3Mock.commandCalls(ListObjectsV2Command).pop().args[0].input.MaxKeys).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// handler/test/streaming.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const {
+  S3Client, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { mockClient } = require('aws-sdk-client-mock');
+const { HEAD_BYTES, spoolToFile, intermediateSize, decodeForVariants, uploadFileMultipart } = require('../src/streaming');
+
+const MB = 1024 * 1024;
+
+describe('streaming', () => {
+  let spoolDir;
+
+  beforeEach(() => {
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-spool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  it('spools a body to disk, hashing it and keeping its head', async () => {
+    const content = crypto.randomBytes(HEAD_BYTES + 1000);
+    // Chunks straddle the head boundary
+    const chunks = [content.subarray(0, 100000), content.subarray(100000, 300000), content.subarray(300000)];
+
+    const spool = await spoolToFile(Readable.from(chunks), spoolDir);
+
+    expect(spool.bytes).toBe(content.length);
+    expect(spool.sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    expect(spool.head.equals(content.subarray(0, HEAD_BYTES))).toBe(true);
+    expect(fs.readFileSync(spool.filePath).equals(content)).toBe(true);
+  });
+
+  it('removes the spool file when the download fails', async () => {
+    const failing = Readable.from((async function* () {
+      yield Buffer.alloc(1000);
+      throw new Error('socket hang up');
+    })());
+
+    await expect(spoolToFile(failing, spoolDir)).rejects.toThrow('socket hang up');
+    expect(fs.readdirSync(spoolDir)).toEqual([]);
+  });
+
+  it('decodes only as large as the biggest variant needs', () => {
+    const profile = [
+      { name: 'large', width: 1920, height: 1920, fit: 'inside' },
+      { name: 'thumb', width: 200, height: 200, fit: 'inside' }
+    ];
+    expect(intermediateSize(6000, 4000, profile)).toEqual({ width: 1920, height: 1280 });
+    // A cover crop needs the short side to fill its box
+    expect(intermediateSize(6000, 4000, [...profile, { name: 'banner', width: 1200, height: 1200, fit: 'cover' }]))
+      .toEqual({ width: 1920, height: 1280 });
+    expect(intermediateSize(6000, 4000, [{ name: 'hero', width: 2400, height: 2400, fit: 'cover' }]))
+      .toEqual({ width: 3600, height: 2400 });
+    // Never upscaled
+    expect(intermediateSize(800, 600, profile)).toEqual({ width: 800, height: 600 });
+  });
+
+  it('decodes once and hands out a pipeline per variant', async () => {
+    const filePath = path.join(spoolDir, 'big.png');
+    await sharp({ create: { width: 3000, height: 2000, channels: 3, background: '#204060' } }).png().toFile(filePath);
+
+    const decoded = await decodeForVariants(filePath, [{ name: 'large', width: 1500, height: 1500, fit: 'inside' }]);
+    expect(decoded).toMatchObject({ width: 1500, height: 1000, original: { width: 3000, height: 2000 } });
+
+    const { info } = await decoded.pipeline().resize(300, 300, { fit: 'inside' }).jpeg().toBuffer({ resolveWithObject: true });
+    expect(info).toMatchObject({ width: 300, height: 200 });
+    const { info: again } = await decoded.pipeline().resize(1500, 1500, { fit: 'inside' }).webp().toBuffer({ resolveWithObject: true });
+    expect(again).toMatchObject({ width: 1500, height: 1000 });
+  });
+
+  it('turns the decode upright', async () => {
+    const filePath = path.join(spoolDir, 'portrait.jpg');
+    // Stored on its side, as a camera held upright would
+    await sharp({ create: { width: 2000, height: 3000, channels: 3, background: '#204060' } }).jpeg().withMetadata({ orientation: 6 }).toFile(filePath);
+
+    const decoded = await decodeForVariants(filePath, [{ name: 'large', width: 1500, height: 1500, fit: 'inside' }], 6);
+
+    expect(decoded).toMatchObject({ width: 1500, height: 1000, original: { width: 3000, height: 2000 } });
+    const { info } = await decoded.pipeline().jpeg().toBuffer({ resolveWithObject: true });
+    expect(info).toMatchObject({ width: 1500, height: 1000 });
+  });
+
+  describe('multipart upload', () => {
+    const s3Mock = mockClient(S3Client);
+    const s3Client = new S3Client({ region: 'us-east-1' });
+    let filePath;
+    let content;
+
+    beforeEach(() => {
+      s3Mock.reset();
+      content = crypto.randomBytes(12 * MB);
+      filePath = path.join(spoolDir, 'original');
+      fs.writeFileSync(filePath, content);
+      s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'upload-1' });
+      s3Mock.on(CompleteMultipartUploadCommand).resolves({});
+      s3Mock.on(AbortMultipartUploadCommand).resolves({});
+    });
+
+    it('uploads the file in parts', async () => {
+      const parts = [];
+      s3Mock.on(UploadPartCommand).callsFake((params) => {
+        // The part buffer is reused, so keep a copy
+        parts.push(Buffer.from(params.Body));
+        return Promise.resolve({ ETag: `"etag-${params.PartNumber}"` });
+      });
+
+      const result = await uploadFileMultipart(s3Client, {
+        Bucket: 'processed', Key: 'photo/big.tif', ContentType: 'image/tiff', filePath, partSize: 1 * MB
+      });
+
+      // Parts are never smaller than S3's 5MB minimum
+      expect(result).toEqual({ parts: 3 });
+      expect(parts.map(part => part.length)).toEqual([5 * MB, 5 * MB, 2 * MB]);
+      expect(Buffer.concat(parts).equals(content)).toBe(true);
+      expect(s3Mock.commandCalls(CreateMultipartUploadCommand)[0].args[0].input)
+        .toMatchObject({ Bucket: 'processed', Key: 'photo/big.tif', ContentType: 'image/tiff' });
+      expect(s3Mock.commandCalls(CompleteMultipartUploadCommand)[0].args[0].input).toMatchObject({
+        UploadId: 'upload-1',
+        MultipartUpload: { Parts: [1, 2, 3].map(n => ({ ETag: `"etag-${n}"`, PartNumber: n })) }
+      });
+    });
+
+    it('aborts the upload when a part fails', async () => {
+      s3Mock.on(UploadPartCommand, { PartNumber: 2 }).rejects(new Error('SlowDown'));
+      s3Mock.on(UploadPartCommand, { PartNumber: 1 }).resolves({ ETag: '"etag-1"' });
+
+      await expect(uploadFileMultipart(s3Client, { Bucket: 'processed', Key: 'photo/big.tif', filePath }))
+        .rejects.toThrow('SlowDown');
+      expect(s3Mock.commandCalls(AbortMultipartUploadCommand)[0].args[0].input)
+        .toEqual({ Bucket: 'processed', Key: 'photo/big.tif', UploadId: 'upload-1' });
+      expect(s3Mock.commandCalls(CompleteMultipartUploadCommand)).toHaveLength(0);
+    });
+  });
+});
@@ -1,13 +1,95 @@
 // handler/test/upload-lambda.test.js
-const { handler } = require('../src/upload-lambda');
-const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const { mockClient } = require('aws-sdk-client-mock');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+
+// Configure one ingress bucket with its own variant profile before the handler reads its config
+process.env.BUCKET_MAPPINGS = JSON.stringify({
+  'gallery-ingress': {
+    processed: 'gallery-processed',
+    variants: [
+      { name: 'large', width: 800, height: 800, formats: ['avif', 'webp', 'jpeg'], quality: 80 },
+      { name: 'small', width: 320, height: 320, formats: ['avif', 'webp', 'jpeg'], quality: 70 },
+      { name: 'square', width: 200, height: 200, fit: 'cover', formats: ['webp', 'jpeg'], quality: 70 }
+    ]
+  },
+  'avatars-ingress': {
+    processed: 'avatars-processed',
+    timezone: 'America/New_York',
+    naming: '{date:YYYY/MM/DD}/{time:HHmmss}{zone}-{original}',
+    variants: [
+      { name: 'square', width: 256, height: 256, fit: 'cover', format: 'jpeg', quality: 80 },
+      { name: 'card', width: 400, height: 300, fit: 'cover', format: 'webp', quality: 75 }
+    ]
+  },
+  'portfolio-ingress': {
+    processed: 'portfolio-processed',
+    watermark: { text: '© Portfolio', variants: ['large'], opacity: 1 },
+    variants: [
+      { name: 'large', width: 600, height: 600, format: 'jpeg', quality: 80 },
+      { name: 'thumb', width: 120, height: 120, fit: 'cover', format: 'jpeg', quality: 70 }
+    ]
+  },
+  'family-ingress': {
+    processed: 'family-processed',
+    privacy: { gps: 'coarse', exif: 'strip', original: 'separate', privateMetadata: true },
+    variants: [
+      { name: 'large', width: 600, height: 600, format: 'webp', quality: 80 },
+      { name: 'thumb', width: 120, height: 120, fit: 'cover', format: 'jpeg', quality: 70 }
+    ]
+  }
+});
+
+// Group uploads under regatta/ into an album
+process.env.ALBUMS = JSON.stringify([{ slug: 'regatta', title: 'Regatta', prefix: 'regatta/' }]);
+
+// Report duplicates instead of replacing them so the duplicate result can be inspected
+process.env.DUPLICATE_ACTION = 'keep';
+
+// Keep the duplicate index on local disk so tests can seed and inspect it
+const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-index-'));
+process.env.DUPLICATE_INDEX_STORE = 'file';
+process.env.DUPLICATE_INDEX_DIR = indexDir;
+
+// Stream anything over 1MB (the sample is smaller), spooling to a directory the tests can inspect
+const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo3s-spool-'));
+process.env.STREAMING_THRESHOLD = String(1024 * 1024);
+process.env.SPOOL_DIR = spoolDir;
+
+const { handler, handleDuplicateFile, resolveMappingOverride } = require('../src/upload-lambda');
+const { normalizeWatermark } = require('../src/watermark');
+const { normalizePrivacy } = require('../src/privacy');
+const { normalizeAlbumRules } = require('../src/albums');
+const { computeDHash } = require('../src/image-hashes');
+const { createFileIndexStore, createDuplicateIndex } = require('../src/duplicate-index');
+const clientS3 = require('@aws-sdk/client-s3');
+const {
+  S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand,
+  CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, GetObjectTaggingCommand, PutObjectTaggingCommand
+} = clientS3;
+const crypto = require('crypto');
+const { mockClient } = require('aws-sdk-client-mock');
+const sharp = require('sharp');
 const { Readable } = require('stream');
 
 const s3Mock = mockClient(S3Client);
 
+// JSON log lines and metric documents written to stdout while `fn` runs
+const captureStdout = async (fn) => {
+  const chunks = [];
+  const write = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+    chunks.push(String(chunk));
+    return true;
+  });
+  try {
+    const result = await fn();
+    const documents = chunks.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    return { result, documents, metrics: documents.filter(document => document._aws) };
+  } finally {
+    write.mockRestore();
+  }
+};
+
 describe('Lambda handler', () => {
   let putObjectCalls = [];
   let sampleImageBuffer;
@@ -21,30 +103,64 @@ describe('Lambda handler', () => {
   beforeEach(() => {
     putObjectCalls = []; // Reset before each test
     s3Mock.reset();
+    fs.rmSync(indexDir, { recursive: true, force: true });
     
     // Setup mocks for each test
-    s3Mock.on(GetObjectCommand).resolves({ 
-      Body: Readable.from([sampleImageBuffer]),
-      ContentType: 'image/jpeg',
-      ContentLength: sampleImageBuffer.length
+    // Fresh stream per call so multi-record events can download more than once.
+    // Catalog documents read back whatever the handler last wrote.
+    s3Mock.on(GetObjectCommand).callsFake((params) => {
+      // JSON documents (catalog, folder claims, metadata) read back what the test wrote
+      if (params.Key.endsWith('.json')) {
+        const written = putObjectCalls.filter(call => call.key === params.Key).pop();
+        return written
+          ? Promise.resolve({ Body: Readable.from([Buffer.from(written.body)]), ETag: `"${putObjectCalls.indexOf(written)}"` })
+          : Promise.reject(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+      }
+      return Promise.resolve({
+        Body: Readable.from([sampleImageBuffer]),
+        ContentType: 'image/jpeg',
+        ContentLength: sampleImageBuffer.length
+      });
     });
     
     // Capture all PutObject calls to verify file structure
     s3Mock.on(PutObjectCommand).callsFake((params) => {
+      if (params.IfNoneMatch === '*' && putObjectCalls.some(call => call.key === params.Key)) {
+        return Promise.reject(Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), { name: 'PreconditionFailed' }));
+      }
       putObjectCalls.push({
         bucket: params.Bucket,
         key: params.Key,
         contentType: params.ContentType,
+        tagging: params.Tagging,
         body: params.Body // Capture the body content for JSON parsing
       });
       return Promise.resolve({});
     });
     
+    // Server-side copies read the source through the GetObject mock and land in putObjectCalls like uploads
+    s3Mock.on(CopyObjectCommand).callsFake(async (params) => {
+      const [, Bucket, Key] = params.CopySource.match(/^([^/]+)\/([^?]+)/);
+      const source = await new S3Client({}).send(new GetObjectCommand({ Bucket, Key: decodeURIComponent(Key) }));
+      const body = Buffer.concat(await source.Body.toArray());
+      putObjectCalls.push({
+        bucket: params.Bucket,
+        key: params.Key,
+        contentType: params.ContentType,
+        metadata: params.Metadata,
+        copySource: params.CopySource,
+        body
+      });
+      return { CopyObjectResult: { ETag: '"copy"', ChecksumSHA256: crypto.createHash('sha256').update(body).digest('base64') } };
+    });
+
     s3Mock.on(ListObjectsV2Command).resolves({ Contents: [] }); // avoid duplicate errors
   });
 
   afterAll(() => {
     s3Mock.reset();
+    fs.rmSync(indexDir, { recursive: true, force: true });
+    fs.rmSync(spoolDir, { recursive: true, force: true });
     // Force Jest to exit cleanly by clearing any remaining timers
     jest.clearAllTimers();
     jest.useRealTimers();
@@ -67,8 +183,10 @@ describe('Lambda handler', () => {
       ],
     };
 
-    const result = await handler(fakeEvent);
+    const response = await handler(fakeEvent);
+    const result = response.results[0];
 
+    expect(response.status).toBe('success');
     expect(result.status).toBe('success');
     expect(result.baseName).toMatch(/photo-/);
     expect(result.processedFiles.length).toBeGreaterThan(0);
@@ -76,7 +194,7 @@ describe('Lambda handler', () => {
     expect(result.processingMetrics.originalSizeMB).toBeDefined();
     
     // Parse uploaded metadata to verify structure
-    const metadataCall = putObjectCalls.find(call => call.key.endsWith('.json'));
+    const metadataCall = putObjectCalls.find(call => call.key.endsWith('metadata.json'));
     expect(metadataCall).toBeDefined();
     const metadata = JSON.parse(metadataCall.body);
     
@@ -109,15 +227,16 @@ describe('Lambda handler', () => {
       ],
     };
 
-    const result = await handler(fakeEvent);
+    const { results: [result] } = await handler(fakeEvent);
 
     expect(result.status).toBe('success');
 
-    // Should have uploaded 7 files: original + 4 processed versions + 1 metadata JSON + user.json
-    expect(putObjectCalls).toHaveLength(7);
+    // Should have uploaded 11 files: private folder claim + original + 4 processed versions + metadata JSON
+    // + srcset manifest + private ingress pointer + catalog month shard + catalog index
+    expect(putObjectCalls).toHaveLength(11);
 
-    // Extract the photo folder name from the first upload
-    const photoFolder = putObjectCalls[0].key.split('/')[0] + '/';
+    // Extract the photo folder name from the original upload
+    const photoFolder = putObjectCalls.find(call => call.key.endsWith(`/${originalFilename}`)).key.split('/')[0] + '/';
     expect(photoFolder).toMatch(/^photo-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}-\d{3}Z-.+\/$/);
 
     // Find each expected file type
@@ -126,7 +245,7 @@ describe('Lambda handler', () => {
     const mediumFile = putObjectCalls.find(call => call.key === `${photoFolder}medium.webp`);
     const smallFile = putObjectCalls.find(call => call.key === `${photoFolder}small.webp`);
     const thumbFile = putObjectCalls.find(call => call.key === `${photoFolder}thumb.webp`);
-    const metadataFile = putObjectCalls.find(call => call.key.endsWith('.json'));
+    const metadataFile = putObjectCalls.find(call => call.key.endsWith('metadata.json'));
 
     // Verify original file preserves exact filename
     expect(originalFile).toBeDefined();
@@ -162,8 +281,10 @@ describe('Lambda handler', () => {
       path: `${photoFolder}${originalFilename}`,
       width: expect.any(Number),
       height: expect.any(Number),
+      orientation: 1,
       bytes: expect.any(Number),
-      format: 'jpg' // Use lowercase to match actual file extension extraction
+      format: 'jpg', // Use lowercase to match actual file extension extraction
+      mimeType: 'image/jpeg'
     });
     
     expect(metadata.versions.large).toEqual({
@@ -171,7 +292,10 @@ describe('Lambda handler', () => {
       width: expect.any(Number),
       height: expect.any(Number),
       bytes: expect.any(Number),
-      format: 'webp'
+      format: 'webp',
+      formats: {
+        webp: { path: `${photoFolder}large.webp`, width: expect.any(Number), height: expect.any(Number), bytes: expect.any(Number) }
+      }
     });
     
     expect(metadata.versions.medium).toEqual({
@@ -179,7 +303,10 @@ describe('Lambda handler', () => {
       width: expect.any(Number),
       height: expect.any(Number),
       bytes: expect.any(Number),
-      format: 'webp'
+      format: 'webp',
+      formats: {
+        webp: { path: `${photoFolder}medium.webp`, width: expect.any(Number), height: expect.any(Number), bytes: expect.any(Number) }
+      }
     });
     
     expect(metadata.versions.small).toEqual({
@@ -187,7 +314,10 @@ describe('Lambda handler', () => {
       width: expect.any(Number),
       height: expect.any(Number),
       bytes: expect.any(Number),
-      format: 'webp'
+      format: 'webp',
+      formats: {
+        webp: { path: `${photoFolder}small.webp`, width: expect.any(Number), height: expect.any(Number), bytes: expect.any(Number) }
+      }
     });
     
     expect(metadata.versions.thumb).toEqual({
@@ -195,7 +325,11 @@ describe('Lambda handler', () => {
       width: expect.any(Number),
       height: expect.any(Number),
       bytes: expect.any(Number),
-      format: 'webp'
+      format: 'webp',
+      formats: {
+        webp: { path: `${photoFolder}thumb.webp`, width: expect.any(Number), height: expect.any(Number), bytes: expect.any(Number) }
+      },
+      crop: { left: expect.any(Number), top: expect.any(Number), width: expect.any(Number), height: expect.any(Number), strategy: 'attention' }
     });
 
     // Verify the result processedFiles contains path strings from metadata
@@ -222,7 +356,7 @@ describe('Lambda handler', () => {
       ],
     };
 
-    const result = await handler(fakeEvent);
+    const { results: [result] } = await handler(fakeEvent);
     expect(result.status).toBe('success');
 
     // Find the original file upload
@@ -234,7 +368,1316 @@ describe('Lambda handler', () => {
     
       // Verify processed versions use WebP format
       const largeFile = putObjectCalls.find(call => call.key.endsWith('large.webp'));
-      expect(largeFile).toBeDefined();    // Verify all 6 files were uploaded
-    expect(putObjectCalls).toHaveLength(7);
+      expect(largeFile).toBeDefined();    // Verify all 11 files were uploaded
+    expect(putObjectCalls).toHaveLength(11);
+  });
+
+  it('processes every record in a multi-record event and isolates failures', async () => {
+    // A different picture, so the second upload isn't reported as a duplicate of the first
+    const mirrored = await sharp(sampleImageBuffer).flop().jpeg().toBuffer();
+    s3Mock.on(GetObjectCommand, { Key: 'batch/two.jpg' }).callsFake(() => Promise.resolve({
+      Body: Readable.from([mirrored]), ContentType: 'image/jpeg', ContentLength: mirrored.length
+    }));
+
+    const fakeEvent = {
+      Records: [
+        { s3: { bucket: { name: 'test-bucket' }, object: { key: 'batch/one.jpg', size: 12345 } } },
+        { s3: { bucket: { name: 'test-bucket' }, object: { key: 'batch/notes.txt', size: 10 } } },
+        { s3: { bucket: { name: 'test-bucket' }, object: { key: 'batch/two.jpg', size: 12345 } } },
+      ],
+    };
+
+    const response = await handler(fakeEvent);
+
+    expect(response.status).toBe('partial_failure');
+    expect(response.succeeded).toBe(2);
+    expect(response.failed).toBe(1);
+    expect(response.results.map(r => r.originalKey)).toEqual(['batch/one.jpg', 'batch/notes.txt', 'batch/two.jpg']);
+    expect(response.results[1].status).toBe('error');
+    expect(response.results[1].error).toMatch(/Unsupported file format/);
+    expect(response.batchItemFailures).toBeUndefined();
+    expect(putObjectCalls.some(call => call.key.endsWith('/one.jpg'))).toBe(true);
+    expect(putObjectCalls.some(call => call.key.endsWith('/two.jpg'))).toBe(true);
+  });
+
+  it('reports only failed SQS messages in batchItemFailures', async () => {
+    const s3Event = (key) => JSON.stringify({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key, size: 12345 } } }],
+    });
+    const fakeEvent = {
+      Records: [
+        { eventSource: 'aws:sqs', messageId: 'msg-ok', body: s3Event('queued/good.jpg') },
+        { eventSource: 'aws:sqs', messageId: 'msg-bad', body: s3Event('queued/bad.gif') },
+        { eventSource: 'aws:sqs', messageId: 'msg-test', body: JSON.stringify({ Event: 's3:TestEvent' }) },
+        { eventSource: 'aws:sqs', messageId: 'msg-garbled', body: '{"Records": [' },
+      ],
+    };
+
+    const response = await handler(fakeEvent);
+
+    expect(response.results).toHaveLength(3);
+    expect(response.succeeded).toBe(1);
+    // The unsupported upload is quarantined (see 'failed uploads'), so retrying its message would not help
+    expect(response.results[1]).toMatchObject({ status: 'error', quarantine: { key: 'failed/queued/bad.gif' } });
+    expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'msg-garbled' }]);
+  });
+
+  it('logs JSON lines with correlation fields and emits metrics per bucket pair', async () => {
+    const fakeEvent = {
+      Records: [
+        { s3: { bucket: { name: 'avatars-ingress' }, object: { key: 'logged/one.jpg', size: 12345 } } },
+        { s3: { bucket: { name: 'avatars-ingress' }, object: { key: 'logged/notes.txt', size: 10 } } },
+      ],
+    };
+
+    const { result: response, documents, metrics } = await captureStdout(() => handler(fakeEvent, { awsRequestId: 'req-1' }));
+
+    expect(response.succeeded).toBe(1);
+    expect(documents.find(line => line.message === 'Downloading original image from S3')).toMatchObject({
+      level: 'info',
+      requestId: 'req-1',
+      bucket: 'avatars-ingress',
+      key: 'logged/one.jpg',
+      processedBucket: 'avatars-processed',
+      phase: 'download'
+    });
+    expect(documents.find(line => line.level === 'error')).toMatchObject({
+      requestId: 'req-1',
+      key: 'logged/notes.txt',
+      phase: 'validation',
+      errorCategory: 'unknown',
+      error: { name: 'Error', message: expect.stringMatching(/Unsupported file format/) }
+    });
+
+    const pair = { IngressBucket: 'avatars-ingress', ProcessedBucket: 'avatars-processed' };
+    const processed = metrics.find(document => document.PhotosProcessed);
+    expect(processed).toMatchObject({ ...pair, PhotosProcessed: 1, BytesIn: sampleImageBuffer.length });
+    expect(processed.BytesOut).toBeGreaterThan(0);
+    expect(processed._aws.CloudWatchMetrics[0]).toMatchObject({ Namespace: 'Photo3s', Dimensions: [['IngressBucket', 'ProcessedBucket']] });
+    expect(processed._aws.CloudWatchMetrics[0].Metrics.map(metric => metric.Name))
+      .toEqual(['PhotosProcessed', 'DownloadTime', 'ProcessingTime', 'UploadTime', 'TotalTime', 'BytesIn', 'BytesOut']);
+    expect(metrics.find(document => document.Errors)).toMatchObject({ ...pair, ErrorCategory: 'unknown', Errors: 1 });
+  });
+
+  it('lets a bucket mapping override or turn off the default watermark, privacy policy and album rules', () => {
+    const watermark = normalizeWatermark({ text: '© Studio' });
+    expect(resolveMappingOverride(undefined, 'watermark', normalizeWatermark, watermark)).toBe(watermark);
+    expect(resolveMappingOverride({ processed: 'p' }, 'watermark', normalizeWatermark, watermark)).toBe(watermark);
+    expect(resolveMappingOverride({ watermark: null }, 'watermark', normalizeWatermark, watermark)).toBe(watermark);
+    expect(resolveMappingOverride({ watermark: false }, 'watermark', normalizeWatermark, watermark)).toBeNull();
+    expect(resolveMappingOverride({ watermark: { image: 's3://assets/logo.png' } }, 'watermark', normalizeWatermark, watermark))
+      .toMatchObject({ image: 's3://assets/logo.png' });
+
+    const privacy = normalizePrivacy({ gps: 'strip' });
+    expect(resolveMappingOverride({ privacy: { exif: 'strip' } }, 'privacy', normalizePrivacy, privacy)).toMatchObject({ gps: 'exact', exif: 'strip' });
+    expect(() => resolveMappingOverride({ privacy: { exif: 'blur' } }, 'privacy', normalizePrivacy, privacy))
+      .toThrow('Invalid BUCKET_MAPPINGS privacy: exif must be one of keep, strip');
+
+    const albumRules = normalizeAlbumRules([{ slug: 'fuji', camera: 'FUJIFILM' }]);
+    expect(resolveMappingOverride({ albums: null }, 'albums', normalizeAlbumRules, albumRules)).toBe(albumRules);
+    expect(resolveMappingOverride({ albums: [] }, 'albums', normalizeAlbumRules, albumRules)).toEqual([]);
+  });
+
+  it('uses the variant profile configured for the bucket mapping', async () => {
+    const fakeEvent = {
+      Records: [
+        { s3: { bucket: { name: 'avatars-ingress' }, object: { key: 'me.jpg', size: 12345 } } },
+      ],
+    };
+
+    const { results: [result] } = await handler(fakeEvent);
+
+    expect(result.status).toBe('success');
+    expect(result.variants).toEqual(['square', 'card']);
+
+    // claim + original + 2 variants + metadata.json + srcset.json + pointer, all in the processed bucket
+    expect(putObjectCalls).toHaveLength(9);
+    expect(putObjectCalls.every(call => call.bucket === 'avatars-processed')).toBe(true);
+
+    const squareFile = putObjectCalls.find(call => call.key.endsWith('/square.jpg'));
+    expect(squareFile.contentType).toBe('image/jpeg');
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+    expect(Object.keys(metadata.versions)).toEqual(['original', 'square', 'card']);
+    expect(metadata.versions.square).toMatchObject({ width: 256, height: 256, format: 'jpeg' });
+    expect(metadata.versions.card).toMatchObject({ width: 400, height: 300, format: 'webp' });
+  });
+
+  it('emits every configured format and a <picture>-ready manifest', async () => {
+    const fakeEvent = {
+      Records: [
+        { s3: { bucket: { name: 'gallery-ingress' }, object: { key: 'boat.jpg', size: 12345 } } },
+      ],
+    };
+
+    const { results: [result] } = await handler(fakeEvent);
+    expect(result.status).toBe('success');
+
+    const photoFolder = result.photoFolder;
+    const keys = putObjectCalls.map(call => call.key);
+    expect(keys).toEqual(expect.arrayContaining([
+      `${photoFolder}large.avif`, `${photoFolder}large.webp`, `${photoFolder}large.jpg`,
+      `${photoFolder}small.avif`, `${photoFolder}small.webp`, `${photoFolder}small.jpg`,
+      `${photoFolder}square.webp`, `${photoFolder}square.jpg`
+    ]));
+    expect(putObjectCalls.find(call => call.key.endsWith('large.avif')).contentType).toBe('image/avif');
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+    expect(metadata.versions.large.format).toBe('avif');
+    expect(metadata.versions.large.path).toBe(`${photoFolder}large.avif`);
+    expect(Object.keys(metadata.versions.large.formats)).toEqual(['avif', 'webp', 'jpeg']);
+    expect(metadata.versions.large.formats.jpeg).toEqual({
+      path: `${photoFolder}large.jpg`, width: 800, height: expect.any(Number), bytes: expect.any(Number)
+    });
+
+    const manifest = JSON.parse(putObjectCalls.find(call => call.key.endsWith('srcset.json')).body);
+    expect(manifest.sources.map(source => source.type)).toEqual(['image/avif', 'image/webp', 'image/jpeg']);
+    expect(manifest.sources[0].srcset).toBe(`${photoFolder}large.avif 800w, ${photoFolder}small.avif 320w`);
+    expect(manifest.img).toMatchObject({ src: `${photoFolder}large.jpg`, width: 800, type: 'image/jpeg' });
+    expect(manifest.crops.square.map(crop => crop.type)).toEqual(['image/webp', 'image/jpeg']);
+    expect(result.pictureManifest).toBe(`${photoFolder}srcset.json`);
+    expect(result.processedFiles).toContain(`${photoFolder}square.jpg`);
+  }, 20000); // AVIF encoding is slow
+
+  it('renders RAW uploads from their embedded preview and keeps the original untouched', async () => {
+    // A TIFF-structured "DNG": the sample's EXIF block followed by the sample JPEG as its preview
+    const exifStart = sampleImageBuffer.indexOf('Exif\0\0') + 6;
+    const app1End = sampleImageBuffer.indexOf('Exif\0\0') - 2 + sampleImageBuffer.readUInt16BE(sampleImageBuffer.indexOf('Exif\0\0') - 2);
+    const fakeDng = Buffer.concat([sampleImageBuffer.subarray(exifStart, app1End), Buffer.alloc(512), sampleImageBuffer]);
+    s3Mock.on(GetObjectCommand, { Key: 'raw/DSCF0001.DNG' }).callsFake(() => Promise.resolve({
+      Body: Readable.from([fakeDng]),
+      ContentType: 'application/octet-stream',
+      ContentLength: fakeDng.length
+    }));
+
+    const { results: [result] } = await handler({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'raw/DSCF0001.DNG', size: fakeDng.length } } }],
+    });
+
+    expect(result.status).toBe('success');
+    const originalFile = putObjectCalls.find(call => call.key.endsWith('/DSCF0001.DNG'));
+    expect(originalFile.contentType).toBe('image/x-adobe-dng');
+    expect(Buffer.compare(originalFile.body, fakeDng)).toBe(0);
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+    expect(metadata.originalMimeType).toBe('image/x-adobe-dng');
+    expect(metadata.decodeMethod).toBe('embedded_preview');
+    expect(metadata.versions.original).toMatchObject({ format: 'dng', mimeType: 'image/x-adobe-dng', width: 2048 });
+    expect(metadata.exifData.make).toBe('FUJIFILM');
+    expect(result.baseName).toMatch(/^photo-2025-09-11_10-14-46-000Z-FUJIFILM$/);
+  });
+
+  it('streams large originals through a spool file, uploading from it when the ingress object is gone', async () => {
+    // Noise keeps the JPEG over the 1MB threshold
+    const large = await sharp({ create: { width: 3000, height: 2000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } })
+      .withExif({ IFD0: { Make: 'FUJIFILM' }, IFD2: { DateTimeOriginal: '2025:06:01 12:00:00', OffsetTimeOriginal: '+02:00' } })
+      .jpeg({ quality: 90 })
+      .toBuffer();
+    expect(large.length).toBeGreaterThan(1024 * 1024);
+    s3Mock.on(GetObjectCommand, { Key: 'big/DSCF9000.JPG' }).callsFake(() => Promise.resolve({
+      Body: Readable.from([large.subarray(0, 500000), large.subarray(500000)]), ContentType: 'image/jpeg', ContentLength: large.length
+    }));
+    const parts = [];
+    s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'upload-1' });
+    s3Mock.on(UploadPartCommand).callsFake((params) => {
+      parts.push(Buffer.from(params.Body));
+      return Promise.resolve({ ETag: `"etag-${params.PartNumber}"` });
+    });
+    s3Mock.on(CompleteMultipartUploadCommand).resolves({});
+    s3Mock.on(CopyObjectCommand, { CopySource: 'test-bucket/big%2FDSCF9000.JPG' })
+      .rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+
+    const { results: [result] } = await handler({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'big/DSCF9000.JPG', size: large.length } } }],
+    });
+
+    expect(result.status).toBe('success');
+    expect(result.baseName).toBe('photo-2025-06-01_12-00-00-000p0200-FUJIFILM');
+    // The original can't be copied, so it goes up from the spool file in parts rather than a single PutObject
+    expect(putObjectCalls.find(call => call.key.endsWith('/DSCF9000.JPG'))).toBeUndefined();
+    expect(s3Mock.commandCalls(CreateMultipartUploadCommand)[0].args[0].input)
+      .toMatchObject({ Bucket: 'test-bucket', Key: `${result.photoFolder}DSCF9000.JPG`, ContentType: 'image/jpeg' });
+    expect(Buffer.concat(parts).equals(large)).toBe(true);
+    expect(s3Mock.commandCalls(CompleteMultipartUploadCommand)).toHaveLength(1);
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+    expect(metadata.processingMode).toBe('streaming');
+    expect(metadata.originalBytes).toBe(large.length);
+    expect(metadata.versions.original).toMatchObject({ width: 3000, height: 2000, bytes: large.length, mimeType: 'image/jpeg' });
+    // Variants come out the same size as from the buffered path
+    expect(metadata.versions.large).toMatchObject({ width: 1920, height: 1280 });
+    expect(metadata.versions.thumb).toMatchObject({ width: 200, height: 200, crop: { width: 2000, height: 2000 } });
+    expect(metadata.hashes).toEqual({
+      sha256: crypto.createHash('sha256').update(large).digest('hex'),
+      dhash: await computeDHash(large)
+    });
+    // The spool file is cleaned up
+    expect(fs.readdirSync(spoolDir)).toEqual([]);
+  }, 20000);
+
+  describe('original copy', () => {
+    const sourceKey = 'photos/DSCF8545.JPG';
+    const event = { Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: sourceKey, size: 12345 } } }] };
+
+    beforeEach(() => {
+      s3Mock.on(GetObjectCommand, { Key: sourceKey }).callsFake(() => Promise.resolve({
+        Body: Readable.from([sampleImageBuffer]),
+        ContentType: 'image/jpeg',
+        ContentLength: sampleImageBuffer.length,
+        ETag: '"8f14e45fceea167a5a36dedd4bea2543"',
+        VersionId: 'v2',
+        CacheControl: 'max-age=31536000',
+        Metadata: { photographer: 'sam' }
+      }));
+      s3Mock.on(DeleteObjectCommand).resolves({});
+    });
+
+    it('copies the version it processed with its metadata, tags and a link back', async () => {
+      const { results: [result] } = await handler(event);
+
+      expect(result.status).toBe('success');
+      expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toEqual({
+        Bucket: 'test-bucket',
+        Key: `${result.photoFolder}DSCF8545.JPG`,
+        CopySource: 'test-bucket/photos%2FDSCF8545.JPG?versionId=v2',
+        CopySourceIfMatch: '"8f14e45fceea167a5a36dedd4bea2543"',
+        ContentType: 'image/jpeg',
+        CacheControl: 'max-age=31536000',
+        Metadata: {
+          photographer: 'sam',
+          'original-bucket': 'test-bucket',
+          'original-key': 'photos%2FDSCF8545.JPG',
+          'original-version-id': 'v2'
+        },
+        MetadataDirective: 'REPLACE',
+        TaggingDirective: 'COPY',
+        ChecksumAlgorithm: 'SHA256'
+      });
+      // Only the copy wrote the original
+      expect(putObjectCalls.filter(call => call.key.endsWith('/DSCF8545.JPG'))).toHaveLength(1);
+
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+      expect(metadata).toMatchObject({ originalBucket: 'test-bucket', originalKey: sourceKey, originalVersionId: 'v2' });
+    });
+
+    it('removes a copy whose checksum does not match what was processed', async () => {
+      s3Mock.on(CopyObjectCommand).resolves({ CopyObjectResult: { ETag: '"copy"', ChecksumSHA256: 'AAAA' } });
+
+      // A failed upload is retried (see 'failed uploads')
+      await expect(handler(event)).rejects.toThrow('Retryable failure of photos/DSCF8545.JPG (s3_upload)');
+
+      const attempts = putObjectCalls.find(call => call.key.startsWith('_index/failures/'));
+      expect(JSON.parse(attempts.body).error).toMatch(/Checksum mismatch copying photos\/DSCF8545.JPG/);
+      expect(s3Mock.commandCalls(DeleteObjectCommand).map(call => call.args[0].input.Key))
+        .toContain(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input.Key);
+    });
+
+    it('uploads the downloaded bytes when the ingress object was replaced in the meantime', async () => {
+      s3Mock.on(CopyObjectCommand).rejects(Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+        name: 'PreconditionFailed', $metadata: { httpStatusCode: 412 }
+      }));
+
+      const { results: [result] } = await handler(event);
+
+      expect(result.status).toBe('success');
+      // Not retried: the source won't come back
+      expect(s3Mock.commandCalls(CopyObjectCommand)).toHaveLength(1);
+      const originalFile = putObjectCalls.find(call => call.key === `${result.photoFolder}DSCF8545.JPG`);
+      expect(originalFile.copySource).toBeUndefined();
+      expect(Buffer.compare(originalFile.body, sampleImageBuffer)).toBe(0);
+      expect(s3Mock.commandCalls(PutObjectCommand).find(call => call.args[0].input.Key === originalFile.key).args[0].input.Metadata)
+        .toEqual({ photographer: 'sam', 'original-bucket': 'test-bucket', 'original-key': 'photos%2FDSCF8545.JPG', 'original-version-id': 'v2' });
+    });
+  });
+
+  it('keeps small originals in memory', async () => {
+    const { results: [result] } = await handler({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'small/sample.jpg', size: sampleImageBuffer.length } } }],
+    });
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key === `${result.photoFolder}metadata.json`).body);
+    expect(metadata.processingMode).toBe('buffered');
+    expect(s3Mock.commandCalls(CreateMultipartUploadCommand)).toHaveLength(0);
+  });
+
+  describe('ingress removals', () => {
+    const pointerKey = (bucket, key) =>
+      `_index/originals/${crypto.createHash('sha256').update(`${bucket}/${key}`).digest('hex')}.json`;
+    const markerKey = (bucket, key) =>
+      `_index/ingress-deletes/${crypto.createHash('sha256').update(`${bucket}/${key}`).digest('hex')}.json`;
+    const jsonBody = (value) => Promise.resolve({ Body: Readable.from([Buffer.from(JSON.stringify(value))]) });
+    const noSuchKey = () => Promise.reject(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+    const removalEvent = (key) => ({
+      Records: [{ eventName: 'ObjectRemoved:Delete', s3: { bucket: { name: 'test-bucket' }, object: { key } } }],
+    });
+    const folderKeys = ['photo-old/gone.jpg', 'photo-old/large.webp', 'photo-old/metadata.json', 'photo-old/user.json'];
+
+    let copyCalls;
+    let deletedKeys;
+
+    beforeEach(() => {
+      copyCalls = [];
+      deletedKeys = [];
+      s3Mock.on(CopyObjectCommand).callsFake((params) => {
+        copyCalls.push(params);
+        return Promise.resolve({});
+      });
+      s3Mock.on(DeleteObjectsCommand).callsFake((params) => {
+        deletedKeys.push(...params.Delete.Objects.map(o => o.Key));
+        return Promise.resolve({});
+      });
+      s3Mock.on(DeleteObjectCommand).callsFake((params) => {
+        deletedKeys.push(params.Key);
+        return Promise.resolve({});
+      });
+      s3Mock.on(GetObjectCommand).callsFake(noSuchKey);
+      s3Mock.on(ListObjectsV2Command).callsFake((params) => Promise.resolve({
+        Contents: folderKeys.filter(k => k.startsWith(params.Prefix || '')).map(Key => ({ Key }))
+      }));
+    });
+
+    it('archives the processed folder found through the ingress pointer', async () => {
+      s3Mock.on(GetObjectCommand, { Key: pointerKey('test-bucket', 'photos/gone.jpg') })
+        .callsFake(() => jsonBody({ photoFolder: 'photo-old/' }));
+
+      const response = await handler(removalEvent('photos/gone.jpg'));
+      const [result] = response.results;
+
+      expect(response.removed).toBe(1);
+      expect(result).toMatchObject({ status: 'removed', action: 'archived', photoFolder: 'photo-old/', objectsRemoved: 4 });
+      expect(copyCalls.map(c => c.Key)).toEqual(folderKeys.map(k => `archive/${k}`));
+      expect(copyCalls.every(c => c.Tagging === 'private=true')).toBe(true);
+      expect(deletedKeys).toEqual([...folderKeys, pointerKey('test-bucket', 'photos/gone.jpg'), '_index/folders/photo-old.json']);
+    });
+
+    it('only follows pointers, leaving older photos to the pointer backfill', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'photo-old/metadata.json' })
+        .callsFake(() => jsonBody({ photoFolder: 'photo-old/', originalKey: 'photos/gone.jpg' }));
+
+      const { results: [result] } = await handler(removalEvent('photos/gone.jpg'));
+
+      expect(result).toMatchObject({ status: 'removed', action: 'not_found' });
+      expect(s3Mock.commandCalls(ListObjectsV2Command)).toHaveLength(0);
+      expect(deletedKeys).toEqual([]);
+    });
+
+    it('backfills the pointers of photos processed before they existed', async () => {
+      const photoKeys = ['photo-old/metadata.json', 'photo-new/metadata.json', 'photo-lost/metadata.json'];
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [...photoKeys, 'photo-old/large.webp'].map(Key => ({ Key })) });
+      s3Mock.on(GetObjectCommand, { Key: 'photo-old/metadata.json' })
+        .callsFake(() => jsonBody({ photoFolder: 'photo-old/', originalKey: 'photos/gone.jpg' }));
+      s3Mock.on(GetObjectCommand, { Key: 'photo-new/metadata.json' })
+        .callsFake(() => jsonBody({ photoFolder: 'photo-new/', originalBucket: 'test-bucket', originalKey: 'photos/new.jpg' }));
+      s3Mock.on(GetObjectCommand, { Key: pointerKey('test-bucket', 'photos/new.jpg') })
+        .callsFake(() => jsonBody({ photoFolder: 'photo-new/' }));
+      s3Mock.on(GetObjectCommand, { Key: 'photo-lost/metadata.json' }).callsFake(() => jsonBody({ photoFolder: 'photo-lost/' }));
+
+      const result = await handler({ operation: 'backfill-pointers', bucket: 'test-bucket' });
+
+      expect(result).toMatchObject({ status: 'success', operation: 'backfill-pointers', written: 1, existing: 1, unresolved: ['photo-lost/'] });
+      const pointer = putObjectCalls.find(call => call.key === pointerKey('test-bucket', 'photos/gone.jpg'));
+      expect(pointer.tagging).toBe('private=true');
+      expect(JSON.parse(pointer.body)).toEqual({ sourceBucket: 'test-bucket', originalKey: 'photos/gone.jpg', photoFolder: 'photo-old/' });
+    });
+
+    it('reports uploads that were never processed', async () => {
+      const { results: [result] } = await handler(removalEvent('photos/unknown.jpg'));
+
+      expect(result).toMatchObject({ status: 'removed', action: 'not_found' });
+      expect(deletedKeys).toEqual([]);
+    });
+
+    it('ignores removals the processor made itself', async () => {
+      const marker = markerKey('test-bucket', 'photos/dupe.jpg');
+      s3Mock.on(GetObjectCommand, { Key: marker }).callsFake(() => jsonBody({ key: 'photos/dupe.jpg' }));
+
+      const { results: [result] } = await handler(removalEvent('photos/dupe.jpg'));
+
+      expect(result).toMatchObject({ status: 'skipped', reason: 'deleted_by_processor' });
+      expect(deletedKeys).toEqual([marker]);
+      expect(copyCalls).toEqual([]);
+    });
+  });
+
+  describe('failed uploads', () => {
+    const attemptsKey = (bucket, key) =>
+      `_index/failures/${crypto.createHash('sha256').update(`${bucket}/${key}`).digest('hex')}.json`;
+    const uploadEvent = (key) => ({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key, size: 12345, eTag: 'etag-1', sequencer: '0066A1B2C3' } } }],
+    });
+    const written = (key) => JSON.parse(putObjectCalls.filter(call => call.key === key).pop().body);
+    const deletedKeys = () => s3Mock.commandCalls(DeleteObjectCommand).map(call => call.args[0].input.Key);
+
+    it('moves uploads that cannot be processed under failed/ with a sidecar', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'broken/photo.jpg' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from('not a jpeg')]), ContentType: 'image/jpeg', ContentLength: 10
+      }));
+
+      const { result: response, metrics } = await captureStdout(() => handler(uploadEvent('broken/photo.jpg')));
+      const [result] = response.results;
+
+      expect(result).toMatchObject({
+        status: 'error',
+        errorCategory: 'image_processing',
+        attempts: 1,
+        quarantine: { action: 'move', bucket: 'test-bucket', key: 'failed/broken/photo.jpg', sidecar: 'failed/broken/photo.jpg.failure.json' }
+      });
+      expect(putObjectCalls.find(call => call.key === 'failed/broken/photo.jpg').copySource).toBe('test-bucket/broken%2Fphoto.jpg');
+      expect(deletedKeys()).toEqual(['broken/photo.jpg']);
+      expect(written('failed/broken/photo.jpg.failure.json')).toMatchObject({
+        sourceBucket: 'test-bucket',
+        key: 'broken/photo.jpg',
+        sequencer: '0066A1B2C3',
+        eTag: 'etag-1',
+        errorCategory: 'image_processing',
+        phase: result.processingPhase,
+        attempts: 1,
+        action: 'move',
+        object: { bucket: 'test-bucket', key: 'failed/broken/photo.jpg' }
+      });
+      expect(metrics.find(document => document.Quarantined)).toMatchObject({ ErrorCategory: 'image_processing', Quarantined: 1 });
+
+      // Neither the quarantined copy nor the removal of the upload is processed
+      const { results: [copied] } = await handler(uploadEvent('failed/broken/photo.jpg'));
+      expect(copied).toMatchObject({ status: 'skipped', reason: 'quarantined' });
+    });
+
+    it('fails the invocation for retryable errors until the last attempt', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'flaky/photo.jpg' })
+        .rejects(Object.assign(new Error('Please reduce your request rate.'), { name: 'SlowDown' }));
+
+      await expect(handler(uploadEvent('flaky/photo.jpg'))).rejects.toThrow('Retryable failure of flaky/photo.jpg (s3_download)');
+      await expect(handler(uploadEvent('flaky/photo.jpg'))).rejects.toThrow('Retryable failure');
+      const marker = putObjectCalls.filter(call => call.key === attemptsKey('test-bucket', 'flaky/photo.jpg')).pop();
+      expect(marker.tagging).toBe('private=true');
+      expect(JSON.parse(marker.body)).toMatchObject({ attempts: 2, errorCategory: 's3_download', phase: 'download' });
+
+      const { results: [result] } = await handler(uploadEvent('flaky/photo.jpg'));
+
+      // The upload can't be read to move it, so it stays where it is with its sidecar
+      expect(result).toMatchObject({ status: 'error', attempts: 3, quarantine: { action: 'move', key: 'flaky/photo.jpg' } });
+      expect(written('failed/flaky/photo.jpg.failure.json')).toMatchObject({ attempts: 3, actionError: 'Please reduce your request rate.' });
+      expect(deletedKeys()).toEqual([attemptsKey('test-bucket', 'flaky/photo.jpg')]);
+    }, 20000);
+
+    it('lists failed SQS messages that will be retried but not quarantined ones', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'queued/flaky.jpg' }).rejects(new Error('socket hang up'));
+      s3Mock.on(GetObjectCommand, { Key: 'queued/broken.jpg' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from('not a jpeg')]), ContentType: 'image/jpeg', ContentLength: 10
+      }));
+      const message = (messageId, key) => ({ eventSource: 'aws:sqs', messageId, body: JSON.stringify(uploadEvent(key)) });
+
+      const response = await handler({ Records: [message('msg-flaky', 'queued/flaky.jpg'), message('msg-broken', 'queued/broken.jpg')] });
+
+      expect(response.results.map(r => [r.retry, r.quarantine?.key])).toEqual([[true, undefined], [undefined, 'failed/queued/broken.jpg']]);
+      expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'msg-flaky' }]);
+    }, 10000);
+
+    it('replays quarantined uploads through the replay-failed operation', async () => {
+      const sidecars = {
+        'failed/broken/photo.jpg.failure.json': {
+          sourceBucket: 'test-bucket', key: 'broken/photo.jpg', errorCategory: 'image_processing', attempts: 1,
+          action: 'move', object: { bucket: 'test-bucket', key: 'failed/broken/photo.jpg' }
+        },
+        'failed/flaky/photo.jpg.failure.json': {
+          sourceBucket: 'test-bucket', key: 'flaky/photo.jpg', errorCategory: 's3_download', attempts: 3,
+          action: 'tag', object: { bucket: 'test-bucket', key: 'flaky/photo.jpg' }
+        }
+      };
+      for (const [key, sidecar] of Object.entries(sidecars)) {
+        putObjectCalls.push({ bucket: 'test-bucket', key, body: JSON.stringify(sidecar) });
+      }
+      s3Mock.on(ListObjectsV2Command, { Prefix: 'failed/' }).resolves({
+        Contents: ['failed/broken/photo.jpg', ...Object.keys(sidecars)].map(Key => ({ Key }))
+      });
+      s3Mock.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: 'photo3s-failed', Value: 'true' }, { Key: 'owner', Value: 'sam' }] });
+
+      const dryRun = await handler({ operation: 'replay-failed', bucket: 'test-bucket', dryRun: true });
+      expect(dryRun.results.map(r => [r.status, r.key])).toEqual([['would_replay', 'broken/photo.jpg'], ['would_replay', 'flaky/photo.jpg']]);
+      expect(s3Mock.commandCalls(CopyObjectCommand)).toEqual([]);
+
+      const response = await handler({ operation: 'replay-failed', bucket: 'test-bucket' });
+
+      expect(response).toMatchObject({ status: 'success', operation: 'replay-failed', replayed: 2, failed: 0 });
+      const copies = s3Mock.commandCalls(CopyObjectCommand).map(call => call.args[0].input);
+      expect(copies[0]).toMatchObject({ CopySource: 'test-bucket/failed%2Fbroken%2Fphoto.jpg', Key: 'broken/photo.jpg' });
+      // Copied onto itself so S3 sends a new event, without the failed tag
+      expect(copies[1]).toMatchObject({
+        CopySource: 'test-bucket/flaky%2Fphoto.jpg', Key: 'flaky/photo.jpg',
+        MetadataDirective: 'REPLACE', TaggingDirective: 'REPLACE', Tagging: 'owner=sam',
+        Metadata: { 'replayed-at': expect.any(String) }
+      });
+      expect(deletedKeys()).toEqual(['failed/broken/photo.jpg', ...Object.keys(sidecars)]);
+    });
+  });
+
+  it('writes a private pointer from the ingress key to the photo folder', async () => {
+    await handler({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'photos/pointer.jpg', size: 12345 } } }],
+    });
+
+    const pointer = putObjectCalls.find(call => call.key.startsWith('_index/originals/'));
+    expect(pointer.tagging).toBe('private=true');
+    expect(JSON.parse(pointer.body)).toEqual({
+      sourceBucket: 'test-bucket', originalKey: 'photos/pointer.jpg', photoFolder: expect.stringMatching(/^photo-.+\/$/)
+    });
+  });
+
+  it('lists the photo in the catalog shard for its shot month', async () => {
+    const { results: [result] } = await handler({
+      Records: [{ s3: { bucket: { name: 'gallery-ingress' }, object: { key: 'DSCF8545.JPG', size: 12345 } } }],
+    });
+
+    const shard = putObjectCalls.find(call => call.key === 'catalog/2025/09.json');
+    const index = putObjectCalls.find(call => call.key === 'catalog/index.json');
+    expect(shard.bucket).toBe('gallery-processed');
+    expect(shard.tagging).toBeUndefined();
+    expect(JSON.parse(shard.body).photos).toEqual([{
+      photoFolder: result.photoFolder,
+      baseName: result.baseName,
+      shotDate: '2025-09-11T10:14:46.000Z',
+      title: null,
+      tags: [],
+      rating: null,
+      camera: { make: 'FUJIFILM', model: expect.any(String) },
+      gps: null,
+      location: null,
+      // No variant is called 'thumb', so the smallest one stands in
+      thumb: { path: `${result.photoFolder}square.webp`, width: 200, height: 200 },
+      dimensions: { width: expect.any(Number), height: expect.any(Number) }
+    }]);
+    expect(JSON.parse(index.body)).toMatchObject({
+      totalPhotos: 1,
+      shards: [{ year: '2025', month: '09', key: 'catalog/2025/09.json', count: 1 }]
+    });
+  }, 20000); // AVIF encoding is slow
+
+  it('reverse geocodes GPS-tagged photos with the bundled gazetteer', async () => {
+    // Just off the Cowes waterfront, Isle of Wight
+    const tagged = await sharp(sampleImageBuffer).withExif({
+      IFD0: { Make: 'FUJIFILM' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '50/1 46/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '1/1 17/1 0/1' }
+    }).jpeg().toBuffer();
+    s3Mock.on(GetObjectCommand, { Key: 'solent/cowes.jpg' }).callsFake(() => Promise.resolve({
+      Body: Readable.from([tagged]), ContentType: 'image/jpeg', ContentLength: tagged.length
+    }));
+
+    await handler({
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'solent/cowes.jpg', size: 12345 } } }],
+    });
+
+    const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+    expect(metadata.exifData.gps).toMatchObject({
+      latitude: expect.closeTo(50.7667, 3),
+      longitude: expect.closeTo(-1.2833, 3),
+      locality: 'Cowes',
+      region: 'England',
+      country: 'United Kingdom',
+      countryCode: 'GB',
+      distanceKm: expect.any(Number)
+    });
+    expect(metadata.location).toEqual({
+      locality: 'Cowes',
+      region: 'England',
+      country: 'United Kingdom',
+      countryCode: 'GB',
+      timezone: 'Europe/London',
+      distanceKm: metadata.exifData.gps.distanceKm,
+      label: 'Cowes, England, United Kingdom'
+    });
+    expect(metadata.location.distanceKm).toBeLessThan(2);
+
+    const shard = putObjectCalls.find(call => call.key.startsWith('catalog/') && call.key !== 'catalog/index.json');
+    expect(JSON.parse(shard.body).photos[0].location).toMatchObject({ label: 'Cowes, England, United Kingdom' });
+  });
+
+  describe('shot time', () => {
+    const processTagged = async (bucket, exif) => {
+      const tagged = await sharp(sampleImageBuffer).withExif({ IFD0: { Make: 'FUJIFILM' }, ...exif }).jpeg().toBuffer();
+      s3Mock.on(GetObjectCommand, { Key: 'tagged.jpg' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([tagged]), ContentType: 'image/jpeg', ContentLength: tagged.length
+      }));
+      const { results: [result] } = await handler({
+        Records: [{ s3: { bucket: { name: bucket }, object: { key: 'tagged.jpg', size: 12345 } } }],
+      });
+      return { result, metadata: JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body) };
+    };
+
+    it('honours OffsetTimeOriginal for the name and the UTC shot date', async () => {
+      const { result, metadata } = await processTagged('test-bucket', {
+        IFD2: { DateTimeOriginal: '2025:07:01 23:30:00', OffsetTimeOriginal: '+02:00' }
+      });
+
+      // Named after the local day it was shot, not the UTC one
+      expect(result.baseName).toBe('photo-2025-07-01_23-30-00-000p0200-FUJIFILM');
+      expect(metadata.shotDate).toBe('2025-07-01T21:30:00.000Z');
+      expect(metadata.shotTime).toEqual({
+        utc: '2025-07-01T21:30:00.000Z',
+        local: '2025-07-01T23:30:00.000',
+        offset: '+02:00',
+        timeZone: null,
+        source: 'exif_offset'
+      });
+      expect(metadata.exifData).toMatchObject({ dateTimeOriginal: '2025-07-01T23:30:00', offsetTimeOriginal: '+02:00' });
+
+      // Later duplicate checks compare the corrected instant
+      const [entry] = await createDuplicateIndex(createFileIndexStore(path.join(indexDir, 'test-bucket'))).findSimilar(metadata.hashes.dhash, 0);
+      expect(entry.entry.dateTimeOriginal).toBe('2025-07-01T21:30:00.000Z');
+    });
+
+    it('falls back to the timezone of the geocoded location', async () => {
+      const { result, metadata } = await processTagged('test-bucket', {
+        IFD2: { DateTimeOriginal: '2025:08:02 14:05:00' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '50/1 46/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '1/1 17/1 0/1' }
+      });
+
+      // British Summer Time
+      expect(result.baseName).toBe('photo-2025-08-02_14-05-00-000p0100-FUJIFILM');
+      expect(metadata.shotTime).toMatchObject({ utc: '2025-08-02T13:05:00.000Z', timeZone: 'Europe/London', source: 'location_timezone' });
+    });
+
+    it('uses the timezone configured for the bucket when the photo has nothing better', async () => {
+      const { result, metadata } = await processTagged('avatars-ingress', {
+        IFD2: { DateTimeOriginal: '2025:09:11 10:14:46' }
+      });
+
+      // The bucket's naming template nests folders by local date
+      expect(result.baseName).toBe('2025/09/11/101446m0400-tagged');
+      expect(metadata.naming).toEqual({ template: '{date:YYYY/MM/DD}/{time:HHmmss}{zone}-{original}', suffix: null });
+      expect(metadata.shotTime).toMatchObject({ utc: '2025-09-11T14:14:46.000Z', offset: '-04:00', timeZone: 'America/New_York', source: 'default_timezone' });
+    });
+  });
+
+  describe('folder naming', () => {
+    const defaultName = 'photo-2025-09-11_10-14-46-000Z-FUJIFILM';
+    const processUpload = async (key, image) => {
+      s3Mock.on(GetObjectCommand, { Key: key }).callsFake(() => Promise.resolve({
+        Body: Readable.from([image]), ContentType: 'image/jpeg', ContentLength: image.length
+      }));
+      const { results: [result] } = await handler({
+        Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key, size: 12345 } } }],
+      });
+      return result;
+    };
+
+    it('adds a suffix instead of overwriting a folder another photo holds', async () => {
+      // A different frame shot in the same second by the same camera
+      const burstFrame = await sharp(sampleImageBuffer).flop().withExif({
+        IFD0: { Make: 'FUJIFILM' }, IFD2: { DateTimeOriginal: '2025:09:11 10:14:46' }
+      }).jpeg().toBuffer();
+
+      const first = await processUpload('burst/DSCF0001.JPG', sampleImageBuffer);
+      const second = await processUpload('burst/DSCF0002.JPG', burstFrame);
+
+      expect(first.baseName).toBe(defaultName);
+      expect(second.baseName).toBe(`${defaultName}-2`);
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key === `${defaultName}-2/metadata.json`).body);
+      expect(metadata.photoFolder).toBe(`${defaultName}-2/`);
+      expect(metadata.naming).toEqual({ template: 'photo-{date}_{time}{zone}-{make}', suffix: 2 });
+
+      const claims = putObjectCalls.filter(call => call.key.startsWith('_index/folders/'));
+      expect(claims.map(call => call.key)).toEqual([`_index/folders/${defaultName}.json`, `_index/folders/${defaultName}-2.json`]);
+      expect(claims.every(call => call.tagging === 'private=true')).toBe(true);
+      expect(JSON.parse(claims[1].body)).toMatchObject({ sourceBucket: 'test-bucket', originalKey: 'burst/DSCF0002.JPG' });
+    });
+
+    it('recognises folders processed before names were claimed', async () => {
+      s3Mock.on(ListObjectsV2Command, { Prefix: `${defaultName}/` }).resolves({ Contents: [{ Key: `${defaultName}/metadata.json` }] });
+      const legacyMetadata = (originalKey) => s3Mock.on(GetObjectCommand, { Key: `${defaultName}/metadata.json` })
+        .callsFake(() => Promise.resolve({ Body: Readable.from([Buffer.from(JSON.stringify({ originalBucket: 'test-bucket', originalKey }))]) }));
+
+      // Another upload's folder is left alone
+      legacyMetadata('old/DSCF7000.JPG');
+      expect((await processUpload('photos/DSCF8545.JPG', sampleImageBuffer)).baseName).toBe(`${defaultName}-2`);
+
+      // Reprocessing the upload that made the folder writes into it again
+      putObjectCalls.length = 0;
+      fs.rmSync(indexDir, { recursive: true, force: true });
+      legacyMetadata('photos/DSCF8545.JPG');
+      expect((await processUpload('photos/DSCF8545.JPG', sampleImageBuffer)).baseName).toBe(defaultName);
+    });
+  });
+
+  describe('duplicate detection', () => {
+    const duplicateEvent = {
+      Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'again/DSCF8545.JPG', size: 12345 } } }],
+    };
+    let sampleDHash;
+
+    const existingFolder = 'photo-2025-09-11_10-14-46-000Z-FUJIFILM-old/';
+    const duplicateIndex = () => createDuplicateIndex(createFileIndexStore(path.join(indexDir, 'test-bucket')));
+    const sampleSha256 = () => crypto.createHash('sha256').update(sampleImageBuffer).digest('hex');
+
+    const givenIndexed = (entry) => duplicateIndex().add({
+      photoFolder: existingFolder,
+      dateTimeOriginal: '2025-09-11T10:14:46.000Z',
+      ...entry
+    });
+
+    beforeAll(async () => {
+      sampleDHash = await computeDHash(sampleImageBuffer);
+    });
+
+    it('stores content and perceptual hashes in metadata.json', async () => {
+      await handler(duplicateEvent);
+
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+      expect(metadata.hashes).toEqual({
+        sha256: crypto.createHash('sha256').update(sampleImageBuffer).digest('hex'),
+        dhash: sampleDHash
+      });
+    });
+
+    it('detects byte-identical uploads by SHA-256', async () => {
+      await givenIndexed({ sha256: sampleSha256(), dhash: 'ffffffffffffffff' });
+
+      const { result: response, metrics } = await captureStdout(() => handler(duplicateEvent));
+      const [result] = response.results;
+
+      expect(response.duplicates).toBe(1);
+      expect(metrics).toEqual([expect.objectContaining({ Reason: 'identical_content_sha256', Duplicates: 1 })]);
+      expect(result).toMatchObject({
+        status: 'duplicate',
+        reason: 'identical_content_sha256',
+        confidence: 1,
+        existingFile: existingFolder,
+        action: 'kept'
+      });
+      expect(putObjectCalls).toHaveLength(0);
+      // The index answers without scanning the processed bucket
+      expect(s3Mock.commandCalls(ListObjectsV2Command)).toHaveLength(0);
+    });
+
+    it('skips a re-delivered upload instead of replacing it with itself', async () => {
+      // DUPLICATE_ACTION is read once, so load a second handler with 'replace', sharing the mocked S3 client
+      let replacing;
+      jest.isolateModules(() => {
+        jest.doMock('@aws-sdk/client-s3', () => clientS3);
+        process.env.DUPLICATE_ACTION = 'replace';
+        replacing = require('../src/upload-lambda');
+      });
+      process.env.DUPLICATE_ACTION = 'keep';
+
+      const first = await replacing.handler(duplicateEvent);
+      const second = await replacing.handler(duplicateEvent);
+
+      expect(first.results[0].status).toBe('success');
+      expect(second.results[0]).toMatchObject({
+        status: 'skipped', reason: 'already_processed', photoFolder: first.results[0].photoFolder
+      });
+      expect(s3Mock.commandCalls(DeleteObjectCommand)).toHaveLength(0);
+      expect(await duplicateIndex().findByContentHash(sampleSha256())).toMatchObject({
+        sourceBucket: 'test-bucket', originalKey: 'again/DSCF8545.JPG'
+      });
+    });
+
+    it('detects re-encoded copies by perceptual hash distance', async () => {
+      await givenIndexed({ sha256: '0'.repeat(64), dhash: sampleDHash });
+
+      const { results: [result] } = await handler(duplicateEvent);
+
+      expect(result).toMatchObject({ status: 'duplicate', reason: 'perceptual_match_dhash', confidence: 1, hashDistance: 0 });
+    });
+
+    it('does not treat look-alike shots taken at another time as duplicates', async () => {
+      await givenIndexed({ sha256: '0'.repeat(64), dhash: sampleDHash, dateTimeOriginal: '2025-09-11T10:14:47.000Z' });
+
+      const { results: [result] } = await handler(duplicateEvent);
+
+      expect(result.status).toBe('success');
+    });
+
+    it('indexes processed photos so later uploads on any day are found', async () => {
+      const first = await handler(duplicateEvent);
+      const second = await handler({
+        Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'later/DSCF8545.JPG', size: 12345 } } }],
+      });
+
+      expect(first.results[0].status).toBe('success');
+      expect(second.results[0]).toMatchObject({
+        status: 'duplicate', reason: 'identical_content_sha256', existingFile: first.results[0].photoFolder
+      });
+      expect(await duplicateIndex().findByContentHash(sampleSha256())).toMatchObject({
+        photoFolder: first.results[0].photoFolder,
+        dhash: sampleDHash,
+        dateTimeOriginal: '2025-09-11T10:14:46.000Z'
+      });
+    });
+
+    it('rebuilds the index from metadata.json files', async () => {
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [
+          { Key: `${existingFolder}metadata.json` },
+          { Key: `${existingFolder}large.webp` },
+          { Key: 'photo-legacy/metadata.json' },
+          { Key: `archive/${existingFolder}metadata.json` }
+        ]
+      });
+      s3Mock.on(GetObjectCommand, { Key: `${existingFolder}metadata.json` }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from(JSON.stringify({
+          photoFolder: existingFolder,
+          hashes: { sha256: sampleSha256(), dhash: sampleDHash },
+          exifData: { dateTimeOriginal: '2025-09-11T10:14:46.000Z' }
+        }))])
+      }));
+      s3Mock.on(GetObjectCommand, { Key: 'photo-legacy/metadata.json' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from(JSON.stringify({ photoFolder: 'photo-legacy/' }))])
+      }));
+
+      const result = await handler({ operation: 'rebuild-duplicate-index', bucket: 'test-bucket' });
+
+      expect(result).toMatchObject({ status: 'success', indexed: 1, missingHashes: ['photo-legacy/'] });
+      expect(await duplicateIndex().findByContentHash(sampleSha256())).toMatchObject({ photoFolder: existingFolder });
+    });
+
+    it('drops index entries when the ingress upload is removed', async () => {
+      await givenIndexed({ sha256: sampleSha256(), dhash: sampleDHash });
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: `${existingFolder}metadata.json` }] });
+      s3Mock.on(CopyObjectCommand).resolves({});
+      s3Mock.on(DeleteObjectsCommand).resolves({});
+      s3Mock.on(DeleteObjectCommand).resolves({});
+      s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+      const pointerKey = `_index/originals/${crypto.createHash('sha256').update('test-bucket/again/DSCF8545.JPG').digest('hex')}.json`;
+      s3Mock.on(GetObjectCommand, { Key: pointerKey }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from(JSON.stringify({ photoFolder: existingFolder }))])
+      }));
+      s3Mock.on(GetObjectCommand, { Key: `${existingFolder}metadata.json` }).callsFake(() => Promise.resolve({
+        Body: Readable.from([Buffer.from(JSON.stringify({
+          photoFolder: existingFolder,
+          originalKey: 'again/DSCF8545.JPG',
+          hashes: { sha256: sampleSha256(), dhash: sampleDHash }
+        }))])
+      }));
+
+      const { results: [result] } = await handler({
+        Records: [{ eventName: 'ObjectRemoved:Delete', s3: { bucket: { name: 'test-bucket' }, object: { key: 'again/DSCF8545.JPG' } } }],
+      });
+
+      expect(result).toMatchObject({ status: 'removed', photoFolder: existingFolder });
+      expect(await duplicateIndex().findByContentHash(sampleSha256())).toBeNull();
+      expect(await duplicateIndex().findSimilar(sampleDHash, 5)).toEqual([]);
+    });
+  });
+
+  describe('watermarks', () => {
+    const event = { Records: [{ s3: { bucket: { name: 'portfolio-ingress' }, object: { key: 'shoot/sample.jpg', size: 12345 } } }] };
+
+    beforeEach(() => {
+      s3Mock.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: 'album', Value: 'Summer 2025' }] });
+      s3Mock.on(PutObjectTaggingCommand).resolves({});
+    });
+
+    it('watermarks the listed variants and keeps the original private', async () => {
+      const { results: [result] } = await handler(event);
+
+      expect(result.status).toBe('success');
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key === `${result.photoFolder}metadata.json`).body);
+      expect(metadata.watermark).toEqual({ version: expect.stringMatching(/^[0-9a-f]{12}$/), variants: ['large'] });
+      expect(metadata.versions.original.private).toBe(true);
+
+      // The original copy keeps its own tags and is marked private
+      expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toMatchObject({
+        TaggingDirective: 'REPLACE',
+        Tagging: 'album=Summer+2025&private=true'
+      });
+    });
+
+    it('flags photos with an outdated watermark when reprocessing and makes their original private', async () => {
+      const { results: [result] } = await handler(event);
+      const metadataKey = `${result.photoFolder}metadata.json`;
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key === metadataKey).body);
+
+      // As if processed before the bucket had a watermark
+      const { private: _, ...original } = metadata.versions.original;
+      putObjectCalls.push({
+        bucket: 'portfolio-processed', key: metadataKey,
+        body: JSON.stringify({ ...metadata, watermark: null, versions: { ...metadata.versions, original } })
+      });
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: metadataKey }] });
+
+      const reprocessed = await handler({ operation: 'reprocess', bucket: 'portfolio-processed' });
+
+      expect(reprocessed.results[0]).toMatchObject({
+        status: 'changed', written: true, changes: { fieldsChanged: ['versions.original', 'watermark'] }
+      });
+      expect(s3Mock.commandCalls(PutObjectTaggingCommand)[0].args[0].input).toEqual({
+        Bucket: 'portfolio-processed',
+        Key: original.path,
+        Tagging: { TagSet: [{ Key: 'album', Value: 'Summer 2025' }, { Key: 'private', Value: 'true' }] }
+      });
+    });
+  });
+
+  describe('privacy', () => {
+    const event = { Records: [{ s3: { bucket: { name: 'family-ingress' }, object: { key: 'home/garden.jpg', size: 12345 } } }] };
+    let tagged;
+
+    beforeEach(async () => {
+      // Just off the Cowes waterfront, Isle of Wight
+      tagged = await sharp(sampleImageBuffer).withExif({
+        IFD0: { Make: 'FUJIFILM', Model: 'X-T5' },
+        IFD2: { DateTimeOriginal: '2025:07:30 18:05:00' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '50/1 46/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '1/1 17/1 0/1', GPSAltitude: '12/1' }
+      }).jpeg().toBuffer();
+      s3Mock.on(GetObjectCommand, { Key: 'home/garden.jpg' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([tagged]), ContentType: 'image/jpeg', ContentLength: tagged.length
+      }));
+      s3Mock.on(GetObjectTaggingCommand).resolves({ TagSet: [] });
+    });
+
+    it('publishes coarse GPS without camera EXIF and keeps the original and full metadata private', async () => {
+      const { results: [result] } = await handler(event);
+      const folder = result.photoFolder;
+
+      expect(result.status).toBe('success');
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key === `${folder}metadata.json`).body);
+      expect(metadata.exifData).toEqual({
+        gps: { latitude: 50.75, longitude: -1.25, precision: 0.1, locality: 'Cowes', region: 'England', country: 'United Kingdom', countryCode: 'GB' }
+      });
+      expect(metadata.location).not.toHaveProperty('distanceKm');
+      expect(metadata.privateMetadata).toEqual({ path: `_private/${folder}metadata.json` });
+      expect(metadata.versions.original).toMatchObject({ path: `_private/${folder}garden.jpg`, private: true });
+
+      // Owners get the exact position and camera details
+      const privateCopy = putObjectCalls.find(call => call.key === `_private/${folder}metadata.json`);
+      expect(privateCopy.tagging).toBe('private=true');
+      expect(JSON.parse(privateCopy.body).exifData).toMatchObject({
+        make: 'FUJIFILM', model: 'X-T5', gps: { latitude: expect.closeTo(50.7667, 3), altitude: 12 }
+      });
+
+      expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toMatchObject({
+        Bucket: 'family-processed', Key: `_private/${folder}garden.jpg`, TaggingDirective: 'REPLACE', Tagging: 'private=true'
+      });
+      expect(putObjectCalls.some(call => call.key === `${folder}garden.jpg`)).toBe(false);
+
+      // Variants carry no EXIF at all
+      for (const variantKey of [`${folder}large.webp`, `${folder}thumb.jpg`]) {
+        expect((await sharp(putObjectCalls.find(call => call.key === variantKey).body).metadata()).exif).toBeUndefined();
+      }
+
+      const shard = putObjectCalls.find(call => call.key.startsWith('catalog/') && call.key !== 'catalog/index.json');
+      expect(JSON.parse(shard.body).photos[0]).toMatchObject({
+        camera: { make: null, model: null }, gps: { latitude: 50.75, longitude: -1.25, altitude: null }
+      });
+    });
+
+    it('keeps moved duplicates of private originals out of public reads', async () => {
+      const duplicateCheck = { isDuplicate: true, reason: 'identical_content_sha256', confidence: 1, existingFile: 'photo-1/metadata.json' };
+      const move = (isOriginalPrivate) => handleDuplicateFile('family-ingress', 'home/garden.jpg', 'family-processed', duplicateCheck,
+        'move', 'duplicates/', 'image/jpeg', isOriginalPrivate);
+
+      expect(await move(true)).toMatchObject({ action: 'moved', location: expect.stringMatching(/^duplicates\/.*-garden\.jpg$/) });
+      await move(false);
+
+      const [privateCopy, publicCopy] = s3Mock.commandCalls(CopyObjectCommand).map(call => call.args[0].input);
+      expect(privateCopy).toMatchObject({ Bucket: 'family-processed', Tagging: 'private=true', TaggingDirective: 'REPLACE' });
+      expect(privateCopy).not.toHaveProperty('CacheControl');
+      expect(publicCopy).toMatchObject({ CacheControl: 'public, max-age=86400' });
+      expect(publicCopy).not.toHaveProperty('Tagging');
+    });
+
+    it('reprocesses from the private original, ignoring the private metadata copy', async () => {
+      const { results: [result] } = await handler(event);
+      s3Mock.on(GetObjectCommand, { Key: `_private/${result.photoFolder}garden.jpg` }).callsFake(() => Promise.resolve({
+        Body: Readable.from([tagged]), ContentType: 'image/jpeg', ContentLength: tagged.length
+      }));
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [{ Key: `${result.photoFolder}metadata.json` }, { Key: `_private/${result.photoFolder}metadata.json` }]
+      });
+
+      const reprocessed = await handler({ operation: 'reprocess', bucket: 'family-processed' });
+
+      expect(reprocessed).toMatchObject({ unchanged: 1, changed: 0, failed: 0 });
+      expect(s3Mock.commandCalls(GetObjectCommand).map(call => call.args[0].input.Key)).toContain(`_private/${result.photoFolder}garden.jpg`);
+    });
+
+    it('archives the private objects with the folder when the upload is removed', async () => {
+      const { results: [result] } = await handler(event);
+      s3Mock.on(DeleteObjectsCommand).resolves({});
+      s3Mock.on(DeleteObjectCommand).resolves({});
+
+      const { results: [removed] } = await handler({
+        Records: [{ eventName: 'ObjectRemoved:Delete', s3: { bucket: { name: 'family-ingress' }, object: { key: 'home/garden.jpg' } } }]
+      });
+
+      expect(removed).toMatchObject({
+        status: 'removed', action: 'archived',
+        archivedKeys: [`archive/_private/${result.photoFolder}garden.jpg`, `archive/_private/${result.photoFolder}metadata.json`]
+      });
+      expect(s3Mock.commandCalls(DeleteObjectsCommand).flatMap(call => call.args[0].input.Delete.Objects.map(o => o.Key)))
+        .toEqual(expect.arrayContaining([`_private/${result.photoFolder}garden.jpg`, `_private/${result.photoFolder}metadata.json`]));
+    });
+  });
+
+  describe('orientation', () => {
+    // Red top left, green top right, blue bottom left, white bottom right once upright (see orientation.test.js)
+    const colourAt = async (image, x, y) => {
+      const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+      const i = (Math.round(y * (info.height - 1)) * info.width + Math.round(x * (info.width - 1))) * info.channels;
+      return [data[i], data[i + 1], data[i + 2]].map(value => value > 128 ? 1 : 0).join('');
+    };
+
+    it.each([1, 2, 3, 4, 5, 6, 7, 8])('renders every variant upright from orientation %i', async (orientation) => {
+      const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', `orientation-${orientation}.jpg`));
+      s3Mock.on(GetObjectCommand, { Key: 'turned.jpg' }).callsFake(() => Promise.resolve({
+        Body: Readable.from([fixture]), ContentType: 'image/jpeg', ContentLength: fixture.length
+      }));
+
+      const { results: [result] } = await handler({ Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'turned.jpg', size: fixture.length } } }] });
+
+      expect(result.status).toBe('success');
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key === `${result.photoFolder}metadata.json`).body);
+      const raw = orientation >= 5 ? { width: 80, height: 120 } : { width: 120, height: 80 };
+      expect(metadata.originalDimensions).toEqual({ width: 120, height: 80, format: 'jpg', orientation, raw });
+      expect(metadata.versions.original).toMatchObject({ width: 120, height: 80, orientation });
+      expect(metadata.versions.large).toMatchObject({ width: 120, height: 80 });
+
+      for (const name of ['large', 'thumb']) {
+        const variant = putObjectCalls.find(call => call.key === metadata.versions[name].path).body;
+        // Upright pixels, and no orientation tag left to turn them again
+        expect((await sharp(variant).metadata()).orientation).toBeUndefined();
+        expect([
+          await colourAt(variant, 0.1, 0.1), await colourAt(variant, 0.9, 0.1), await colourAt(variant, 0.1, 0.9), await colourAt(variant, 0.9, 0.9)
+        ]).toEqual(['100', '010', '001', '111']);
+      }
+    });
+  });
+
+  describe('smart crops', () => {
+    let folder;
+    const userEditsEvent = () => ({
+      Records: [{ eventName: 'ObjectCreated:Put', s3: { bucket: { name: 'test-bucket' }, object: { key: `${folder}user.json`, size: 40 } } }]
+    });
+    const editUser = (userEdits) => putObjectCalls.push({ bucket: 'test-bucket', key: `${folder}user.json`, body: JSON.stringify(userEdits) });
+
+    beforeEach(async () => {
+      const { results: [result] } = await handler({ Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'crops/sample.jpg', size: 12345 } } }] });
+      folder = result.photoFolder;
+    });
+
+    it('regenerates only the cropped variants around a new focal point', async () => {
+      editUser({ title: 'Harbour', focalPoint: { x: 0, y: 0.5 } });
+      const before = putObjectCalls.length;
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({ status: 'changed', written: true, changes: { fieldsChanged: ['focalPoint', 'userEdits'] } });
+      expect(Object.keys(result.changes.variantsChanged)).toEqual(['thumb']);
+      expect(result.changes.variantsChanged.thumb).toContainEqual(expect.stringMatching(/^crop .* → 0,0 1365x1365 \(focal\)$/));
+
+      const written = putObjectCalls.slice(before).map(call => call.key);
+      expect(written).toContain(`${folder}thumb.webp`);
+      expect(written).not.toContain(`${folder}large.webp`);
+      const metadata = JSON.parse(putObjectCalls.filter(call => call.key === `${folder}metadata.json`).pop().body);
+      expect(metadata.focalPoint).toEqual({ x: 0, y: 0.5 });
+      expect(metadata.versions.thumb.crop).toEqual({ left: 0, top: 0, width: 1365, height: 1365, strategy: 'focal' });
+      expect(Object.keys(metadata.versions)).toEqual(['large', 'medium', 'small', 'thumb', 'original']);
+    });
+
+    it('applies edits that leave the focal point as it was without re-rendering', async () => {
+      editUser({ title: 'Harbour', tags: ['boats'], rating: 3 });
+      const before = putObjectCalls.length;
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({ status: 'applied', photoFolder: folder, fields: ['title', 'tags', 'rating'] });
+      const written = putObjectCalls.slice(before);
+      expect(written.some(call => /\.(webp|jpeg)$/.test(call.key))).toBe(false);
+      const metadata = JSON.parse(written.filter(call => call.key === `${folder}metadata.json`).pop().body);
+      expect(metadata.userEdits).toEqual({ title: 'Harbour', tags: ['boats'], rating: 3 });
+      const shard = written.filter(call => call.key.startsWith('catalog/20')).pop();
+      expect(JSON.parse(shard.body).photos.find(p => p.photoFolder === folder)).toMatchObject({ title: 'Harbour', tags: ['boats'], rating: 3 });
+
+      // Writing the same edits again changes nothing
+      const { results: [again] } = await handler(userEditsEvent());
+      expect(again).toEqual({ status: 'skipped', reason: 'edits_unchanged', photoFolder: folder });
+    });
+  });
+
+  describe('user edits', () => {
+    let folder;
+    const userEditsEvent = () => ({
+      Records: [{ eventName: 'ObjectCreated:Put', s3: { bucket: { name: 'test-bucket' }, object: { key: `${folder}user.json`, size: 40 } } }]
+    });
+    const editUser = (body) => putObjectCalls.push({ bucket: 'test-bucket', key: `${folder}user.json`, body });
+    const latest = (key) => JSON.parse(putObjectCalls.filter(call => call.key === key).pop().body);
+
+    beforeEach(async () => {
+      const { results: [result] } = await handler({ Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'edits/sample.jpg', size: 12345 } } }] });
+      folder = result.photoFolder;
+    });
+
+    it('re-renders every variant when the rotation changes', async () => {
+      editUser(JSON.stringify({ rotation: 90 }));
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({ status: 'changed', written: true });
+      expect(Object.keys(result.changes.variantsChanged)).toEqual(['large', 'medium', 'small', 'thumb']);
+      const metadata = latest(`${folder}metadata.json`);
+      expect(metadata).toMatchObject({ rotation: 90, userEdits: { rotation: 90 } });
+      expect(metadata.originalDimensions).toEqual({ width: 1365, height: 2048, format: 'jpg', orientation: 1, raw: { width: 2048, height: 1365 } });
+      expect(metadata.versions.original).toMatchObject({ width: 1365, height: 2048, orientation: 1 });
+      expect(metadata.versions.large.width).toBeLessThan(metadata.versions.large.height);
+      const large = putObjectCalls.filter(call => call.key === metadata.versions.large.path).pop().body;
+      expect(await sharp(large).metadata()).toMatchObject({ width: metadata.versions.large.width, height: metadata.versions.large.height });
+    });
+
+    it('quarantines invalid edits and restores the approved ones', async () => {
+      editUser(JSON.stringify({ caption: 'Harbour' }));
+      await handler(userEditsEvent());
+      editUser(JSON.stringify({ caption: 'Harbour at dusk', rating: 9 }));
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({
+        status: 'quarantined', photoFolder: folder,
+        errors: ['rating must be a whole number from 0 to 5, or null'],
+        quarantineKey: expect.stringMatching(new RegExp(`^_index/rejected-edits/${folder}user-[\\d-T]+Z\\.json$`))
+      });
+      const copy = s3Mock.commandCalls(CopyObjectCommand).pop().args[0].input;
+      expect(copy).toMatchObject({ Key: result.quarantineKey, CopySource: `test-bucket/${encodeURIComponent(`${folder}user.json`)}`, Tagging: 'private=true' });
+      const errors = putObjectCalls.find(call => call.key === result.quarantineKey.replace(/\.json$/, '.errors.json'));
+      expect(errors.tagging).toBe('private=true');
+      expect(JSON.parse(errors.body)).toMatchObject({ photoFolder: folder, errors: result.errors });
+      expect(latest(`${folder}user.json`)).toEqual({ caption: 'Harbour' });
+      expect(latest(`${folder}metadata.json`).userEdits).toEqual({ caption: 'Harbour' });
+    });
+
+    it('quarantines user.json that is not JSON', async () => {
+      editUser('{"caption": ');
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result.status).toBe('quarantined');
+      expect(result.errors).toEqual([expect.stringMatching(/^user\.json is not valid JSON: /)]);
+      // There were no approved edits to put back
+      expect(s3Mock.commandCalls(DeleteObjectCommand).map(call => call.args[0].input.Key)).toEqual([`${folder}user.json`]);
+      expect(putObjectCalls.filter(call => call.key === `${folder}user.json`)).toHaveLength(1);
+    });
+
+    it('skips the user.json it put back itself', async () => {
+      process.env.AWS_LAMBDA_FUNCTION_NAME = 'photo3s-dev-processor';
+      try {
+        editUser(JSON.stringify({ caption: 'Harbour' }));
+        const event = userEditsEvent();
+        event.Records[0].userIdentity = { principalId: 'AWS:AROAEXAMPLEROLEID:photo3s-dev-processor' };
+
+        const { results: [result] } = await handler(event);
+
+        expect(result).toEqual({ status: 'skipped', reason: 'own_write', photoFolder: folder });
+        expect(putObjectCalls.filter(call => call.key === `${folder}metadata.json`)).toHaveLength(1);
+      } finally {
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+      }
+    });
+
+    it('takes hidden photos out of the catalog', async () => {
+      const shardKey = putObjectCalls.filter(call => call.key.startsWith('catalog/20')).pop().key;
+      expect(latest(shardKey).photos.map(p => p.photoFolder)).toContain(folder);
+      editUser(JSON.stringify({ hidden: true }));
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({ status: 'applied', fields: ['hidden'] });
+      expect(latest(shardKey).photos.map(p => p.photoFolder)).not.toContain(folder);
+    });
+  });
+
+  describe('albums', () => {
+    let folder;
+    const userEditsEvent = () => ({
+      Records: [{ eventName: 'ObjectCreated:Put', s3: { bucket: { name: 'test-bucket' }, object: { key: `${folder}user.json`, size: 40 } } }]
+    });
+    const latest = (key) => JSON.parse(putObjectCalls.filter(call => call.key === key).pop().body);
+
+    beforeEach(async () => {
+      const { results: [result] } = await handler({ Records: [{ s3: { bucket: { name: 'test-bucket' }, object: { key: 'regatta/start.jpg', size: 12345 } } }] });
+      folder = result.photoFolder;
+    });
+
+    it('adds uploads to the albums their rules match', async () => {
+      expect(latest(`${folder}metadata.json`).albums).toEqual(['regatta']);
+      const album = putObjectCalls.find(call => call.key === 'albums/regatta.json');
+      expect(album).toMatchObject({ bucket: 'test-bucket', tagging: undefined });
+      expect(JSON.parse(album.body)).toMatchObject({
+        slug: 'regatta', title: 'Regatta', count: 1,
+        dateRange: { from: '2025-09-11T10:14:46.000Z', to: '2025-09-11T10:14:46.000Z' },
+        cover: { photoFolder: folder, path: `${folder}thumb.webp` },
+        photos: [{ photoFolder: folder, shotDate: '2025-09-11T10:14:46.000Z', title: null, rating: null }]
+      });
+      expect(latest('albums/index.json').albums).toEqual([expect.objectContaining({ slug: 'regatta', key: 'albums/regatta.json', count: 1 })]);
+    });
+
+    it('follows the albums listed in user.json and leaves them all when hidden', async () => {
+      putObjectCalls.push({ bucket: 'test-bucket', key: `${folder}user.json`, body: JSON.stringify({ title: 'Gun', albums: ['family'] }) });
+
+      const { results: [result] } = await handler(userEditsEvent());
+
+      expect(result).toMatchObject({ status: 'applied', fields: ['title', 'albums'] });
+      expect(latest(`${folder}metadata.json`).albums).toEqual(['regatta', 'family']);
+      expect(latest('albums/family.json')).toMatchObject({ title: 'family', count: 1, photos: [{ photoFolder: folder, title: 'Gun' }] });
+      expect(latest('albums/regatta.json').photos).toEqual([expect.objectContaining({ title: 'Gun' })]);
+
+      putObjectCalls.push({ bucket: 'test-bucket', key: `${folder}user.json`, body: JSON.stringify({ albums: ['family'], hidden: true }) });
+      await handler(userEditsEvent());
+
+      expect(latest(`${folder}metadata.json`).albums).toEqual([]);
+      expect(latest('albums/family.json').count).toBe(0);
+      expect(latest('albums/regatta.json').count).toBe(0);
+      expect(latest('albums/index.json').albums).toEqual([]);
+    });
+
+    it('rebuilds album manifests from metadata.json', async () => {
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: `${folder}metadata.json` }, { Key: 'albums/regatta.json' }] });
+
+      const result = await handler({ operation: 'rebuild-albums', bucket: 'test-bucket' });
+
+      expect(result).toMatchObject({ status: 'success', operation: 'rebuild-albums', photos: 1, albums: 1 });
+      expect(latest('albums/regatta.json').photos.map(p => p.photoFolder)).toEqual([folder]);
+    });
+  });
+
+  describe('reprocess operation', () => {
+    let folders;
+
+    beforeEach(async () => {
+      await handler({ Records: [{ s3: { bucket: { name: 'avatars-ingress' }, object: { key: 'me.jpg', size: 12345 } } }] });
+      const metadata = JSON.parse(putObjectCalls.find(call => call.key.endsWith('metadata.json')).body);
+
+      // A second photo processed before the 'card' variant was added to the profile
+      const { card, ...versions } = metadata.versions;
+      const olderFolder = 'zz-older/';
+      putObjectCalls.push({
+        bucket: 'avatars-processed',
+        key: `${olderFolder}metadata.json`,
+        body: JSON.stringify({ ...metadata, photoFolder: olderFolder, versions: { ...versions, original: { ...versions.original, path: `${olderFolder}me.jpg` } } })
+      });
+      folders = [metadata.photoFolder, olderFolder];
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [...folders.map(folder => ({ Key: `${folder}metadata.json` })), { Key: `${olderFolder}user.json` }, { Key: 'archive/old/metadata.json' }]
+      });
+      putObjectCalls = putObjectCalls.filter(call => call.key.endsWith('metadata.json'));
+    });
+
+    it('reports changes in a dry run and stops at maxPhotos with a checkpoint', async () => {
+      const result = await handler({ operation: 'reprocess', bucket: 'avatars-ingress', dryRun: true, maxPhotos: 1 });
+
+      expect(result).toMatchObject({
+        status: 'success', bucket: 'avatars-processed', dryRun: true, unchanged: 1, changed: 0, complete: false, checkpoint: folders[0]
+      });
+
+      const resumed = await handler({ operation: 'reprocess', bucket: 'avatars-processed', dryRun: true, startAfter: result.checkpoint });
+
+      expect(resumed).toMatchObject({ changed: 1, complete: true, checkpoint: null });
+      expect(resumed.results[0]).toMatchObject({ photoFolder: 'zz-older/', status: 'changed', written: false, changes: { variantsAdded: ['card'] } });
+      expect(putObjectCalls).toHaveLength(2);
+    });
+
+    it('stops before the Lambda runs out of time', async () => {
+      const result = await handler({ operation: 'reprocess', bucket: 'avatars-processed' }, { getRemainingTimeInMillis: () => 1000 });
+
+      expect(result).toMatchObject({ status: 'success', complete: false, checkpoint: null, results: [] });
+    });
   });
 });
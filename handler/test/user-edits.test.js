@@ -0,0 +1,80 @@
+// handler/test/user-edits.test.js
+const { validateUserEdits, recordedEdits } = require('../src/user-edits');
+
+describe('user edits', () => {
+  it('normalizes valid edits into schema order', () => {
+    const { edits, errors } = validateUserEdits({
+      rotation: 90,
+      tags: [' sailing', 'Solent', 'solent', 'sailing '],
+      title: '  Cowes Week ',
+      hidden: false,
+      albums: ['summer-2025', 'summer-2025', 'isle-of-wight'],
+      rating: 4,
+      focalPoint: { x: 0.3, y: 0.6 },
+      caption: 'Start of the Round the Island race'
+    });
+
+    expect(errors).toEqual([]);
+    expect(edits).toEqual({
+      title: 'Cowes Week',
+      caption: 'Start of the Round the Island race',
+      tags: ['sailing', 'Solent'],
+      rating: 4,
+      albums: ['summer-2025', 'isle-of-wight'],
+      hidden: false,
+      focalPoint: { x: 0.3, y: 0.6 },
+      rotation: 90
+    });
+    expect(Object.keys(edits)).toEqual(['title', 'caption', 'tags', 'rating', 'albums', 'hidden', 'focalPoint', 'rotation']);
+  });
+
+  it('accepts nulls to clear the rating and focal point', () => {
+    expect(validateUserEdits({ rating: null, focalPoint: null })).toEqual({ edits: { rating: null, focalPoint: null }, errors: [] });
+    expect(validateUserEdits({})).toEqual({ edits: {}, errors: [] });
+  });
+
+  it('reports every problem and applies nothing', () => {
+    const { edits, errors } = validateUserEdits({
+      title: 'x'.repeat(201),
+      tags: ['sailing', ''],
+      rating: 4.5,
+      albums: ['Summer 2025'],
+      hidden: 'yes',
+      focalPoint: { x: 1.5, y: 0.5 },
+      rotation: 45,
+      colour: 'red'
+    });
+
+    expect(edits).toBeNull();
+    expect(errors).toEqual([
+      "unknown field 'colour'",
+      'title must be a string of at most 200 characters',
+      'tags must be a list of at most 50 non-empty strings of at most 50 characters',
+      'rating must be a whole number from 0 to 5, or null',
+      'albums must be a list of at most 50 album slugs (lowercase letters, digits and dashes, not "index")',
+      'hidden must be true or false',
+      'focalPoint must be { "x": ..., "y": ... } with fractions from 0 to 1, or null',
+      'rotation must be one of 0, 90, 180, 270'
+    ]);
+  });
+
+  it('keeps albums from taking the name of the album index', () => {
+    expect(validateUserEdits({ albums: ['summer-2025', 'index'] })).toEqual({
+      edits: null,
+      errors: ['albums must be a list of at most 50 album slugs (lowercase letters, digits and dashes, not "index")']
+    });
+    expect(validateUserEdits({ albums: ['index-2025'] }).edits).toEqual({ albums: ['index-2025'] });
+  });
+
+  it('rejects documents that are not objects', () => {
+    expect(validateUserEdits([])).toEqual({ edits: null, errors: ['user.json must be a JSON object'] });
+    expect(validateUserEdits('caption')).toEqual({ edits: null, errors: ['user.json must be a JSON object'] });
+    expect(validateUserEdits({ focalPoint: { x: 0.5, y: 0.5, z: 1 } }).errors).toHaveLength(1);
+  });
+
+  it('records no edits as null', () => {
+    expect(recordedEdits({})).toBeNull();
+    expect(recordedEdits(null)).toBeNull();
+    expect(recordedEdits({ rating: 3 })).toEqual({ rating: 3 });
+  });
+});
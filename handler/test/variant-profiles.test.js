@@ -0,0 +1,89 @@
+// handler/test/variant-profiles.test.js
+const {
+  DEFAULT_VARIANT_PROFILE,
+  normalizeVariantProfile,
+  parseFormats,
+  parseVariantProfile,
+  resolveVariantProfile,
+  buildPictureManifest
+} = require('../src/variant-profiles');
+
+describe('variant profiles', () => {
+  it('defaults to the four classic WebP sizes', () => {
+    const profile = parseVariantProfile(undefined);
+
+    expect(profile.map(v => v.name)).toEqual(['large', 'medium', 'small', 'thumb']);
+    expect(profile[0]).toEqual({
+      name: 'large', width: 1920, height: 1920, fit: 'inside', format: 'webp', formats: ['webp'], quality: 85, withoutEnlargement: true, position: 'center'
+    });
+    expect(profile[3]).toMatchObject({ name: 'thumb', width: 200, height: 200, fit: 'cover', position: 'attention' });
+    expect(profile).toHaveLength(DEFAULT_VARIANT_PROFILE.length);
+  });
+
+  it('parses a profile from JSON and fills in defaults', () => {
+    const profile = parseVariantProfile(JSON.stringify([
+      { name: 'xlarge', width: 2560 },
+      { name: 'avatar', width: 256, height: 256, fit: 'cover', format: 'jpg', quality: 90 }
+    ]));
+
+    expect(profile[0]).toMatchObject({ name: 'xlarge', width: 2560, height: null, fit: 'inside', format: 'webp', quality: 80 });
+    expect(profile[1]).toMatchObject({ name: 'avatar', fit: 'cover', format: 'jpeg', quality: 90 });
+  });
+
+  it('rejects invalid variants', () => {
+    expect(() => normalizeVariantProfile([])).toThrow(/non-empty array/);
+    expect(() => normalizeVariantProfile([{ name: 'original', width: 10 }])).toThrow(/reserved/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10 }, { name: 'a', width: 20 }])).toThrow(/used twice/);
+    expect(() => normalizeVariantProfile([{ name: 'a' }])).toThrow(/width or a height/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10, fit: 'stretch' }])).toThrow(/unknown fit/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10, height: 10, fit: 'cover', position: 'faces' }])).toThrow(/unknown position/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10, format: 'gif' }])).toThrow(/unsupported format/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10, formats: [] }])).toThrow(/non-empty list of formats/);
+    expect(() => normalizeVariantProfile([{ name: 'a', width: 10, quality: 0 }])).toThrow(/quality/);
+  });
+
+  it('applies default formats to variants without their own, primary format first', () => {
+    const profile = parseVariantProfile(JSON.stringify([
+      { name: 'large', width: 1920 },
+      { name: 'thumb', width: 200, formats: ['jpg', 'webp'] }
+    ]), parseFormats('avif, webp'));
+
+    expect(profile[0]).toMatchObject({ format: 'avif', formats: ['avif', 'webp'] });
+    expect(profile[1]).toMatchObject({ format: 'jpeg', formats: ['jpeg', 'webp'] });
+  });
+
+  it('builds a picture manifest from metadata versions', () => {
+    const profile = normalizeVariantProfile([
+      { name: 'large', width: 1920, formats: ['avif', 'jpeg'] },
+      { name: 'small', width: 650, formats: ['avif', 'jpeg'] },
+      { name: 'square', width: 200, height: 200, fit: 'cover', formats: ['jpeg'] }
+    ]);
+    const entry = (path, width, height) => ({ path, width, height, bytes: 1 });
+    const versions = {
+      original: { path: 'p/IMG.jpg', width: 4000, height: 3000 },
+      large: { formats: { avif: entry('p/large.avif', 1920, 1440), jpeg: entry('p/large.jpg', 1920, 1440) } },
+      small: { formats: { avif: entry('p/small.avif', 650, 488), jpeg: entry('p/small.jpg', 650, 488) } },
+      square: { formats: { jpeg: entry('p/square.jpg', 200, 200) } }
+    };
+
+    expect(buildPictureManifest(versions, profile)).toEqual({
+      sources: [
+        { type: 'image/avif', srcset: 'p/large.avif 1920w, p/small.avif 650w' },
+        { type: 'image/jpeg', srcset: 'p/large.jpg 1920w, p/small.jpg 650w' }
+      ],
+      img: { src: 'p/large.jpg', width: 1920, height: 1440, type: 'image/jpeg' },
+      crops: {
+        square: [{ type: 'image/jpeg', src: 'p/square.jpg', width: 200, height: 200 }]
+      }
+    });
+  });
+
+  it('prefers the bucket mapping profile over the global one', () => {
+    const globalProfile = parseVariantProfile(undefined);
+    const mapping = { processed: 'out', variants: [{ name: 'card', width: 400, height: 300, fit: 'cover' }] };
+
+    expect(resolveVariantProfile(mapping, globalProfile).map(v => v.name)).toEqual(['card']);
+    expect(resolveVariantProfile({ processed: 'out' }, globalProfile)).toBe(globalProfile);
+    expect(resolveVariantProfile(undefined, globalProfile)).toBe(globalProfile);
+  });
+});
@@ -0,0 +1,82 @@
+// handler/test/watermark.test.js
+const sharp = require('sharp');
+const { normalizeWatermark, parseWatermark, createWatermarker } = require('../src/watermark');
+
+const black = (width, height) => sharp({ create: { width, height, channels: 3, background: '#000000' } });
+const redSquare = () => sharp({ create: { width: 100, height: 100, channels: 4, background: '#ff0000' } }).png().toBuffer();
+
+// Mean red level of a region of a rendered variant (rendered first: sharp extracts before compositing)
+async function redIn(pipeline, region) {
+  const rendered = await pipeline.clone().raw().toBuffer({ resolveWithObject: true });
+  const { data, info } = await sharp(rendered.data, { raw: rendered.info }).extract(region).raw().toBuffer({ resolveWithObject: true });
+  let sum = 0;
+  for (let i = 0; i < data.length; i += info.channels) {
+    sum += data[i];
+  }
+  return sum / (data.length / info.channels);
+}
+
+describe('watermark', () => {
+  it('fills in defaults and rejects bad configuration', () => {
+    expect(normalizeWatermark({ text: '© Jane' })).toEqual({
+      text: '© Jane', font: 'sans bold', color: '#ffffff',
+      position: 'bottom-right', opacity: 0.5, scale: 0.2, margin: 0.02, variants: null
+    });
+    expect(normalizeWatermark(false)).toBeNull();
+    expect(() => normalizeWatermark({})).toThrow('needs either a text or an image');
+    expect(() => normalizeWatermark({ text: 'a', image: 'logo.png' })).toThrow('needs either a text or an image');
+    expect(() => normalizeWatermark({ text: 'a', position: 'middle' })).toThrow("unknown position 'middle'");
+    expect(() => normalizeWatermark({ image: 'logo.png', opacity: 1.5 })).toThrow('opacity must be');
+    expect(() => normalizeWatermark({ image: 'logo.png', variants: [] })).toThrow('variants must be');
+    expect(() => parseWatermark('{"text": "a", "scale": 0}')).toThrow('Invalid WATERMARK: scale must be');
+  });
+
+  it('places an image overlay relative to the variant size with its opacity', async () => {
+    const watermarker = await createWatermarker(
+      normalizeWatermark({ image: 'logo.png', position: 'bottom-right', scale: 0.25, margin: 0.05, opacity: 0.5 }),
+      async () => redSquare()
+    );
+
+    const marked = await watermarker.apply(black(400, 300));
+
+    // 100x100 overlay at 20px from the bottom and right edges
+    expect(await redIn(marked, { left: 290, top: 190, width: 80, height: 80 })).toBeCloseTo(128, -1);
+    expect(await redIn(marked, { left: 0, top: 0, width: 200, height: 150 })).toBe(0);
+    expect(await redIn(marked, { left: 381, top: 0, width: 19, height: 300 })).toBe(0);
+
+    expect(await marked.clone().raw().toBuffer({ resolveWithObject: true }).then(({ info }) => info))
+      .toMatchObject({ width: 400, height: 300, channels: 3 });
+  });
+
+  it('keeps overlays inside short variants and centers them when asked', async () => {
+    const watermarker = await createWatermarker(normalizeWatermark({ image: 'logo.png', position: 'center', scale: 1, margin: 0, opacity: 1 }), redSquare);
+
+    const marked = await watermarker.apply(black(400, 100));
+
+    // Scaled down to the variant height rather than its width
+    expect(await redIn(marked, { left: 150, top: 0, width: 100, height: 100 })).toBe(255);
+    expect(await redIn(marked, { left: 0, top: 0, width: 140, height: 100 })).toBe(0);
+  });
+
+  it('renders text and watermarks only the listed variants', async () => {
+    const watermarker = await createWatermarker(normalizeWatermark({ text: '© Jane & Co <studio>', variants: ['large', 'medium'], position: 'top-left', opacity: 1 }));
+
+    expect(watermarker.appliesTo('large')).toBe(true);
+    expect(watermarker.appliesTo('thumb')).toBe(false);
+
+    const marked = await watermarker.apply(black(800, 600));
+    expect(await redIn(marked, { left: 0, top: 0, width: 200, height: 60 })).toBeGreaterThan(10);
+    expect(await redIn(marked, { left: 400, top: 300, width: 400, height: 300 })).toBe(0);
+  });
+
+  it('versions watermarks by their configuration and overlay', async () => {
+    const version = async (config, overlay = redSquare) => (await createWatermarker(normalizeWatermark(config), overlay)).version;
+
+    const base = await version({ image: 'logo.png' });
+    expect(base).toMatch(/^[0-9a-f]{12}$/);
+    expect(await version({ image: 'logo.png' })).toBe(base);
+    expect(await version({ image: 'logo.png', opacity: 0.4 })).not.toBe(base);
+    expect(await version({ image: 'logo.png' }, () => sharp({ create: { width: 100, height: 100, channels: 4, background: '#00ff00' } }).png().toBuffer()))
+      .not.toBe(base);
+  });
+});
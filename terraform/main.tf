@@ -19,14 +19,38 @@ locals {
   lambda_bucket_mappings = {
     for root, buckets in local.bucket_pairs : buckets.ingress => {
       processed = buckets.processed
+      timezone  = lookup(var.bucket_timezones, root, null)
+      naming    = lookup(var.bucket_naming_templates, root, null)
+      watermark = contains(keys(var.bucket_watermarks), root) ? jsondecode(var.bucket_watermarks[root]) : null
+      privacy   = contains(keys(var.bucket_privacy), root) ? jsondecode(var.bucket_privacy[root]) : null
+      albums    = contains(keys(var.bucket_album_rules), root) ? jsondecode(var.bucket_album_rules[root]) : null
     }
   }
   
+  # Buckets holding separated originals and unredacted metadata (privacy privateBucket)
+  private_buckets = distinct(compact(concat(
+    [var.privacy != "" ? try(jsondecode(var.privacy).privateBucket, null) : null],
+    [for policy in values(var.bucket_privacy) : try(jsondecode(policy).privateBucket, null)]
+  )))
+  
   # Lambda environment variables
   lambda_environment = {
     CHECK_DUPLICATES         = tostring(var.check_duplicates)
     DUPLICATE_ACTION         = var.duplicate_action
     DUPLICATES_PREFIX        = "duplicates/"
+    INGRESS_DELETE_POLICY    = var.ingress_delete_policy
+    FAILED_ACTION            = var.failed_action
+    FAILED_MAX_ATTEMPTS      = tostring(var.failed_max_attempts)
+    FAILED_BUCKET            = var.failed_bucket
+    DEFAULT_TIMEZONE         = var.default_timezone
+    NAMING_TEMPLATE          = var.naming_template
+    WATERMARK                = var.watermark
+    PRIVACY                  = var.privacy
+    ALBUMS                   = var.album_rules
+    GALLERY_ENABLED          = tostring(var.gallery_enabled)
+    GALLERY_TITLE            = var.gallery_title
+    METRICS_NAMESPACE        = var.metrics_namespace
+    STREAMING_THRESHOLD      = tostring(var.streaming_threshold_mb * 1024 * 1024)
     ALLOWED_SOURCE_BUCKETS   = join(",", local.ingress_buckets)
     BUCKET_MAPPINGS          = jsonencode(local.lambda_bucket_mappings)
   }
@@ -192,7 +216,7 @@ resource "aws_s3_bucket_policy" "processed_buckets" {
   
   policy = jsonencode({
     Version = "2012-10-17"
-    Statement = [
+    Statement = concat([
       {
         Sid       = "AllowPublicRead"
         Effect    = "Allow"
@@ -211,19 +235,21 @@ resource "aws_s3_bucket_policy" "processed_buckets" {
         Principal = "*"
         Action    = "s3:ListBucket"
         Resource  = aws_s3_bucket.processed_buckets[each.key].arn
-      },
-      # Allow clients to write and delete only user.json
+      }
+    ],
+    # Edits hide, retitle and re-render photos, so only trusted principals may write user.json
+    length(var.user_edit_principals) > 0 ? [
       {
         Sid       = "AllowUserJsonEdit"
         Effect    = "Allow"
-        Principal = "*"
+        Principal = { AWS = var.user_edit_principals }
         Action    = [
           "s3:PutObject",
           "s3:DeleteObject"
         ]
         Resource  = "${aws_s3_bucket.processed_buckets[each.key].arn}/*/user.json"
       }
-    ]
+    ] : [])
   })
   
   depends_on = [aws_s3_bucket_public_access_block.processed_buckets]
@@ -247,9 +273,14 @@ locals {
   # Use pre-built image if provided, otherwise build locally
   use_prebuilt_image = var.lambda_image_uri != ""
   
+  # Hash of every Lambda source module
+  lambda_src_hash = sha256(join("", [
+    for f in sort(fileset("${path.module}/../handler/src", "**/*.js")) : filemd5("${path.module}/../handler/src/${f}")
+  ]))
+
   # Generate unique tag for local builds only
   code_hash = substr(sha256(join("", [
-    filemd5("${path.module}/../handler/src/upload-lambda.js"),
+    local.lambda_src_hash,
     filemd5("${path.module}/../package.json"),
     filemd5("${path.module}/../Dockerfile")
   ])), 0, 8)
@@ -265,7 +296,7 @@ resource "null_resource" "lambda_image_build" {
   count = local.use_prebuilt_image ? 0 : 1
   
   triggers = {
-    lambda_code_hash = filemd5("${path.module}/../handler/src/upload-lambda.js")
+    lambda_code_hash = local.lambda_src_hash
     package_hash     = filemd5("${path.module}/../package.json")
     dockerfile_hash  = filemd5("${path.module}/../Dockerfile")
     ecr_repo_url     = data.aws_ecr_repository.lambda_repo.repository_url
@@ -340,12 +371,17 @@ resource "aws_iam_role_policy" "lambda_s3_policy" {
   policy = jsonencode({
     Version = "2012-10-17"
     Statement = [
-      # Read and delete access to ingress buckets (delete needed for 'replace' duplicate action)
+      # Read and delete access to ingress buckets (delete needed for 'replace' duplicate action and
+      # moving failed uploads under failed/, tagging reads for copying originals with their tags,
+      # tagging writes for tagging failed uploads and replaying them)
       {
         Effect = "Allow"
         Action = [
           "s3:GetObject",
           "s3:GetObjectVersion",
+          "s3:GetObjectTagging",
+          "s3:GetObjectVersionTagging",
+          "s3:PutObjectTagging",
           "s3:DeleteObject"
         ]
         Resource = [
@@ -404,6 +440,29 @@ resource "aws_iam_role_policy" "lambda_s3_policy" {
           StringEquals = { "s3:ExistingObjectTag/private" = "false" }
         }
       },
+      # Delete photo folders (and tag archived/bookkeeping objects private) when ingress uploads are removed,
+      # and tag originals private when reprocessing turns a watermark on or off
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:DeleteObject",
+          "s3:GetObjectTagging",
+          "s3:PutObjectTagging"
+        ]
+        Resource = [
+          for bucket in local.processed_buckets : "arn:aws:s3:::${bucket}/*"
+        ]
+      },
+      # Clean up multipart uploads of large originals that fail part way
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:AbortMultipartUpload"
+        ]
+        Resource = [
+          for bucket in local.processed_buckets : "arn:aws:s3:::${bucket}/*"
+        ]
+      },
       # Copy permissions between all buckets
       {
         Effect = "Allow"
@@ -420,6 +479,31 @@ resource "aws_iam_role_policy" "lambda_s3_policy" {
   })
 }
 
+# Private copies written to the privateBucket of a privacy policy, tagged, and archived or deleted with their folder
+resource "aws_iam_role_policy" "lambda_private_bucket_policy" {
+  count = length(local.private_buckets) > 0 ? 1 : 0
+
+  name = "${local.name_prefix}-lambda-private-bucket-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:PutObject",
+          "s3:PutObjectTagging",
+          "s3:GetObjectTagging",
+          "s3:DeleteObject"
+        ]
+        Resource = [for bucket in local.private_buckets : "arn:aws:s3:::${bucket}/*"]
+      }
+    ]
+  })
+}
+
 #===============================================================================
 # Lambda Function
 #===============================================================================
@@ -435,6 +519,11 @@ resource "aws_lambda_function" "photo_processor" {
   # Function configuration
   memory_size = var.lambda_memory
   timeout     = var.lambda_timeout
+
+  # /tmp holds spooled large originals (see streaming_threshold_mb)
+  ephemeral_storage {
+    size = var.lambda_ephemeral_storage
+  }
   
   depends_on = [
     aws_iam_role_policy_attachment.lambda_basic,
@@ -458,6 +547,79 @@ resource "aws_lambda_function" "photo_processor" {
   })
 }
 
+#===============================================================================
+# Failed invocations - retried, then sent to a queue
+#===============================================================================
+
+# The handler throws while an upload failing with a retryable error has attempts left
+# (FAILED_MAX_ATTEMPTS); Lambda retries asynchronous S3 invocations and then sends
+# the event here instead of dropping it. Events only end up here when an invocation
+# fails for another reason: the last attempt quarantines the upload instead of throwing
+resource "aws_sqs_queue" "failed_events" {
+  name                      = "${local.name_prefix}-failed-events"
+  message_retention_seconds = 1209600 # 14 days, the maximum
+
+  tags = merge(local.common_tags, {
+    Name = "${local.name_prefix}-failed-events"
+  })
+}
+
+resource "aws_lambda_function_event_invoke_config" "photo_processor" {
+  function_name          = aws_lambda_function.photo_processor.function_name
+  # Retries the attempts the handler counts, so it quarantines before Lambda gives up
+  maximum_retry_attempts = var.failed_max_attempts - 1
+
+  destination_config {
+    on_failure {
+      destination = aws_sqs_queue.failed_events.arn
+    }
+  }
+}
+
+# Failed uploads moved to their own bucket (failed_bucket), and read back when replayed
+resource "aws_iam_role_policy" "lambda_failed_bucket_policy" {
+  count = var.failed_bucket != "" ? 1 : 0
+
+  name = "${local.name_prefix}-lambda-failed-bucket-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:GetObject",
+          "s3:PutObject",
+          "s3:DeleteObject"
+        ]
+        Resource = "arn:aws:s3:::${var.failed_bucket}/*"
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket"]
+        Resource = "arn:aws:s3:::${var.failed_bucket}"
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "lambda_failed_events_policy" {
+  name = "${local.name_prefix}-lambda-failed-events-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["sqs:SendMessage"]
+        Resource = aws_sqs_queue.failed_events.arn
+      }
+    ]
+  })
+}
+
 #===============================================================================
 # CloudWatch Logs
 #===============================================================================
@@ -482,7 +644,7 @@ resource "aws_s3_bucket_notification" "ingress_bucket_notifications" {
 
   lambda_function {
     lambda_function_arn = aws_lambda_function.photo_processor.arn
-    events             = ["s3:ObjectCreated:*"]
+    events             = ["s3:ObjectCreated:*", "s3:ObjectRemoved:*"]
     
   }
   
@@ -497,4 +659,66 @@ resource "aws_lambda_permission" "s3_invoke" {
   function_name = aws_lambda_function.photo_processor.function_name
   principal     = "s3.amazonaws.com"
   source_arn    = "arn:aws:s3:::${each.value.ingress}"
-}
\ No newline at end of file
+}
+#===============================================================================
+# S3 Event Notifications - user.json edits in processed buckets are validated and applied
+#===============================================================================
+
+resource "aws_s3_bucket_notification" "processed_bucket_notifications" {
+  for_each = local.bucket_pairs
+  
+  bucket = aws_s3_bucket.processed_buckets[each.key].id
+
+  lambda_function {
+    lambda_function_arn = aws_lambda_function.photo_processor.arn
+    events             = ["s3:ObjectCreated:*"]
+    filter_suffix      = "user.json"
+  }
+  
+  depends_on = [aws_lambda_permission.s3_invoke_processed]
+}
+
+resource "aws_lambda_permission" "s3_invoke_processed" {
+  for_each = local.bucket_pairs
+  
+  statement_id  = "AllowExecutionFromProcessedS3-${each.key}"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.photo_processor.function_name
+  principal     = "s3.amazonaws.com"
+  source_arn    = "arn:aws:s3:::${each.value.processed}"
+}
+
+#===============================================================================
+# Gallery Schedule - renders the gallery pages of the photos marked since the last run
+#===============================================================================
+
+resource "aws_cloudwatch_event_rule" "gallery_schedule" {
+  for_each = var.gallery_enabled ? local.bucket_pairs : {}
+
+  name                = "${local.name_prefix}-gallery-${each.key}"
+  description         = "Bring the gallery of ${each.value.processed} up to date"
+  schedule_expression = var.gallery_schedule
+
+  tags = local.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "gallery_schedule" {
+  for_each = aws_cloudwatch_event_rule.gallery_schedule
+
+  rule = each.value.name
+  arn  = aws_lambda_function.photo_processor.arn
+  input = jsonencode({
+    operation = "generate-gallery"
+    bucket    = local.bucket_pairs[each.key].processed
+  })
+}
+
+resource "aws_lambda_permission" "gallery_schedule" {
+  for_each = aws_cloudwatch_event_rule.gallery_schedule
+
+  statement_id  = "AllowGalleryScheduleFromEvents-${each.key}"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.photo_processor.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = each.value.arn
+}
@@ -66,4 +66,55 @@ resource "aws_cloudwatch_metric_alarm" "lambda_throttles" {
   tags = merge(local.common_tags, {
     Name = "${local.name_prefix}-lambda-throttles-alarm"
   })
-}
\ No newline at end of file
+}
+
+# Per bucket pair alarms on the metrics the Lambda emits in Embedded Metric Format
+resource "aws_cloudwatch_metric_alarm" "processing_errors" {
+  for_each = var.enable_monitoring ? local.bucket_pairs : {}
+
+  alarm_name          = "${local.name_prefix}-${each.key}-processing-errors"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = "1"
+  metric_name         = "Errors"
+  namespace           = var.metrics_namespace
+  period              = "300"
+  statistic           = "Sum"
+  threshold           = tostring(var.processing_error_threshold)
+  treat_missing_data  = "notBreaching"
+  alarm_description   = "Photos from ${each.value.ingress} that failed to process (any errorCategory)"
+  alarm_actions       = []
+
+  dimensions = {
+    IngressBucket   = each.value.ingress
+    ProcessedBucket = each.value.processed
+  }
+
+  tags = merge(local.common_tags, {
+    Name = "${local.name_prefix}-${each.key}-processing-errors-alarm"
+  })
+}
+
+resource "aws_cloudwatch_metric_alarm" "processing_time" {
+  for_each = var.enable_monitoring ? local.bucket_pairs : {}
+
+  alarm_name          = "${local.name_prefix}-${each.key}-processing-time"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = "2"
+  metric_name         = "TotalTime"
+  namespace           = var.metrics_namespace
+  period              = "300"
+  extended_statistic  = "p90"
+  threshold           = tostring(var.lambda_timeout * 1000 * 0.5) # half the timeout per photo
+  treat_missing_data  = "notBreaching"
+  alarm_description   = "Time to process a photo from ${each.value.ingress}"
+  alarm_actions       = []
+
+  dimensions = {
+    IngressBucket   = each.value.ingress
+    ProcessedBucket = each.value.processed
+  }
+
+  tags = merge(local.common_tags, {
+    Name = "${local.name_prefix}-${each.key}-processing-time-alarm"
+  })
+}
@@ -46,6 +46,11 @@ output "lambda_log_group" {
   value       = aws_cloudwatch_log_group.lambda_logs.name
 }
 
+output "failed_events_queue_url" {
+  description = "SQS queue receiving S3 events whose invocations still failed after Lambda's retries"
+  value       = aws_sqs_queue.failed_events.url
+}
+
 output "lambda_role_arn" {
   description = "ARN of the Lambda execution role"
   value       = aws_iam_role.lambda_role.arn
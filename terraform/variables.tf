@@ -63,6 +63,23 @@ variable "lambda_memory" {
   }
 }
 
+variable "lambda_ephemeral_storage" {
+  description = "Lambda /tmp size (MB); must hold the largest original that is streamed"
+  type        = number
+  default     = 2048
+
+  validation {
+    condition     = var.lambda_ephemeral_storage >= 512 && var.lambda_ephemeral_storage <= 10240
+    error_message = "Lambda ephemeral storage must be between 512 and 10240 MB."
+  }
+}
+
+variable "streaming_threshold_mb" {
+  description = "Originals of this size (MB) and above are streamed through /tmp instead of held in memory"
+  type        = number
+  default     = 32
+}
+
 variable "lambda_timeout" {
   description = "Timeout for Lambda function (seconds)"
   type        = number
@@ -109,12 +126,147 @@ variable "duplicate_action" {
   }
 }
 
+variable "ingress_delete_policy" {
+  description = "What happens to a processed photo folder when its ingress upload is deleted: delete, archive, or keep"
+  type        = string
+  default     = "archive"
+  
+  validation {
+    condition     = contains(["delete", "archive", "keep"], var.ingress_delete_policy)
+    error_message = "Ingress delete policy must be delete, archive, or keep."
+  }
+}
+
+variable "failed_action" {
+  description = "What happens to an upload that fails to process: move (under failed/), tag, or keep; a failure sidecar is written either way"
+  type        = string
+  default     = "move"
+  
+  validation {
+    condition     = contains(["move", "tag", "keep"], var.failed_action)
+    error_message = "Failed action must be move, tag, or keep."
+  }
+}
+
+variable "failed_max_attempts" {
+  description = "Attempts at an upload failing with a retryable error (S3 download/upload, timeout) before it is quarantined; Lambda retries asynchronous events up to twice, so at most 3"
+  type        = number
+  default     = 3
+  
+  validation {
+    condition     = var.failed_max_attempts >= 1 && var.failed_max_attempts <= 3 && floor(var.failed_max_attempts) == var.failed_max_attempts
+    error_message = "Failed max attempts must be 1, 2 or 3."
+  }
+}
+
+variable "failed_bucket" {
+  description = "Existing bucket failed uploads are moved to, under failed/<ingress bucket>/, e.g. to keep them past ingress_retention_days (empty = their ingress bucket)"
+  type        = string
+  default     = ""
+}
+
+variable "default_timezone" {
+  description = "IANA timezone assumed for photos without an EXIF offset, GPS time or location (empty = UTC)"
+  type        = string
+  default     = ""
+}
+
+variable "bucket_timezones" {
+  description = "Per bucket root IANA timezone overriding default_timezone, e.g. { sailing = \"Europe/London\" }"
+  type        = map(string)
+  default     = {}
+}
+
+variable "naming_template" {
+  description = "Photo folder naming template, e.g. \"{date:YYYY/MM/DD}/{time:HHmmss}-{model}-{seq}\" (empty = photo-{date}_{time}{zone}-{make})"
+  type        = string
+  default     = ""
+}
+
+variable "bucket_naming_templates" {
+  description = "Per bucket root naming template overriding naming_template"
+  type        = map(string)
+  default     = {}
+}
+
+variable "watermark" {
+  description = "Watermark JSON for selected variants, e.g. {\"text\": \"© Jane Doe\", \"variants\": [\"large\"]} (empty = none)"
+  type        = string
+  default     = ""
+}
+
+variable "bucket_watermarks" {
+  description = "Per bucket root watermark JSON overriding watermark (\"false\" = none for that bucket)"
+  type        = map(string)
+  default     = {}
+}
+
+variable "privacy" {
+  description = "Privacy policy JSON for public outputs, e.g. {\"gps\": \"coarse\", \"original\": \"private\"} (empty = none)"
+  type        = string
+  default     = ""
+}
+
+variable "bucket_privacy" {
+  description = "Per bucket root privacy policy JSON overriding privacy"
+  type        = map(string)
+  default     = {}
+}
+
+variable "album_rules" {
+  description = "Album rules JSON array, e.g. [{\"slug\": \"summer-2025\", \"from\": \"2025-06-01\", \"to\": \"2025-08-31\"}] (empty = none)"
+  type        = string
+  default     = ""
+}
+
+variable "bucket_album_rules" {
+  description = "Per bucket root album rules JSON overriding album_rules"
+  type        = map(string)
+  default     = {}
+}
+
+variable "user_edit_principals" {
+  description = "IAM principal ARNs allowed to write and delete user.json in processed buckets, e.g. the role behind an editing frontend or the one signing its presigned uploads (empty = no edits through the bucket policy)"
+  type        = list(string)
+  default     = []
+}
+
+variable "gallery_enabled" {
+  description = "Keep a static HTML gallery under gallery/ in each processed bucket up to date (rendered on gallery_schedule)"
+  type        = bool
+  default     = false
+}
+
+variable "gallery_schedule" {
+  description = "How often the gallery pages of photos uploaded, edited or removed since the last run are rendered"
+  type        = string
+  default     = "rate(15 minutes)"
+}
+
+variable "gallery_title" {
+  description = "Title of the gallery pages"
+  type        = string
+  default     = "Photos"
+}
+
 variable "enable_monitoring" {
   description = "Enable CloudWatch monitoring and alarms"
   type        = bool
   default     = true
 }
 
+variable "metrics_namespace" {
+  description = "CloudWatch namespace of the processing metrics the Lambda emits"
+  type        = string
+  default     = "Photo3s"
+}
+
+variable "processing_error_threshold" {
+  description = "Failed records per bucket pair in 5 minutes that raise an alarm"
+  type        = number
+  default     = 0
+}
+
 variable "enable_xray" {
   description = "Enable X-Ray tracing for Lambda"
   type        = bool